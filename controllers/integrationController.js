@@ -1,4 +1,8 @@
 const Lead = require('../models/Lead');
+const { broadcastLeadEvent, EVENT_TYPES } = require('../utils/realtime');
+const { distributeLead } = require('../utils/leadDistribution');
+const { findDuplicate } = require('../utils/duplicateDetection');
+const { logDuplicateDetected } = require('../utils/historyLogger');
 
 const handleIntegrationWebhook = async (req, res) => {
     console.log('\n=== Integration Webhook Started ===');
@@ -10,7 +14,12 @@ const handleIntegrationWebhook = async (req, res) => {
         console.log('\nRequest Headers:', JSON.stringify(req.headers, null, 2));
         console.log('\nRequest Body:', JSON.stringify(req.body, null, 2));
         
-        const { name, phone, email, sourceDescription, utm_source, utm_medium, utm_campaign, utm_content, utm_term } = req.body;
+        const { name, phone, email, sourceDescription, utm_medium, utm_campaign, utm_content, utm_term } = req.body;
+
+        // Ключ партнера може примусово задавати utm_source
+        const apiKey = req.apiKey;
+        const utm_source = apiKey && apiKey.forcedUtmSource ? apiKey.forcedUtmSource : req.body.utm_source;
+        console.log('Partner:', apiKey ? `${apiKey.partnerName} (${apiKey.keyPrefix}...)` : 'unknown');
         
         console.log("Integration data received:", {
             name,
@@ -42,20 +51,22 @@ const handleIntegrationWebhook = async (req, res) => {
         console.log('Original phone:', phone);
         console.log('Normalized phone:', normalizedPhone);
 
-        // Перевірка чи існує лід з таким нормалізованим номером
-        const existingLead = await Lead.findOne({ phone: normalizedPhone });
+        // Пошук дубля за телефоном, email та іменем (налаштування у DuplicateSettings)
+        const duplicate = await findDuplicate({ name, phone: normalizedPhone, email });
+        const existingLead = duplicate ? duplicate.original : null;
         console.log('Existing lead check result:', existingLead ? 'DUPLICATE FOUND' : 'NEW LEAD');
         
         if (existingLead) {
             console.log('Duplicate lead found with ID:', existingLead._id);
             console.log('Existing lead phone:', existingLead.phone);
+            console.log('Matched by:', duplicate.matchedBy.join(', '));
         }
         
         // Визначення статусу
         const status = existingLead ? 'DUPLICATE' : 'UC_HSS56X';
 
         console.log('Final assigned status:', status);
-        console.log('Status reason:', existingLead ? 'Phone number already exists in database' : 'New unique phone number');
+        console.log('Status reason:', existingLead ? `Lead already exists in database (${duplicate.matchedBy.join(', ')})` : 'New unique lead');
 
         // Створення нового ліда
         const lead = new Lead({
@@ -71,26 +82,36 @@ const handleIntegrationWebhook = async (req, res) => {
             utm_term: utm_term || 'No UTM Term',
             department: 11,
             dateCreate: new Date(),
+            duplicateOf: existingLead ? existingLead._id : null,
+            duplicateMatch: duplicate ? { matchedBy: duplicate.matchedBy, detectedAt: new Date() } : undefined,
+            apiKeyId: apiKey ? apiKey._id : null,
             hidden: false
         });
 
         await lead.save();
         console.log('New lead saved with ID:', lead._id);
 
-        // Відправка даних через WebSocket
-        if (req.app.get('wss')) {
-            const wss = req.app.get('wss');
-            wss.clients.forEach((client) => {
-                if (client.readyState === 1) {
-                    client.send(JSON.stringify({
-                        type: 'NEW_LEAD',
-                        data: lead
-                    }));
-                }
-            });
-            console.log('WebSocket notification sent');
+        if (duplicate) {
+            try {
+                await logDuplicateDetected(lead._id, existingLead._id, duplicate.matchedBy, lead.name);
+            } catch (historyError) {
+                console.error('Error logging duplicate detection:', historyError.message);
+            }
         }
 
+        // Автоматичний розподіл ліда за правилами (помилка не повинна зривати прийом ліда)
+        let distribution = null;
+        try {
+            distribution = await distributeLead(lead);
+            console.log('Distribution result:', distribution ? `assigned to ${distribution.managerLogin} by rule "${distribution.ruleName}"` : 'no matching rule');
+        } catch (distributionError) {
+            console.error('Lead distribution failed:', distributionError.message);
+        }
+
+        // Відправка даних через WebSocket (тільки користувачам, яким видно лід)
+        broadcastLeadEvent(EVENT_TYPES.NEW_LEAD, lead);
+        console.log('WebSocket notification sent');
+
         console.log('=== Integration Webhook Completed Successfully ===\n');
         return res.status(200).json({ 
             success: true,
@@ -15,6 +15,9 @@ const Lot = require('../models/Lot');
 const Lead = require('../models/Lead');
 const LeadsHistory = require('../models/LeadsHistory');
 const mongoose = require('mongoose');
+const { broadcastLeadEvent, EVENT_TYPES } = require('../utils/realtime');
+const { emitHistoryEvent, emitLeadConverted } = require('../utils/outboundWebhooks');
+const { canAccessLead, findInLeadScope } = require('../utils/leadAccess');
 
 /**
  * Controller class for LOT operations
@@ -25,8 +28,8 @@ class LotController {
    * Create a new LOT
    * 
    * Business Rules:
-   * - Only Reten managers can create LOTs
-   * - Lead must exist and be assigned to the manager
+   * - Requires the lots.create permission (routes/lots.js)
+   * - Lead must exist and be within the admin's data scope
    * - All required fields must be provided
    * - Creates history entry for audit trail
    * 
@@ -40,7 +43,6 @@ class LotController {
     try {
       const { leadId, lotName, amount, lotDate, payoutAmount, isPaid, financier } = req.body;
       const adminId = req.admin._id;
-      const adminRole = req.admin.role;
 
       // ==================== VALIDATION ====================
 
@@ -131,12 +133,12 @@ class LotController {
         });
       }
 
-      // Check if lead is assigned to current manager (for Reten role)
-      if (adminRole === 'Reten' && lead.assigned?.toString() !== adminId.toString()) {
+      // Lead must be within the data scope of the admin (own leads for Reten)
+      if (!(await canAccessLead(req.admin, lead._id))) {
         await session.abortTransaction();
-        return res.status(403).json({
+        return res.status(404).json({
           success: false,
-          message: 'Вы можете создавать ЛОТы только для своих лидов'
+          message: 'Лид не найден'
         });
       }
 
@@ -192,6 +194,10 @@ class LotController {
         { path: 'leadId', select: 'name phone email status department' }
       ]);
 
+      broadcastLeadEvent(EVENT_TYPES.LOT_CREATED, lead, { data: lot });
+      emitHistoryEvent(historyEntry);
+      emitLeadConverted(lead, 'lot', lot);
+
       res.status(201).json({
         success: true,
         message: 'ЛОТ успешно создан',
@@ -261,7 +267,6 @@ class LotController {
 
       const filter = { isDeleted: false };
 
-      // All users can see all LOTs
       // Optional filters by manager or team
       if (managerId) {
         if (!mongoose.Types.ObjectId.isValid(managerId)) {
@@ -330,16 +335,18 @@ class LotController {
       console.log('🔍 LOT Query Filter:', JSON.stringify(filter, null, 2));
       console.log('📄 LOT Query Params:', { page, limit, skip, sortBy, sortOrder });
 
-      const [lots, total] = await Promise.all([
-        Lot.find(filter)
-          .populate('assignedTo', 'login email role team')
-          .populate('leadId', 'name phone email status department sourceDescription')
-          .sort(sort)
-          .skip(skip)
-          .limit(parseInt(limit))
-          .lean(),
-        Lot.countDocuments(filter)
-      ]);
+      // Only LOTs of leads within the data scope
+      const { docs: lots, total } = await findInLeadScope(Lot, filter, req.admin, {
+        sort,
+        skip,
+        limit: parseInt(limit),
+        populate: [
+          { path: 'assignedTo', select: 'login email role team' },
+          { path: 'leadId', select: 'name phone email status department sourceDescription' }
+        ],
+        lean: true,
+        count: true
+      });
 
       console.log('✅ LOT Query Results:', { found: lots.length, total, pages: Math.ceil(total / parseInt(limit)) });
 
@@ -394,14 +401,13 @@ class LotController {
         .populate('leadId', 'name phone email status department')
         .populate('amountHistory.editedBy', 'login');
 
-      if (!lot) {
+      // LOTs of leads outside the data scope are reported as not found
+      if (!lot || !(await canAccessLead(req.admin, lot.leadId?._id))) {
         return res.status(404).json({
           success: false,
           message: 'ЛОТ не найден'
         });
       }
-
-      // All users can view any LOT
       res.json({
         success: true,
         data: lot
@@ -469,7 +475,8 @@ class LotController {
 
       const lot = await Lot.findOne({ _id: id, isDeleted: false }).session(session);
 
-      if (!lot) {
+      // LOTs of leads outside the data scope are reported as not found
+      if (!lot || !(await canAccessLead(req.admin, lot.leadId))) {
         await session.abortTransaction();
         return res.status(404).json({
           success: false,
@@ -524,6 +531,7 @@ class LotController {
       // ==================== COMMIT TRANSACTION ====================
 
       await session.commitTransaction();
+      emitHistoryEvent(historyEntry);
 
       // ==================== POPULATE AND RETURN ====================
 
@@ -576,7 +584,6 @@ class LotController {
       const { id } = req.params;
       const { payoutAmount, isPaid } = req.body;
       const adminId = req.admin._id;
-      const adminRole = req.admin.role;
 
       // ==================== VALIDATION ====================
 
@@ -612,7 +619,8 @@ class LotController {
 
       const lot = await Lot.findOne({ _id: id, isDeleted: false }).session(session);
 
-      if (!lot) {
+      // LOTs of leads outside the data scope are reported as not found
+      if (!lot || !(await canAccessLead(req.admin, lot.leadId))) {
         await session.abortTransaction();
         return res.status(404).json({
           success: false,
@@ -620,24 +628,7 @@ class LotController {
         });
       }
 
-      // ==================== CHECK ACCESS ====================
-      // Only Admin, SuperAdmin, and Reten can update payouts
-
-      if (adminRole !== 'Admin' && adminRole !== 'Reten' && adminRole !== 'SuperAdmin') {
-        await session.abortTransaction();
-        return res.status(403).json({
-          success: false,
-          message: 'Только администратор или тимлид может обновлять выплаты'
-        });
-      }
-
-      if (adminRole === 'TeamLead' && lot.team !== req.admin.team) {
-        await session.abortTransaction();
-        return res.status(403).json({
-          success: false,
-          message: 'Вы можете обновлять выплаты только для своей команды'
-        });
-      }
+      // Access is checked by the lots.payout.edit permission (routes/lots.js)
 
       // ==================== UPDATE PAYOUT ====================
 
@@ -676,6 +667,7 @@ class LotController {
       // ==================== COMMIT TRANSACTION ====================
 
       await session.commitTransaction();
+      emitHistoryEvent(historyEntry);
 
       // ==================== POPULATE AND RETURN ====================
 
@@ -716,7 +708,6 @@ class LotController {
     try {
       const { id } = req.params;
       const adminId = req.admin._id;
-      const adminRole = req.admin.role;
 
       // Validate ID
       if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -730,7 +721,8 @@ class LotController {
       // Find LOT
       const lot = await Lot.findOne({ _id: id, isDeleted: false }).session(session);
 
-      if (!lot) {
+      // LOTs of leads outside the data scope are reported as not found
+      if (!lot || !(await canAccessLead(req.admin, lot.leadId))) {
         await session.abortTransaction();
         return res.status(404).json({
           success: false,
@@ -738,14 +730,7 @@ class LotController {
         });
       }
 
-      // Check access (only Admin can delete)
-      if (adminRole !== 'Admin' || adminRole !== 'SuperAdmin') {
-        await session.abortTransaction();
-        return res.status(403).json({
-          success: false,
-          message: 'Только администратор может удалять ЛОТы'
-        });
-      }
+      // Access is checked by the lots.delete permission (routes/lots.js)
 
       // Soft delete
       await lot.softDelete(adminId);
@@ -766,6 +751,7 @@ class LotController {
       await historyEntry.save({ session });
 
       await session.commitTransaction();
+      emitHistoryEvent(historyEntry);
 
       res.json({
         success: true,
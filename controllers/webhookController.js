@@ -1,4 +1,8 @@
 const Lead = require('../models/Lead');
+const { broadcastLeadEvent, EVENT_TYPES } = require('../utils/realtime');
+const { distributeLead } = require('../utils/leadDistribution');
+const { findDuplicate } = require('../utils/duplicateDetection');
+const { logDuplicateDetected } = require('../utils/historyLogger');
 
 const handleTildaWebhook = async (req, res) => {
     console.log('\n=== Tilda Webhook Started ===');
@@ -25,13 +29,19 @@ const handleTildaWebhook = async (req, res) => {
         console.log('Original phone:', formData.Phone);
         console.log('Normalized phone:', normalizedPhone);
 
-        // Перевірка чи існує лід з таким нормалізованим номером
-        const existingLead = await Lead.findOne({ phone: normalizedPhone });
+        // Пошук дубля за телефоном, email та іменем (налаштування у DuplicateSettings)
+        const duplicate = await findDuplicate({
+            name: formData.Name || formData.name,
+            phone: normalizedPhone,
+            email: formData.Email
+        });
+        const existingLead = duplicate ? duplicate.original : null;
         console.log('Existing lead check result:', existingLead ? 'DUPLICATE FOUND' : 'NEW LEAD');
         
         if (existingLead) {
             console.log('Duplicate lead found with ID:', existingLead._id);
             console.log('Existing lead phone:', existingLead.phone);
+            console.log('Matched by:', duplicate.matchedBy.join(', '));
         }
         
         // Визначення статусу
@@ -58,7 +68,7 @@ const handleTildaWebhook = async (req, res) => {
         console.log('Original source URL:', sourceUrl);
         console.log('Extracted domain:', sourceDomain);
         console.log('Final assigned status:', status);
-        console.log('Status reason:', existingLead ? 'Phone number already exists in database' : 'New unique phone number');
+        console.log('Status reason:', existingLead ? `Lead already exists in database (${duplicate.matchedBy.join(', ')})` : 'New unique lead');
 
         // Створення нового ліда
         const lead = new Lead({
@@ -66,7 +76,8 @@ const handleTildaWebhook = async (req, res) => {
             phone: normalizedPhone || 'No Phone',
             email: formData.Email || 'No Email',
             status: status || 'NEW',
-            assigned: formData.utm_source === "fantom" ? "69400fc074589780a3941509"  : " ",
+            // Лід створюється без менеджера; його призначають правила розподілу (distributeLead)
+            assigned: null,
             sourceDescription: sourceDomain,
             utm_source: formData.utm_source || 'No UTM Source',
             utm_medium: formData.utm_medium || 'No UTM Medium',
@@ -75,26 +86,35 @@ const handleTildaWebhook = async (req, res) => {
             department: 11,
             utm_term: formData.utm_term || 'No UTM Term',
             dateCreate: new Date(),
+            duplicateOf: existingLead ? existingLead._id : null,
+            duplicateMatch: duplicate ? { matchedBy: duplicate.matchedBy, detectedAt: new Date() } : undefined,
             hidden:false
         });
 
         await lead.save();
         console.log('New lead saved with ID:', lead._id);
 
-        // Відправка даних через WebSocket
-        if (req.app.get('wss')) {
-            const wss = req.app.get('wss');
-            wss.clients.forEach((client) => {
-                if (client.readyState === 1) {
-                    client.send(JSON.stringify({
-                        type: 'NEW_LEAD',
-                        data: lead
-                    }));
-                }
-            });
-            console.log('WebSocket notification sent');
+        if (duplicate) {
+            try {
+                await logDuplicateDetected(lead._id, existingLead._id, duplicate.matchedBy, lead.name);
+            } catch (historyError) {
+                console.error('Error logging duplicate detection:', historyError.message);
+            }
+        }
+
+        // Автоматичний розподіл ліда за правилами (помилка не повинна зривати прийом ліда)
+        let distribution = null;
+        try {
+            distribution = await distributeLead(lead);
+            console.log('Distribution result:', distribution ? `assigned to ${distribution.managerLogin} by rule "${distribution.ruleName}"` : 'no matching rule');
+        } catch (distributionError) {
+            console.error('Lead distribution failed:', distributionError.message);
         }
 
+        // Відправка даних через WebSocket (тільки користувачам, яким видно лід)
+        broadcastLeadEvent(EVENT_TYPES.NEW_LEAD, lead);
+        console.log('WebSocket notification sent');
+
         console.log('=== Tilda Webhook Completed Successfully ===\n');
         return res.status(200).json({ 
             message: 'Lead created successfully',
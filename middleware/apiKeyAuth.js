@@ -0,0 +1,141 @@
+const net = require('net');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const { periodStart, nextPeriod } = require('../utils/timeSeries');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('ApiKeyAuth');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Strip IPv4-mapped IPv6 prefix (::ffff:1.2.3.4 → 1.2.3.4)
+ */
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+/**
+ * Check "1.2.3.4", "2001:db8::1" or "10.0.0.0/8" / "2001:db8::/32"
+ */
+const isValidIpRange = (range) => {
+  const [address, prefix, ...rest] = String(range).trim().split('/');
+  const family = net.isIP(address);
+  if (!family || rest.length > 0) return false;
+  if (prefix === undefined) return true;
+
+  const bits = Number(prefix);
+  return Number.isInteger(bits) && bits >= 0 && bits <= (family === 4 ? 32 : 128) && /^\d+$/.test(prefix);
+};
+
+const isIpAllowed = (ip, ranges) => {
+  if (!ranges || ranges.length === 0) return true;
+
+  const address = normalizeIp(ip);
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  const blockList = new net.BlockList();
+  ranges.forEach(range => {
+    const [rangeAddress, prefix] = range.trim().split('/');
+    const rangeFamily = net.isIP(rangeAddress) === 6 ? 'ipv6' : 'ipv4';
+    if (prefix === undefined) {
+      blockList.addAddress(rangeAddress, rangeFamily);
+    } else {
+      blockList.addSubnet(rangeAddress, Number(prefix), rangeFamily);
+    }
+  });
+
+  return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Count the request in minute and day windows (day boundaries in Europe/Kyiv time)
+ * @returns {Promise<Object|null>} Exceeded window { window, limit, retryAfter } or null
+ */
+const consumeQuota = async (apiKey) => {
+  const now = Date.now();
+  const minuteStart = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+  const dayStart = periodStart(new Date(now), 'day');
+  const windows = [
+    { window: 'minute', limit: apiKey.quotas.perMinute, start: minuteStart, end: minuteStart + MINUTE_MS },
+    { window: 'day', limit: apiKey.quotas.perDay, start: dayStart.getTime(), end: nextPeriod(dayStart, 'day').getTime() }
+  ].filter(item => item.limit > 0);
+
+  for (const item of windows) {
+    const { end } = item;
+    const count = await ApiKeyUsage.increment(apiKey._id, item.window, new Date(item.start), new Date(end + MINUTE_MS));
+    if (count > item.limit) {
+      return { window: item.window, limit: item.limit, retryAfter: Math.ceil((end - now) / 1000) };
+    }
+  }
+  return null;
+};
+
+// Middleware to authenticate integration partners by API key
+// Key is passed in X-API-Key header or Authorization: Bearer <key>
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    let rawKey = req.headers['x-api-key'];
+    const authHeader = req.headers['authorization'];
+
+    if (!rawKey && authHeader) {
+      const parts = authHeader.split(' ');
+      if (parts.length === 2 && parts[0] === 'Bearer') {
+        rawKey = parts[1];
+      }
+    }
+
+    if (!rawKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'API key is required. Use X-API-Key header or Authorization: Bearer <key>'
+      });
+    }
+
+    const apiKey = await ApiKey.findByRawKey(rawKey);
+    if (!apiKey) {
+      logger.warn('Invalid or revoked API key', { keyPrefix: rawKey.slice(0, 12) });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid API key'
+      });
+    }
+
+    const clientIp = normalizeIp(req.ip);
+    if (!isIpAllowed(clientIp, apiKey.allowedIpRanges)) {
+      logger.warn('IP address not allowed', { ip: clientIp, partner: apiKey.partnerName });
+      return res.status(403).json({
+        success: false,
+        message: 'Requests from this IP address are not allowed for this API key'
+      });
+    }
+
+    const exceeded = await consumeQuota(apiKey);
+    if (exceeded) {
+      logger.warn('Quota exceeded', { window: exceeded.window, limit: exceeded.limit, partner: apiKey.partnerName });
+      res.set('Retry-After', String(exceeded.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Rate limit exceeded: ${exceeded.limit} requests per ${exceeded.window}`,
+        retryAfter: exceeded.retryAfter
+      });
+    }
+
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: clientIp } })
+      .catch(error => logger.error('Failed to update API key usage', { apiKeyId: apiKey._id, error: error.message }));
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    logger.error('API key authentication failed', { error: error.message });
+    return res.status(500).json({
+      success: false,
+      message: 'API authentication failed'
+    });
+  }
+};
+
+module.exports = {
+  authenticateApiKey,
+  isValidIpRange,
+  isIpAllowed
+};
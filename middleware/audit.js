@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { recordEntityChange } = require('../utils/auditLog');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('AuditMiddleware');
+
+/**
+ * Valid ObjectId strings from a value or an array of values
+ */
+const collectIds = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  return [...new Set(values.filter(id => id && mongoose.Types.ObjectId.isValid(id)).map(id => id.toString()))];
+};
+
+/**
+ * IDs of created entities from the response body ({ data: doc } or { data: [docs] })
+ */
+const idsFromResponse = (body) => {
+  const data = body && body.data;
+  if (!data) return [];
+  return collectIds((Array.isArray(data) ? data : [data]).map(item => item && item._id));
+};
+
+const loadDocuments = async (model, ids) => {
+  if (ids.length === 0) return new Map();
+  const docs = await model.find({ _id: { $in: ids } }).lean();
+  return new Map(docs.map(doc => [doc._id.toString(), doc]));
+};
+
+/**
+ * Record before/after of the entities a route changes (AuditLog)
+ * Must run after authenticateToken. The entities are read before the handler
+ * and again after a successful (< 400) response; created entities are taken
+ * from the response `data`.
+ * @param {Object} options
+ * @param {string} options.entityType - e.g. 'Team'
+ * @param {Object} options.model - Mongoose model of the entity
+ * @param {Function} [options.getIds] - IDs the request changes (default: req.params.id)
+ * @param {string} [options.action] - Fixed action instead of <ENTITY_TYPE>_CREATED / _UPDATED / _DELETED
+ */
+const auditChanges = ({ entityType, model, getIds = req => req.params.id, action }) => {
+  return async (req, res, next) => {
+    let ids;
+    let before;
+    try {
+      ids = collectIds(getIds(req));
+      before = await loadDocuments(model, ids);
+    } catch (error) {
+      logger.error('Failed to read entities before change', { entityType, error: error.message });
+      return next();
+    }
+
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+
+      (async () => {
+        const changedIds = ids.length > 0 ? ids : idsFromResponse(responseBody);
+        const after = await loadDocuments(model, changedIds);
+
+        for (const id of changedIds) {
+          await recordEntityChange({
+            entityType,
+            entityId: id,
+            before: before.get(id) || null,
+            after: after.get(id) || null,
+            action,
+            metadata: { method: req.method, path: req.originalUrl }
+          }, req);
+        }
+      })().catch(error => {
+        logger.error('Failed to record entity changes', { entityType, error: error.message });
+      });
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  auditChanges
+};
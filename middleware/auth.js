@@ -1,5 +1,9 @@
 const { verifyToken } = require('../utils/jwt');
 const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const { resolveAccess, hasPermission } = require('../utils/permissions');
+const { canAccessLead } = require('../utils/leadAccess');
+const { isValidObjectId } = require('../utils/leadHelpers');
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -27,8 +31,25 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Add admin to request object
+    // Deactivated or temporarily locked admins cannot use their tokens
+    if (admin.isBlocked()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Обліковий запис заблоковано'
+      });
+    }
+
+    // Token must belong to an active session (not logged out or revoked)
+    if (!(await Session.isActive(decoded.sid, admin._id))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Сесію завершено'
+      });
+    }
+
+    // Add admin and session to request object
     req.admin = admin;
+    req.sessionId = decoded.sid;
     next();
 
   } catch (error) {
@@ -61,7 +82,42 @@ const requireRole = (roles) => {
   };
 };
 
-// Middleware to check if admin is active (if you add this field later)
+// Middleware to check permissions (every listed permission is required)
+// Resolved access is stored in req.access for data-scope checks in handlers
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.admin) {
+      return res.status(401).json({
+        success: false,
+        message: 'Аутентификация требуется'
+      });
+    }
+
+    try {
+      req.access = req.access || await resolveAccess(req.admin);
+
+      const missing = permissions.filter(permission => !hasPermission(req.access.permissions, permission));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'Недостатньо прав доступу',
+          missingPermissions: missing
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Помилка перевірки прав доступу'
+      });
+    }
+  };
+};
+
+// Middleware to check that the admin is active and not locked
+// authenticateToken already enforces this; kept for routes that load req.admin differently
 const requireActive = (req, res, next) => {
   if (!req.admin) {
     return res.status(401).json({
@@ -70,14 +126,53 @@ const requireActive = (req, res, next) => {
     });
   }
 
-  // For now, all admins are considered active
-  // You can add an 'isActive' field to Admin model if needed
+  if (req.admin.isBlocked()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Обліковий запис заблоковано'
+    });
+  }
+
   next();
 };
 
+// Middleware to check that the lead in req.params[param] is within the admin's data scope
+// Out-of-scope leads are reported as not found
+const requireLeadAccess = (param = 'id') => {
+  return async (req, res, next) => {
+    const leadId = req.params[param];
+
+    if (!isValidObjectId(leadId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Невірний формат ID'
+      });
+    }
+
+    try {
+      if (!(await canAccessLead(req.admin, leadId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Лід не знайдено'
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Lead access check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Помилка перевірки доступу до ліда'
+      });
+    }
+  };
+};
+
 module.exports = {
   authenticateToken,
   requireRole,
   authorizeRoles: requireRole, // Alias for better readability
+  requirePermission,
+  requireLeadAccess,
   requireActive
 };
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const SUBJECT_TYPES = ['team', 'admin'];
+
+// Partial data scope: only the fields that are set replace the role scope
+const scopeOverrideSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    enum: ['own', 'team', 'department', 'all'],
+    default: undefined
+  },
+  includeUtmSources: {
+    type: [String],
+    default: undefined
+  },
+  excludeUtmSources: {
+    type: [String],
+    default: undefined
+  }
+}, { _id: false });
+
+// Permission/scope changes on top of the role, for a team (Admin.team) or a single admin.
+// Applied in order role → team → admin
+const accessOverrideSchema = new mongoose.Schema({
+  subjectType: {
+    type: String,
+    enum: SUBJECT_TYPES,
+    required: true
+  },
+
+  // Team name or admin ID
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  grant: {
+    type: [String],
+    default: []
+  },
+
+  revoke: {
+    type: [String],
+    default: []
+  },
+
+  dataScopes: {
+    leads: {
+      type: scopeOverrideSchema,
+      default: undefined
+    },
+    stats: {
+      type: scopeOverrideSchema,
+      default: undefined
+    },
+    successfulLeads: {
+      type: scopeOverrideSchema,
+      default: undefined
+    }
+  },
+
+  note: {
+    type: String,
+    default: ''
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'access_overrides'
+});
+
+accessOverrideSchema.index({ subjectType: 1, subject: 1 }, { unique: true });
+
+accessOverrideSchema.statics.SUBJECT_TYPES = SUBJECT_TYPES;
+
+const AccessOverride = mongoose.model('AccessOverride', accessOverrideSchema);
+
+module.exports = AccessOverride;
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+const ACTION_TYPES = ['CALL', 'MEETING', 'FOLLOW_UP', 'OTHER'];
+const ACTION_OUTCOMES = ['SUCCESSFUL', 'UNSUCCESSFUL', 'NO_ANSWER', 'CANCELLED'];
+
 const actionSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -30,7 +33,106 @@ const actionSchema = new mongoose.Schema({
     ref: 'Admin' || 'SuperAdmin',
     required: [true, 'ID менеджера обязателен']
   },
-  
+
+  type: {
+    type: String,
+    enum: ACTION_TYPES,
+    default: 'OTHER'
+  },
+
+  // Completion: the action is no longer overdue once completedAt is set
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+
+  outcome: {
+    type: String,
+    enum: ACTION_OUTCOMES,
+    default: null
+  },
+
+  resultNote: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Результат не может быть длиннее 2000 символов'],
+    default: ''
+  },
+
+  // Every planDate change (snooze or reschedule)
+  rescheduleHistory: [{
+    from: Date,
+    to: Date,
+    snoozed: {
+      type: Boolean,
+      default: false
+    },
+    reason: {
+      type: String,
+      default: ''
+    },
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Recurring action: next occurrence is created when this one is completed
+  recurrence: {
+    intervalDays: {
+      type: Number,
+      min: [1, 'Интервал повторения должен быть не меньше 1 дня'],
+      default: null
+    },
+    // Stop when the lead leaves this status (set from the lead on creation)
+    untilStatusChange: {
+      type: Boolean,
+      default: false
+    },
+    leadStatus: {
+      type: String,
+      default: null
+    },
+    until: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // planDate each reminder was sent for (utils/actionReminders);
+  // a rescheduled action no longer matches and is reminded again
+  reminders: {
+    upcoming: {
+      type: Date,
+      default: null
+    },
+    overdue: {
+      type: Date,
+      default: null
+    },
+    teamOverdue: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // First action of a recurring series
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Action',
+    default: null
+  }
 }, {
   timestamps: true // Adds createdAt and updatedAt automatically
 });
@@ -40,10 +142,15 @@ actionSchema.index({ leadId: 1 });
 actionSchema.index({ managerId: 1 });
 actionSchema.index({ planDate: 1 });
 actionSchema.index({ createdAt: -1 });
+actionSchema.index({ completedAt: 1, planDate: 1 });
 
 // Virtual for checking if action is overdue
 actionSchema.virtual('isOverdue').get(function() {
-  return this.planDate < new Date();
+  return !this.completedAt && this.planDate < new Date();
+});
+
+actionSchema.virtual('isRecurring').get(function() {
+  return !!(this.recurrence && this.recurrence.intervalDays);
 });
 
 // Static methods
@@ -59,7 +166,8 @@ actionSchema.statics.findByManager = function(managerId) {
 
 actionSchema.statics.getOverdueActions = function() {
   return this.find({
-    planDate: { $lt: new Date() }
+    planDate: { $lt: new Date() },
+    completedAt: null
   }).populate(['leadId', 'managerId']).sort({ planDate: 1 });
 };
 
@@ -84,8 +192,19 @@ actionSchema.statics.getTodayActions = function() {
   }).populate(['leadId', 'managerId']).sort({ planDate: 1 });
 };
 
+actionSchema.statics.ACTION_TYPES = ACTION_TYPES;
+actionSchema.statics.ACTION_OUTCOMES = ACTION_OUTCOMES;
+
 // Instance methods
-actionSchema.methods.reschedule = function(newDate) {
+actionSchema.methods.reschedule = function(newDate, options = {}) {
+  this.rescheduleHistory.push({
+    from: this.planDate,
+    to: newDate,
+    snoozed: !!options.snoozed,
+    reason: options.reason || '',
+    adminId: options.adminId || null,
+    changedAt: new Date()
+  });
   this.planDate = newDate;
   return this.save();
 };
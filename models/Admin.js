@@ -15,10 +15,15 @@ const adminSchema = new mongoose.Schema({
     minlength: [6, 'Пароль должен содержать минимум 6 символов']
   },
   
+  // Name of a Role document (roles are data: /api/permissions/roles)
   role: {
     type: String,
-    enum: ['Admin', 'Manager', "Reten", "TeamLead", "SuperAdmin"],
-    default: 'User'
+    default: 'Manager',
+    validate: {
+      // Required lazily: utils/permissions uses this model
+      validator: value => require('../utils/permissions').roleExists(value),
+      message: props => `Роль "${props.value}" не існує`
+    }
   },
   
   create_ad: {
@@ -31,11 +36,6 @@ const adminSchema = new mongoose.Schema({
     default: null
   },
   
-  refreshToken: {
-    type: String,
-    default: null
-  },
-  
   department: {
     type: Number,
     default: null
@@ -54,6 +54,84 @@ const adminSchema = new mongoose.Schema({
   avatar: {
     type: String,
     default: null
+  },
+  
+  // Deactivated admins cannot log in or use existing tokens
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  
+  // Temporary lock (too many failed logins)
+  blockedUntil: {
+    type: Date,
+    default: null
+  },
+  
+  // Set through utils/passwordPolicy.setPassword only
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Bcrypt hashes of previous passwords, newest first (reuse check)
+  passwordHistory: {
+    type: [String],
+    default: []
+  },
+  
+  // The next login must set a new password before tokens are issued
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Admin-initiated reset: SHA-256 of the one-time link token
+  passwordReset: {
+    tokenHash: {
+      type: String,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    }
+  },
+  
+  // TOTP two-factor authentication (utils/twoFactor), secrets are encrypted
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null
+    },
+    // Generated by /2fa/setup, becomes the secret once a code is confirmed
+    pendingSecret: {
+      type: String,
+      default: null
+    },
+    // SHA-256 hashes of unused backup codes
+    backupCodeHashes: {
+      type: [String],
+      default: []
+    },
+    // Last accepted TOTP time step (a code cannot be used twice)
+    lastUsedStep: {
+      type: Number,
+      default: null
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   collection: 'admins', // Explicitly set collection name
@@ -67,6 +145,7 @@ adminSchema.index({ role: 1 });
 adminSchema.index({ department: 1 });
 adminSchema.index({ bitrixId: 1 });
 adminSchema.index({ team: 1 });
+adminSchema.index({ 'passwordReset.tokenHash': 1 }, { sparse: true });
 
 // Static methods
 adminSchema.statics.findByLogin = function(login) {
@@ -86,14 +165,9 @@ adminSchema.statics.findByBitrixId = function(bitrixId) {
 };
 
 // Instance methods
-adminSchema.methods.updateRefreshToken = function(token) {
-  this.refreshToken = token;
-  return this.save();
-};
-
-adminSchema.methods.clearRefreshToken = function() {
-  this.refreshToken = null;
-  return this.save();
+// Deactivated or temporarily locked
+adminSchema.methods.isBlocked = function() {
+  return this.isActive === false || (!!this.blockedUntil && this.blockedUntil > new Date());
 };
 
 adminSchema.methods.assignToDepartment = function(departmentId) {
@@ -106,11 +180,15 @@ adminSchema.methods.setResponsible = function(responsibleId) {
   return this.save();
 };
 
-// Transform output (remove password and refreshToken from JSON responses)
+// Transform output (remove password data, 2FA secrets and the legacy refreshToken field from JSON responses)
 adminSchema.methods.toJSON = function() {
   const adminObject = this.toObject();
   delete adminObject.password;
+  delete adminObject.passwordHistory;
+  delete adminObject.passwordReset;
   delete adminObject.refreshToken;
+  delete adminObject.twoFactor;
+  adminObject.twoFactorEnabled = !!(this.twoFactor && this.twoFactor.enabled);
   return adminObject;
 };
 
@@ -134,7 +212,12 @@ adminSchema.methods.getSafeData = function() {
     department: this.department,
     bitrixId: this.bitrixId,
     team: this.team,
-    avatar: this.avatar
+    avatar: this.avatar,
+    isActive: this.isActive,
+    blockedUntil: this.blockedUntil,
+    mustChangePassword: this.mustChangePassword,
+    passwordChangedAt: this.passwordChangedAt,
+    twoFactorEnabled: !!(this.twoFactor && this.twoFactor.enabled)
   };
 };
 
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'fnx_';
+
+// Integration API key of a partner; only the SHA-256 hash of the key is stored
+const apiKeySchema = new mongoose.Schema({
+  partnerName: {
+    type: String,
+    required: [true, 'Назва партнера обов\'язкова'],
+    trim: true
+  },
+
+  description: {
+    type: String,
+    default: ''
+  },
+
+  // First characters of the key to recognise it in lists and logs
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  // Previous key stays valid until previousKeyExpiresAt after rotation
+  previousKeyHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  previousKeyExpiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Overrides utm_source sent by the partner (empty = partner value is kept)
+  forcedUtmSource: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // IPv4/IPv6 addresses or IPv4 CIDR ranges (empty = any address)
+  allowedIpRanges: {
+    type: [String],
+    default: []
+  },
+
+  // 0 = unlimited
+  quotas: {
+    perMinute: {
+      type: Number,
+      default: 60,
+      min: [0, 'Ліміт не може бути від\'ємним']
+    },
+    perDay: {
+      type: Number,
+      default: 5000,
+      min: [0, 'Ліміт не може бути від\'ємним']
+    }
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+
+  revokeReason: {
+    type: String,
+    default: null
+  },
+
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'api_keys',
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      delete ret.previousKeyHash;
+      return ret;
+    }
+  }
+});
+
+apiKeySchema.index({ previousKeyHash: 1 }, { sparse: true });
+
+/**
+ * SHA-256 of a raw key (keys are random, so a fast hash is enough)
+ */
+apiKeySchema.statics.hashKey = function(rawKey) {
+  return crypto.createHash('sha256').update(String(rawKey)).digest('hex');
+};
+
+/**
+ * Generate a new raw key with its prefix and hash
+ * @returns {Object} { rawKey, keyPrefix, keyHash }
+ */
+apiKeySchema.statics.generateKey = function() {
+  const rawKey = KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+  return {
+    rawKey,
+    keyPrefix: rawKey.slice(0, KEY_PREFIX.length + 8),
+    keyHash: this.hashKey(rawKey)
+  };
+};
+
+/**
+ * Find a usable key by its raw value (current key or previous key within grace period)
+ */
+apiKeySchema.statics.findByRawKey = function(rawKey) {
+  const hash = this.hashKey(rawKey);
+  return this.findOne({
+    isActive: true,
+    revokedAt: null,
+    $or: [
+      { keyHash: hash },
+      { previousKeyHash: hash, previousKeyExpiresAt: { $gt: new Date() } }
+    ]
+  });
+};
+
+/**
+ * Replace the key; the old one keeps working for graceHours
+ * @returns {Promise<string>} New raw key
+ */
+apiKeySchema.methods.rotate = async function(graceHours = 0) {
+  const current = await this.constructor.findById(this._id).select('+keyHash');
+  const { rawKey, keyPrefix, keyHash } = this.constructor.generateKey();
+
+  this.previousKeyHash = graceHours > 0 ? current.keyHash : null;
+  this.previousKeyExpiresAt = graceHours > 0 ? new Date(Date.now() + graceHours * 60 * 60 * 1000) : null;
+  this.keyHash = keyHash;
+  this.keyPrefix = keyPrefix;
+  this.rotatedAt = new Date();
+  await this.save();
+
+  return rawKey;
+};
+
+apiKeySchema.methods.revoke = function(adminId, reason) {
+  this.isActive = false;
+  this.revokedAt = new Date();
+  this.revokedBy = adminId;
+  this.revokeReason = reason || null;
+  this.previousKeyHash = null;
+  this.previousKeyExpiresAt = null;
+  return this.save();
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Request counter of an API key in one quota window (minute or day)
+const apiKeyUsageSchema = new mongoose.Schema({
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    required: true
+  },
+
+  window: {
+    type: String,
+    enum: ['minute', 'day'],
+    required: true
+  },
+
+  windowStart: {
+    type: Date,
+    required: true
+  },
+
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  // Counters are removed by TTL index after the window has passed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'api_key_usage'
+});
+
+apiKeyUsageSchema.index({ apiKeyId: 1, window: 1, windowStart: 1 }, { unique: true });
+apiKeyUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Count one request and return the new counter value
+ */
+apiKeyUsageSchema.statics.increment = async function(apiKeyId, window, windowStart, expiresAt) {
+  const usage = await this.findOneAndUpdate(
+    { apiKeyId, window, windowStart },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+    { upsert: true, new: true }
+  );
+  return usage.count;
+};
+
+const ApiKeyUsage = mongoose.model('ApiKeyUsage', apiKeyUsageSchema);
+
+module.exports = ApiKeyUsage;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// One changed field: values before and after the change (null when the entity was created or deleted)
+const auditChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+// Who did what to which entity (admins, teams, settings, security events)
+// Lead changes are kept in LeadsHistory
+const auditLogSchema = new mongoose.Schema({
+  // Null for anonymous events such as failed logins
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+
+  action: {
+    type: String,
+    required: true
+  },
+
+  entityType: {
+    type: String,
+    required: true
+  },
+
+  // String, because some entities are not documents (login name, IP address)
+  entityId: {
+    type: String,
+    default: null
+  },
+
+  ip: {
+    type: String,
+    default: ''
+  },
+
+  userAgent: {
+    type: String,
+    default: ''
+  },
+
+  // Field-level diff for entity changes (empty for events such as logins)
+  changes: {
+    type: [auditChangeSchema],
+    default: []
+  },
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'audit_logs'
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'changes.field': 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+
+const STRATEGIES = ['round_robin', 'weighted', 'capacity'];
+
+const distributionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Назва правила є обов\'язковою'],
+    trim: true,
+    maxlength: [100, 'Назва не може перевищувати 100 символів']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Conditions - an empty list matches any value
+  match: {
+    utmSources: [{
+      type: String,
+      trim: true
+    }],
+    // Case-insensitive substring match against lead.sourceDescription
+    sourceDescriptions: [{
+      type: String,
+      trim: true
+    }],
+    departments: [{
+      type: Number
+    }]
+  },
+
+  // Candidate teams; several teams are taken in turns
+  teamIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'teams'
+  }],
+
+  includeLeaders: {
+    type: Boolean,
+    default: false
+  },
+
+  excludedAdminIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }],
+
+  strategy: {
+    type: String,
+    enum: {
+      values: STRATEGIES,
+      message: 'Стратегія має бути однією з: ' + STRATEGIES.join(', ')
+    },
+    default: 'round_robin'
+  },
+
+  // Used by the "weighted" strategy; members without an entry get weight 1
+  weights: [{
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      required: true
+    },
+    weight: {
+      type: Number,
+      min: [0, 'Вага не може бути від\'ємною'],
+      default: 1
+    }
+  }],
+
+  // Used by the "capacity" strategy
+  capacity: {
+    maxOpenLeads: {
+      type: Number,
+      min: [1, 'Ліміт має бути не менше 1'],
+      default: null
+    },
+    // Leads in these statuses are not counted as open
+    closedStatuses: {
+      type: [String],
+      default: ['CONVERTED', 'DUPLICATE', 'JUNK']
+    }
+  },
+
+  includeDuplicates: {
+    type: Boolean,
+    default: false
+  },
+
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Rotation cursors, incremented atomically on every assignment
+  state: {
+    teamCursor: {
+      type: Number,
+      default: 0
+    },
+    managerCursor: {
+      type: Number,
+      default: 0
+    },
+    assignedCount: {
+      type: Number,
+      default: 0
+    },
+    lastAssignedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // null for the default rules seeded by utils/leadDistribution
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'distribution_rules'
+});
+
+distributionRuleSchema.index({ isActive: 1, priority: -1 });
+distributionRuleSchema.index({ 'match.utmSources': 1 });
+
+/**
+ * Get active rules in evaluation order (highest priority first)
+ */
+distributionRuleSchema.statics.getActiveRules = function() {
+  return this.find({ isActive: true }).sort({ priority: -1, createdAt: 1 });
+};
+
+/**
+ * Check whether a lead satisfies the rule conditions
+ * @param {Object} lead - Lead document or plain object
+ * @returns {boolean}
+ */
+distributionRuleSchema.methods.matchesLead = function(lead) {
+  const { utmSources = [], sourceDescriptions = [], departments = [] } = this.match || {};
+
+  if (!this.includeDuplicates && lead.status === 'DUPLICATE') {
+    return false;
+  }
+
+  if (utmSources.length > 0 && !utmSources.includes(lead.utm_source)) {
+    return false;
+  }
+
+  if (sourceDescriptions.length > 0) {
+    const source = (lead.sourceDescription || '').toLowerCase();
+    if (!sourceDescriptions.some(value => source.includes(value.toLowerCase()))) {
+      return false;
+    }
+  }
+
+  if (departments.length > 0 && !departments.includes(Number(lead.department))) {
+    return false;
+  }
+
+  return true;
+};
+
+distributionRuleSchema.statics.STRATEGIES = STRATEGIES;
+
+const DistributionRule = mongoose.model('DistributionRule', distributionRuleSchema);
+
+module.exports = DistributionRule;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Single settings document controlling duplicate detection for incoming leads
+const duplicateSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+
+  // Only leads created within this many days are compared (0 = no limit)
+  windowDays: {
+    type: Number,
+    default: 0,
+    min: [0, 'Вікно не може бути від\'ємним']
+  },
+
+  matchPhone: {
+    type: Boolean,
+    default: true
+  },
+
+  matchEmail: {
+    type: Boolean,
+    default: true
+  },
+
+  matchName: {
+    type: Boolean,
+    default: false
+  },
+
+  // Minimal similarity (0..1) of normalized names for a fuzzy name match
+  nameSimilarityThreshold: {
+    type: Number,
+    default: 0.85,
+    min: [0.5, 'Поріг схожості має бути не менше 0.5'],
+    max: [1, 'Поріг схожості не може перевищувати 1']
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'duplicate_settings'
+});
+
+/**
+ * Get current settings, creating defaults on first use
+ */
+duplicateSettingsSchema.statics.getSettings = function() {
+  return this.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const DuplicateSettings = mongoose.model('DuplicateSettings', duplicateSettingsSchema);
+
+module.exports = DuplicateSettings;
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Invitation of a new admin; the invitee sets a password through a one-time token.
+// Only the SHA-256 hash of the token is stored
+const invitationSchema = new mongoose.Schema({
+  // Login of the admin created on acceptance
+  login: {
+    type: String,
+    required: [true, 'Логін обов\'язковий'],
+    trim: true
+  },
+
+  // Name of a Role document (checked by utils/invitations)
+  role: {
+    type: String,
+    required: [true, 'Роль обов\'язкова']
+  },
+
+  // Team name (Admin.team); the admin is added to this Teams document
+  team: {
+    type: String,
+    default: null
+  },
+
+  department: {
+    type: Number,
+    default: null
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+
+  acceptedAdminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'invitations',
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      delete ret.id;
+      return ret;
+    }
+  }
+});
+
+invitationSchema.index({ login: 1, acceptedAt: 1, revokedAt: 1 });
+invitationSchema.index({ invitedBy: 1, createdAt: -1 });
+
+// pending | accepted | revoked | expired
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+/**
+ * SHA-256 of a raw token (tokens are random, so a fast hash is enough)
+ */
+invitationSchema.statics.hashToken = function(rawToken) {
+  return crypto.createHash('sha256').update(String(rawToken)).digest('hex');
+};
+
+/**
+ * Generate a new raw token with its hash
+ * @returns {Object} { rawToken, tokenHash }
+ */
+invitationSchema.statics.generateToken = function() {
+  const rawToken = crypto.randomBytes(32).toString('hex');
+  return { rawToken, tokenHash: this.hashToken(rawToken) };
+};
+
+/**
+ * Filter for invitations that can still be accepted
+ */
+invitationSchema.statics.pendingFilter = function(filter = {}) {
+  return { ...filter, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } };
+};
+
+/**
+ * Find a pending invitation by its raw token
+ */
+invitationSchema.statics.findPendingByToken = function(rawToken) {
+  return this.findOne(this.pendingFilter({ tokenHash: this.hashToken(rawToken) }));
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
@@ -107,6 +107,43 @@ const leadSchema = new mongoose.Schema({
   teamLeadAssignedAt: {
     type: Date,
     default: null
+  },
+
+  // Original lead this record duplicates (set by duplicate detection)
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Leads',
+    default: null
+  },
+
+  duplicateMatch: {
+    matchedBy: {
+      type: [String],
+      default: undefined
+    },
+    detectedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Lead this record was merged into (merged leads are hidden)
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Leads',
+    default: null
+  },
+
+  mergedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Integration API key that created the lead (partner stats)
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
   }
 }, {
   collection: 'customers', // Explicitly set collection name
@@ -125,6 +162,33 @@ leadSchema.pre('save', function(next) {
   next();
 });
 
+// Stats snapshots: creation days of created, changed and deleted leads are recounted
+// once the write succeeded (in a transaction: after the caller's commit, markTransactionDaysStale)
+// (utils/statsSnapshots, required lazily because it uses this model)
+const SNAPSHOT_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'];
+const statsSnapshots = () => require('../utils/statsSnapshots');
+
+leadSchema.pre('save', async function() {
+  this.$locals.snapshotDays = await statsSnapshots().collectDocumentDays(this);
+});
+
+leadSchema.post('save', async function() {
+  await statsSnapshots().markWrittenDaysStale(this.$locals.snapshotDays, this.$session());
+});
+
+leadSchema.post('insertMany', async function(docs) {
+  const session = docs.length > 0 && typeof docs[0].$session === 'function' ? docs[0].$session() : null;
+  await statsSnapshots().markWrittenDaysStale(docs.map(doc => statsSnapshots().dayKeyOf(doc.dateCreate)), session);
+});
+
+leadSchema.pre(SNAPSHOT_QUERIES, { document: false, query: true }, async function() {
+  this._snapshotDays = await statsSnapshots().collectQueryDays(this);
+});
+
+leadSchema.post(SNAPSHOT_QUERIES, { document: false, query: true }, async function() {
+  await statsSnapshots().markWrittenDaysStale(this._snapshotDays, this.getOptions().session);
+});
+
 // Indexes for better performance
 leadSchema.index({ phone: 1 });
 leadSchema.index({ email: 1 });
@@ -134,6 +198,9 @@ leadSchema.index({ bitrixId: 1 });
 leadSchema.index({ dateCreate: -1 });
 leadSchema.index({ updatedAt: -1 });
 leadSchema.index({ department: 1 });
+leadSchema.index({ normalizedPhone: 1 });
+leadSchema.index({ duplicateOf: 1 });
+leadSchema.index({ apiKeyId: 1, dateCreate: -1 });
 
 
 
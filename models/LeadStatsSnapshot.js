@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Lead count by status for one value of a dimension (utm_source, sourceDescription, assigned, department)
+const dimensionRowSchema = new mongoose.Schema({
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  status: {
+    type: String,
+    default: null
+  },
+
+  count: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Pre-aggregated counters of the leads created on one Kyiv day (utils/statsSnapshots)
+const leadStatsSnapshotSchema = new mongoose.Schema({
+  // YYYY-MM-DD in Kyiv time, 'none' for leads without dateCreate
+  day: {
+    type: String,
+    required: true
+  },
+
+  dayStart: {
+    type: Date,
+    default: null
+  },
+
+  total: {
+    type: Number,
+    default: 0
+  },
+
+  byStatus: [{
+    _id: false,
+    status: { type: String, default: null },
+    count: { type: Number, default: 0 }
+  }],
+
+  byUtmSource: [dimensionRowSchema],
+  bySourceDescription: [dimensionRowSchema],
+  byAssigned: [dimensionRowSchema],
+  byDepartment: [dimensionRowSchema],
+
+  // Set when a lead of the day changes; cleared by the recount
+  stale: {
+    type: Boolean,
+    default: false
+  },
+
+  // Incremented on every change, so a recount never clears a newer change
+  version: {
+    type: Number,
+    default: 0
+  },
+
+  computedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  collection: 'lead_stats_snapshots',
+  timestamps: false
+});
+
+leadStatsSnapshotSchema.index({ day: 1 }, { unique: true });
+leadStatsSnapshotSchema.index({ stale: 1 });
+
+const LeadStatsSnapshot = mongoose.model('LeadStatsSnapshot', leadStatsSnapshotSchema);
+
+module.exports = LeadStatsSnapshot;
@@ -27,10 +27,14 @@ const leadsHistorySchema = new mongoose.Schema({
       'CONTACT_INFO_UPDATED',
       'LEAD_TRANSFERRED',
       'ACTION_CREATED',
+      'ACTION_COMPLETED',
+      'ACTION_RESCHEDULED',
       'LOT_CREATED',
       'LOT_AMOUNT_UPDATED',
       'LOT_PAYOUT_UPDATED',
-      'LOT_DELETED'
+      'LOT_DELETED',
+      'DUPLICATE_DETECTED',
+      'LEAD_MERGED'
     ],
     index: true
   },
@@ -43,9 +47,17 @@ const leadsHistorySchema = new mongoose.Schema({
   adminId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Admin',
-    required: true,
+    // System events (webhooks, background jobs) have no acting admin
+    required: function() {
+      return !this.isSystem;
+    },
+    default: null,
     index: true
   },
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
   photo: {
     type: String,
     default: null
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Failed login counter for one login name or one IP address
+const loginThrottleSchema = new mongoose.Schema({
+  // 'login:<login>' or 'ip:<address>'
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  type: {
+    type: String,
+    enum: ['login', 'ip'],
+    required: true
+  },
+
+  // Failures within the current window (reset when a lock is applied)
+  failures: {
+    type: Number,
+    default: 0
+  },
+
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Removed by MongoDB once neither the window nor the lock applies
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'login_throttles'
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
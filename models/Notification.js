@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['ACTION_UPCOMING', 'ACTION_OVERDUE', 'TEAM_ACTION_OVERDUE'];
+
+// In-app notification for a single admin
+const notificationSchema = new mongoose.Schema({
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+
+  title: {
+    type: String,
+    required: true
+  },
+
+  message: {
+    type: String,
+    default: ''
+  },
+
+  leadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Leads',
+    default: null
+  },
+
+  actionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Action',
+    default: null
+  },
+
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+
+  readAt: {
+    type: Date,
+    default: null
+  },
+
+  // Same event is never notified twice (e.g. type + action + planDate + recipient)
+  dedupeKey: {
+    type: String,
+    default: undefined
+  }
+}, {
+  timestamps: true,
+  collection: 'notifications'
+});
+
+notificationSchema.index({ adminId: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+/**
+ * Create a notification unless one with the same dedupeKey exists
+ * @returns {Promise<Object|null>} Created notification or null for a duplicate
+ */
+notificationSchema.statics.createOnce = async function(data) {
+  if (!data.dedupeKey) {
+    return this.create(data);
+  }
+
+  const result = await this.updateOne(
+    { dedupeKey: data.dedupeKey },
+    { $setOnInsert: data },
+    { upsert: true }
+  );
+
+  return result.upsertedId ? this.findById(result.upsertedId).lean() : null;
+};
+
+notificationSchema.methods.markRead = function() {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
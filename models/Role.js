@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const SCOPE_LEVELS = ['own', 'team', 'department', 'all'];
+
+// Which records of a resource are visible: own < team < department < all,
+// optionally narrowed by lead utm_source
+const dataScopeSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    enum: SCOPE_LEVELS,
+    default: 'own'
+  },
+
+  // Only these utm sources (empty = any)
+  includeUtmSources: {
+    type: [String],
+    default: []
+  },
+
+  excludeUtmSources: {
+    type: [String],
+    default: []
+  }
+}, { _id: false });
+
+// Permissions and data scopes of an admin role (Admin.role)
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Назва ролі обов\'язкова'],
+    unique: true,
+    trim: true
+  },
+
+  description: {
+    type: String,
+    default: ''
+  },
+
+  // Permission keys from utils/permissions (PERMISSIONS), '*' = every permission
+  permissions: {
+    type: [String],
+    default: []
+  },
+
+  // Admins of this role must enroll TOTP two-factor authentication before they can log in
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+
+  dataScopes: {
+    leads: {
+      type: dataScopeSchema,
+      default: () => ({})
+    },
+    stats: {
+      type: dataScopeSchema,
+      default: () => ({})
+    },
+    successfulLeads: {
+      type: dataScopeSchema,
+      default: () => ({})
+    }
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'roles'
+});
+
+roleSchema.statics.SCOPE_LEVELS = SCOPE_LEVELS;
+roleSchema.statics.dataScopeSchema = dataScopeSchema;
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = ['LOGOUT', 'REVOKED', 'REUSE_DETECTED', 'ADMIN_REVOKED', 'PASSWORD_CHANGED'];
+
+// Login session of one admin on one device
+// Only hashes of refresh tokens are stored
+const sessionSchema = new mongoose.Schema({
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+
+  // SHA-256 of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+
+  // Token replaced by the last rotation (tolerated briefly for parallel requests)
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    default: ''
+  },
+
+  ip: {
+    type: String,
+    default: ''
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Expiry of the current refresh token; expired sessions are removed by MongoDB
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedReason: {
+    type: String,
+    enum: [...REVOKE_REASONS, null],
+    default: null
+  },
+
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'sessions'
+});
+
+sessionSchema.index({ adminId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+/**
+ * Filter for sessions that are not revoked and not expired
+ * @param {Object} [filter] - Additional conditions
+ */
+sessionSchema.statics.activeFilter = function(filter = {}) {
+  return { ...filter, revokedAt: null, expiresAt: { $gt: new Date() } };
+};
+
+/**
+ * Check that a session is active and belongs to the admin
+ * @returns {Promise<boolean>}
+ */
+sessionSchema.statics.isActive = async function(sessionId, adminId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  return !!(await this.exists(this.activeFilter({ _id: sessionId, adminId })));
+};
+
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.refreshTokenHash;
+  delete session.previousTokenHash;
+  return session;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One rebuild of the lead stats snapshots (utils/statsSnapshots)
+const statsSnapshotRunSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+
+  // Full rebuild of every day; a range only recounts dateFrom..dateTo
+  full: {
+    type: Boolean,
+    default: true
+  },
+
+  dateFrom: {
+    type: String,
+    default: null
+  },
+
+  dateTo: {
+    type: String,
+    default: null
+  },
+
+  trigger: {
+    type: String,
+    enum: ['cli', 'api'],
+    default: 'cli'
+  },
+
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+
+  days: {
+    type: Number,
+    default: 0
+  },
+
+  leads: {
+    type: Number,
+    default: 0
+  },
+
+  error: {
+    type: String,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  collection: 'stats_snapshot_runs'
+});
+
+statsSnapshotRunSchema.index({ startedAt: -1 });
+statsSnapshotRunSchema.index({ status: 1, full: 1 });
+
+const StatsSnapshotRun = mongoose.model('StatsSnapshotRun', statsSnapshotRunSchema);
+
+module.exports = StatsSnapshotRun;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const ADMIN_ROLES = ['Admin', 'Manager', 'Reten', 'TeamLead', 'SuperAdmin'];
+
+// Requirements that can be attached to a transition
+const REQUIREMENTS = ['note', 'lot', 'successfulLead'];
+
+// Allowed move of a lead from one status to another
+// As long as no active transition exists the workflow is not enforced
+const statusTransitionSchema = new mongoose.Schema({
+  // Source status value or '*' for any status
+  from: {
+    type: String,
+    required: [true, 'Початковий статус обов\'язковий'],
+    uppercase: true,
+    trim: true
+  },
+
+  to: {
+    type: String,
+    required: [true, 'Цільовий статус обов\'язковий'],
+    uppercase: true,
+    trim: true
+  },
+
+  // Roles allowed to perform the transition (empty = every role)
+  roles: {
+    type: [{
+      type: String,
+      enum: ADMIN_ROLES
+    }],
+    default: []
+  },
+
+  // note - comment in the same request; lot - lead has a LOT;
+  // successfulLead - lead has a successful lead record
+  requires: {
+    type: [{
+      type: String,
+      enum: REQUIREMENTS
+    }],
+    default: []
+  },
+
+  description: {
+    type: String,
+    default: ''
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'status_transitions'
+});
+
+statusTransitionSchema.index({ from: 1, to: 1 }, { unique: true });
+statusTransitionSchema.index({ isActive: 1 });
+
+statusTransitionSchema.statics.ADMIN_ROLES = ADMIN_ROLES;
+statusTransitionSchema.statics.REQUIREMENTS = REQUIREMENTS;
+
+statusTransitionSchema.statics.getActiveTransitions = function() {
+  return this.find({ isActive: true }).lean();
+};
+
+const StatusTransition = mongoose.model('StatusTransition', statusTransitionSchema);
+
+module.exports = StatusTransition;
@@ -71,6 +71,17 @@ teamSchema.methods.removeManager = function(userId) {
   return this;
 };
 
+// Method to add an admin by role: TeamLead/Admin/SuperAdmin as leaders, Manager/Reten as managers
+teamSchema.methods.addMember = function(userId, role) {
+  if (['TeamLead', 'Admin', 'SuperAdmin'].includes(role)) {
+    return this.addLeader(userId);
+  }
+  if (['Manager', 'Reten'].includes(role)) {
+    return this.addManager(userId);
+  }
+  return this;
+};
+
 // Static method to find teams by leader
 teamSchema.statics.findByLeader = function(leaderId) {
   return this.find({ leaderIds: leaderId });
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// One event sent to one subscription, with every delivery attempt
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+
+  event: {
+    type: String,
+    required: true
+  },
+
+  // Exact body that is signed and sent
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'success', 'failed'],
+    default: 'pending'
+  },
+
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+
+  attempts: [{
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    },
+    statusCode: {
+      type: Number,
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    responseBody: {
+      type: String,
+      default: null
+    },
+    durationMs: {
+      type: Number,
+      default: null
+    }
+  }],
+
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+
+  // Delivery this one manually re-sends
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  },
+
+  leadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Leads',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'webhook_deliveries'
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ leadId: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Outbound webhook: partner URL subscribed to CRM events
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Назва підписки обов\'язкова'],
+    trim: true
+  },
+
+  description: {
+    type: String,
+    default: ''
+  },
+
+  url: {
+    type: String,
+    required: [true, 'URL обов\'язковий'],
+    trim: true,
+    validate: {
+      validator: function(v) {
+        try {
+          const { protocol } = new URL(v);
+          return protocol === 'http:' || protocol === 'https:';
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'URL має бути коректною http(s) адресою'
+    }
+  },
+
+  // Event names (see utils/outboundWebhooks WEBHOOK_EVENTS) or '*' for all
+  events: {
+    type: [String],
+    validate: {
+      validator: v => Array.isArray(v) && v.length > 0,
+      message: 'Необхідно вказати хоча б одну подію'
+    }
+  },
+
+  // HMAC-SHA256 signing key, returned only on create and rotation
+  secret: {
+    type: String,
+    select: false,
+    default: () => crypto.randomBytes(32).toString('hex')
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  stats: {
+    lastDeliveryAt: {
+      type: Date,
+      default: null
+    },
+    lastDeliveryStatus: {
+      type: String,
+      enum: ['success', 'failed', null],
+      default: null
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'webhook_subscriptions'
+});
+
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+/**
+ * Active subscriptions listening to the event, with secrets
+ */
+webhookSubscriptionSchema.statics.findForEvent = function(event) {
+  return this.find({ isActive: true, events: { $in: [event, '*'] } }).select('+secret');
+};
+
+webhookSubscriptionSchema.methods.rotateSecret = function() {
+  this.secret = crypto.randomBytes(32).toString('hex');
+  return this.save();
+};
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+module.exports = WebhookSubscription;
@@ -1,8 +1,53 @@
 const express = require('express');
 const router = express.Router();
 const Action = require('../models/Actions');
+const Lead = require('../models/Lead');
 const mongoose = require('mongoose');
 const { authenticateToken } = require('../middleware/auth');
+const { buildRecurrence, completeAction, rescheduleAction } = require('../utils/actionLifecycle');
+const { canAccessLead, findInaccessibleLeadIds, findInLeadScope } = require('../utils/leadAccess');
+
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+/**
+ * Find an action whose lead is within the data scope of the admin
+ * Actions of out-of-scope leads are treated as not found
+ * @private
+ */
+async function findAccessibleAction(id, admin) {
+  const action = await Action.findById(id);
+  if (!action || !(await canAccessLead(admin, action.leadId))) {
+    return null;
+  }
+  return action;
+}
+
+/**
+ * Respond with an error thrown by the action lifecycle helpers
+ * @private
+ */
+function sendLifecycleError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Помилка валідації',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+}
 
 // GET /api/actions - Get all actions
 router.get('/', authenticateToken, async (req, res) => {
@@ -10,6 +55,8 @@ router.get('/', authenticateToken, async (req, res) => {
     const { 
       leadId, 
       managerId, 
+      type,
+      state,
       sortBy = 'planDate', 
       sortOrder = 'asc',
       page = 1,
@@ -25,6 +72,12 @@ router.get('/', authenticateToken, async (req, res) => {
           message: 'Некорректный ID лида'
         });
       }
+      if (!(await canAccessLead(req.admin, leadId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Лид не найден'
+        });
+      }
       filter.leadId = leadId;
     }
     if (managerId) {
@@ -36,6 +89,15 @@ router.get('/', authenticateToken, async (req, res) => {
       }
       filter.managerId = managerId;
     }
+    if (type) {
+      filter.type = type;
+    }
+    // state=open|completed
+    if (state === 'open') {
+      filter.completedAt = null;
+    } else if (state === 'completed') {
+      filter.completedAt = { $ne: null };
+    }
 
     // Build sort
     const sort = {};
@@ -44,16 +106,14 @@ router.get('/', authenticateToken, async (req, res) => {
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Get actions with population
-    const actions = await Action.find(filter)
-      .populate('leadId', 'name phone email')
-      .populate('managerId', 'login')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Get total count for pagination
-    const totalCount = await Action.countDocuments(filter);
+    // Get actions of leads within the data scope, with total count for pagination
+    const { docs: actions, total: totalCount } = await findInLeadScope(Action, filter, req.admin, {
+      sort,
+      skip,
+      limit: parseInt(limit),
+      populate: [{ path: 'leadId', select: 'name phone email' }, { path: 'managerId', select: 'login' }],
+      count: true
+    });
 
     res.json({
       success: true,
@@ -80,7 +140,8 @@ router.get('/overdue', authenticateToken, async (req, res) => {
     const { managerId } = req.query;
     
     const filter = {
-      planDate: { $lt: new Date() }
+      planDate: { $lt: new Date() },
+      completedAt: null
     };
     
     if (managerId) {
@@ -93,10 +154,10 @@ router.get('/overdue', authenticateToken, async (req, res) => {
       filter.managerId = managerId;
     }
 
-    const actions = await Action.find(filter)
-      .populate('leadId', 'name phone email')
-      .populate('managerId', 'login')
-      .sort({ planDate: 1 });
+    const { docs: actions } = await findInLeadScope(Action, filter, req.admin, {
+      sort: { planDate: 1 },
+      populate: [{ path: 'leadId', select: 'name phone email' }, { path: 'managerId', select: 'login' }]
+    });
 
     res.json({
       success: true,
@@ -147,10 +208,10 @@ router.get('/today', authenticateToken, async (req, res) => {
       filter.managerId = managerId;
     }
 
-    const actions = await Action.find(filter)
-      .populate('leadId', 'name phone email')
-      .populate('managerId', 'login')
-      .sort({ planDate: 1 });
+    const { docs: actions } = await findInLeadScope(Action, filter, req.admin, {
+      sort: { planDate: 1 },
+      populate: [{ path: 'leadId', select: 'name phone email' }, { path: 'managerId', select: 'login' }]
+    });
 
     res.json({
       success: true,
@@ -178,9 +239,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    const action = await Action.findById(id)
-      .populate('leadId', 'name phone email')
-      .populate('managerId', 'login');
+    const action = await findAccessibleAction(id, req.admin);
 
     if (!action) {
       return res.status(404).json({
@@ -189,6 +248,11 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    await action.populate([
+      { path: 'leadId', select: 'name phone email' },
+      { path: 'managerId', select: 'login' }
+    ]);
+
     res.json({
       success: true,
       data: action
@@ -205,7 +269,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // POST /api/actions - Create new action
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { title, description, planDate, leadId, managerId } = req.body;
+    const { title, description, planDate, leadId, managerId, type, recurrence } = req.body;
 
     // Validation
     if (!title || !title.trim()) {
@@ -236,13 +300,27 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    if (!(await canAccessLead(req.admin, leadId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Лид не найден'
+      });
+    }
+
+    // Lead status is remembered for "repeat until the lead changes status"
+    const lead = recurrence && recurrence.untilStatusChange
+      ? await Lead.findById(leadId).select('status')
+      : null;
+
     // Create action
     const action = new Action({
       title: title.trim(),
       description: description ? description.trim() : '',
       planDate: new Date(planDate),
       leadId,
-      managerId
+      managerId,
+      type: type || 'OTHER',
+      recurrence: buildRecurrence(recurrence, lead)
     });
 
     await action.save();
@@ -259,6 +337,13 @@ router.post('/', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating action:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     if (error.name === 'ValidationError') {
       return res.status(400).json({
@@ -279,7 +364,7 @@ router.post('/', authenticateToken, async (req, res) => {
 router.put('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, planDate, leadId, managerId } = req.body;
+    const { title, description, planDate, leadId, managerId, type, recurrence, reason } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -289,7 +374,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
     }
 
     // Find action
-    const action = await Action.findById(id);
+    const action = await findAccessibleAction(id, req.admin);
     if (!action) {
       return res.status(404).json({
         success: false,
@@ -312,14 +397,11 @@ router.put('/:id', authenticateToken, async (req, res) => {
       action.description = description ? description.trim() : '';
     }
 
-    if (planDate !== undefined) {
-      if (!planDate) {
-        return res.status(400).json({
-          success: false,
-          message: 'Дата планирования обязательна'
-        });
-      }
-      action.planDate = new Date(planDate);
+    if (planDate !== undefined && !planDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Дата планирования обязательна'
+      });
     }
 
     if (leadId !== undefined) {
@@ -329,6 +411,12 @@ router.put('/:id', authenticateToken, async (req, res) => {
           message: 'Некорректный ID лида'
         });
       }
+      if (!(await canAccessLead(req.admin, leadId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Лид не найден'
+        });
+      }
       action.leadId = leadId;
     }
 
@@ -342,7 +430,24 @@ router.put('/:id', authenticateToken, async (req, res) => {
       action.managerId = managerId;
     }
 
-    await action.save();
+    if (type !== undefined) {
+      action.type = type;
+    }
+
+    if (recurrence !== undefined) {
+      const lead = recurrence && recurrence.untilStatusChange
+        ? await Lead.findById(action.leadId).select('status')
+        : null;
+      action.recurrence = buildRecurrence(recurrence, lead);
+    }
+
+    // Date changes are kept in the action and lead history
+    const newPlanDate = planDate !== undefined ? new Date(planDate) : null;
+    if (newPlanDate && newPlanDate.getTime() !== action.planDate.getTime()) {
+      await rescheduleAction(action, newPlanDate, { adminId: req.admin._id, reason });
+    } else {
+      await action.save();
+    }
 
     // Populate and return
     const populatedAction = await Action.findById(action._id)
@@ -356,6 +461,13 @@ router.put('/:id', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating action:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     if (error.name === 'ValidationError') {
       return res.status(400).json({
@@ -372,6 +484,144 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/actions/:id/complete - Complete action with outcome and result note
+router.post('/:id/complete', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { outcome, resultNote } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некорректный ID действия'
+      });
+    }
+
+    if (outcome !== undefined && outcome !== null && !Action.ACTION_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: `Некоректний результат. Допустимі значення: ${Action.ACTION_OUTCOMES.join(', ')}`
+      });
+    }
+
+    const action = await findAccessibleAction(id, req.admin);
+    if (!action) {
+      return res.status(404).json({
+        success: false,
+        message: 'Действие не найдено'
+      });
+    }
+
+    const { nextAction } = await completeAction(action, {
+      adminId: req.admin._id,
+      outcome,
+      resultNote
+    });
+
+    const populatedAction = await Action.findById(action._id)
+      .populate('leadId', 'name phone email')
+      .populate('managerId', 'login')
+      .populate('completedBy', 'login');
+
+    res.json({
+      success: true,
+      data: populatedAction,
+      nextAction,
+      message: nextAction ? 'Дію виконано, наступну дію заплановано' : 'Дію виконано'
+    });
+  } catch (error) {
+    console.error('Error completing action:', error);
+    sendLifecycleError(res, error, 'Помилка при виконанні дії');
+  }
+});
+
+// POST /api/actions/:id/snooze - Postpone action by N minutes from now
+router.post('/:id/snooze', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const minutes = Number(req.body.minutes);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некорректный ID действия'
+      });
+    }
+
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SNOOZE_MINUTES) {
+      return res.status(400).json({
+        success: false,
+        message: `minutes має бути цілим числом від 1 до ${MAX_SNOOZE_MINUTES}`
+      });
+    }
+
+    const action = await findAccessibleAction(id, req.admin);
+    if (!action) {
+      return res.status(404).json({
+        success: false,
+        message: 'Действие не найдено'
+      });
+    }
+
+    await rescheduleAction(action, new Date(Date.now() + minutes * 60 * 1000), {
+      adminId: req.admin._id,
+      reason: req.body.reason,
+      snoozed: true
+    });
+
+    res.json({
+      success: true,
+      data: action,
+      message: 'Дію відкладено'
+    });
+  } catch (error) {
+    console.error('Error snoozing action:', error);
+    sendLifecycleError(res, error, 'Помилка при відкладанні дії');
+  }
+});
+
+// POST /api/actions/:id/reschedule - Move action to a new date
+router.post('/:id/reschedule', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { planDate, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некорректный ID действия'
+      });
+    }
+
+    const newDate = new Date(planDate);
+    if (!planDate || isNaN(newDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректна дата планування'
+      });
+    }
+
+    const action = await findAccessibleAction(id, req.admin);
+    if (!action) {
+      return res.status(404).json({
+        success: false,
+        message: 'Действие не найдено'
+      });
+    }
+
+    await rescheduleAction(action, newDate, { adminId: req.admin._id, reason });
+
+    res.json({
+      success: true,
+      data: action,
+      message: 'Дію перенесено'
+    });
+  } catch (error) {
+    console.error('Error rescheduling action:', error);
+    sendLifecycleError(res, error, 'Помилка при перенесенні дії');
+  }
+});
+
 // DELETE /api/actions/:id - Delete action
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
@@ -384,7 +634,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    const action = await Action.findById(id);
+    const action = await findAccessibleAction(id, req.admin);
     if (!action) {
       return res.status(404).json({
         success: false,
@@ -428,6 +678,22 @@ router.delete('/bulk/delete', authenticateToken, async (req, res) => {
       });
     }
 
+    // Actions of leads outside the data scope are reported as not found
+    const actions = await Action.find({ _id: { $in: ids } }).select('leadId').lean();
+    const inaccessibleLeadIds = await findInaccessibleLeadIds(req.admin, [...new Set(actions.map(action => action.leadId.toString()))]);
+    const accessibleIds = actions
+      .filter(action => !inaccessibleLeadIds.includes(action.leadId.toString()))
+      .map(action => action._id.toString());
+    const notFoundIds = ids.filter(id => !accessibleIds.includes(id.toString()));
+
+    if (notFoundIds.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Действия не найдены',
+        notFoundIds
+      });
+    }
+
     const result = await Action.deleteMany({ _id: { $in: ids } });
 
     res.json({
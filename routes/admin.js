@@ -1,10 +1,20 @@
 const express = require('express');
 const Admin = require('../models/Admin');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditChanges } = require('../middleware/audit');
+const { unlockAdmin } = require('../utils/loginProtection');
+const { revokeAdminSessions } = require('../utils/sessions');
+const { recordAudit } = require('../utils/auditLog');
+const { disableTwoFactor } = require('../utils/twoFactor');
+const { resolveAccess, hasPermission } = require('../utils/permissions');
+const { setPassword, changePassword, createPasswordReset } = require('../utils/passwordPolicy');
+
+const auditAdmin = auditChanges({ entityType: 'Admin', model: Admin });
 
 // Get all admins with filtering
-router.get('/', authenticateToken, authorizeRoles(['SuperAdmin', 'TeamLead', 'Admin', 'Manager', 'Reten']), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('admins.view'), async (req, res) => {
   try {
     const { role, department, search, team } = req.query;
 
@@ -71,7 +81,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Create new admin
-router.post('/', authenticateToken, authorizeRoles(['SuperAdmin']), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('admins.manage'), auditAdmin, async (req, res) => {
   console.log('🎯🎯🎯 POST /api/admins called - NEW CODE RUNNING 🎯🎯🎯');
   console.log('📦 Request body:', req.body);
   
@@ -87,8 +97,10 @@ router.post('/', authenticateToken, authorizeRoles(['SuperAdmin']), async (req,
       });
     }
     
-    const newAdmin = new Admin(adminData);
-    await newAdmin.save();
+    // The password was chosen by someone else: it must be changed at the first login
+    const { password, mustChangePassword, passwordHistory, passwordReset, twoFactor, ...profile } = adminData;
+    const newAdmin = new Admin(profile);
+    await setPassword(newAdmin, password, { mustChangePassword: mustChangePassword !== false });
     console.log('✅ Admin created:', newAdmin.login, 'ID:', newAdmin._id, 'Team:', newAdmin.team);
     
     // If team is specified, add admin to team
@@ -141,6 +153,14 @@ router.post('/', authenticateToken, authorizeRoles(['SuperAdmin']), async (req,
   } catch (error) {
     console.error('Create admin error:', error);
     
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -157,7 +177,7 @@ router.post('/', authenticateToken, authorizeRoles(['SuperAdmin']), async (req,
 });
 
 // Update admin
-router.put('/:id', authenticateToken, authorizeRoles(['SuperAdmin']), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('admins.manage'), auditAdmin, async (req, res) => {
   try {
     const admin = await Admin.findById(req.params.id);
     
@@ -171,15 +191,31 @@ router.put('/:id', authenticateToken, authorizeRoles(['SuperAdmin']), async (req
     const oldTeam = admin.team;
     const oldRole = admin.role;
     
-    // Update fields (except password - handle separately)
-    const allowedFields = ['login', 'role', 'responsible', 'department', 'password', 'team'];
+    // Update fields (password goes through the password policy)
+    const allowedFields = ['login', 'role', 'responsible', 'department', 'team'];
     allowedFields.forEach(field => {
       if (req.body[field] !== undefined) {
         admin[field] = req.body[field];
       }
     });
-    console.log("REQBODY",req.body)
-    await admin.save();
+    
+    if (req.body.password !== undefined) {
+      const isSelf = admin._id.equals(req.admin._id);
+      const revokedSessions = await changePassword(admin, req.body.password, {
+        mustChangePassword: !isSelf,
+        revokedBy: req.admin._id,
+        exceptSessionId: isSelf ? req.sessionId : null
+      });
+
+      await recordAudit({
+        action: 'PASSWORD_CHANGED',
+        entityType: 'Admin',
+        entityId: admin._id,
+        metadata: { login: admin.login, byAdmin: !isSelf, mustChangePassword: admin.mustChangePassword, revokedSessions }
+      }, req);
+    } else {
+      await admin.save();
+    }
     
     // Handle team changes
     const Team = require('../models/Teams');
@@ -240,6 +276,14 @@ router.put('/:id', authenticateToken, authorizeRoles(['SuperAdmin']), async (req
   } catch (error) {
     console.error('Update admin error:', error);
     
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -255,12 +299,12 @@ router.put('/:id', authenticateToken, authorizeRoles(['SuperAdmin']), async (req
   }
 });
 
-// Update admin password
+// PATCH /api/admins/:id/password - Set an admin's password
+// Own password requires currentPassword; other admins require admins.manage and
+// must change the password at their next login unless mustChangePassword is false
 router.patch('/:id/password', authenticateToken, async (req, res) => {
   try {
-    const { password } = req.body;
-    console.log('🔐 Password update request for admin ID:', req.params.id);
-    console.log('🔐 New password length:', password ? password.length : 'undefined');
+    const { password, currentPassword, mustChangePassword } = req.body;
     
     if (!password) {
       return res.status(400).json({
@@ -269,7 +313,7 @@ router.patch('/:id/password', authenticateToken, async (req, res) => {
       });
     }
     
-    const admin = await Admin.findById(req.params.id);
+    const admin = mongoose.Types.ObjectId.isValid(req.params.id) ? await Admin.findById(req.params.id) : null;
     
     if (!admin) {
       return res.status(404).json({
@@ -278,38 +322,57 @@ router.patch('/:id/password', authenticateToken, async (req, res) => {
       });
     }
     
-    console.log('🔐 Found admin:', admin.login);
-    console.log('🔐 Current password hash (first 20 chars):', admin.password ? admin.password.substring(0, 20) + '...' : 'null');
-    
-    // Set password and mark as modified to trigger pre-save hashing
-    const oldPasswordHash = admin.password;
-    admin.password = password;
-    admin.markModified('password');
+    const isSelf = admin._id.equals(req.admin._id);
     
-    console.log('🔐 Password field marked as modified:', admin.isModified('password'));
-    console.log('🔐 About to save admin...');
-    
-    await admin.save();
+    if (isSelf) {
+      if (!currentPassword || !(await admin.comparePassword(currentPassword))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Невірний поточний пароль'
+        });
+      }
+    } else {
+      const access = await resolveAccess(req.admin);
+      if (!hasPermission(access.permissions, 'admins.manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Недостатньо прав доступу',
+          missingPermissions: ['admins.manage']
+        });
+      }
+    }
     
-    // Verify the password was actually updated
-    const updatedAdmin = await Admin.findById(req.params.id);
-    const passwordChanged = updatedAdmin.password !== oldPasswordHash;
+    // Other devices are logged out (the current one stays when changing the own password)
+    const revokedSessions = await changePassword(admin, password, {
+      mustChangePassword: !isSelf && mustChangePassword !== false,
+      revokedBy: req.admin._id,
+      exceptSessionId: isSelf ? req.sessionId : null
+    });
     
-    console.log('🔐 Password actually changed in DB:', passwordChanged);
-    console.log('🔐 New password hash (first 20 chars):', updatedAdmin.password ? updatedAdmin.password.substring(0, 20) + '...' : 'null');
+    await recordAudit({
+      action: 'PASSWORD_CHANGED',
+      entityType: 'Admin',
+      entityId: admin._id,
+      metadata: { login: admin.login, byAdmin: !isSelf, mustChangePassword: admin.mustChangePassword, revokedSessions }
+    }, req);
     
     res.json({
       success: true,
       message: 'Пароль успешно обновлен',
-      debug: {
-        passwordChanged,
-        oldHashPreview: oldPasswordHash ? oldPasswordHash.substring(0, 20) + '...' : 'null',
-        newHashPreview: updatedAdmin.password ? updatedAdmin.password.substring(0, 20) + '...' : 'null'
-      }
+      data: admin.getSafeData()
     });
 
   } catch (error) {
     console.error('Update password error:', error);
+    
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Ошибка при обновлении пароля'
@@ -317,8 +380,43 @@ router.patch('/:id/password', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/admins/:id/password-reset - Create a one-time password reset link token
+router.post('/:id/password-reset', authenticateToken, requirePermission('admins.security'), async (req, res) => {
+  try {
+    const admin = mongoose.Types.ObjectId.isValid(req.params.id) ? await Admin.findById(req.params.id) : null;
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Администратор не найден'
+      });
+    }
+
+    const { token, expiresAt } = await createPasswordReset(admin, req.admin._id);
+
+    await recordAudit({
+      action: 'PASSWORD_RESET_REQUESTED',
+      entityType: 'Admin',
+      entityId: admin._id,
+      metadata: { login: admin.login, expiresAt }
+    }, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Посилання для скидання пароля створено. Передайте токен користувачу',
+      data: { token, expiresAt }
+    });
+  } catch (error) {
+    console.error('Create password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при створенні посилання для скидання пароля'
+    });
+  }
+});
+
 // Assign admin to department
-router.patch('/:id/department', authenticateToken, async (req, res) => {
+router.patch('/:id/department', authenticateToken, auditAdmin, async (req, res) => {
   try {
     const { department } = req.body;
     
@@ -349,7 +447,7 @@ router.patch('/:id/department', authenticateToken, async (req, res) => {
 });
 
 // Set responsible for admin
-router.patch('/:id/responsible', authenticateToken, async (req, res) => {
+router.patch('/:id/responsible', authenticateToken, auditAdmin, async (req, res) => {
   try {
     const { responsible } = req.body;
     
@@ -380,7 +478,7 @@ router.patch('/:id/responsible', authenticateToken, async (req, res) => {
 });
 
 // Delete admin
-router.delete('/:id', authenticateToken, authorizeRoles(['SuperAdmin']), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('admins.manage'), auditAdmin, async (req, res) => {
   try {
     const admin = await Admin.findById(req.params.id);
     
@@ -418,6 +516,138 @@ router.delete('/:id', authenticateToken, authorizeRoles(['SuperAdmin']), async (
   }
 });
 
+// POST /api/admins/:id/unlock - Remove temporary lock after failed logins
+router.post('/:id/unlock', authenticateToken, requirePermission('admins.security'), async (req, res) => {
+  try {
+    const admin = mongoose.Types.ObjectId.isValid(req.params.id) ? await Admin.findById(req.params.id) : null;
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Администратор не найден'
+      });
+    }
+
+    const previousBlockedUntil = admin.blockedUntil;
+    const lockedUntil = await unlockAdmin(admin);
+
+    await recordAudit({
+      action: 'ADMIN_UNLOCKED',
+      entityType: 'Admin',
+      entityId: admin._id,
+      metadata: { login: admin.login, lockedUntil, blockedUntil: previousBlockedUntil }
+    }, req);
+
+    res.json({
+      success: true,
+      message: 'Обліковий запис розблоковано',
+      data: admin.getSafeData()
+    });
+  } catch (error) {
+    console.error('Unlock admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при розблокуванні облікового запису'
+    });
+  }
+});
+
+// PATCH /api/admins/:id/active - Activate or deactivate an admin
+router.patch('/:id/active', authenticateToken, requirePermission('admins.security'), async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive має бути true або false'
+      });
+    }
+
+    const admin = mongoose.Types.ObjectId.isValid(req.params.id) ? await Admin.findById(req.params.id) : null;
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Администратор не найден'
+      });
+    }
+
+    if (!isActive && admin._id.equals(req.admin._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Неможливо деактивувати власний обліковий запис'
+      });
+    }
+
+    admin.isActive = isActive;
+    await admin.save();
+
+    // Deactivated admin is logged out everywhere
+    const revokedSessions = isActive
+      ? 0
+      : await revokeAdminSessions(admin._id, { reason: 'ADMIN_REVOKED', revokedBy: req.admin._id });
+
+    await recordAudit({
+      action: isActive ? 'ADMIN_ACTIVATED' : 'ADMIN_DEACTIVATED',
+      entityType: 'Admin',
+      entityId: admin._id,
+      metadata: { login: admin.login, revokedSessions }
+    }, req);
+
+    res.json({
+      success: true,
+      message: isActive ? 'Обліковий запис активовано' : 'Обліковий запис деактивовано',
+      data: admin.getSafeData()
+    });
+  } catch (error) {
+    console.error('Update admin active state error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при зміні стану облікового запису'
+    });
+  }
+});
+
+// DELETE /api/admins/:id/2fa - Reset two-factor authentication (lost device)
+router.delete('/:id/2fa', authenticateToken, requirePermission('admins.security'), async (req, res) => {
+  try {
+    const admin = mongoose.Types.ObjectId.isValid(req.params.id) ? await Admin.findById(req.params.id) : null;
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Администратор не найден'
+      });
+    }
+
+    const wasEnabled = admin.twoFactor.enabled;
+    await disableTwoFactor(admin);
+
+    // Sessions opened with the lost device are ended as well
+    const revokedSessions = await revokeAdminSessions(admin._id, { reason: 'ADMIN_REVOKED', revokedBy: req.admin._id });
+
+    await recordAudit({
+      action: 'TWO_FACTOR_RESET',
+      entityType: 'Admin',
+      entityId: admin._id,
+      metadata: { login: admin.login, wasEnabled, revokedSessions }
+    }, req);
+
+    res.json({
+      success: true,
+      message: 'Двофакторну автентифікацію скинуто',
+      data: admin.getSafeData()
+    });
+  } catch (error) {
+    console.error('Reset admin 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при скиданні 2FA'
+    });
+  }
+});
+
 // Get admins by role
 router.get('/role/:role', authenticateToken, async (req, res) => {
   try {
@@ -458,7 +688,7 @@ router.get('/department/:department', authenticateToken, async (req, res) => {
 });
 
 // Upload avatar
-router.post('/:id/avatar', authenticateToken, async (req, res) => {
+router.post('/:id/avatar', authenticateToken, auditAdmin, async (req, res) => {
   try {
     const multer = require('multer');
     const path = require('path');
@@ -550,7 +780,7 @@ router.post('/:id/avatar', authenticateToken, async (req, res) => {
 });
 
 // Delete avatar
-router.delete('/:id/avatar', authenticateToken, async (req, res) => {
+router.delete('/:id/avatar', authenticateToken, auditAdmin, async (req, res) => {
   try {
     const admin = await Admin.findById(req.params.id);
     
@@ -0,0 +1,373 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const Lead = require('../models/Lead');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { isValidIpRange } = require('../middleware/apiKeyAuth');
+const { buildLeadsFilter } = require('../utils/leadHelpers');
+
+const EDITABLE_FIELDS = ['partnerName', 'description', 'forcedUtmSource', 'allowedIpRanges', 'quotas', 'isActive'];
+
+/**
+ * Validate IP ranges in the request body
+ * @returns {string|null} Error message or null when valid
+ */
+function validateIpRanges(ranges) {
+  if (ranges === undefined) return null;
+  if (!Array.isArray(ranges)) return 'allowedIpRanges має бути масивом';
+
+  const invalid = ranges.filter(range => !isValidIpRange(range));
+  return invalid.length > 0 ? `Некоректні IP-адреси або діапазони: ${invalid.join(', ')}` : null;
+}
+
+router.use(authenticateToken, requirePermission('apiKeys.manage'));
+
+// GET /api/api-keys - Get all keys (hashes are never returned)
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .populate('createdBy', 'login')
+      .populate('revokedBy', 'login')
+      .sort({ revokedAt: 1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: apiKeys,
+      count: apiKeys.length
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні API ключів',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/api-keys/stats - Leads per partner key (dateFrom, dateTo as in /api/leads)
+router.get('/stats', async (req, res) => {
+  try {
+    const filter = await buildLeadsFilter({
+      dateFrom: req.query.dateFrom,
+      dateTo: req.query.dateTo,
+      userRole: req.admin.role,
+      userId: req.admin._id.toString()
+    });
+    filter.apiKeyId = { $ne: null };
+
+    const stats = await Lead.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: '$apiKeyId',
+          total: { $sum: 1 },
+          duplicates: { $sum: { $cond: [{ $eq: ['$status', 'DUPLICATE'] }, 1, 0] } },
+          converted: { $sum: { $cond: [{ $eq: ['$status', 'CONVERTED'] }, 1, 0] } },
+          firstLeadAt: { $min: '$dateCreate' },
+          lastLeadAt: { $max: '$dateCreate' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'api_keys',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'apiKey'
+        }
+      },
+      { $unwind: { path: '$apiKey', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          apiKeyId: '$_id',
+          partnerName: '$apiKey.partnerName',
+          keyPrefix: '$apiKey.keyPrefix',
+          total: 1,
+          duplicates: 1,
+          converted: 1,
+          firstLeadAt: 1,
+          lastLeadAt: 1
+        }
+      },
+      { $sort: { total: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Error fetching API key stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні статистики партнерів',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/api-keys/:id - Get key with current quota usage
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID ключа'
+      });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id)
+      .populate('createdBy', 'login')
+      .populate('revokedBy', 'login');
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API ключ не знайдено'
+      });
+    }
+
+    const usage = await ApiKeyUsage.find({ apiKeyId: apiKey._id, expiresAt: { $gt: new Date() } })
+      .sort({ windowStart: -1 })
+      .lean();
+    const current = window => usage.find(item => item.window === window);
+
+    res.json({
+      success: true,
+      data: {
+        ...apiKey.toJSON(),
+        usage: {
+          minute: current('minute') ? current('minute').count : 0,
+          day: current('day') ? current('day').count : 0
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні API ключа',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/api-keys - Create key (raw key is returned only here)
+router.post('/', async (req, res) => {
+  try {
+    if (!req.body.partnerName || !req.body.partnerName.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Назва партнера обов\'язкова'
+      });
+    }
+
+    const ipError = validateIpRanges(req.body.allowedIpRanges);
+    if (ipError) {
+      return res.status(400).json({
+        success: false,
+        message: ipError
+      });
+    }
+
+    const { rawKey, keyPrefix, keyHash } = ApiKey.generateKey();
+    const keyData = { keyPrefix, keyHash, createdBy: req.admin._id };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        keyData[field] = req.body[field];
+      }
+    });
+
+    const apiKey = new ApiKey(keyData);
+    await apiKey.save();
+
+    res.status(201).json({
+      success: true,
+      data: { ...apiKey.toJSON(), key: rawKey },
+      message: 'API ключ створено. Збережіть його: він більше не буде показаний'
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Помилка валідації',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при створенні API ключа',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/api-keys/:id - Update key settings
+router.put('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID ключа'
+      });
+    }
+
+    const ipError = validateIpRanges(req.body.allowedIpRanges);
+    if (ipError) {
+      return res.status(400).json({
+        success: false,
+        message: ipError
+      });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API ключ не знайдено'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Відкликаний ключ не можна змінювати'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        apiKey[field] = req.body[field];
+      }
+    });
+
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      data: apiKey,
+      message: 'API ключ оновлено'
+    });
+  } catch (error) {
+    console.error('Error updating API key:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Помилка валідації',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при оновленні API ключа',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/api-keys/:id/rotate - Issue new key; old key works for graceHours (default 0)
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID ключа'
+      });
+    }
+
+    const graceHours = req.body.graceHours === undefined ? 0 : Number(req.body.graceHours);
+    if (!Number.isFinite(graceHours) || graceHours < 0 || graceHours > 24 * 30) {
+      return res.status(400).json({
+        success: false,
+        message: 'graceHours має бути числом від 0 до 720'
+      });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API ключ не знайдено'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Відкликаний ключ не можна оновити'
+      });
+    }
+
+    const rawKey = await apiKey.rotate(graceHours);
+
+    res.json({
+      success: true,
+      data: {
+        _id: apiKey._id,
+        keyPrefix: apiKey.keyPrefix,
+        previousKeyExpiresAt: apiKey.previousKeyExpiresAt,
+        key: rawKey
+      },
+      message: 'Новий API ключ створено. Збережіть його: він більше не буде показаний'
+    });
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при оновленні API ключа',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/api-keys/:id/revoke - Permanently revoke key
+router.post('/:id/revoke', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID ключа'
+      });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API ключ не знайдено'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ключ вже відкликано'
+      });
+    }
+
+    await apiKey.revoke(req.admin._id, req.body.reason);
+
+    res.json({
+      success: true,
+      data: apiKey,
+      message: 'API ключ відкликано'
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при відкликанні API ключа',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const MAX_LIMIT = 200;
+
+router.use(authenticateToken, requirePermission('audit.view'));
+
+/**
+ * Parse a dateFrom/dateTo query value; null when missing, false when invalid
+ * @private
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? false : date;
+}
+
+// GET /api/audit - Audit entries, newest first
+// Filters: entityType, entityId, actorId, action, field (changed field), dateFrom, dateTo
+router.get('/', async (req, res) => {
+  try {
+    const { entityType, entityId, actorId, action, field, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (entityType) filter.entityType = String(entityType);
+    if (entityId) filter.entityId = String(entityId);
+    if (action) filter.action = String(action);
+    if (field) filter['changes.field'] = String(field);
+
+    if (actorId) {
+      if (!mongoose.Types.ObjectId.isValid(actorId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Невірний ID користувача'
+        });
+      }
+      filter.actorId = actorId;
+    }
+
+    const dateFrom = parseDate(req.query.dateFrom);
+    const dateTo = parseDate(req.query.dateTo);
+    if (dateFrom === false || dateTo === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Невірний формат дати'
+      });
+    }
+    if (dateFrom || dateTo) {
+      filter.createdAt = {};
+      if (dateFrom) filter.createdAt.$gte = dateFrom;
+      if (dateTo) filter.createdAt.$lte = dateTo;
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_LIMIT);
+
+    const [entries, totalCount] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actorId', 'login role')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: totalCount,
+        pages: Math.ceil(totalCount / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні журналу аудиту',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,201 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Admin = require('../models/Admin');
-const { generateToken, generateRefreshToken } = require('../utils/jwt');
-const { authenticateToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { createSession, rotateSession, revokeSession, revokeAdminSessions } = require('../utils/sessions');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../utils/loginProtection');
+const { recordAudit } = require('../utils/auditLog');
+const { changePassword, completePasswordReset, findAdminByResetToken, getPasswordPolicy } = require('../utils/passwordPolicy');
+const {
+  isTwoFactorRequired,
+  createChallengeToken,
+  verifyChallengeToken,
+  beginSetup,
+  confirmSetup,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+} = require('../utils/twoFactor');
 const router = express.Router();
 
+/**
+ * Active sessions of an admin, most recently used first
+ * @private
+ */
+function findActiveSessions(adminId) {
+  return Session.find(Session.activeFilter({ adminId })).sort({ lastUsedAt: -1 });
+}
+
+/**
+ * Respond 429 when the login throttle refuses an attempt
+ * @private
+ * @returns {boolean} true when the response was sent
+ */
+function sendThrottled(res, throttle) {
+  if (throttle.allowed) return false;
+
+  const retryAfter = Math.ceil(throttle.retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    message: throttle.locked
+      ? `Забагато невдалих спроб входу. Вхід заблоковано на ${retryAfter} с`
+      : `Зачекайте ${retryAfter} с перед наступною спробою входу`,
+    retryAfter
+  });
+  return true;
+}
+
+/**
+ * Respond 403 for a deactivated or locked admin
+ * @private
+ */
+function sendBlocked(res, admin) {
+  res.status(403).json({
+    success: false,
+    message: admin.isActive === false
+      ? 'Обліковий запис деактивовано'
+      : 'Обліковий запис тимчасово заблоковано',
+    blockedUntil: admin.isActive === false ? null : admin.blockedUntil
+  });
+}
+
+/**
+ * Finish a login: clear failed attempts, create the session and return tokens
+ * @private
+ * @param {Object} extra - Additional response fields
+ */
+async function completeLogin(req, res, admin, { twoFactorMethod = null, extra = {} } = {}) {
+  await recordLoginSuccess({ login: admin.login });
+
+  // New session for this device, tokens are bound to it
+  const { session, accessToken, refreshToken } = await createSession(admin, req);
+
+  await recordAudit({
+    action: 'AUTH_LOGIN_SUCCEEDED',
+    entityType: 'Admin',
+    entityId: admin._id,
+    actorId: admin._id,
+    metadata: { sessionId: session._id.toString(), twoFactorMethod }
+  }, req);
+
+  // Return success response with JWT tokens
+  res.json({
+    success: true,
+    message: 'Успешный вход в систему',
+    admin: {
+      id: admin._id,
+      login: admin.login,
+      role: admin.role,
+      department: admin.department,
+      bitrixId: admin.bitrixId
+    },
+    tokens: {
+      accessToken,
+      refreshToken
+    },
+    ...extra
+  });
+}
+
+/**
+ * Respond with the status of a 2FA/password service error or a generic 500
+ * @private
+ */
+function sendServiceError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...(error.errors ? { errors: error.errors } : {})
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message
+  });
+}
+
+/**
+ * Admin of a login challenge token, null when the admin is gone
+ * An invalid or expired token throws a 401 service error (verifyChallengeToken)
+ * @private
+ */
+async function findChallengeAdmin(token, purpose) {
+  const decoded = verifyChallengeToken(token, purpose);
+  return Admin.findById(decoded.id);
+}
+
+/**
+ * Respond 401 for an invalid or expired challenge token
+ * @private
+ */
+function sendInvalidChallenge(res) {
+  res.status(401).json({
+    success: false,
+    message: 'Недійсний або прострочений токен підтвердження'
+  });
+}
+
+/**
+ * Continue a login once the password (and 2FA code, if enabled) are verified:
+ * a required password change and 2FA enrollment come before the tokens
+ * @private
+ */
+async function continueLogin(req, res, admin, options = {}) {
+  if (admin.mustChangePassword) {
+    return res.json({
+      success: true,
+      message: 'Потрібно змінити пароль',
+      passwordChangeRequired: true,
+      challengeToken: createChallengeToken(admin, 'password_change')
+    });
+  }
+
+  if (!admin.twoFactor.enabled && await isTwoFactorRequired(admin)) {
+    return res.json({
+      success: true,
+      message: 'Для вашої ролі потрібно налаштувати двофакторну автентифікацію',
+      twoFactorSetupRequired: true,
+      challengeToken: createChallengeToken(admin, 'setup')
+    });
+  }
+
+  await completeLogin(req, res, admin, options);
+}
+
+/**
+ * Authenticate 2FA enrollment: a regular access token, or the setup challenge
+ * token issued at login when the role requires 2FA (req.setupChallenge = true)
+ * @private
+ */
+async function authenticateTwoFactorSetup(req, res, next) {
+  if (!req.body || !req.body.challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const admin = await findChallengeAdmin(req.body.challengeToken, 'setup');
+
+    if (!admin) {
+      return sendInvalidChallenge(res);
+    }
+    if (admin.isBlocked()) {
+      return sendBlocked(res, admin);
+    }
+
+    req.admin = admin;
+    req.setupChallenge = true;
+    next();
+  } catch (error) {
+    console.error('2FA setup auth error:', error);
+    sendServiceError(res, error, 'Внутрішня помилка сервера');
+  }
+}
+
 // Login route
 router.post('/login', async (req, res) => {
   try {
@@ -17,57 +209,42 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    const normalizedLogin = login.trim();
+
+    // Progressive delay / lockout after failed attempts (per login and per IP)
+    const throttle = await checkLoginAllowed({ login: normalizedLogin, ip: req.ip });
+    if (sendThrottled(res, throttle)) return;
+
     // Find admin by login
-    const admin = await Admin.findByLogin(login.trim());
-    
-    if (!admin) {
-      return res.status(401).json({
-        success: false,
-        message: 'Неверный логин или пароль'
-      });
-    }
+    const admin = await Admin.findByLogin(normalizedLogin);
 
     // Compare password using bcrypt
-    const isPasswordValid = await admin.comparePassword(password);
+    const isPasswordValid = admin ? await admin.comparePassword(password) : false;
     
     if (!isPasswordValid) {
+      await recordLoginFailure({ login: normalizedLogin, ip: req.ip, admin }, req);
       return res.status(401).json({
         success: false,
         message: 'Неверный логин или пароль'
       });
     }
 
-    // Generate JWT tokens
-    const tokenPayload = {
-      id: admin._id,
-      login: admin.login,
-      role: admin.role,
-      department: admin.department
-    };
-    
-    const accessToken = generateToken(tokenPayload);
-    const refreshToken = generateRefreshToken({ id: admin._id });
-    
-    // Save refresh token to database
-    admin.refreshToken = refreshToken;
-    await admin.save();
+    // Deactivated or locked by an administrator
+    if (admin.isBlocked()) {
+      return sendBlocked(res, admin);
+    }
 
-    // Return success response with JWT tokens
-    res.json({
-      success: true,
-      message: 'Успешный вход в систему',
-      admin: {
-        id: admin._id,
-        login: admin.login,
-        role: admin.role,
-        department: admin.department,
-        bitrixId: admin.bitrixId
-      },
-      tokens: {
-        accessToken,
-        refreshToken
-      }
-    });
+    // Second step: failed attempts are cleared only once the code is accepted
+    if (admin.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Введіть код двофакторної автентифікації',
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(admin, 'login')
+      });
+    }
+
+    await continueLogin(req, res, admin);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -78,60 +255,191 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Register route
-router.post('/register', async (req, res) => {
+// POST /api/auth/login/2fa - Second login step: TOTP code or backup code
+router.post('/login/2fa', async (req, res) => {
   try {
-    const { email: login, password } = req.body;
+    const { challengeToken, code, backupCode } = req.body;
 
-    // Validate input
-    if (!login || !password) {
+    if (!challengeToken || (!code && !backupCode)) {
       return res.status(400).json({
         success: false,
-        message: 'Логин и пароль обязательны'
+        message: 'challengeToken та code або backupCode обов\'язкові'
       });
     }
 
-    // Check if admin already exists
-    const existingAdmin = await Admin.findByLogin(login.trim());
-    
-    if (existingAdmin) {
-      return res.status(409).json({
+    const admin = await findChallengeAdmin(challengeToken, 'login');
+
+    if (!admin || !admin.twoFactor.enabled) {
+      return sendInvalidChallenge(res);
+    }
+
+    // Wrong codes count as failed logins of this admin
+    const throttle = await checkLoginAllowed({ login: admin.login, ip: req.ip });
+    if (sendThrottled(res, throttle)) return;
+
+    if (admin.isBlocked()) {
+      return sendBlocked(res, admin);
+    }
+
+    const method = await verifySecondFactor(admin, { code, backupCode });
+    if (!method) {
+      await recordLoginFailure({ login: admin.login, ip: req.ip, admin }, req);
+      return res.status(401).json({
+        success: false,
+        message: 'Невірний код підтвердження'
+      });
+    }
+
+    await continueLogin(req, res, admin, { twoFactorMethod: method });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    sendServiceError(res, error, 'Внутрішня помилка сервера');
+  }
+});
+
+// POST /api/auth/login/password - Required password change during login (mustChangePassword)
+router.post('/login/password', async (req, res) => {
+  try {
+    const { challengeToken, newPassword } = req.body;
+
+    if (!challengeToken || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'challengeToken та newPassword обов\'язкові'
+      });
+    }
+
+    const admin = await findChallengeAdmin(challengeToken, 'password_change');
+
+    if (!admin || !admin.mustChangePassword) {
+      return sendInvalidChallenge(res);
+    }
+    if (admin.isBlocked()) {
+      return sendBlocked(res, admin);
+    }
+
+    const revokedSessions = await changePassword(admin, newPassword, { revokedBy: admin._id });
+
+    await recordAudit({
+      action: 'PASSWORD_CHANGED',
+      entityType: 'Admin',
+      entityId: admin._id,
+      actorId: admin._id,
+      metadata: { required: true, revokedSessions }
+    }, req);
+
+    await continueLogin(req, res, admin);
+  } catch (error) {
+    console.error('Required password change error:', error);
+    sendServiceError(res, error, 'Помилка при зміні пароля');
+  }
+});
+
+// GET /api/auth/password-policy - Current password requirements (public, for password forms)
+router.get('/password-policy', (req, res) => {
+  const { resetExpiresHours, ...policy } = getPasswordPolicy();
+
+  res.json({
+    success: true,
+    data: policy
+  });
+});
+
+// POST /api/auth/password - Change own password (other sessions are ended)
+router.post('/password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'currentPassword та newPassword обов\'язкові'
+      });
+    }
+
+    if (!(await req.admin.comparePassword(currentPassword))) {
+      return res.status(400).json({
         success: false,
-        message: 'Администратор с таким логином уже существует'
+        message: 'Невірний поточний пароль'
       });
     }
 
-    // Create new admin (password will be hashed automatically by pre-save middleware)
-    const newAdmin = new Admin({
-      login: login.trim(),
-      password: password,
-      role: 'User' // Default role
+    const revokedSessions = await changePassword(req.admin, newPassword, {
+      revokedBy: req.admin._id,
+      exceptSessionId: req.sessionId
     });
 
-    await newAdmin.save();
+    await recordAudit({
+      action: 'PASSWORD_CHANGED',
+      entityType: 'Admin',
+      entityId: req.admin._id,
+      metadata: { revokedSessions }
+    }, req);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Администратор успешно зарегистрирован',
-      admin: newAdmin.getSafeData()
+      message: 'Пароль змінено'
     });
+  } catch (error) {
+    console.error('Change password error:', error);
+    sendServiceError(res, error, 'Помилка при зміні пароля');
+  }
+});
 
+// GET /api/auth/password-reset/:token - Check a reset link (public)
+router.get('/password-reset/:token', async (req, res) => {
+  try {
+    const admin = await findAdminByResetToken(req.params.token);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Посилання для скидання пароля недійсне або прострочене'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        login: admin.login,
+        expiresAt: admin.passwordReset.expiresAt
+      }
+    });
   } catch (error) {
-    console.error('Registration error:', error);
-    
-    // Handle validation errors
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(err => err.message);
+    console.error('Password reset check error:', error);
+    sendServiceError(res, error, 'Помилка при перевірці посилання');
+  }
+});
+
+// POST /api/auth/password-reset - Set a new password with a reset token (public, ends every session)
+router.post('/password-reset', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
       return res.status(400).json({
         success: false,
-        message: messages.join(', ')
+        message: 'token та newPassword обов\'язкові'
       });
     }
 
-    res.status(500).json({
-      success: false,
-      message: 'Внутренняя ошибка сервера'
+    const { admin, revokedSessions } = await completePasswordReset(token, newPassword);
+
+    await recordAudit({
+      action: 'PASSWORD_RESET_COMPLETED',
+      entityType: 'Admin',
+      entityId: admin._id,
+      actorId: admin._id,
+      metadata: { revokedSessions }
+    }, req);
+
+    res.json({
+      success: true,
+      message: 'Пароль змінено. Тепер ви можете увійти'
     });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    sendServiceError(res, error, 'Помилка при скиданні пароля');
   }
 });
 
@@ -151,12 +459,10 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
-// Logout route (clears refresh token)
+// Logout route (ends the current session)
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // Clear refresh token
-    req.admin.refreshToken = null;
-    await req.admin.save();
+    await revokeSession({ _id: req.sessionId }, { reason: 'LOGOUT' });
     
     res.json({
       success: true,
@@ -171,7 +477,7 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
-// Refresh token route
+// Refresh token route (rotates the refresh token)
 router.post('/refresh', async (req, res) => {
   try {
     const { refreshToken } = req.body;
@@ -183,36 +489,308 @@ router.post('/refresh', async (req, res) => {
       });
     }
     
-    // Find admin with this refresh token
-    const admin = await Admin.findOne({ refreshToken });
+    const tokens = await rotateSession(refreshToken, req);
     
-    if (!admin) {
+    res.json({
+      success: true,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Ошибка обновления токена'
+    });
+  }
+});
+
+// GET /api/auth/2fa - Two-factor authentication status of the current admin
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getTwoFactorStatus(req.admin)
+    });
+  } catch (error) {
+    console.error('Error fetching 2FA status:', error);
+    sendServiceError(res, error, 'Помилка при отриманні статусу 2FA');
+  }
+});
+
+// POST /api/auth/2fa/setup - Generate a secret and otpauth URI (access token or setup challenge token)
+router.post('/2fa/setup', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const data = await beginSetup(req.admin);
+
+    res.json({
+      success: true,
+      data,
+      message: 'Відскануйте QR-код у застосунку автентифікації та підтвердіть код'
+    });
+  } catch (error) {
+    console.error('Error starting 2FA setup:', error);
+    sendServiceError(res, error, 'Помилка при налаштуванні 2FA');
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirm the first code and enable 2FA
+// With a setup challenge token the response also completes the login
+router.post('/2fa/enable', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    if (!req.body.code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Код обов\'язковий'
+      });
+    }
+
+    const backupCodes = await confirmSetup(req.admin, req.body.code);
+
+    await recordAudit({
+      action: 'TWO_FACTOR_ENABLED',
+      entityType: 'Admin',
+      entityId: req.admin._id,
+      actorId: req.admin._id
+    }, req);
+
+    if (req.setupChallenge) {
+      return await completeLogin(req, res, req.admin, { twoFactorMethod: 'totp', extra: { backupCodes } });
+    }
+
+    res.json({
+      success: true,
+      data: { backupCodes },
+      message: 'Двофакторну автентифікацію увімкнено. Збережіть резервні коди'
+    });
+  } catch (error) {
+    console.error('Error enabling 2FA:', error);
+    sendServiceError(res, error, 'Помилка при увімкненні 2FA');
+  }
+});
+
+// POST /api/auth/2fa/disable - Disable 2FA (password and a code or backup code)
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    if (!req.admin.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Двофакторну автентифікацію не увімкнено'
+      });
+    }
+
+    if (await isTwoFactorRequired(req.admin)) {
       return res.status(403).json({
         success: false,
-        message: 'Недействительный refresh token'
+        message: 'Для вашої ролі двофакторна автентифікація обов\'язкова'
       });
     }
-    
-    // Generate new access token
-    const tokenPayload = {
-      id: admin._id,
-      login: admin.login,
-      role: admin.role,
-      department: admin.department
-    };
-    
-    const newAccessToken = generateToken(tokenPayload);
-    
+
+    if (!password || !(await req.admin.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Невірний пароль'
+      });
+    }
+
+    if (!(await verifySecondFactor(req.admin, { code, backupCode }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Невірний код підтвердження'
+      });
+    }
+
+    await disableTwoFactor(req.admin);
+
+    await recordAudit({
+      action: 'TWO_FACTOR_DISABLED',
+      entityType: 'Admin',
+      entityId: req.admin._id,
+      actorId: req.admin._id
+    }, req);
+
     res.json({
       success: true,
-      accessToken: newAccessToken
+      message: 'Двофакторну автентифікацію вимкнено'
     });
-    
   } catch (error) {
-    console.error('Refresh token error:', error);
-    res.status(403).json({
+    console.error('Error disabling 2FA:', error);
+    sendServiceError(res, error, 'Помилка при вимкненні 2FA');
+  }
+});
+
+// POST /api/auth/2fa/backup-codes - Replace backup codes (requires a current code)
+router.post('/2fa/backup-codes', authenticateToken, async (req, res) => {
+  try {
+    if (!req.admin.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Двофакторну автентифікацію не увімкнено'
+      });
+    }
+
+    if (!(await verifySecondFactor(req.admin, { code: req.body.code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Невірний код підтвердження'
+      });
+    }
+
+    const backupCodes = await regenerateBackupCodes(req.admin);
+
+    await recordAudit({
+      action: 'TWO_FACTOR_BACKUP_CODES_REGENERATED',
+      entityType: 'Admin',
+      entityId: req.admin._id,
+      actorId: req.admin._id
+    }, req);
+
+    res.json({
+      success: true,
+      data: { backupCodes },
+      message: 'Резервні коди оновлено'
+    });
+  } catch (error) {
+    console.error('Error regenerating backup codes:', error);
+    sendServiceError(res, error, 'Помилка при оновленні резервних кодів');
+  }
+});
+
+// GET /api/auth/sessions - Active sessions (devices) of the current admin
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await findActiveSessions(req.admin._id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({
       success: false,
-      message: 'Ошибка обновления токена'
+      message: 'Помилка при отриманні сесій'
+    });
+  }
+});
+
+// DELETE /api/auth/sessions - Log out all other devices
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revokedCount = await revokeAdminSessions(req.admin._id, {
+      reason: 'REVOKED',
+      revokedBy: req.admin._id,
+      exceptSessionId: req.sessionId
+    });
+
+    res.json({
+      success: true,
+      message: `Завершено сесій: ${revokedCount}`,
+      revokedCount
+    });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при завершенні сесій'
+    });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Log out one device of the current admin
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Session.findOne(Session.activeFilter({ _id: req.params.id, adminId: req.admin._id }))
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Сесію не знайдено'
+      });
+    }
+
+    await revokeSession(session, { reason: 'REVOKED', revokedBy: req.admin._id });
+
+    res.json({
+      success: true,
+      message: 'Сесію завершено'
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при завершенні сесії'
+    });
+  }
+});
+
+// GET /api/auth/admins/:adminId/sessions - Active sessions of any admin
+router.get('/admins/:adminId/sessions', authenticateToken, requirePermission('sessions.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.adminId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID користувача'
+      });
+    }
+
+    const sessions = await findActiveSessions(req.params.adminId);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    console.error('Error fetching admin sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні сесій'
+    });
+  }
+});
+
+// DELETE /api/auth/admins/:adminId/sessions - Log an admin out of every device
+router.delete('/admins/:adminId/sessions', authenticateToken, requirePermission('sessions.manage'), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(adminId) || !(await Admin.exists({ _id: adminId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Користувача не знайдено'
+      });
+    }
+
+    const revokedCount = await revokeAdminSessions(adminId, {
+      reason: 'ADMIN_REVOKED',
+      revokedBy: req.admin._id
+    });
+
+    res.json({
+      success: true,
+      message: `Завершено сесій: ${revokedCount}`,
+      revokedCount
+    });
+  } catch (error) {
+    console.error('Error revoking admin sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при завершенні сесій'
     });
   }
 });
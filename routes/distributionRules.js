@@ -0,0 +1,334 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const DistributionRule = require('../models/DistributionRule');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ensureDefaultRules, resolveAssignment } = require('../utils/leadDistribution');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'match',
+  'teamIds',
+  'includeLeaders',
+  'excludedAdminIds',
+  'strategy',
+  'weights',
+  'capacity',
+  'includeDuplicates',
+  'priority',
+  'isActive'
+];
+
+/**
+ * Validate ObjectId lists in the request body
+ * @returns {string|null} Error message or null when valid
+ */
+function validateRuleIds(body) {
+  const idLists = {
+    teamIds: body.teamIds,
+    excludedAdminIds: body.excludedAdminIds,
+    weights: Array.isArray(body.weights) ? body.weights.map(entry => entry && entry.adminId) : undefined
+  };
+
+  for (const [field, ids] of Object.entries(idLists)) {
+    if (ids === undefined) continue;
+    if (!Array.isArray(ids) || ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return `Некоректні ID у полі ${field}`;
+    }
+  }
+  return null;
+}
+
+router.use(authenticateToken, requirePermission('distribution.manage'));
+
+// GET /api/distribution-rules - Get all rules in evaluation order
+router.get('/', async (req, res) => {
+  try {
+    await ensureDefaultRules();
+
+    const { isActive } = req.query;
+    const filter = {};
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    const rules = await DistributionRule.find(filter)
+      .populate('teamIds', 'name')
+      .populate('excludedAdminIds', 'login')
+      .populate('weights.adminId', 'login')
+      .sort({ priority: -1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: rules,
+      count: rules.length
+    });
+  } catch (error) {
+    console.error('Error fetching distribution rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні правил розподілу',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/distribution-rules/preview - Show which manager would get a lead (no changes made)
+router.post('/preview', async (req, res) => {
+  try {
+    const { utm_source, sourceDescription, department, status } = req.body;
+
+    const resolved = await resolveAssignment(
+      { utm_source, sourceDescription, department, status },
+      { dryRun: true }
+    );
+
+    res.json({
+      success: true,
+      data: resolved ? {
+        rule: { _id: resolved.rule._id, name: resolved.rule.name, strategy: resolved.rule.strategy },
+        team: resolved.team ? { _id: resolved.team._id, name: resolved.team.name } : null,
+        manager: resolved.manager ? { _id: resolved.manager._id, login: resolved.manager.login } : null
+      } : null,
+      message: resolved ? undefined : 'Жодне правило не відповідає ліду'
+    });
+  } catch (error) {
+    console.error('Error previewing distribution:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при перевірці розподілу',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/distribution-rules/:id - Get rule by ID
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID правила'
+      });
+    }
+
+    const rule = await DistributionRule.findById(req.params.id)
+      .populate('teamIds', 'name')
+      .populate('excludedAdminIds', 'login')
+      .populate('weights.adminId', 'login');
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Правило не знайдено'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error fetching distribution rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні правила розподілу',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/distribution-rules - Create rule
+router.post('/', async (req, res) => {
+  try {
+    if (!req.body.name || !req.body.name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Назва правила є обов\'язковою'
+      });
+    }
+
+    if (!Array.isArray(req.body.teamIds) || req.body.teamIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Необхідно вказати хоча б одну команду'
+      });
+    }
+
+    const idError = validateRuleIds(req.body);
+    if (idError) {
+      return res.status(400).json({
+        success: false,
+        message: idError
+      });
+    }
+
+    const ruleData = { createdBy: req.admin._id };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        ruleData[field] = req.body[field];
+      }
+    });
+
+    const rule = new DistributionRule(ruleData);
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Правило розподілу успішно створено'
+    });
+  } catch (error) {
+    console.error('Error creating distribution rule:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Помилка валідації',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при створенні правила розподілу',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/distribution-rules/:id - Update rule
+router.put('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID правила'
+      });
+    }
+
+    const idError = validateRuleIds(req.body);
+    if (idError) {
+      return res.status(400).json({
+        success: false,
+        message: idError
+      });
+    }
+
+    const rule = await DistributionRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Правило не знайдено'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    });
+
+    // Restart rotation when the set of candidates changes
+    if (req.body.teamIds !== undefined || req.body.strategy !== undefined || req.body.weights !== undefined) {
+      rule.state.teamCursor = 0;
+      rule.state.managerCursor = 0;
+    }
+
+    await rule.save();
+
+    res.json({
+      success: true,
+      data: rule,
+      message: 'Правило розподілу успішно оновлено'
+    });
+  } catch (error) {
+    console.error('Error updating distribution rule:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Помилка валідації',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при оновленні правила розподілу',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/distribution-rules/:id/toggle - Enable/disable rule
+router.patch('/:id/toggle', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID правила'
+      });
+    }
+
+    const rule = await DistributionRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Правило не знайдено'
+      });
+    }
+
+    rule.isActive = !rule.isActive;
+    await rule.save();
+
+    res.json({
+      success: true,
+      data: rule,
+      message: rule.isActive ? 'Правило увімкнено' : 'Правило вимкнено'
+    });
+  } catch (error) {
+    console.error('Error toggling distribution rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при зміні стану правила',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/distribution-rules/:id - Delete rule
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID правила'
+      });
+    }
+
+    const rule = await DistributionRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Правило не знайдено'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Правило розподілу успішно видалено'
+    });
+  } catch (error) {
+    console.error('Error deleting distribution rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при видаленні правила розподілу',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,7 @@ router.get('/health', (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     jwtSecretSet: !!process.env.JWT_SECRET,
     jwtSecretLength: process.env.JWT_SECRET?.length || 0,
+    jwtRefreshSecretSet: !!process.env.JWT_REFRESH_SECRET,
     mongoConnected: require('mongoose').connection.readyState === 1
   });
 });
@@ -25,6 +26,8 @@ router.get('/health/detailed', (req, res) => {
       PORT: process.env.PORT || 'not set',
       JWT_SECRET_SET: !!process.env.JWT_SECRET,
       JWT_SECRET_LENGTH: process.env.JWT_SECRET?.length || 0,
+      JWT_REFRESH_SECRET_SET: !!process.env.JWT_REFRESH_SECRET,
+      TWO_FACTOR_ENCRYPTION_KEY_SET: !!process.env.TWO_FACTOR_ENCRYPTION_KEY,
       JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || 'not set',
       MONGODB_URI_SET: !!process.env.MONGODB_URI
     },
@@ -0,0 +1,235 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  canManageAllInvitations,
+  createInvitation,
+  renewInvitation,
+  revokeInvitation,
+  acceptInvitation
+} = require('../utils/invitations');
+const { recordAudit } = require('../utils/auditLog');
+
+/**
+ * Respond with the status of a service error, a validation error or a generic 500
+ * @private
+ */
+function sendError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...(error.errors ? { errors: error.errors } : {})
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Помилка валідації',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+}
+
+/**
+ * Load an invitation the current admin may manage (own invitations unless admins.manage)
+ * @private
+ */
+async function findManageableInvitation(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+
+  const filter = { _id: req.params.id };
+  if (!canManageAllInvitations(req.access)) {
+    filter.invitedBy = req.admin._id;
+  }
+  return Invitation.findOne(filter);
+}
+
+// GET /api/invitations/accept/:token - Invitation details for the acceptance page (public)
+router.get('/accept/:token', async (req, res) => {
+  try {
+    const invitation = await Invitation.findPendingByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Запрошення недійсне або термін його дії минув'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        login: invitation.login,
+        role: invitation.role,
+        team: invitation.team,
+        department: invitation.department,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching invitation by token:', error);
+    sendError(res, error, 'Помилка при отриманні запрошення');
+  }
+});
+
+// POST /api/invitations/accept - Set a password and create the account (public)
+router.post('/accept', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'token та password обов\'язкові'
+      });
+    }
+
+    const { admin, invitation } = await acceptInvitation(token, password);
+
+    await recordAudit({
+      action: 'INVITATION_ACCEPTED',
+      entityType: 'Invitation',
+      entityId: invitation._id,
+      actorId: admin._id,
+      metadata: { login: admin.login, role: admin.role, team: admin.team, invitedBy: invitation.invitedBy }
+    }, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Обліковий запис створено. Тепер ви можете увійти',
+      data: admin.getSafeData()
+    });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    sendError(res, error, 'Помилка при прийнятті запрошення');
+  }
+});
+
+router.use(authenticateToken, requirePermission('admins.invite'));
+
+// GET /api/invitations - Invitations (own invitations unless admins.manage)
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (!canManageAllInvitations(req.access)) {
+      filter.invitedBy = req.admin._id;
+    }
+
+    let invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'login')
+      .populate('revokedBy', 'login')
+      .populate('acceptedAdminId', 'login')
+      .sort({ createdAt: -1 });
+
+    if (req.query.status) {
+      invitations = invitations.filter(invitation => invitation.status === req.query.status);
+    }
+
+    res.json({
+      success: true,
+      data: invitations,
+      count: invitations.length
+    });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    sendError(res, error, 'Помилка при отриманні запрошень');
+  }
+});
+
+// POST /api/invitations - Invite a new admin (the token is returned only once)
+router.post('/', async (req, res) => {
+  try {
+    const { invitation, token } = await createInvitation(req.body, req.admin, req.access);
+
+    await recordAudit({
+      action: 'INVITATION_CREATED',
+      entityType: 'Invitation',
+      entityId: invitation._id,
+      metadata: { login: invitation.login, role: invitation.role, team: invitation.team, department: invitation.department }
+    }, req);
+
+    res.status(201).json({
+      success: true,
+      data: { ...invitation.toJSON(), token },
+      message: 'Запрошення створено. Передайте токен запрошеному користувачу'
+    });
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    sendError(res, error, 'Помилка при створенні запрошення');
+  }
+});
+
+// POST /api/invitations/:id/renew - New token and expiry (the old token stops working)
+router.post('/:id/renew', async (req, res) => {
+  try {
+    const invitation = await findManageableInvitation(req);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Запрошення не знайдено'
+      });
+    }
+
+    const token = await renewInvitation(invitation);
+
+    await recordAudit({
+      action: 'INVITATION_RENEWED',
+      entityType: 'Invitation',
+      entityId: invitation._id,
+      metadata: { login: invitation.login, expiresAt: invitation.expiresAt }
+    }, req);
+
+    res.json({
+      success: true,
+      data: { ...invitation.toJSON(), token },
+      message: 'Запрошення оновлено'
+    });
+  } catch (error) {
+    console.error('Error renewing invitation:', error);
+    sendError(res, error, 'Помилка при оновленні запрошення');
+  }
+});
+
+// DELETE /api/invitations/:id - Revoke an invitation
+router.delete('/:id', async (req, res) => {
+  try {
+    const invitation = await findManageableInvitation(req);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Запрошення не знайдено'
+      });
+    }
+
+    await revokeInvitation(invitation, req.admin._id);
+
+    await recordAudit({
+      action: 'INVITATION_REVOKED',
+      entityType: 'Invitation',
+      entityId: invitation._id,
+      metadata: { login: invitation.login }
+    }, req);
+
+    res.json({
+      success: true,
+      message: 'Запрошення відкликано'
+    });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    sendError(res, error, 'Помилка при відкликанні запрошення');
+  }
+});
+
+module.exports = router;
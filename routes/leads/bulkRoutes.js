@@ -1,18 +1,60 @@
 const express = require('express');
 const Lead = require('../../models/Lead');
 const router = express.Router();
-const { authenticateToken } = require('../../middleware/auth');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
 const { isValidObjectId } = require('../../utils/leadHelpers');
 const { createLogger } = require('../../utils/logger');
+const { broadcastLeadEvent, EVENT_TYPES } = require('../../utils/realtime');
+const { validateStatusChange } = require('../../utils/statusWorkflow');
+const { findInaccessibleLeadIds } = require('../../utils/leadAccess');
+const {
+  logStatusChanged,
+  logAssignmentChanged,
+  logCommentAdded,
+  logLeadHidden,
+  logLeadUnhidden,
+  logLeadDeleted
+} = require('../../utils/historyLogger');
 
 const logger = createLogger('LeadsBulk');
 
+/**
+ * Push real-time events for leads changed by a bulk operation
+ * @private
+ */
+async function broadcastBulkChange(type, ids, previousLeads = []) {
+  const previousById = new Map(previousLeads.map(lead => [lead._id.toString(), lead]));
+  const updatedLeads = await Lead.find({ _id: { $in: ids } }).lean();
+
+  updatedLeads.forEach(lead => {
+    const previous = previousById.get(lead._id.toString());
+    broadcastLeadEvent(type, lead, { previous });
+  });
+}
+
+/**
+ * Write a history entry for each lead changed by a bulk operation
+ * A failed entry is logged and skipped: the leads are already changed.
+ * @private
+ */
+async function logBulkHistory(leads, log) {
+  for (const lead of leads) {
+    try {
+      await log(lead);
+    } catch (error) {
+      logger.error('Failed to log bulk history entry', { leadId: lead._id.toString(), error: error.message });
+    }
+  }
+}
+
+const BULK_METADATA = { bulk: true };
+
 /**
  * @route DELETE /api/leads/bulk/delete
  * @desc Bulk delete leads
  * @access Private
  */
-router.delete('/delete', authenticateToken, async (req, res) => {
+router.delete('/delete', authenticateToken, requirePermission('leads.delete'), async (req, res) => {
   try {
     const { ids } = req.body;
     
@@ -33,10 +75,24 @@ router.delete('/delete', authenticateToken, async (req, res) => {
       });
     }
 
+    // Leads outside the data scope are reported as not found
+    const notFoundIds = await findInaccessibleLeadIds(req.admin, ids);
+    if (notFoundIds.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ліди не знайдено',
+        notFoundIds
+      });
+    }
+
+    const deletedLeads = await Lead.find({ _id: { $in: ids } }).select('_id name phone status assigned').lean();
+
     const result = await Lead.deleteMany({
       _id: { $in: ids }
     });
 
+    await logBulkHistory(deletedLeads, lead => logLeadDeleted(lead._id, req.admin._id, lead, BULK_METADATA));
+
     res.json({
       success: true,
       message: `Успішно видалено ${result.deletedCount} лідів`,
@@ -57,9 +113,11 @@ router.delete('/delete', authenticateToken, async (req, res) => {
  * @desc Bulk update lead status
  * @access Private
  */
-router.patch('/status', authenticateToken, async (req, res) => {
+router.patch('/status', authenticateToken, requirePermission('leads.update'), async (req, res) => {
   try {
     const { ids, status } = req.body;
+    // Status is checked and saved in the same form (statuses are uppercase)
+    const targetStatus = typeof status === 'string' ? status.trim().toUpperCase() : '';
     
     if (!Array.isArray(ids) || ids.length === 0) {
       return res.status(400).json({
@@ -68,7 +126,7 @@ router.patch('/status', authenticateToken, async (req, res) => {
       });
     }
 
-    if (!status || status.trim() === '') {
+    if (!targetStatus) {
       return res.status(400).json({
         success: false,
         message: 'Необхідно вказати статус'
@@ -85,11 +143,61 @@ router.patch('/status', authenticateToken, async (req, res) => {
       });
     }
 
+    // Leads outside the data scope are reported as not found
+    const notFoundIds = await findInaccessibleLeadIds(req.admin, ids);
+    if (notFoundIds.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ліди не знайдено',
+        notFoundIds
+      });
+    }
+
+    // Whole request is rejected if any lead may not be moved to the status
+    const leads = await Lead.find({ _id: { $in: ids } }).select('_id status name').lean();
+    const check = await validateStatusChange({
+      leads,
+      to: targetStatus,
+      role: req.admin.role,
+      note: req.body.note
+    });
+
+    if (!check.valid) {
+      return res.status(check.status).json({
+        success: false,
+        message: check.message,
+        rejected: check.errors
+      });
+    }
+
     const result = await Lead.updateMany(
       { _id: { $in: ids } },
-      { $set: { status: status.trim() } }
+      { $set: { status: targetStatus } }
     );
 
+    const changedLeads = leads.filter(lead => lead.status !== targetStatus);
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+    if (note) {
+      await Lead.updateMany(
+        { _id: { $in: changedLeads.map(lead => lead._id) } },
+        {
+          $push: { notes: { text: note, createdAt: new Date(), adminId: req.admin._id.toString() } },
+          $set: { updatedByNote: note }
+        }
+      );
+    }
+
+    await logBulkHistory(changedLeads, async lead => {
+      await logStatusChanged(lead._id, req.admin._id, lead.status, targetStatus, lead.name, BULK_METADATA);
+      if (note) {
+        await logCommentAdded(lead._id, req.admin._id, note, lead.name);
+      }
+    });
+
+    broadcastBulkChange(EVENT_TYPES.LEAD_UPDATED, ids).catch(error => {
+      logger.error('Failed to broadcast bulk status change', { error: error.message });
+    });
+
     res.json({
       success: true,
       message: `Статус оновлено для ${result.modifiedCount} лідів`,
@@ -110,7 +218,7 @@ router.patch('/status', authenticateToken, async (req, res) => {
  * @desc Bulk assign leads to manager
  * @access Private
  */
-router.patch('/assign', authenticateToken, async (req, res) => {
+router.patch('/assign', authenticateToken, requirePermission('leads.assign'), async (req, res) => {
   try {
     const { ids, assigned } = req.body;
     
@@ -138,11 +246,32 @@ router.patch('/assign', authenticateToken, async (req, res) => {
       });
     }
 
+    // Leads outside the data scope are reported as not found
+    const notFoundIds = await findInaccessibleLeadIds(req.admin, ids);
+    if (notFoundIds.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ліди не знайдено',
+        notFoundIds
+      });
+    }
+
+    const previousLeads = await Lead.find({ _id: { $in: ids } }).lean();
+
     const result = await Lead.updateMany(
       { _id: { $in: ids } },
       { $set: { assigned } }
     );
 
+    await logBulkHistory(
+      previousLeads.filter(lead => String(lead.assigned || '') !== String(assigned)),
+      lead => logAssignmentChanged(lead._id, req.admin._id, lead.assigned, assigned, lead.name, BULK_METADATA)
+    );
+
+    broadcastBulkChange(EVENT_TYPES.LEAD_ASSIGNED, ids, previousLeads).catch(error => {
+      logger.error('Failed to broadcast bulk assignment', { error: error.message });
+    });
+
     res.json({
       success: true,
       message: `Призначено ${result.modifiedCount} лідів`,
@@ -163,7 +292,7 @@ router.patch('/assign', authenticateToken, async (req, res) => {
  * @desc Bulk hide/unhide leads
  * @access Private
  */
-router.patch('/hide', authenticateToken, async (req, res) => {
+router.patch('/hide', authenticateToken, requirePermission('leads.update'), async (req, res) => {
   try {
     const { ids, hidden = true } = req.body;
     
@@ -184,11 +313,33 @@ router.patch('/hide', authenticateToken, async (req, res) => {
       });
     }
 
+    // Leads outside the data scope are reported as not found
+    const notFoundIds = await findInaccessibleLeadIds(req.admin, ids);
+    if (notFoundIds.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ліди не знайдено',
+        notFoundIds
+      });
+    }
+
+    const previousLeads = await Lead.find({ _id: { $in: ids } }).select('_id hidden name').lean();
+
     const result = await Lead.updateMany(
       { _id: { $in: ids } },
       { $set: { hidden: Boolean(hidden) } }
     );
 
+    const logVisibility = hidden ? logLeadHidden : logLeadUnhidden;
+    await logBulkHistory(
+      previousLeads.filter(lead => Boolean(lead.hidden) !== Boolean(hidden)),
+      lead => logVisibility(lead._id, req.admin._id, lead.name, BULK_METADATA)
+    );
+
+    broadcastBulkChange(EVENT_TYPES.LEAD_UPDATED, ids).catch(error => {
+      logger.error('Failed to broadcast bulk visibility change', { error: error.message });
+    });
+
     const action = hidden ? 'приховано' : 'відновлено';
     res.json({
       success: true,
@@ -1,7 +1,7 @@
 const express = require('express');
 const Lead = require('../../models/Lead');
 const router = express.Router();
-const { authenticateToken } = require('../../middleware/auth');
+const { authenticateToken, requirePermission, requireLeadAccess } = require('../../middleware/auth');
 const { isValidObjectId } = require('../../utils/leadHelpers');
 const {
   logLeadCreated,
@@ -11,15 +11,24 @@ const {
   logLeadUpdated,
   logContactInfoUpdated,
   logLeadHidden,
-  logLeadUnhidden
+  logLeadUnhidden,
+  logLeadDeleted,
+  diffLeadFields
 } = require('../../utils/historyLogger');
+const { broadcastLeadEvent, EVENT_TYPES } = require('../../utils/realtime');
+const { validateStatusChange } = require('../../utils/statusWorkflow');
+const { hasPermission } = require('../../utils/permissions');
+const { reconstructLeadAt } = require('../../utils/leadTimeline');
+
+// Changes of these fields get their own history entries (status, assignment, contact info)
+const SEPARATELY_LOGGED_FIELDS = ['status', 'assigned', 'phone', 'email'];
 
 /**
  * @route GET /api/leads/:id
  * @desc Get lead by ID
  * @access Private
  */
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('leads.read'), requireLeadAccess(), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -53,12 +62,65 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/leads/:id/as-of
+ * @desc Lead as it was at a moment (?at=ISO date), reconstructed from history
+ * @access Private
+ */
+router.get('/:id/as-of', authenticateToken, requirePermission('leads.read'), requireLeadAccess(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Невірний формат ID'
+      });
+    }
+
+    const at = req.query.at ? new Date(req.query.at) : null;
+    if (!at || Number.isNaN(at.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Вкажіть дату у параметрі at (ISO 8601)'
+      });
+    }
+
+    const snapshot = await reconstructLeadAt(id, at);
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Лід не знайдено'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: snapshot
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error reconstructing lead:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при відновленні стану ліда',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route POST /api/leads
  * @desc Create new lead
  * @access Private
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('leads.create'), async (req, res) => {
   try {
     const leadData = req.body;
     
@@ -82,6 +144,8 @@ router.post('/', authenticateToken, async (req, res) => {
       status: savedLead.status
     });
 
+    broadcastLeadEvent(EVENT_TYPES.NEW_LEAD, savedLead);
+
     res.status(201).json({
       success: true,
       data: savedLead,
@@ -110,10 +174,11 @@ router.post('/', authenticateToken, async (req, res) => {
  * @desc Update lead by ID
  * @access Private
  */
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('leads.update'), requireLeadAccess(), async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    // note is the comment for the status change, it is not a lead field
+    const { note, ...updateData } = req.body;
     
     if (!isValidObjectId(id)) {
       return res.status(400).json({
@@ -131,11 +196,44 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    const statusNote = typeof note === 'string' ? note.trim() : '';
+    // Status is checked and saved in the same form (statuses are uppercase)
+    if (typeof updateData.status === 'string') {
+      updateData.status = updateData.status.trim().toUpperCase();
+    }
+    const statusChanging = updateData.status !== undefined && updateData.status !== originalLead.status;
+
+    if (statusChanging) {
+      const check = await validateStatusChange({
+        leads: [originalLead],
+        to: updateData.status,
+        role: req.admin.role,
+        note: statusNote
+      });
+
+      if (!check.valid) {
+        return res.status(check.status).json({
+          success: false,
+          message: check.message,
+          errors: check.errors
+        });
+      }
+    }
+
     // Normalize phone if updated
     if (updateData.phone) {
       updateData.normalizedPhone = updateData.phone.replace(/\D/g, '');
     }
 
+    if (updateData.assigned !== undefined && updateData.assigned !== originalLead.assigned &&
+        !hasPermission(req.access.permissions, 'leads.assign')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Недостатньо прав для зміни відповідального',
+        missingPermissions: ['leads.assign']
+      });
+    }
+
     // Check if assigned is changing and new assignee is TeamLead or Manager
     // AND lead status is UC_HSS56X
     if (updateData.assigned && updateData.assigned !== originalLead.assigned) {
@@ -155,15 +253,30 @@ router.put('/:id', authenticateToken, async (req, res) => {
       }
     }
 
+    // Status comment is stored as a regular lead note
+    const update = { $set: updateData };
+    if (statusChanging && statusNote) {
+      const statusNoteEntry = { text: statusNote, createdAt: new Date(), adminId: req.admin._id.toString() };
+      update.$set = { ...updateData, updatedByNote: statusNote };
+      if (Array.isArray(updateData.notes)) {
+        update.$set.notes = [...updateData.notes, statusNoteEntry];
+      } else {
+        update.$push = { notes: statusNoteEntry };
+      }
+    }
+
     const updatedLead = await Lead.findByIdAndUpdate(
       id,
-      { $set: updateData },
+      update,
       { new: true, runValidators: true }
     );
 
     // Log specific changes
     if (originalLead.status !== updatedLead.status) {
       await logStatusChanged(id, req.admin._id, originalLead.status, updatedLead.status);
+      if (statusNote) {
+        await logCommentAdded(id, req.admin._id, statusNote, updatedLead.name);
+      }
     }
     
     if (originalLead.assigned !== updatedLead.assigned) {
@@ -179,8 +292,27 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Log general update
-    await logLeadUpdated(id, req.admin._id, updateData);
+    // Log what actually changed, not what was sent (fields with their own entries above are left out)
+    const changes = diffLeadFields(
+      originalLead.toObject(),
+      updatedLead.toObject(),
+      Object.keys(updateData).filter(field => !SEPARATELY_LOGGED_FIELDS.includes(field))
+    );
+    if (changes.length > 0) {
+      await logLeadUpdated(id, req.admin._id, changes, updatedLead.name);
+    }
+
+    broadcastLeadEvent(EVENT_TYPES.LEAD_UPDATED, updatedLead, { previous: originalLead });
+    if (originalLead.assigned !== updatedLead.assigned) {
+      broadcastLeadEvent(EVENT_TYPES.LEAD_ASSIGNED, updatedLead, {
+        previous: originalLead,
+        data: {
+          lead: updatedLead,
+          previousAssigned: originalLead.assigned,
+          assigned: updatedLead.assigned
+        }
+      });
+    }
 
     res.json({
       success: true,
@@ -210,7 +342,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
  * @desc Delete lead by ID
  * @access Private
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('leads.delete'), requireLeadAccess(), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -230,6 +362,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    await logLeadDeleted(id, req.admin._id, deletedLead);
+
     res.json({
       success: true,
       message: 'Лід успішно видалено'
@@ -249,7 +383,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
  * @desc Toggle lead visibility (hide/unhide)
  * @access Private
  */
-router.patch('/:id/visibility', authenticateToken, async (req, res) => {
+router.patch('/:id/visibility', authenticateToken, requirePermission('leads.update'), requireLeadAccess(), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -282,6 +416,8 @@ router.patch('/:id/visibility', authenticateToken, async (req, res) => {
       await logLeadUnhidden(id, req.admin._id);
     }
 
+    broadcastLeadEvent(EVENT_TYPES.LEAD_UPDATED, updatedLead);
+
     res.json({
       success: true,
       data: updatedLead,
@@ -302,7 +438,7 @@ router.patch('/:id/visibility', authenticateToken, async (req, res) => {
  * @desc Add comment to lead
  * @access Private
  */
-router.post('/:id/comments', authenticateToken, async (req, res) => {
+router.post('/:id/comments', authenticateToken, requireLeadAccess(), async (req, res) => {
   try {
     const { id } = req.params;
     const { comment, photo } = req.body;
@@ -0,0 +1,193 @@
+const express = require('express');
+const Lead = require('../../models/Lead');
+const DuplicateSettings = require('../../models/DuplicateSettings');
+const router = express.Router();
+const { authenticateToken, requirePermission, requireLeadAccess } = require('../../middleware/auth');
+const { canAccessLead } = require('../../utils/leadAccess');
+const { isValidObjectId } = require('../../utils/leadHelpers');
+const { findDuplicate, mergeLeads } = require('../../utils/duplicateDetection');
+const { broadcastLeadEvent, EVENT_TYPES } = require('../../utils/realtime');
+const { createLogger } = require('../../utils/logger');
+
+const logger = createLogger('LeadsDuplicates');
+
+const SETTINGS_FIELDS = ['windowDays', 'matchPhone', 'matchEmail', 'matchName', 'nameSimilarityThreshold'];
+
+/**
+ * @route GET /api/leads/duplicates/settings
+ * @desc Get duplicate detection settings
+ * @access Private (SuperAdmin, Admin)
+ */
+router.get('/duplicates/settings', authenticateToken, requirePermission('duplicates.settings.view'), async (req, res) => {
+  try {
+    const settings = await DuplicateSettings.getSettings();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Failed to fetch duplicate settings', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні налаштувань дублів',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/leads/duplicates/settings
+ * @desc Update duplicate detection settings
+ * @access Private (SuperAdmin)
+ */
+router.put('/duplicates/settings', authenticateToken, requirePermission('duplicates.settings.edit'), async (req, res) => {
+  try {
+    const settings = await DuplicateSettings.getSettings();
+
+    SETTINGS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        settings[field] = req.body[field];
+      }
+    });
+    settings.updatedBy = req.admin._id;
+
+    await settings.save();
+
+    res.json({
+      success: true,
+      data: settings,
+      message: 'Налаштування дублів оновлено'
+    });
+  } catch (error) {
+    logger.error('Failed to update duplicate settings', { error: error.message });
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Помилка валідації',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при оновленні налаштувань дублів',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/leads/:id/duplicates
+ * @desc Get the original of a lead, its linked duplicates and a fresh match check
+ * @access Private
+ */
+router.get('/:id/duplicates', authenticateToken, requireLeadAccess(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Невірний формат ID'
+      });
+    }
+
+    const lead = await Lead.findById(id).lean();
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Лід не знайдено'
+      });
+    }
+
+    const originalId = lead.duplicateOf || lead._id;
+    const fields = 'name phone email status assigned dateCreate duplicateOf duplicateMatch mergedInto';
+
+    const [original, linkedDuplicates, possibleMatch] = await Promise.all([
+      lead.duplicateOf ? Lead.findById(lead.duplicateOf).select(fields).lean() : null,
+      Lead.find({ duplicateOf: originalId, _id: { $ne: lead._id } }).select(fields).sort({ dateCreate: 1 }).lean(),
+      findDuplicate(lead, { excludeId: lead._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        original,
+        duplicates: linkedDuplicates,
+        possibleMatch
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to fetch lead duplicates', { error: error.message, leadId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні дублів ліда',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/leads/:id/merge
+ * @desc Merge another lead (sourceLeadId) into this one
+ * @access Private (SuperAdmin, Admin, TeamLead)
+ */
+router.post('/:id/merge', authenticateToken, requirePermission('leads.merge'), requireLeadAccess(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sourceLeadId } = req.body;
+
+    if (!isValidObjectId(id) || !isValidObjectId(sourceLeadId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Невірний формат ID'
+      });
+    }
+
+    if (id === sourceLeadId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Неможливо об\'єднати лід сам із собою'
+      });
+    }
+
+    if (!(await canAccessLead(req.admin, sourceLeadId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Лід не знайдено'
+      });
+    }
+
+    const { target, summary } = await mergeLeads(id, sourceLeadId, req.admin._id);
+
+    broadcastLeadEvent(EVENT_TYPES.LEAD_UPDATED, target);
+
+    res.json({
+      success: true,
+      data: {
+        lead: target,
+        summary
+      },
+      message: 'Ліди успішно об\'єднано'
+    });
+  } catch (error) {
+    logger.error('Failed to merge leads', { error: error.message, targetId: req.params.id, sourceId: req.body.sourceLeadId });
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при об\'єднанні лідів',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
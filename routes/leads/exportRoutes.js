@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { buildLeadsFilter, buildSortObject } = require('../../utils/leadHelpers');
+const { FORMATS, resolveColumns, streamLeadsExport } = require('../../utils/leadExport');
+const { createLogger } = require('../../utils/logger');
+
+const logger = createLogger('LeadsExport');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * @route GET /api/leads/export
+ * @desc Stream leads to CSV/XLSX. Accepts the same filters and sorting as GET /api/leads
+ *       plus format (csv|xlsx, default csv) and columns (comma-separated)
+ * @access Private
+ */
+router.get('/', authenticateToken, requirePermission('leads.export'), async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Невідомий формат: ${format}. Доступні: ${FORMATS.join(', ')}`
+      });
+    }
+
+    const { columns, errors } = resolveColumns(req.query.columns);
+    if (errors.length > 0 || columns.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний список колонок',
+        errors
+      });
+    }
+
+    // Same role-based restrictions as the list endpoint
+    const queryWithUser = {
+      ...req.query,
+      userRole: req.admin?.role,
+      userId: req.admin?._id?.toString(),
+      userTeam: req.admin?.team
+    };
+
+    const filter = await buildLeadsFilter(queryWithUser);
+    const sort = buildSortObject(queryWithUser);
+
+    const fileName = `leads-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    await streamLeadsExport(res, { filter, sort, columns, format });
+  } catch (error) {
+    logger.error('Failed to export leads', { error: error.message });
+
+    // Once streaming started the status can't change; drop the broken download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при експорті лідів',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
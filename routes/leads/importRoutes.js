@@ -0,0 +1,151 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { parseSpreadsheet, resolveMapping, importLeads } = require('../../utils/leadImport');
+const { createLogger } = require('../../utils/logger');
+
+const logger = createLogger('LeadsImport');
+
+const MAX_FILE_SIZE_MB = 10;
+const ALLOWED_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Spreadsheets are parsed in memory, nothing is written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE_MB * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Дозволені тільки файли CSV та XLSX'));
+  }
+});
+
+/**
+ * Parse a JSON object sent as multipart text field (or already parsed JSON body)
+ * @private
+ */
+function parseJsonField(value, fieldName) {
+  if (value === undefined || value === '') return {};
+  if (typeof value === 'object') return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+  } catch (error) {
+    // handled below
+  }
+  throw new Error(`Поле ${fieldName} має бути JSON-об'єктом`);
+}
+
+/**
+ * @route POST /api/leads/import
+ * @desc Import leads from CSV/XLSX file (multipart field "file")
+ *       Text fields: mapping (JSON { column: leadField }), defaults (JSON),
+ *       dryRun, skipDuplicates (default true), delimiter (CSV only)
+ * @access Private (SuperAdmin, Admin)
+ */
+router.post('/', authenticateToken, requirePermission('leads.import'), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Файл не завантажено'
+      });
+    }
+
+    let mapping;
+    let defaults;
+    try {
+      mapping = parseJsonField(req.body.mapping, 'mapping');
+      defaults = parseJsonField(req.body.defaults, 'defaults');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const format = path.extname(req.file.originalname).toLowerCase() === '.xlsx' ? 'xlsx' : 'csv';
+    const { headers, rows } = await parseSpreadsheet(req.file.buffer, {
+      format,
+      delimiter: req.body.delimiter
+    });
+
+    if (headers.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Файл порожній або не містить заголовків'
+      });
+    }
+
+    const resolved = resolveMapping(headers, mapping);
+    if (resolved.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Помилка зіставлення колонок',
+        errors: resolved.errors,
+        data: { headers }
+      });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const report = await importLeads(rows, {
+      mapping: resolved.mapping,
+      defaults,
+      dryRun,
+      skipDuplicates: !(req.body.skipDuplicates === false || req.body.skipDuplicates === 'false'),
+      adminId: req.admin._id
+    });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      data: {
+        headers,
+        mapping: resolved.mapping,
+        ...report
+      },
+      message: dryRun
+        ? `Перевірка завершена: буде створено ${report.created} з ${report.totalRows}`
+        : `Імпортовано ${report.created} з ${report.totalRows} лідів`
+    });
+  } catch (error) {
+    logger.error('Failed to import leads', { error: error.message });
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при імпорті лідів',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Error handling middleware for multer
+ */
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({
+      success: false,
+      message: `Файл занадто великий. Максимальний розмір: ${MAX_FILE_SIZE_MB}MB`
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    message: error.message || 'Помилка при завантаженні файлу'
+  });
+});
+
+module.exports = router;
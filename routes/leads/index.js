@@ -8,9 +8,15 @@ const bulkRoutes = require('./bulkRoutes');
 const uploadRoutes = require('./uploadRoutes');
 const statsRoutes = require('./statsRoutes');
 const notesRoutes = require('./notesRoutes');
+const duplicateRoutes = require('./duplicateRoutes');
+const importRoutes = require('./importRoutes');
+const exportRoutes = require('./exportRoutes');
 
 // Mount route modules
 router.use('/', queryRoutes);
+router.use('/', duplicateRoutes);
+router.use('/import', importRoutes);
+router.use('/export', exportRoutes);
 router.use('/', crudRoutes);
 router.use('/bulk', bulkRoutes);
 router.use('/upload', uploadRoutes);
@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const Lead = require('../../models/Lead');
-const { authenticateToken } = require('../../middleware/auth');
+const { authenticateToken, requireLeadAccess } = require('../../middleware/auth');
 const { logCommentAdded, logCommentEdited, logCommentDeleted } = require('../../utils/historyLogger');
+const { broadcastLeadEvent, EVENT_TYPES } = require('../../utils/realtime');
 
 // Add note to lead
-router.post('/:id/notes', authenticateToken, async (req, res) => {
+router.post('/:id/notes', authenticateToken, requireLeadAccess(), async (req, res) => {
   try {
     const { note, photo, adminId, text } = req.body;
     const noteText = text || note; // Support both 'text' and 'note' parameters
@@ -53,6 +54,14 @@ router.post('/:id/notes', authenticateToken, async (req, res) => {
         console.error('Error logging comment addition:', logError);
       }
     }
+
+    broadcastLeadEvent(EVENT_TYPES.NOTE_ADDED, lead, {
+      data: {
+        leadId: lead._id,
+        leadName: lead.name,
+        note: lead.notes[lead.notes.length - 1]
+      }
+    });
     
     res.json({
       success: true,
@@ -70,7 +79,7 @@ router.post('/:id/notes', authenticateToken, async (req, res) => {
 });
 
 // Edit note by index
-router.put('/:id/notes/:noteIndex', authenticateToken, async (req, res) => {
+router.put('/:id/notes/:noteIndex', authenticateToken, requireLeadAccess(), async (req, res) => {
   try {
     const { text, note, photo, adminId } = req.body;
     const noteText = text || note; // Support both 'text' and 'note' parameters
@@ -137,7 +146,7 @@ router.put('/:id/notes/:noteIndex', authenticateToken, async (req, res) => {
 });
 
 // Delete note by index
-router.delete('/:id/notes/:noteIndex', authenticateToken, async (req, res) => {
+router.delete('/:id/notes/:noteIndex', authenticateToken, requireLeadAccess(), async (req, res) => {
   try {
     const noteIndex = parseInt(req.params.noteIndex);
     
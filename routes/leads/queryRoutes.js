@@ -1,7 +1,7 @@
 const express = require('express');
 const Lead = require('../../models/Lead');
 const router = express.Router();
-const { authenticateToken } = require('../../middleware/auth');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
 const { buildLeadsFilter, buildSortObject } = require('../../utils/leadHelpers');
 const { createLogger } = require('../../utils/logger');
 
@@ -104,7 +104,7 @@ router.get('/departments', authenticateToken, async (req, res) => {
  * @desc Get all leads with pagination and filtering
  * @access Private
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('leads.read'), async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
     
@@ -225,7 +225,7 @@ router.get('/', authenticateToken, async (req, res) => {
  * @desc Search leads by phone, name, or email
  * @access Private
  */
-router.get('/search', authenticateToken, async (req, res) => {
+router.get('/search', authenticateToken, requirePermission('leads.read'), async (req, res) => {
   try {
     const { q, limit = 10 } = req.query;
     
@@ -236,7 +236,13 @@ router.get('/search', authenticateToken, async (req, res) => {
       });
     }
 
-    const filter = await buildLeadsFilter({ search: q, hidden: 'false' });
+    const filter = await buildLeadsFilter({
+      search: q,
+      hidden: 'false',
+      userRole: req.admin.role,
+      userId: req.admin._id.toString(),
+      userTeam: req.admin.team
+    });
     
     const leads = await Lead.find(filter)
       .select('name phone email status sourceDescription dateCreate')
@@ -1,7 +1,7 @@
 const express = require('express');
 const Lead = require('../../models/Lead');
 const router = express.Router();
-const { authenticateToken } = require('../../middleware/auth');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
 const { buildLeadsFilter } = require('../../utils/leadHelpers');
 const { createLogger } = require('../../utils/logger');
 
@@ -12,7 +12,7 @@ const logger = createLogger('LeadsStats');
  * @desc Get leads statistics overview
  * @access Private
  */
-router.get('/overview', authenticateToken, async (req, res) => {
+router.get('/overview', authenticateToken, requirePermission('stats.view'), async (req, res) => {
   try {
     const stats = await Lead.aggregate([
       {
@@ -53,7 +53,7 @@ router.get('/overview', authenticateToken, async (req, res) => {
  * @desc Get leads count by status for filter buttons
  * @access Private
  */
-router.get('/status-counts', authenticateToken, async (req, res) => {
+router.get('/status-counts', authenticateToken, requirePermission('stats.view'), async (req, res) => {
   try {
     const { 
       assigned, 
@@ -63,14 +63,17 @@ router.get('/status-counts', authenticateToken, async (req, res) => {
       sourceDescription,
       utm_source,
       dateFrom,
-      dateTo,
-      userRole,
-      userId,
-      userTeam
+      dateTo
     } = req.query;
 
-    // Build filter object using the helper function
-    const filter = await buildLeadsFilter(req.query);
+    // Counts of the leads list: same leads scope as GET /api/leads, from the authenticated admin only
+    const filter = await buildLeadsFilter({
+      ...req.query,
+      forStats: undefined, // leads scope; the stats scope is never chosen by the query
+      userRole: req.admin.role,
+      userId: req.admin._id.toString(),
+      userTeam: req.admin.team
+    });
 
     // Handle statuses parameter - can be array or comma-separated string
     let visibleStatuses = null;
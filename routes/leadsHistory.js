@@ -2,10 +2,14 @@ const express = require('express');
 const router = express.Router();
 const LeadsHistory = require('../models/LeadsHistory');
 const mongoose = require('mongoose');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireLeadAccess, requirePermission } = require('../middleware/auth');
+const { canAccessLead, findInLeadScope } = require('../utils/leadAccess');
+const { addHistoryLabels } = require('../utils/historyLabels');
+const { revertHistoryEntry } = require('../utils/leadTimeline');
+const { broadcastLeadEvent, EVENT_TYPES } = require('../utils/realtime');
 
 // Get history for a specific lead
-router.get('/lead/:leadId', authenticateToken, async (req, res) => {
+router.get('/lead/:leadId', authenticateToken, requireLeadAccess('leadId'), async (req, res) => {
   try {
     const { leadId } = req.params;
     const { page = 1, limit = 50, actionType } = req.query;
@@ -26,7 +30,7 @@ router.get('/lead/:leadId', authenticateToken, async (req, res) => {
       query.actionType = actionType;
     }
 
-    // Get history with pagination
+    // Get history with pagination (requireLeadAccess has checked the lead)
     const [history, totalCount] = await Promise.all([
       LeadsHistory.find(query)
         .populate('adminId', 'login email')
@@ -37,6 +41,9 @@ router.get('/lead/:leadId', authenticateToken, async (req, res) => {
       LeadsHistory.countDocuments(query)
     ]);
 
+    // Status labels and admin logins instead of raw values
+    await addHistoryLabels(history);
+
     // Calculate pagination info
     const totalPages = Math.ceil(totalCount / limit);
     const hasNextPage = page < totalPages;
@@ -101,17 +108,15 @@ router.get('/', authenticateToken, async (req, res) => {
       }
     }
 
-    // Get history with pagination
-    const [history, totalCount] = await Promise.all([
-      LeadsHistory.find(query)
-        .populate('leadId', 'name phone email')
-        .populate('adminId', 'login email')
-        .sort({ timestamp: -1 })
-        .limit(parseInt(limit))
-        .skip(skip)
-        .lean(),
-      LeadsHistory.countDocuments(query)
-    ]);
+    // Get history of leads within the data scope, with pagination
+    const { docs: history, total: totalCount } = await findInLeadScope(LeadsHistory, query, req.admin, {
+      sort: { timestamp: -1 },
+      skip,
+      limit: parseInt(limit),
+      populate: [{ path: 'leadId', select: 'name phone email' }, { path: 'adminId', select: 'login email' }],
+      lean: true,
+      count: true
+    });
 
     // Calculate pagination info
     const totalPages = Math.ceil(totalCount / limit);
@@ -165,16 +170,15 @@ router.get('/admin/:adminId', authenticateToken, async (req, res) => {
       query.actionType = actionType;
     }
 
-    // Get admin activity with pagination
-    const [history, totalCount] = await Promise.all([
-      LeadsHistory.find(query)
-        .populate('leadId', 'name phone email')
-        .sort({ timestamp: -1 })
-        .limit(parseInt(limit))
-        .skip(skip)
-        .lean(),
-      LeadsHistory.countDocuments(query)
-    ]);
+    // Get admin activity on leads within the data scope, with pagination
+    const { docs: history, total: totalCount } = await findInLeadScope(LeadsHistory, query, req.admin, {
+      sort: { timestamp: -1 },
+      skip,
+      limit: parseInt(limit),
+      populate: { path: 'leadId', select: 'name phone email' },
+      lean: true,
+      count: true
+    });
 
     // Calculate pagination info
     const totalPages = Math.ceil(totalCount / limit);
@@ -227,6 +231,13 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    if (!(await canAccessLead(req.admin, leadId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Лід не знайдено'
+      });
+    }
+
     // Create history entry
     const historyEntry = await LeadsHistory.createHistoryEntry({
       leadId,
@@ -313,5 +324,73 @@ router.get('/stats/action-types', authenticateToken, async (req, res) => {
   }
 });
 
+// Revert a status, assignment or contact change (body: note, force)
+router.post('/:historyId/revert', authenticateToken, requirePermission('leads.update'), async (req, res) => {
+  try {
+    const { historyId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(historyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Невірний ID запису історії'
+      });
+    }
+
+    const { lead, previous, fields } = await revertHistoryEntry(historyId, {
+      admin: req.admin,
+      access: req.access,
+      note: req.body.note,
+      force: req.body.force === true
+    });
+
+    broadcastLeadEvent(EVENT_TYPES.LEAD_UPDATED, lead, { previous });
+    if (fields.includes('assigned') && previous.assigned !== lead.assigned) {
+      broadcastLeadEvent(EVENT_TYPES.LEAD_ASSIGNED, lead, {
+        previous,
+        data: {
+          lead,
+          previousAssigned: previous.assigned,
+          assigned: lead.assigned
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: lead,
+      message: 'Зміну скасовано'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...(error.errors ? { errors: error.errors } : {})
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Помилка валідації',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Лід з таким телефоном вже існує'
+      });
+    }
+
+    console.error('Error reverting history entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при скасуванні зміни',
+      error: error.message
+    });
+  }
+});
 
 module.exports = router;
@@ -14,7 +14,7 @@
 const express = require('express');
 const router = express.Router();
 const LotController = require('../controllers/lotController');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 // ==================== MIDDLEWARE ====================
 
@@ -28,13 +28,13 @@ router.use(authenticateToken);
 /**
  * @route   POST /api/lots
  * @desc    Create a new LOT
- * @access  Reten, Admin, SuperAdmin
+ * @access  Permission lots.create (lead within data scope)
  * @body    { leadId, lotName, amount, lotDate }
  * @returns { success, message, data }
  */
 router.post(
   '/',
-  authorizeRoles(['Reten', 'Admin', 'SuperAdmin']),
+  requirePermission('lots.create'),
   LotController.createLot
 );
 
@@ -64,20 +64,20 @@ router.get(
 /**
  * @route   GET /api/lots/stats
  * @desc    Get LOT statistics
- * @access  TeamLead, Admin, SuperAdmin
+ * @access  Permission lots.stats.view
  * @query   { startDate, endDate, team }
  * @returns { success, data }
  */
 router.get(
   '/stats',
-  authorizeRoles(['Reten', 'Admin', 'SuperAdmin']),
+  requirePermission('lots.stats.view'),
   LotController.getLotStats
 );
 
 /**
  * @route   GET /api/lots/:id
  * @desc    Get single LOT by ID
- * @access  Authenticated users (access control applied)
+ * @access  Authenticated users (lead within data scope)
  * @param   id - LOT ID
  * @returns { success, data }
  */
@@ -89,41 +89,41 @@ router.get(
 /**
  * @route   PATCH /api/lots/:id/amount
  * @desc    Update LOT amount
- * @access  Reten, Admin, SuperAdmin (own LOTs only for Reten)
+ * @access  Permission lots.update (lead within data scope, own LOTs only for Reten)
  * @param   id - LOT ID
  * @body    { amount, reason }
  * @returns { success, message, data }
  */
 router.patch(
   '/:id/amount',
-  authorizeRoles(['Reten', 'Admin', 'SuperAdmin']),
+  requirePermission('lots.update'),
   LotController.updateLotAmount
 );
 
 /**
  * @route   PATCH /api/lots/:id/payout
  * @desc    Update LOT payout amount and isPaid status
- * @access  TeamLead, Admin, SuperAdmin
+ * @access  Permission lots.payout.edit (lead within data scope)
  * @param   id - LOT ID
  * @body    { payoutAmount, isPaid }
  * @returns { success, message, data }
  */
 router.patch(
   '/:id/payout',
-  authorizeRoles(['Reten', 'Admin', 'SuperAdmin']),
+  requirePermission('lots.payout.edit'),
   LotController.updateLotPayout
 );
 
 /**
  * @route   DELETE /api/lots/:id
  * @desc    Delete LOT (soft delete)
- * @access  Admin, SuperAdmin only
+ * @access  Permission lots.delete (lead within data scope)
  * @param   id - LOT ID
  * @returns { success, message }
  */
 router.delete(
   '/:id',
-  authorizeRoles(['Admin', 'SuperAdmin']),
+  requirePermission('lots.delete'),
   LotController.deleteLot
 );
 
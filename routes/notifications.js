@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { authenticateToken } = require('../middleware/auth');
+
+router.use(authenticateToken);
+
+// GET /api/notifications - Get notifications of the current admin (unreadOnly, type, page, limit)
+router.get('/', async (req, res) => {
+  try {
+    const { unreadOnly, type } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = { adminId: req.admin._id };
+    if (unreadOnly === 'true') {
+      filter.isRead = false;
+    }
+    if (type) {
+      filter.type = type;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate('leadId', 'name phone status')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ adminId: req.admin._id, isRead: false })
+    ]);
+
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні сповіщень',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/notifications/read-all - Mark all notifications of the current admin as read
+router.patch('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { adminId: req.admin._id, isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: `Прочитано ${result.modifiedCount} сповіщень`,
+      modifiedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при оновленні сповіщень',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/notifications/:id/read - Mark notification as read
+router.patch('/:id/read', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID сповіщення'
+      });
+    }
+
+    // Other admins' notifications are reported as missing
+    const notification = await Notification.findOne({ _id: req.params.id, adminId: req.admin._id });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Сповіщення не знайдено'
+      });
+    }
+
+    await notification.markRead();
+
+    res.json({
+      success: true,
+      data: notification,
+      message: 'Сповіщення прочитано'
+    });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при оновленні сповіщення',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,367 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const AccessOverride = require('../models/AccessOverride');
+const Admin = require('../models/Admin');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  PERMISSIONS,
+  DATA_SCOPE_RESOURCES,
+  ensureDefaultRoles,
+  findUnknownPermissions,
+  resolveAccess,
+  invalidateAccessCache
+} = require('../utils/permissions');
+
+const SCOPE_FIELDS = ['level', 'includeUtmSources', 'excludeUtmSources'];
+
+/**
+ * Validate permission lists and data scopes from the request body
+ * @returns {string|null} Error message or null when valid
+ */
+function validateAccessBody(body, permissionFields) {
+  for (const field of permissionFields) {
+    if (body[field] === undefined) continue;
+    if (!Array.isArray(body[field])) return `${field} має бути масивом`;
+
+    const unknown = findUnknownPermissions(body[field]);
+    if (unknown.length > 0) return `Невідомі права: ${unknown.join(', ')}`;
+  }
+
+  if (body.dataScopes !== undefined) {
+    if (!body.dataScopes || typeof body.dataScopes !== 'object') return 'dataScopes має бути об\'єктом';
+
+    const unknownResources = Object.keys(body.dataScopes).filter(resource => !DATA_SCOPE_RESOURCES.includes(resource));
+    if (unknownResources.length > 0) return `Невідомі ресурси: ${unknownResources.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Keep only known scope fields (unset fields are not overridden)
+ * @private
+ */
+function pickScopes(dataScopes) {
+  const result = {};
+  Object.keys(dataScopes).forEach(resource => {
+    const scope = dataScopes[resource];
+    if (!scope) return;
+    result[resource] = {};
+    SCOPE_FIELDS.forEach(field => {
+      if (scope[field] !== undefined) result[resource][field] = scope[field];
+    });
+  });
+  return result;
+}
+
+/**
+ * Respond with a validation error or a generic 500
+ * @private
+ */
+function sendError(res, error, message) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Помилка валідації',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+}
+
+router.use(authenticateToken);
+
+// GET /api/permissions/me - Effective permissions and data scopes of the current admin
+router.get('/me', async (req, res) => {
+  try {
+    const access = await resolveAccess(req.admin);
+
+    res.json({
+      success: true,
+      data: access
+    });
+  } catch (error) {
+    console.error('Error resolving permissions:', error);
+    sendError(res, error, 'Помилка при отриманні прав доступу');
+  }
+});
+
+router.use(requirePermission('permissions.manage'));
+
+// GET /api/permissions/catalog - Known permissions, resources and scope levels
+router.get('/catalog', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+      resources: DATA_SCOPE_RESOURCES,
+      levels: Role.SCOPE_LEVELS
+    }
+  });
+});
+
+// GET /api/permissions/roles - Get roles
+router.get('/roles', async (req, res) => {
+  try {
+    await ensureDefaultRoles();
+    const roles = await Role.find().populate('updatedBy', 'login').sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: roles
+    });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    sendError(res, error, 'Помилка при отриманні ролей');
+  }
+});
+
+// POST /api/permissions/roles - Create role (admins can then be given it in Admin.role)
+router.post('/roles', async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Назва ролі обов\'язкова'
+      });
+    }
+
+    const validationError = validateAccessBody(req.body, ['permissions']);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    if (req.body.requireTwoFactor !== undefined && typeof req.body.requireTwoFactor !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'requireTwoFactor має бути boolean'
+      });
+    }
+
+    await ensureDefaultRoles();
+    if (await Role.exists({ name })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Роль з такою назвою вже існує'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description: req.body.description || '',
+      permissions: req.body.permissions || [],
+      dataScopes: req.body.dataScopes ? pickScopes(req.body.dataScopes) : {},
+      requireTwoFactor: req.body.requireTwoFactor || false,
+      updatedBy: req.admin._id
+    });
+    invalidateAccessCache();
+
+    res.status(201).json({
+      success: true,
+      data: role,
+      message: 'Роль створено'
+    });
+  } catch (error) {
+    console.error('Error creating role:', error);
+    sendError(res, error, 'Помилка при створенні ролі');
+  }
+});
+
+// PUT /api/permissions/roles/:name - Update role permissions, data scopes and 2FA requirement
+router.put('/roles/:name', async (req, res) => {
+  try {
+    const validationError = validateAccessBody(req.body, ['permissions']);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    if (req.body.requireTwoFactor !== undefined && typeof req.body.requireTwoFactor !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'requireTwoFactor має бути boolean'
+      });
+    }
+
+    await ensureDefaultRoles();
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Роль не знайдено'
+      });
+    }
+
+    if (req.body.description !== undefined) {
+      role.description = req.body.description;
+    }
+    if (req.body.permissions !== undefined) {
+      role.permissions = req.body.permissions;
+    }
+    if (req.body.dataScopes !== undefined) {
+      const scopes = pickScopes(req.body.dataScopes);
+      Object.keys(scopes).forEach(resource => {
+        role.dataScopes[resource] = { ...role.dataScopes[resource].toObject(), ...scopes[resource] };
+      });
+    }
+    if (req.body.requireTwoFactor !== undefined) {
+      role.requireTwoFactor = req.body.requireTwoFactor;
+    }
+    role.updatedBy = req.admin._id;
+
+    await role.save();
+    invalidateAccessCache();
+
+    res.json({
+      success: true,
+      data: role,
+      message: 'Роль оновлено'
+    });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    sendError(res, error, 'Помилка при оновленні ролі');
+  }
+});
+
+// GET /api/permissions/overrides - Get team and admin overrides
+router.get('/overrides', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.subjectType) {
+      filter.subjectType = req.query.subjectType;
+    }
+
+    const overrides = await AccessOverride.find(filter)
+      .populate('updatedBy', 'login')
+      .sort({ subjectType: 1, subject: 1 });
+
+    res.json({
+      success: true,
+      data: overrides
+    });
+  } catch (error) {
+    console.error('Error fetching access overrides:', error);
+    sendError(res, error, 'Помилка при отриманні винятків доступу');
+  }
+});
+
+// PUT /api/permissions/overrides/:subjectType/:subject - Create or replace override
+router.put('/overrides/:subjectType/:subject', async (req, res) => {
+  try {
+    const { subjectType, subject } = req.params;
+
+    if (!AccessOverride.SUBJECT_TYPES.includes(subjectType)) {
+      return res.status(400).json({
+        success: false,
+        message: `subjectType має бути одним із: ${AccessOverride.SUBJECT_TYPES.join(', ')}`
+      });
+    }
+
+    if (subjectType === 'admin') {
+      if (!mongoose.Types.ObjectId.isValid(subject) || !(await Admin.exists({ _id: subject }))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Користувача не знайдено'
+        });
+      }
+    }
+
+    const validationError = validateAccessBody(req.body, ['grant', 'revoke']);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const override = await AccessOverride.findOne({ subjectType, subject }) || new AccessOverride({ subjectType, subject });
+    override.grant = req.body.grant || [];
+    override.revoke = req.body.revoke || [];
+    override.dataScopes = req.body.dataScopes ? pickScopes(req.body.dataScopes) : {};
+    override.note = req.body.note || '';
+    override.updatedBy = req.admin._id;
+
+    await override.save();
+    invalidateAccessCache();
+
+    res.json({
+      success: true,
+      data: override,
+      message: 'Винятки доступу збережено'
+    });
+  } catch (error) {
+    console.error('Error saving access override:', error);
+    sendError(res, error, 'Помилка при збереженні винятків доступу');
+  }
+});
+
+// DELETE /api/permissions/overrides/:subjectType/:subject - Delete override
+router.delete('/overrides/:subjectType/:subject', async (req, res) => {
+  try {
+    const { subjectType, subject } = req.params;
+    const override = await AccessOverride.findOneAndDelete({ subjectType, subject });
+
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        message: 'Винятки доступу не знайдено'
+      });
+    }
+
+    invalidateAccessCache();
+
+    res.json({
+      success: true,
+      message: 'Винятки доступу видалено'
+    });
+  } catch (error) {
+    console.error('Error deleting access override:', error);
+    sendError(res, error, 'Помилка при видаленні винятків доступу');
+  }
+});
+
+// GET /api/permissions/admins/:id - Effective permissions of an admin
+router.get('/admins/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID користувача'
+      });
+    }
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Користувача не знайдено'
+      });
+    }
+
+    const access = await resolveAccess(admin);
+
+    res.json({
+      success: true,
+      data: {
+        admin: admin.toJSON(),
+        ...access
+      }
+    });
+  } catch (error) {
+    console.error('Error resolving admin permissions:', error);
+    sendError(res, error, 'Помилка при отриманні прав користувача');
+  }
+});
+
+module.exports = router;
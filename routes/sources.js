@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const Source = require('../models/Source');
 const { authenticateToken } = require('../middleware/auth');
+const { auditChanges } = require('../middleware/audit');
+
+const auditSource = auditChanges({ entityType: 'Source', model: Source });
+const auditSources = auditChanges({ entityType: 'Source', model: Source, getIds: req => req.body.ids });
 
 // GET /api/sources - Get all sources
 router.get('/', authenticateToken, async (req, res) => {
@@ -115,7 +119,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // POST /api/sources - Create new source
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, auditSource, async (req, res) => {
   try {
     const { name, description, type, url, isActive, priority } = req.body;
 
@@ -163,7 +167,7 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // PUT /api/sources/:id - Update source
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, auditSource, async (req, res) => {
   try {
     const { name, description, type, url, isActive, priority } = req.body;
 
@@ -216,7 +220,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
 });
 
 // DELETE /api/sources/:id - Delete source
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, auditSource, async (req, res) => {
   try {
     const source = await Source.findById(req.params.id);
     
@@ -244,7 +248,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // PATCH /api/sources/:id/toggle - Toggle source active state
-router.patch('/:id/toggle', authenticateToken, async (req, res) => {
+router.patch('/:id/toggle', authenticateToken, auditSource, async (req, res) => {
   try {
     const source = await Source.findById(req.params.id);
     
@@ -274,7 +278,7 @@ router.patch('/:id/toggle', authenticateToken, async (req, res) => {
 });
 
 // PATCH /api/sources/bulk/toggle - Bulk toggle sources
-router.patch('/bulk/toggle', authenticateToken, async (req, res) => {
+router.patch('/bulk/toggle', authenticateToken, auditSources, async (req, res) => {
   try {
     const { ids } = req.body;
     
@@ -318,7 +322,7 @@ router.patch('/bulk/toggle', authenticateToken, async (req, res) => {
 });
 
 // DELETE /api/sources/bulk/delete - Bulk delete sources
-router.delete('/bulk/delete', authenticateToken, async (req, res) => {
+router.delete('/bulk/delete', authenticateToken, auditSources, async (req, res) => {
   try {
     const { ids } = req.body;
     
@@ -1,28 +1,38 @@
 const express = require('express');
 const Lead = require('../models/Lead');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { buildLeadsFilter, isValidObjectId } = require('../utils/leadHelpers');
+const { computeFunnel } = require('../utils/funnelStats');
+const { getTimeSeries, getCohorts } = require('../utils/timeSeries');
+const { getScorecards } = require('../utils/managerScorecards');
+const { getTeamStats, getTeamStatusBreakdown } = require('../utils/teamStats');
+const { listTeams } = require('../utils/teamMembership');
+const { hasPermission } = require('../utils/permissions');
+const { getLeadCounts, groupByValue, startSnapshotRebuild, getSnapshotStatus } = require('../utils/statsSnapshots');
+const Admin = require('../models/Admin');
+
+// Stats snapshots are skipped with ?live=true (utils/statsSnapshots)
+const wantsLive = req => ['true', '1'].includes(String(req.query.live));
+
+const statusCount = (counts, status) => {
+  const row = counts.byStatus.find(item => item.status === status);
+  return row ? row.count : 0;
+};
 
 // Get detailed leads statistics
+// Query: live=true to skip the snapshots
 router.get('/leads/detailed', authenticateToken, async (req, res) => {
   try {
-    // Get total count of leads (including hidden)
-    const totalLeads = await Lead.countDocuments({});
-    
-    // Get count of leads with status DUPLICATE
-    const duplicateLeads = await Lead.countDocuments({ 
-      status: 'DUPLICATE' 
-    });
-    
-    // Get count of leads with department = 9
-    const department9Leads = await Lead.countDocuments({ 
-      department: '9' 
-    });
-    
-    // Get count of leads with status CONVERTED
-    const convertedLeads = await Lead.countDocuments({ 
-      status: 'CONVERTED' 
-    });
+    const { source, counts } = await getLeadCounts({ live: wantsLive(req), dimensions: ['department'] });
+
+    // Total count of leads (including hidden)
+    const totalLeads = counts.total;
+    const duplicateLeads = statusCount(counts, 'DUPLICATE');
+    const department9Leads = counts.byDepartment
+      .filter(row => row.value === 9)
+      .reduce((sum, row) => sum + row.count, 0);
+    const convertedLeads = statusCount(counts, 'CONVERTED');
     
     // Calculate percentages
     const duplicatePercentage = totalLeads > 0 ? ((duplicateLeads / totalLeads) * 100).toFixed(2) : 0;
@@ -30,6 +40,7 @@ router.get('/leads/detailed', authenticateToken, async (req, res) => {
     
     res.json({
       success: true,
+      source,
       data: {
         totalLeads,
         duplicateLeads,
@@ -53,23 +64,15 @@ router.get('/leads/detailed', authenticateToken, async (req, res) => {
 // Get leads overview statistics (basic stats)
 router.get('/leads/overview', authenticateToken, async (req, res) => {
   try {
-    const stats = await Lead.aggregate([
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-    
-    const total = await Lead.countDocuments({});
+    const { source, counts } = await getLeadCounts({ live: wantsLive(req) });
     
     res.json({
       success: true,
+      source,
       data: {
-        total,
-        byStatus: stats.reduce((acc, item) => {
-          acc[item._id] = item.count;
+        total: counts.total,
+        byStatus: counts.byStatus.reduce((acc, item) => {
+          acc[item.status] = item.count;
           return acc;
         }, {})
       }
@@ -88,32 +91,22 @@ router.get('/leads/overview', authenticateToken, async (req, res) => {
 // Get leads count by status for filter buttons
 router.get('/leads/status-counts', authenticateToken, async (req, res) => {
   try {
-    // Get counts by status
-    const statusCounts = await Lead.aggregate([
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-    
-    // Get total count
-    const total = await Lead.countDocuments({});
+    const { source, counts: leadCounts } = await getLeadCounts({ live: wantsLive(req) });
     
     // Format response for filter buttons
     const counts = {
-      '': total, // 'All' filter
+      '': leadCounts.total, // 'All' filter
     };
     
-    statusCounts.forEach(item => {
-      if (item._id) {
-        counts[item._id] = item.count;
+    leadCounts.byStatus.forEach(item => {
+      if (item.status) {
+        counts[item.status] = item.count;
       }
     });
     
     res.json({
       success: true,
+      source,
       data: counts
     });
 
@@ -130,38 +123,23 @@ router.get('/leads/status-counts', authenticateToken, async (req, res) => {
 // Get leads statistics by sourceDescription
 router.get('/leads/by-source-description', authenticateToken, async (req, res) => {
   try {
-    // Get total leads count by sourceDescription
-    const leadsBySource = await Lead.aggregate([
-      {
-        $group: {
-          _id: '$sourceDescription',
-          totalCount: { $sum: 1 },
-          duplicateCount: {
-            $sum: {
-              $cond: [{ $eq: ['$status', 'DUPLICATE'] }, 1, 0]
-            }
-          }
-        }
-      },
-      {
-        $sort: { totalCount: -1 }
-      }
-    ]);
+    const { source, counts } = await getLeadCounts({ live: wantsLive(req), dimensions: ['sourceDescription'] });
 
     // Calculate percentages and format data
-    const totalLeads = await Lead.countDocuments({});
-    const formattedData = leadsBySource.map(item => {
+    const totalLeads = counts.total;
+    const formattedData = groupByValue(counts.bySourceDescription).map(item => {
+      const duplicateCount = item.statusBreakdown.DUPLICATE || 0;
       const duplicatePercentage = item.totalCount > 0 
-        ? ((item.duplicateCount / item.totalCount) * 100).toFixed(2) 
+        ? ((duplicateCount / item.totalCount) * 100).toFixed(2) 
         : 0;
       const totalPercentage = totalLeads > 0 
         ? ((item.totalCount / totalLeads) * 100).toFixed(2) 
         : 0;
       
       return {
-        sourceDescription: item._id || 'Не вказано',
+        sourceDescription: item.value || 'Не вказано',
         totalCount: item.totalCount,
-        duplicateCount: item.duplicateCount,
+        duplicateCount,
         duplicatePercentage: parseFloat(duplicatePercentage),
         totalPercentage: parseFloat(totalPercentage)
       };
@@ -169,6 +147,7 @@ router.get('/leads/by-source-description', authenticateToken, async (req, res) =
 
     res.json({
       success: true,
+      source,
       data: {
         totalLeads,
         bySourceDescription: formattedData
@@ -188,38 +167,23 @@ router.get('/leads/by-source-description', authenticateToken, async (req, res) =
 // Get leads statistics by utm_source
 router.get('/leads/by-utm-source', authenticateToken, async (req, res) => {
   try {
-    // Get total leads count by utm_source
-    const leadsByUtmSource = await Lead.aggregate([
-      {
-        $group: {
-          _id: '$utm_source',
-          totalCount: { $sum: 1 },
-          duplicateCount: {
-            $sum: {
-              $cond: [{ $eq: ['$status', 'DUPLICATE'] }, 1, 0]
-            }
-          }
-        }
-      },
-      {
-        $sort: { totalCount: -1 }
-      }
-    ]);
+    const { source, counts } = await getLeadCounts({ live: wantsLive(req), dimensions: ['utm_source'] });
 
     // Calculate percentages and format data
-    const totalLeads = await Lead.countDocuments({});
-    const formattedData = leadsByUtmSource.map(item => {
+    const totalLeads = counts.total;
+    const formattedData = groupByValue(counts.byUtmSource).map(item => {
+      const duplicateCount = item.statusBreakdown.DUPLICATE || 0;
       const duplicatePercentage = item.totalCount > 0 
-        ? ((item.duplicateCount / item.totalCount) * 100).toFixed(2) 
+        ? ((duplicateCount / item.totalCount) * 100).toFixed(2) 
         : 0;
       const totalPercentage = totalLeads > 0 
         ? ((item.totalCount / totalLeads) * 100).toFixed(2) 
         : 0;
       
       return {
-        utmSource: item._id || 'Не вказано',
+        utmSource: item.value || 'Не вказано',
         totalCount: item.totalCount,
-        duplicateCount: item.duplicateCount,
+        duplicateCount,
         duplicatePercentage: parseFloat(duplicatePercentage),
         totalPercentage: parseFloat(totalPercentage)
       };
@@ -227,6 +191,7 @@ router.get('/leads/by-utm-source', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
+      source,
       data: {
         totalLeads,
         byUtmSource: formattedData
@@ -246,46 +211,23 @@ router.get('/leads/by-utm-source', authenticateToken, async (req, res) => {
 // Get leads statistics by manager
 router.get('/leads/by-manager', authenticateToken, async (req, res) => {
   try {
-    // Get leads count and status breakdown by manager
-    const leadsByManager = await Lead.aggregate([
-      {
-        $group: {
-          _id: {
-            manager: '$manager',
-            status: '$status'
-          },
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $group: {
-          _id: '$_id.manager',
-          totalCount: { $sum: '$count' },
-          statusBreakdown: {
-            $push: {
-              status: '$_id.status',
-              count: '$count'
-            }
-          }
-        }
-      },
-      {
-        $sort: { totalCount: -1 }
-      }
-    ]);
+    // Leads store the manager in `assigned`
+    const { source, counts } = await getLeadCounts({ live: wantsLive(req), dimensions: ['assigned'] });
+    const leadsByManager = groupByValue(counts.byAssigned);
+
+    const managerIds = leadsByManager.map(item => item.value).filter(id => id && isValidObjectId(id));
+    const managers = await Admin.find({ _id: { $in: managerIds } }, 'login').lean();
+    const logins = new Map(managers.map(manager => [manager._id.toString(), manager.login]));
 
     // Format data with status breakdown
-    const totalLeads = await Lead.countDocuments({});
+    const totalLeads = counts.total;
     const formattedData = leadsByManager.map(item => {
       const statusObj = {};
-      let convertedCount = 0;
-      let duplicateCount = 0;
-      
-      item.statusBreakdown.forEach(status => {
-        statusObj[status.status || 'Не вказано'] = status.count;
-        if (status.status === 'CONVERTED') convertedCount = status.count;
-        if (status.status === 'DUPLICATE') duplicateCount = status.count;
+      Object.entries(item.statusBreakdown).forEach(([status, count]) => {
+        statusObj[status && status !== 'null' ? status : 'Не вказано'] = count;
       });
+      const convertedCount = item.statusBreakdown.CONVERTED || 0;
+      const duplicateCount = item.statusBreakdown.DUPLICATE || 0;
       
       const conversionRate = item.totalCount > 0 
         ? ((convertedCount / item.totalCount) * 100).toFixed(2) 
@@ -298,7 +240,8 @@ router.get('/leads/by-manager', authenticateToken, async (req, res) => {
         : 0;
       
       return {
-        manager: item._id || 'Не призначено',
+        manager: item.value || 'Не призначено',
+        managerLogin: item.value ? logins.get(String(item.value)) || null : null,
         totalCount: item.totalCount,
         convertedCount,
         duplicateCount,
@@ -311,6 +254,7 @@ router.get('/leads/by-manager', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
+      source,
       data: {
         totalLeads,
         byManager: formattedData
@@ -327,62 +271,24 @@ router.get('/leads/by-manager', authenticateToken, async (req, res) => {
   }
 });
 
-// Get leads statistics by team
-router.get('/leads/by-team', authenticateToken, async (req, res) => {
+// Get leads statistics by team (teams resolved from Teams and Admin.team, see utils/teamMembership)
+// Query: dateFrom, dateTo, team, live
+router.get('/leads/by-team', authenticateToken, requirePermission('stats.view'), async (req, res) => {
   try {
-    // Get leads count by team
-    const leadsByTeam = await Lead.aggregate([
-      {
-        $group: {
-          _id: '$team',
-          totalCount: { $sum: 1 },
-          convertedCount: {
-            $sum: {
-              $cond: [{ $eq: ['$status', 'CONVERTED'] }, 1, 0]
-            }
-          },
-          duplicateCount: {
-            $sum: {
-              $cond: [{ $eq: ['$status', 'DUPLICATE'] }, 1, 0]
-            }
-          }
-        }
-      },
-      {
-        $sort: { totalCount: -1 }
-      }
-    ]);
+    const { dateFrom, dateTo, team } = req.query;
 
-    // Calculate percentages and format data
-    const totalLeads = await Lead.countDocuments({});
-    const formattedData = leadsByTeam.map(item => {
-      const conversionRate = item.totalCount > 0 
-        ? ((item.convertedCount / item.totalCount) * 100).toFixed(2) 
-        : 0;
-      const duplicateRate = item.totalCount > 0 
-        ? ((item.duplicateCount / item.totalCount) * 100).toFixed(2) 
-        : 0;
-      const totalPercentage = totalLeads > 0 
-        ? ((item.totalCount / totalLeads) * 100).toFixed(2) 
-        : 0;
-      
-      return {
-        team: item._id || 'Не призначено',
-        totalCount: item.totalCount,
-        convertedCount: item.convertedCount,
-        duplicateCount: item.duplicateCount,
-        conversionRate: parseFloat(conversionRate),
-        duplicateRate: parseFloat(duplicateRate),
-        totalPercentage: parseFloat(totalPercentage)
-      };
+    const { source, ...stats } = await getTeamStats(req.admin, {
+      dateFrom,
+      dateTo,
+      team,
+      includeLots: hasPermission(req.access.permissions, 'lots.stats.view'),
+      live: wantsLive(req)
     });
 
     res.json({
       success: true,
-      data: {
-        totalLeads,
-        byTeam: formattedData
-      }
+      source,
+      data: stats
     });
 
   } catch (error) {
@@ -398,27 +304,18 @@ router.get('/leads/by-team', authenticateToken, async (req, res) => {
 // Get leads statistics by sourceDescription (only leads count)
 router.get('/leads/source-description-leads', authenticateToken, async (req, res) => {
   try {
-    const leadsBySource = await Lead.aggregate([
-      {
-        $group: {
-          _id: '$sourceDescription',
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { count: -1 }
-      }
-    ]);
+    const { source, counts } = await getLeadCounts({ live: wantsLive(req), dimensions: ['sourceDescription'] });
 
-    const totalLeads = await Lead.countDocuments({});
-    const formattedData = leadsBySource.map(item => ({
-      sourceDescription: item._id || 'Не указано',
-      count: item.count,
-      percentage: totalLeads > 0 ? ((item.count / totalLeads) * 100).toFixed(2) : 0
+    const totalLeads = counts.total;
+    const formattedData = groupByValue(counts.bySourceDescription).map(item => ({
+      sourceDescription: item.value || 'Не указано',
+      count: item.totalCount,
+      percentage: totalLeads > 0 ? ((item.totalCount / totalLeads) * 100).toFixed(2) : 0
     }));
 
     res.json({
       success: true,
+      source,
       data: {
         totalLeads,
         sources: formattedData
@@ -437,27 +334,18 @@ router.get('/leads/source-description-leads', authenticateToken, async (req, res
 // Get leads statistics by utm_source (only leads count)
 router.get('/leads/utm-source-leads', authenticateToken, async (req, res) => {
   try {
-    const leadsByUtm = await Lead.aggregate([
-      {
-        $group: {
-          _id: '$utm_source',
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { count: -1 }
-      }
-    ]);
+    const { source, counts } = await getLeadCounts({ live: wantsLive(req), dimensions: ['utm_source'] });
 
-    const totalLeads = await Lead.countDocuments({});
-    const formattedData = leadsByUtm.map(item => ({
-      utmSource: item._id || 'Не указано',
-      count: item.count,
-      percentage: totalLeads > 0 ? ((item.count / totalLeads) * 100).toFixed(2) : 0
+    const totalLeads = counts.total;
+    const formattedData = groupByValue(counts.byUtmSource).map(item => ({
+      utmSource: item.value || 'Не указано',
+      count: item.totalCount,
+      percentage: totalLeads > 0 ? ((item.totalCount / totalLeads) * 100).toFixed(2) : 0
     }));
 
     res.json({
       success: true,
+      source,
       data: {
         totalLeads,
         utmSources: formattedData
@@ -476,35 +364,20 @@ router.get('/leads/utm-source-leads', authenticateToken, async (req, res) => {
 // Get duplicates statistics by sourceDescription
 router.get('/leads/source-description-duplicates', authenticateToken, async (req, res) => {
   try {
-    const duplicatesBySource = await Lead.aggregate([
-      {
-        $match: { 
-          status: 'DUPLICATE'
-        }
-      },
-      {
-        $group: {
-          _id: '$sourceDescription',
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { count: -1 }
-      }
-    ]);
+    const { source, counts } = await getLeadCounts({ live: wantsLive(req), dimensions: ['sourceDescription'] });
+    const duplicates = groupByValue(counts.bySourceDescription.filter(row => row.status === 'DUPLICATE'));
 
-    const totalDuplicates = await Lead.countDocuments({ 
-      status: 'DUPLICATE'
-    });
+    const totalDuplicates = statusCount(counts, 'DUPLICATE');
     
-    const formattedData = duplicatesBySource.map(item => ({
-      sourceDescription: item._id || 'Не указано',
-      count: item.count,
-      percentage: totalDuplicates > 0 ? ((item.count / totalDuplicates) * 100).toFixed(2) : 0
+    const formattedData = duplicates.map(item => ({
+      sourceDescription: item.value || 'Не указано',
+      count: item.totalCount,
+      percentage: totalDuplicates > 0 ? ((item.totalCount / totalDuplicates) * 100).toFixed(2) : 0
     }));
 
     res.json({
       success: true,
+      source,
       data: {
         totalDuplicates,
         sources: formattedData
@@ -523,35 +396,20 @@ router.get('/leads/source-description-duplicates', authenticateToken, async (req
 // Get duplicates statistics by utm_source
 router.get('/leads/utm-source-duplicates', authenticateToken, async (req, res) => {
   try {
-    const duplicatesByUtm = await Lead.aggregate([
-      {
-        $match: { 
-          status: 'DUPLICATE'
-        }
-      },
-      {
-        $group: {
-          _id: '$utm_source',
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { count: -1 }
-      }
-    ]);
+    const { source, counts } = await getLeadCounts({ live: wantsLive(req), dimensions: ['utm_source'] });
+    const duplicates = groupByValue(counts.byUtmSource.filter(row => row.status === 'DUPLICATE'));
 
-    const totalDuplicates = await Lead.countDocuments({ 
-      status: 'DUPLICATE'
-    });
+    const totalDuplicates = statusCount(counts, 'DUPLICATE');
     
-    const formattedData = duplicatesByUtm.map(item => ({
-      utmSource: item._id || 'Не указано',
-      count: item.count,
-      percentage: totalDuplicates > 0 ? ((item.count / totalDuplicates) * 100).toFixed(2) : 0
+    const formattedData = duplicates.map(item => ({
+      utmSource: item.value || 'Не указано',
+      count: item.totalCount,
+      percentage: totalDuplicates > 0 ? ((item.totalCount / totalDuplicates) * 100).toFixed(2) : 0
     }));
 
     res.json({
       success: true,
+      source,
       data: {
         totalDuplicates,
         utmSources: formattedData
@@ -567,47 +425,25 @@ router.get('/leads/utm-source-duplicates', authenticateToken, async (req, res) =
   }
 });
 
-// Get team status breakdown by team selector
-router.get('/leads/team-status-breakdown/:teamName', authenticateToken, async (req, res) => {
+// Get team status breakdown by team selector (Teams ID or team name)
+router.get('/leads/team-status-breakdown/:teamName', authenticateToken, requirePermission('stats.view'), async (req, res) => {
   try {
-    const { teamName } = req.params;
-    
-    const teamStats = await Lead.aggregate([
-      {
-        $match: { 
-          team: teamName
-        }
-      },
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { count: -1 }
-      }
-    ]);
+    const { dateFrom, dateTo } = req.query;
 
-    const totalTeamLeads = await Lead.countDocuments({ 
-      team: teamName
-    });
-    
-    const formattedData = teamStats.map(item => ({
-      status: item._id || 'Не указан',
-      count: item.count,
-      percentage: totalTeamLeads > 0 ? ((item.count / totalTeamLeads) * 100).toFixed(2) : 0
-    }));
+    const breakdown = await getTeamStatusBreakdown(req.admin, req.params.teamName, { dateFrom, dateTo });
 
     res.json({
       success: true,
-      data: {
-        teamName,
-        totalLeads: totalTeamLeads,
-        statusBreakdown: formattedData
-      }
+      data: breakdown
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get team status breakdown error:', error);
     res.status(500).json({
       success: false,
@@ -622,38 +458,25 @@ router.get('/leads/utm-status-breakdown/:utmSource', authenticateToken, async (r
   try {
     const { utmSource } = req.params;
     
-    const utmStats = await Lead.aggregate([
-      {
-        $match: { 
-          utm_source: utmSource
-        }
-      },
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { count: -1 }
-      }
-    ]);
-
-    const totalUtmLeads = await Lead.countDocuments({ 
-      utm_source: utmSource
-    });
+    const { source, counts } = await getLeadCounts({ live: wantsLive(req), dimensions: ['utm_source'] });
+    const [group] = groupByValue(counts.byUtmSource.filter(row => row.value === utmSource));
+    const statusBreakdown = group ? group.statusBreakdown : {};
+    const totalLeads = group ? group.totalCount : 0;
     
-    const formattedData = utmStats.map(item => ({
-      status: item._id || 'Не указан',
-      count: item.count,
-      percentage: totalUtmLeads > 0 ? ((item.count / totalUtmLeads) * 100).toFixed(2) : 0
-    }));
+    const formattedData = Object.entries(statusBreakdown)
+      .sort((a, b) => b[1] - a[1])
+      .map(([status, count]) => ({
+        status: status && status !== 'null' ? status : 'Не указан',
+        count,
+        percentage: totalLeads > 0 ? ((count / totalLeads) * 100).toFixed(2) : 0
+      }));
 
     res.json({
       success: true,
+      source,
       data: {
         utmSource,
-        totalLeads: totalUtmLeads,
+        totalLeads,
         statusBreakdown: formattedData
       }
     });
@@ -672,38 +495,25 @@ router.get('/leads/source-status-breakdown/:sourceDescription', authenticateToke
   try {
     const { sourceDescription } = req.params;
     
-    const sourceStats = await Lead.aggregate([
-      {
-        $match: { 
-          sourceDescription: sourceDescription
-        }
-      },
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { count: -1 }
-      }
-    ]);
-
-    const totalSourceLeads = await Lead.countDocuments({ 
-      sourceDescription: sourceDescription
-    });
+    const { source, counts } = await getLeadCounts({ live: wantsLive(req), dimensions: ['sourceDescription'] });
+    const [group] = groupByValue(counts.bySourceDescription.filter(row => row.value === sourceDescription));
+    const statusBreakdown = group ? group.statusBreakdown : {};
+    const totalLeads = group ? group.totalCount : 0;
     
-    const formattedData = sourceStats.map(item => ({
-      status: item._id || 'Не указан',
-      count: item.count,
-      percentage: totalSourceLeads > 0 ? ((item.count / totalSourceLeads) * 100).toFixed(2) : 0
-    }));
+    const formattedData = Object.entries(statusBreakdown)
+      .sort((a, b) => b[1] - a[1])
+      .map(([status, count]) => ({
+        status: status && status !== 'null' ? status : 'Не указан',
+        count,
+        percentage: totalLeads > 0 ? ((count / totalLeads) * 100).toFixed(2) : 0
+      }));
 
     res.json({
       success: true,
+      source,
       data: {
         sourceDescription,
-        totalLeads: totalSourceLeads,
+        totalLeads,
         statusBreakdown: formattedData
       }
     });
@@ -717,15 +527,14 @@ router.get('/leads/source-status-breakdown/:sourceDescription', authenticateToke
   }
 });
 
-// Get all teams list for selector
+// Get all teams list for selector (Teams collection and legacy Admin.team names)
 router.get('/leads/teams-list', authenticateToken, async (req, res) => {
   try {
-    const teams = await Lead.distinct('team');
-    const filteredTeams = teams.filter(team => team && team !== null);
-    
+    const teams = await listTeams();
+
     res.json({
       success: true,
-      data: filteredTeams
+      data: teams.map(team => team.name)
     });
   } catch (error) {
     console.error('Get teams list error:', error);
@@ -777,4 +586,204 @@ router.get('/leads/source-descriptions-list', authenticateToken, async (req, res
   }
 });
 
+// GET /api/stats/funnel - Status conversion funnel from status history
+// Filters: dateFrom, dateTo (lead creation, Kyiv days), team, manager, utm_source, stages (comma-separated)
+router.get('/funnel', authenticateToken, requirePermission('stats.view'), async (req, res) => {
+  try {
+    const { dateFrom, dateTo, team, manager, utm_source, stages } = req.query;
+
+    // Scope comes from the authenticated admin, never from the query
+    const filter = await buildLeadsFilter({
+      dateFrom,
+      dateTo,
+      team,
+      assigned: manager,
+      utm_source,
+      userRole: req.admin.role,
+      userId: req.admin._id.toString(),
+      userTeam: req.admin.team,
+      forStats: true
+    });
+
+    const stageList = typeof stages === 'string'
+      ? stages.split(',').map(stage => stage.trim().toUpperCase()).filter(Boolean)
+      : [];
+
+    const funnel = await computeFunnel(filter, { stages: stageList });
+
+    res.json({
+      success: true,
+      data: funnel
+    });
+  } catch (error) {
+    console.error('Get funnel stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні воронки конверсії',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/stats/timeseries - Counts and amounts per day/week/month (Kyiv time)
+// Query: metric (leads | successfulLeads | lots), bucket (day | week | month), dateFrom, dateTo, team, manager, utm_source
+router.get('/timeseries', authenticateToken, requirePermission('stats.view'), async (req, res) => {
+  try {
+    const { metric = 'leads', bucket, dateFrom, dateTo, team, manager, utm_source } = req.query;
+
+    if (metric === 'lots' && !hasPermission(req.access.permissions, 'lots.stats.view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Недостатньо прав для статистики ЛОТів',
+        missingPermissions: ['lots.stats.view']
+      });
+    }
+
+    const series = await getTimeSeries(req.admin, { metric, bucket, dateFrom, dateTo, team, manager, utm_source });
+
+    res.json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get time series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні часового ряду',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/stats/cohorts - Weekly lead cohorts with conversions and LOT revenue in the following weeks
+// Query: groupBy (utm_source | team), weeks, dateFrom, dateTo, team, manager, utm_source
+router.get('/cohorts', authenticateToken, requirePermission('stats.view'), async (req, res) => {
+  try {
+    const { groupBy, weeks, dateFrom, dateTo, team, manager, utm_source } = req.query;
+
+    const cohorts = await getCohorts(req.admin, {
+      groupBy,
+      weeks,
+      dateFrom,
+      dateTo,
+      team,
+      manager,
+      utm_source,
+      includeRevenue: hasPermission(req.access.permissions, 'lots.stats.view')
+    });
+
+    res.json({
+      success: true,
+      data: cohorts
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get cohorts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні когорт',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/stats/scorecards - Manager scorecards with team ranking and previous-period comparison
+// Query: dateFrom, dateTo, team, manager, rankBy
+router.get('/scorecards', authenticateToken, requirePermission('stats.view'), async (req, res) => {
+  try {
+    const { dateFrom, dateTo, team, manager, rankBy } = req.query;
+
+    const scorecards = await getScorecards(req.admin, {
+      dateFrom,
+      dateTo,
+      team,
+      manager,
+      rankBy,
+      includeLots: hasPermission(req.access.permissions, 'lots.stats.view')
+    });
+
+    res.json({
+      success: true,
+      data: scorecards
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get scorecards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні показників менеджерів',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/stats/snapshots - Stats snapshot state: readiness, stale days, latest rebuilds
+router.get('/snapshots', authenticateToken, requirePermission('stats.snapshots.manage'), async (req, res) => {
+  try {
+    const status = await getSnapshotStatus();
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Get stats snapshot status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні стану знімків статистики',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/stats/snapshots/rebuild - Rebuild the stats snapshots in the background
+// Body: dateFrom, dateTo (YYYY-MM-DD, Kyiv days; both or none)
+router.post('/snapshots/rebuild', authenticateToken, requirePermission('stats.snapshots.manage'), async (req, res) => {
+  try {
+    const { dateFrom, dateTo } = req.body || {};
+
+    const { run, completion } = await startSnapshotRebuild({ dateFrom, dateTo, trigger: 'api', adminId: req.admin._id });
+    completion.catch(error => console.error('Stats snapshot rebuild error:', error.message));
+
+    res.status(202).json({
+      success: true,
+      message: 'Перебудову знімків статистики запущено',
+      data: run
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Start stats snapshot rebuild error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при запуску перебудови знімків статистики',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const StatusTransition = require('../models/StatusTransition');
+const Status = require('../models/Statuses');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getAvailableTransitions } = require('../utils/statusWorkflow');
+
+const EDITABLE_FIELDS = ['from', 'to', 'roles', 'requires', 'description', 'isActive'];
+
+/**
+ * Check that from/to reference existing statuses ('*' is allowed as from)
+ * @returns {Promise<string|null>} Error message or null when valid
+ */
+async function validateStatuses(from, to) {
+  const values = [from, to]
+    .filter(value => value !== undefined && value !== '*')
+    .map(value => String(value).trim().toUpperCase());
+  if (values.length === 0) return null;
+
+  const existing = await Status.find({ value: { $in: values } }).distinct('value');
+  const missing = values.filter(value => !existing.includes(value));
+  return missing.length > 0 ? `Статуси не знайдено: ${missing.join(', ')}` : null;
+}
+
+router.use(authenticateToken);
+
+// GET /api/status-workflow - Get all transitions
+router.get('/', async (req, res) => {
+  try {
+    const transitions = await StatusTransition.find()
+      .populate('createdBy', 'login')
+      .sort({ from: 1, to: 1 });
+
+    res.json({
+      success: true,
+      data: transitions,
+      enforced: transitions.some(transition => transition.isActive),
+      count: transitions.length
+    });
+  } catch (error) {
+    console.error('Error fetching status transitions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні переходів статусів',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/status-workflow/available?from=NEW - Transitions the current role may perform
+router.get('/available', async (req, res) => {
+  try {
+    if (!req.query.from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Параметр from обов\'язковий'
+      });
+    }
+
+    const available = await getAvailableTransitions(req.query.from, req.admin.role);
+
+    res.json({
+      success: true,
+      data: available.transitions,
+      enforced: available.enforced
+    });
+  } catch (error) {
+    console.error('Error fetching available transitions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні доступних переходів',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/status-workflow - Create transition
+router.post('/', requirePermission('workflow.manage'), async (req, res) => {
+  try {
+    const statusError = await validateStatuses(req.body.from, req.body.to);
+    if (statusError) {
+      return res.status(400).json({
+        success: false,
+        message: statusError
+      });
+    }
+
+    const transitionData = { createdBy: req.admin._id };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        transitionData[field] = req.body[field];
+      }
+    });
+
+    const transition = new StatusTransition(transitionData);
+    await transition.save();
+
+    res.status(201).json({
+      success: true,
+      data: transition,
+      message: 'Перехід створено'
+    });
+  } catch (error) {
+    console.error('Error creating status transition:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Такий перехід вже існує'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Помилка валідації',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при створенні переходу',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/status-workflow/:id - Update transition
+router.put('/:id', requirePermission('workflow.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID переходу'
+      });
+    }
+
+    const statusError = await validateStatuses(req.body.from, req.body.to);
+    if (statusError) {
+      return res.status(400).json({
+        success: false,
+        message: statusError
+      });
+    }
+
+    const transition = await StatusTransition.findById(req.params.id);
+    if (!transition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Перехід не знайдено'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        transition[field] = req.body[field];
+      }
+    });
+
+    await transition.save();
+
+    res.json({
+      success: true,
+      data: transition,
+      message: 'Перехід оновлено'
+    });
+  } catch (error) {
+    console.error('Error updating status transition:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Такий перехід вже існує'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Помилка валідації',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при оновленні переходу',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/status-workflow/:id - Delete transition
+router.delete('/:id', requirePermission('workflow.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID переходу'
+      });
+    }
+
+    const transition = await StatusTransition.findByIdAndDelete(req.params.id);
+    if (!transition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Перехід не знайдено'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Перехід видалено'
+    });
+  } catch (error) {
+    console.error('Error deleting status transition:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при видаленні переходу',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
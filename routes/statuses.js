@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const Status = require('../models/Statuses');
 const { authenticateToken } = require('../middleware/auth');
+const { auditChanges } = require('../middleware/audit');
+
+const auditStatus = auditChanges({ entityType: 'Status', model: Status });
+const auditStatuses = auditChanges({ entityType: 'Status', model: Status, getIds: req => req.body.ids });
 
 // GET /api/statuses - Get all statuses
 router.get('/', authenticateToken, async (req, res) => {
@@ -107,7 +111,7 @@ router.get('/value/:value', authenticateToken, async (req, res) => {
 });
 
 // POST /api/statuses - Create new status
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, auditStatus, async (req, res) => {
   try {
     const { value, label, color, roleView, description, isActive = true, sortOrder = 0 } = req.body;
 
@@ -166,7 +170,7 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // PUT /api/statuses/:id - Update status
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, auditStatus, async (req, res) => {
   try {
     const { value, label, color, description, isActive, sortOrder } = req.body;
 
@@ -228,7 +232,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
 });
 
 // DELETE /api/statuses/:id - Delete status
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, auditStatus, async (req, res) => {
   try {
     const status = await Status.findById(req.params.id);
     
@@ -268,7 +272,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // PATCH /api/statuses/:id/toggle - Toggle status active state
-router.patch('/:id/toggle', authenticateToken, async (req, res) => {
+router.patch('/:id/toggle', authenticateToken, auditStatus, async (req, res) => {
   try {
     const status = await Status.findById(req.params.id);
     
@@ -327,7 +331,7 @@ router.post('/validate', authenticateToken, async (req, res) => {
 });
 
 // POST /api/statuses/bulk - Bulk operations
-router.post('/bulk', authenticateToken, async (req, res) => {
+router.post('/bulk', authenticateToken, auditStatuses, async (req, res) => {
   try {
     const { operation, ids, data } = req.body;
     
@@ -4,9 +4,16 @@ const SuccessfulLead = require('../models/SuccessfulLeads');
 const Lead = require('../models/Lead');
 const mongoose = require('mongoose');
 const { authenticateToken } = require('../middleware/auth');
+const { auditChanges } = require('../middleware/audit');
+const { emitLeadConverted } = require('../utils/outboundWebhooks');
+const { validateStatusChange } = require('../utils/statusWorkflow');
+const { logStatusChanged, logCommentAdded } = require('../utils/historyLogger');
+const { resolveAccess, applyDataScope, matchesUtmRules } = require('../utils/permissions');
+
+const auditSuccessfulLead = auditChanges({ entityType: 'SuccessfulLead', model: SuccessfulLead });
 
 // POST /api/successful-leads - Create successful lead
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, auditSuccessfulLead, async (req, res) => {
   try {
     const { leadId, amount, closeDate, transferDate, payoutAmount, isPaid } = req.body;
 
@@ -55,6 +62,23 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    // The successful lead is created by this request, only role and note rules apply
+    const check = await validateStatusChange({
+      leads: [lead],
+      to: 'CONVERTED',
+      role: req.admin.role,
+      note: req.body.note,
+      provided: { successfulLead: true }
+    });
+
+    if (!check.valid) {
+      return res.status(check.status).json({
+        success: false,
+        message: check.message,
+        errors: check.errors
+      });
+    }
+
     // Get admin data from lead or use current admin
     const assigned = lead.assigned || req.admin._id;
     const team = req.admin?.team || null;
@@ -75,9 +99,24 @@ router.post('/', authenticateToken, async (req, res) => {
     await successfulLead.save();
 
     // Update lead status to CONVERTED
+    const previousStatus = lead.status;
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
     lead.status = 'CONVERTED';
+    if (note) {
+      lead.notes.push({ text: note, createdAt: new Date(), adminId: req.admin._id.toString() });
+      lead.updatedByNote = note;
+    }
     await lead.save();
 
+    if (previousStatus !== 'CONVERTED') {
+      await logStatusChanged(lead._id, req.admin._id, previousStatus, 'CONVERTED', lead.name);
+    }
+    if (note) {
+      await logCommentAdded(lead._id, req.admin._id, note, lead.name);
+    }
+
+    emitLeadConverted(lead, 'successful_lead', successfulLead);
+
     res.status(201).json({
       success: true,
       message: 'Успешный лид создан',
@@ -116,12 +155,18 @@ router.get('/', authenticateToken, async (req, res) => {
     // Build filter
     const filter = {};
     
-    // Team Fantom restriction: members can only see their own leads
-    if (req.admin?.team === 'Team Fantom') {
-      filter.assigned = req.admin._id;
-      console.log('🔒 Team Fantom restriction applied:', { adminId: req.admin._id });
-    } else {
-      // All other users can see all successful leads
+    // Data scope of the admin (see utils/permissions, resource successfulLeads)
+    const access = await resolveAccess(req.admin);
+    const scope = access.dataScopes.successfulLeads;
+    await applyDataScope(filter, scope, {
+      adminId: req.admin._id.toString(),
+      team: req.admin.team,
+      department: req.admin.department,
+      castId: id => new mongoose.Types.ObjectId(id),
+      utmField: null
+    });
+
+    if (scope.level === 'all') {
       // Optional filters by assigned or team
       if (assigned) {
         if (!mongoose.Types.ObjectId.isValid(assigned)) {
@@ -197,14 +242,8 @@ router.get('/', authenticateToken, async (req, res) => {
       .limit(parseInt(limit))
       .lean();
 
-    // Filter out fantom leads for users who are not SuperAdmin or Team Fantom members
-    let filteredLeads = successfulLeads;
-    if (req.admin?.role !== 'SuperAdmin' && req.admin?.team !== 'Team Fantom') {
-      filteredLeads = successfulLeads.filter(lead => {
-        const utmSource = lead.leadId?.utm_source || '';
-        return utmSource !== 'fantom';
-      });
-    }
+    // utm_source rules of the scope are checked on the populated lead
+    const filteredLeads = successfulLeads.filter(lead => matchesUtmRules(lead.leadId?.utm_source, scope));
 
     const total = await SuccessfulLead.countDocuments(filter);
 
@@ -341,7 +380,7 @@ router.get('/stats/by-period', authenticateToken, async (req, res) => {
 });
 
 // DELETE /api/successful-leads/:id - Delete successful lead
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, auditSuccessfulLead, async (req, res) => {
   try {
     const { id } = req.params;
 
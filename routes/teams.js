@@ -2,7 +2,11 @@ const express = require('express');
 const router = express.Router();
 const Team = require('../models/Teams');
 const User = require('../models/User');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditChanges } = require('../middleware/audit');
+
+const auditTeam = auditChanges({ entityType: 'Team', model: Team });
+const auditTeams = auditChanges({ entityType: 'Team', model: Team, getIds: req => req.body.ids });
 
 // GET /api/teams - Get all teams with filtering and population
 router.get('/', authenticateToken, async (req, res) => {
@@ -77,7 +81,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // POST /api/teams - Create new team
-router.post('/', authenticateToken, authorizeRoles(['SuperAdmin']), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('teams.manage'), auditTeam, async (req, res) => {
   try {
     const { name, leaderIds = [], managerIds = [] } = req.body;
     
@@ -140,7 +144,7 @@ router.post('/', authenticateToken, authorizeRoles(['SuperAdmin']), async (req,
 });
 
 // PUT /api/teams/:id - Update team
-router.put('/:id', authenticateToken, authorizeRoles(['SuperAdmin']), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('teams.manage'), auditTeam, async (req, res) => {
   try {
     const { name, leaderIds, managerIds } = req.body;
     
@@ -257,7 +261,7 @@ router.put('/:id', authenticateToken, authorizeRoles(['SuperAdmin']), async (req
 });
 
 // DELETE /api/teams/:id - Delete team
-router.delete('/:id', authenticateToken, authorizeRoles(['SuperAdmin']), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('teams.manage'), auditTeam, async (req, res) => {
   try {
     const team = await Team.findById(req.params.id);
     
@@ -296,7 +300,7 @@ router.delete('/:id', authenticateToken, authorizeRoles(['SuperAdmin']), async (
 });
 
 // POST /api/teams/:id/leaders - Add leader to team
-router.post('/:id/leaders', authenticateToken, authorizeRoles(['SuperAdmin']), async (req, res) => {
+router.post('/:id/leaders', authenticateToken, requirePermission('teams.manage'), auditTeam, async (req, res) => {
   try {
     const { userId } = req.body;
     
@@ -338,7 +342,7 @@ router.post('/:id/leaders', authenticateToken, authorizeRoles(['SuperAdmin']), a
 });
 
 // DELETE /api/teams/:id/leaders/:userId - Remove leader from team
-router.delete('/:id/leaders/:userId', authenticateToken, authorizeRoles(['SuperAdmin']), async (req, res) => {
+router.delete('/:id/leaders/:userId', authenticateToken, requirePermission('teams.manage'), auditTeam, async (req, res) => {
   try {
     const team = await Team.findById(req.params.id);
     if (!team) {
@@ -371,7 +375,7 @@ router.delete('/:id/leaders/:userId', authenticateToken, authorizeRoles(['SuperA
 });
 
 // POST /api/teams/:id/managers - Add manager to team
-router.post('/:id/managers', authenticateToken, authorizeRoles(['SuperAdmin']), async (req, res) => {
+router.post('/:id/managers', authenticateToken, requirePermission('teams.manage'), auditTeam, async (req, res) => {
   try {
     const { userId } = req.body;
     
@@ -413,7 +417,7 @@ router.post('/:id/managers', authenticateToken, authorizeRoles(['SuperAdmin']),
 });
 
 // DELETE /api/teams/:id/managers/:userId - Remove manager from team
-router.delete('/:id/managers/:userId', authenticateToken, authorizeRoles(['SuperAdmin']), async (req, res) => {
+router.delete('/:id/managers/:userId', authenticateToken, requirePermission('teams.manage'), auditTeam, async (req, res) => {
   try {
     const team = await Team.findById(req.params.id);
     if (!team) {
@@ -469,7 +473,7 @@ router.get('/user/:userId', authenticateToken, async (req, res) => {
 });
 
 // POST /api/teams/bulk - Bulk operations
-router.post('/bulk', authenticateToken, authorizeRoles(['SuperAdmin']), async (req, res) => {
+router.post('/bulk', authenticateToken, requirePermission('teams.manage'), auditTeams, async (req, res) => {
   try {
     const { operation, ids, data } = req.body;
     
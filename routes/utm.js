@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const UTMSource = require('../models/UTM');
 const { authenticateToken } = require('../middleware/auth');
+const { auditChanges } = require('../middleware/audit');
+
+const auditUtmSource = auditChanges({ entityType: 'UtmSource', model: UTMSource });
+const auditUtmSources = auditChanges({ entityType: 'UtmSource', model: UTMSource, getIds: req => req.body.ids });
 
 // GET /api/utm/options - Отримати всі UTM джерела з опціями для dropdown
 router.get('/options', authenticateToken, async (req, res) => {
@@ -156,7 +160,7 @@ router.get('/options/:id', authenticateToken, async (req, res) => {
 });
 
 // POST /api/utm/options - Створити нове UTM джерело
-router.post('/options', authenticateToken, async (req, res) => {
+router.post('/options', authenticateToken, auditUtmSource, async (req, res) => {
   try {
     const { label, value, description, category = 'other', isActive = true, priority = 0 } = req.body;
 
@@ -212,7 +216,7 @@ router.post('/options', authenticateToken, async (req, res) => {
 });
 
 // PUT /api/utm/options/:id - Оновити UTM джерело
-router.put('/options/:id', authenticateToken, async (req, res) => {
+router.put('/options/:id', authenticateToken, auditUtmSource, async (req, res) => {
   try {
     const { id } = req.params;
     const { label, value, description, category, isActive, priority } = req.body;
@@ -274,7 +278,7 @@ router.put('/options/:id', authenticateToken, async (req, res) => {
 });
 
 // DELETE /api/utm/options/:id - Видалити UTM джерело
-router.delete('/options/:id', authenticateToken, async (req, res) => {
+router.delete('/options/:id', authenticateToken, auditUtmSource, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -310,7 +314,7 @@ router.delete('/options/:id', authenticateToken, async (req, res) => {
 });
 
 // PATCH /api/utm/options/:id/toggle - Перемкнути статус активності UTM джерела
-router.patch('/options/:id/toggle', authenticateToken, async (req, res) => {
+router.patch('/options/:id/toggle', authenticateToken, auditUtmSource, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -347,7 +351,7 @@ router.patch('/options/:id/toggle', authenticateToken, async (req, res) => {
 });
 
 // PATCH /api/utm/options/bulk/toggle - Масове перемикання статусу UTM джерел
-router.patch('/options/bulk/toggle', authenticateToken, async (req, res) => {
+router.patch('/options/bulk/toggle', authenticateToken, auditUtmSources, async (req, res) => {
   try {
     const { ids, isActive } = req.body;
 
@@ -395,7 +399,7 @@ router.patch('/options/bulk/toggle', authenticateToken, async (req, res) => {
 });
 
 // DELETE /api/utm/options/bulk/delete - Масове видалення UTM джерел
-router.delete('/options/bulk/delete', authenticateToken, async (req, res) => {
+router.delete('/options/bulk/delete', authenticateToken, auditUtmSources, async (req, res) => {
   try {
     const { ids } = req.body;
 
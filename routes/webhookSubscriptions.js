@@ -0,0 +1,460 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  WEBHOOK_EVENTS,
+  CUSTOM_EVENTS,
+  emitWebhookEvent,
+  redeliver
+} = require('../utils/outboundWebhooks');
+
+const EDITABLE_FIELDS = ['name', 'description', 'url', 'events', 'isActive'];
+
+/**
+ * Validate subscribed event names
+ * @returns {string|null} Error message or null when valid
+ */
+function validateEvents(events) {
+  if (events === undefined) return null;
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'Необхідно вказати хоча б одну подію';
+  }
+
+  const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+  return unknown.length > 0 ? `Невідомі події: ${unknown.join(', ')}` : null;
+}
+
+router.use(authenticateToken, requirePermission('webhooks.manage'));
+
+// GET /api/webhook-subscriptions/events - Get available event names
+router.get('/events', (req, res) => {
+  res.json({
+    success: true,
+    data: WEBHOOK_EVENTS
+  });
+});
+
+// GET /api/webhook-subscriptions/deliveries/:deliveryId - Get delivery with all attempts
+router.get('/deliveries/:deliveryId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.deliveryId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID доставки'
+      });
+    }
+
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId)
+      .populate('subscriptionId', 'name url');
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Доставку не знайдено'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні доставки',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/webhook-subscriptions/deliveries/:deliveryId/redeliver - Send payload again
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.deliveryId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID доставки'
+      });
+    }
+
+    const delivery = await redeliver(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Доставку не знайдено'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: delivery,
+      message: 'Повторну доставку поставлено в чергу'
+    });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при повторній доставці',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/webhook-subscriptions - Get all subscriptions
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find()
+      .populate('createdBy', 'login')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: subscriptions,
+      count: subscriptions.length
+    });
+  } catch (error) {
+    console.error('Error fetching webhook subscriptions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні підписок',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/webhook-subscriptions/:id - Get subscription by ID
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID підписки'
+      });
+    }
+
+    const subscription = await WebhookSubscription.findById(req.params.id).populate('createdBy', 'login');
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Підписку не знайдено'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    console.error('Error fetching webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні підписки',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/webhook-subscriptions - Create subscription (secret is returned only here)
+router.post('/', async (req, res) => {
+  try {
+    const eventsError = validateEvents(req.body.events);
+    if (eventsError || req.body.events === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: eventsError || 'Необхідно вказати хоча б одну подію'
+      });
+    }
+
+    const subscriptionData = { createdBy: req.admin._id };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        subscriptionData[field] = req.body[field];
+      }
+    });
+
+    const subscription = new WebhookSubscription(subscriptionData);
+    await subscription.save();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...subscription.toObject(),
+        secret: subscription.secret
+      },
+      message: 'Підписку створено. Збережіть секрет: він більше не буде показаний'
+    });
+  } catch (error) {
+    console.error('Error creating webhook subscription:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Помилка валідації',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при створенні підписки',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/webhook-subscriptions/:id - Update subscription
+router.put('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID підписки'
+      });
+    }
+
+    const eventsError = validateEvents(req.body.events);
+    if (eventsError) {
+      return res.status(400).json({
+        success: false,
+        message: eventsError
+      });
+    }
+
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Підписку не знайдено'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        subscription[field] = req.body[field];
+      }
+    });
+
+    await subscription.save();
+
+    res.json({
+      success: true,
+      data: subscription,
+      message: 'Підписку оновлено'
+    });
+  } catch (error) {
+    console.error('Error updating webhook subscription:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Помилка валідації',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при оновленні підписки',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/webhook-subscriptions/:id/toggle - Enable/disable subscription
+router.patch('/:id/toggle', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID підписки'
+      });
+    }
+
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Підписку не знайдено'
+      });
+    }
+
+    subscription.isActive = !subscription.isActive;
+    await subscription.save();
+
+    res.json({
+      success: true,
+      data: subscription,
+      message: subscription.isActive ? 'Підписку увімкнено' : 'Підписку вимкнено'
+    });
+  } catch (error) {
+    console.error('Error toggling webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при зміні стану підписки',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/webhook-subscriptions/:id/rotate-secret - Generate new signing secret
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID підписки'
+      });
+    }
+
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Підписку не знайдено'
+      });
+    }
+
+    await subscription.rotateSecret();
+
+    res.json({
+      success: true,
+      data: { secret: subscription.secret },
+      message: 'Секрет оновлено. Збережіть його: він більше не буде показаний'
+    });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при оновленні секрету',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/webhook-subscriptions/:id/test - Send ping event
+router.post('/:id/test', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID підписки'
+      });
+    }
+
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Підписку не знайдено'
+      });
+    }
+
+    const [delivery] = await emitWebhookEvent(
+      CUSTOM_EVENTS.PING,
+      { subscriptionId: subscription._id, message: 'Test delivery' },
+      { subscriptions: [subscription] }
+    );
+
+    res.status(202).json({
+      success: true,
+      data: delivery || null,
+      message: 'Тестову подію поставлено в чергу'
+    });
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при надсиланні тестової події',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/webhook-subscriptions/:id/deliveries - Delivery log of subscription
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID підписки'
+      });
+    }
+
+    const { status, event, leadId, page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+    const filter = { subscriptionId: req.params.id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+    if (leadId && mongoose.Types.ObjectId.isValid(leadId)) filter.leadId = leadId;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        current: pageNum,
+        pages: Math.ceil(total / limitNum),
+        total,
+        limit: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при отриманні журналу доставок',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/webhook-subscriptions/:id - Delete subscription and its delivery log
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Некоректний ID підписки'
+      });
+    }
+
+    const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Підписку не знайдено'
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ subscriptionId: subscription._id });
+
+    res.json({
+      success: true,
+      message: 'Підписку видалено'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Помилка при видаленні підписки',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+/**
+ * Rebuild the lead stats snapshots (utils/statsSnapshots)
+ *
+ * Usage:
+ *   npm run stats:rebuild                                          - every day (backfill)
+ *   npm run stats:rebuild -- --from 2026-10-01 --to 2026-10-19     - a range of Kyiv days
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { rebuildSnapshots } = require('../utils/statsSnapshots');
+
+const PROGRESS_EVERY_DAYS = 50;
+
+function readOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function main() {
+  await connectDB();
+
+  const dateFrom = readOption('from');
+  const dateTo = readOption('to');
+  console.log(dateFrom || dateTo
+    ? `🔄 Rebuilding stats snapshots for ${dateFrom} … ${dateTo}`
+    : '🔄 Rebuilding stats snapshots for every day');
+
+  const run = await rebuildSnapshots({
+    dateFrom,
+    dateTo,
+    trigger: 'cli',
+    onProgress: (done, total) => {
+      if (done % PROGRESS_EVERY_DAYS === 0 || done === total) {
+        console.log(`   ${done}/${total} days`);
+      }
+    }
+  });
+
+  console.log(`✅ Done: ${run.days} days, ${run.leads} leads`);
+}
+
+main()
+  .then(() => mongoose.connection.close())
+  .catch(async error => {
+    console.error('❌ Stats snapshot rebuild failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
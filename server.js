@@ -2,10 +2,19 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 require('dotenv').config();
+const { attachWebSocketServer, closeWebSocketServer } = require('./utils/realtime');
+const { startWebhookWorker, stopWebhookWorker } = require('./utils/outboundWebhooks');
+const { startActionReminderWorker, stopActionReminderWorker } = require('./utils/actionReminders');
+const { startStatsSnapshotWorker, stopStatsSnapshotWorker } = require('./utils/statsSnapshots');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For (API key IP ranges)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware - Allow all origins temporarily for debugging
 app.use(cors({
   origin: true, // Allow all origins
@@ -60,6 +69,8 @@ app.get('/health', (req, res) => {
       NODE_ENV: process.env.NODE_ENV || 'not set',
       JWT_SECRET_SET: !!process.env.JWT_SECRET,
       JWT_SECRET_LENGTH: process.env.JWT_SECRET?.length || 0,
+      JWT_REFRESH_SECRET_SET: !!process.env.JWT_REFRESH_SECRET,
+      TWO_FACTOR_ENCRYPTION_KEY_SET: !!process.env.TWO_FACTOR_ENCRYPTION_KEY,
       JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || 'default (24h)'
     }
   });
@@ -81,6 +92,14 @@ const webhookRoutes = require('./routes/webhookRoutes');
 const successfulLeadsRoutes = require('./routes/successfulLeads');
 const integrationRoutes = require('./routes/integrationRoutes');
 const lotRoutes = require('./routes/lots');
+const distributionRulesRoutes = require('./routes/distributionRules');
+const webhookSubscriptionsRoutes = require('./routes/webhookSubscriptions');
+const apiKeysRoutes = require('./routes/apiKeys');
+const statusWorkflowRoutes = require('./routes/statusWorkflow');
+const notificationsRoutes = require('./routes/notifications');
+const permissionsRoutes = require('./routes/permissions');
+const invitationsRoutes = require('./routes/invitations');
+const auditRoutes = require('./routes/audit');
 
 // Use routes
 console.log('Loading /api/auth...');
@@ -128,6 +147,30 @@ app.use('/api/integration', integrationRoutes);
 console.log('Loading /api/lots...');
 app.use('/api/lots', lotRoutes);
 
+console.log('Loading /api/distribution-rules...');
+app.use('/api/distribution-rules', distributionRulesRoutes);
+
+console.log('Loading /api/webhook-subscriptions...');
+app.use('/api/webhook-subscriptions', webhookSubscriptionsRoutes);
+
+console.log('Loading /api/api-keys...');
+app.use('/api/api-keys', apiKeysRoutes);
+
+console.log('Loading /api/status-workflow...');
+app.use('/api/status-workflow', statusWorkflowRoutes);
+
+console.log('Loading /api/notifications...');
+app.use('/api/notifications', notificationsRoutes);
+
+console.log('Loading /api/permissions...');
+app.use('/api/permissions', permissionsRoutes);
+
+console.log('Loading /api/invitations...');
+app.use('/api/invitations', invitationsRoutes);
+
+console.log('Loading /api/audit...');
+app.use('/api/audit', auditRoutes);
+
 
 
 
@@ -148,15 +191,29 @@ app.use((req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`🌐 Environment: ${process.env.NODE_ENV}`);
   console.log(`📍 Local: http://localhost:${PORT}`);
 });
 
+// Real-time events (ws://host/ws?token=<JWT>)
+const wss = attachWebSocketServer(server);
+app.set('wss', wss);
+
+// Retries of failed outbound webhook deliveries
+startWebhookWorker();
+startActionReminderWorker();
+// Recount of stale stats snapshot days
+startStatsSnapshotWorker();
+
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down server...');
+  closeWebSocketServer();
+  stopWebhookWorker();
+  stopActionReminderWorker();
+  stopStatsSnapshotWorker();
   await mongoose.connection.close();
   console.log('✅ MongoDB connection closed');
   process.exit(0);
@@ -3,7 +3,7 @@
  * 
  * Використання:
  * 1. Переконайтесь що сервер запущено
- * 2. Встановіть API ключ в .env файлі
+ * 2. Створіть ключ партнера (POST /api/api-keys) і вкажіть його в .env як INTEGRATION_API_KEY
  * 3. Запустіть: node test-integration.js
  */
 
@@ -19,7 +19,7 @@ const testIntegrationAPI = async () => {
         console.error('❌ Помилка: INTEGRATION_API_KEY не налаштований в .env файлі');
         console.log('\n📝 Дії:');
         console.log('1. Відкрийте файл .env');
-        console.log('2. Змініть INTEGRATION_API_KEY на реальний ключ');
+        console.log('2. Вкажіть в INTEGRATION_API_KEY ключ партнера, створений через POST /api/api-keys');
         console.log('3. Перезапустіть сервер і цей скрипт\n');
         process.exit(1);
     }
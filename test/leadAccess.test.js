@@ -0,0 +1,253 @@
+/**
+ * Record-level access to leads (utils/leadAccess)
+ * Every role with a restricted leads scope gets 404 for a lead of another
+ * admin on the single, bulk, notes, history, action and LOT routes. The
+ * seeded roles and overrides replace the former special rules: Admin does not
+ * see fantom leads, Team Fantom members do.
+ * Models are replaced with in-memory stand-ins, so no database is needed.
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+
+// A query that reaches the (absent) database fails instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// The routes log to stdout, where the test runner reads its own messages
+console.log = console.error;
+
+const id = () => new mongoose.Types.ObjectId().toString();
+
+const admins = {
+  manager: { _id: id(), role: 'Manager', team: null },
+  reten: { _id: id(), role: 'Reten', team: null },
+  teamLead: { _id: id(), role: 'TeamLead', team: 'Team A' },
+  other: { _id: id(), role: 'Manager', team: 'Team B' },
+  admin: { _id: id(), role: 'Admin', team: null },
+  fantomMember: { _id: id(), role: 'Manager', team: 'Team Fantom' }
+};
+Object.values(admins).forEach(admin => {
+  admin.isBlocked = () => false;
+});
+
+const teamMembers = {
+  'Team A': [admins.teamLead._id],
+  'Team B': [admins.other._id],
+  'Team Fantom': [admins.fantomMember._id]
+};
+
+const leads = [
+  { _id: id(), name: 'Own lead', assigned: admins.manager._id },
+  { _id: id(), name: 'Reten lead', assigned: admins.reten._id },
+  { _id: id(), name: 'Team lead', assigned: admins.teamLead._id },
+  { _id: id(), name: 'Other lead', assigned: admins.other._id },
+  { _id: id(), name: 'Fantom lead', assigned: admins.fantomMember._id, utm_source: 'fantom' }
+];
+const otherLead = leads[3];
+const fantomLead = leads[4];
+
+const actionOfOther = { _id: id(), leadId: otherLead._id, managerId: admins.other._id };
+const lotOfOther = { _id: id(), leadId: { _id: otherLead._id }, assignedTo: admins.other._id };
+
+// Minimal matcher for the filters built by the data scope
+const matchesValue = (value, condition) => {
+  if (condition && condition.$in) return condition.$in.map(String).includes(String(value));
+  if (condition && condition.$ne !== undefined) return String(value) !== String(condition.$ne);
+  return String(value) === String(condition);
+};
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => matchesValue(doc[key], condition));
+
+// Chainable query stand-in resolving to a fixed value
+const query = value => {
+  const chain = {
+    populate: () => chain,
+    select: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    session: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Stubs are installed before the routes are required (they destructure their imports)
+require('../utils/jwt').verifyToken = token => ({ id: token, sid: 'session' });
+require('../utils/teamMembership').resolveTeamMemberIds = async team => teamMembers[team] || [];
+
+const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const AccessOverride = require('../models/AccessOverride');
+const Lead = require('../models/Lead');
+const Action = require('../models/Actions');
+const Lot = require('../models/Lot');
+const { DEFAULT_ROLES, DEFAULT_OVERRIDES, resolveAccess } = require('../utils/permissions');
+const { applyRoleBasedFilter } = require('../utils/leadHelpers');
+
+Admin.findById = async adminId => Object.values(admins).find(admin => admin._id === String(adminId)) || null;
+Session.isActive = async () => true;
+Role.estimatedDocumentCount = async () => DEFAULT_ROLES.length;
+Role.find = () => query(DEFAULT_ROLES);
+AccessOverride.find = () => query(DEFAULT_OVERRIDES);
+Lead.exists = async filter => leads.some(lead => matches(lead, filter));
+Lead.find = filter => ({ distinct: async () => leads.filter(lead => matches(lead, filter)).map(lead => lead._id) });
+Lead.findById = leadId => query(leads.find(lead => lead._id === String(leadId)) || null);
+Action.findById = async actionId => (actionId === actionOfOther._id ? actionOfOther : null);
+Lot.findOne = filter => query(filter._id === lotOfOther._id ? lotOfOther : null);
+
+const app = express();
+app.use(express.json());
+app.use('/api/leads', require('../routes/leads'));
+app.use('/api/leadsHistory', require('../routes/leadsHistory'));
+app.use('/api/actions', require('../routes/actions'));
+app.use('/api/lots', require('../routes/lots'));
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+const request = async (admin, method, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { authorization: `Bearer ${admin._id}`, 'content-type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const routes = [
+  ['single lead', 'GET', () => `/api/leads/${otherLead._id}`],
+  ['lead update', 'PUT', () => `/api/leads/${otherLead._id}`, { name: 'Changed' }],
+  ['bulk status', 'PATCH', () => '/api/leads/bulk/status', { ids: [otherLead._id], status: 'NEW' }],
+  ['notes', 'POST', () => `/api/leads/${otherLead._id}/notes`, { text: 'Note' }],
+  ['history', 'GET', () => `/api/leadsHistory/lead/${otherLead._id}`],
+  ['action list by lead', 'GET', () => `/api/actions?leadId=${otherLead._id}`],
+  ['single action', 'GET', () => `/api/actions/${actionOfOther._id}`],
+  ['action create', 'POST', () => '/api/actions', {
+    title: 'Call',
+    planDate: new Date().toISOString(),
+    leadId: otherLead._id,
+    managerId: admins.manager._id
+  }],
+  ['single LOT', 'GET', () => `/api/lots/${lotOfOther._id}`]
+];
+
+['manager', 'reten', 'teamLead'].forEach(role => {
+  describe(`${admins[role].role}: lead of another admin`, () => {
+    routes.forEach(([name, method, path, body]) => {
+      test(`${name} returns 404`, async () => {
+        const { status, body: response } = await request(admins[role], method, path(), body);
+        assert.strictEqual(status, 404);
+        assert.strictEqual(response.success, false);
+      });
+    });
+  });
+});
+
+describe('Admin: fantom lead', () => {
+  const fantomRoutes = [
+    ['single lead', 'GET', `/api/leads/${fantomLead._id}`],
+    ['bulk status', 'PATCH', '/api/leads/bulk/status', { ids: [fantomLead._id], status: 'NEW' }],
+    ['notes', 'POST', `/api/leads/${fantomLead._id}/notes`, { text: 'Note' }],
+    ['history', 'GET', `/api/leadsHistory/lead/${fantomLead._id}`]
+  ];
+
+  fantomRoutes.forEach(([name, method, path, body]) => {
+    test(`${name} returns 404`, async () => {
+      const { status, body: response } = await request(admins.admin, method, path, body);
+      assert.strictEqual(status, 404);
+      assert.strictEqual(response.success, false);
+    });
+  });
+
+  test('other leads are returned', async () => {
+    const { status, body } = await request(admins.admin, 'GET', `/api/leads/${otherLead._id}`);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.name, 'Other lead');
+  });
+});
+
+describe('Team Fantom override', () => {
+  test('a member sees their fantom lead', async () => {
+    const { status, body } = await request(admins.fantomMember, 'GET', `/api/leads/${fantomLead._id}`);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.name, 'Fantom lead');
+  });
+
+  test('a member sees all fantom leads in the stats', async () => {
+    const access = await resolveAccess(admins.fantomMember);
+    assert.deepStrictEqual(access.dataScopes.leads, { level: 'own', includeUtmSources: [], excludeUtmSources: [] });
+
+    const filter = {};
+    await applyRoleBasedFilter(filter, {
+      userRole: admins.fantomMember.role,
+      userId: admins.fantomMember._id,
+      userTeam: admins.fantomMember.team,
+      forStats: true
+    });
+    assert.deepStrictEqual(filter, { utm_source: 'fantom' });
+  });
+
+  test('a member does not see leads of other admins', async () => {
+    const { status } = await request(admins.fantomMember, 'GET', `/api/leads/${otherLead._id}`);
+    assert.strictEqual(status, 404);
+  });
+});
+
+describe('own lead', () => {
+  test('single lead is returned', async () => {
+    const { status, body } = await request(admins.manager, 'GET', `/api/leads/${leads[0]._id}`);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.name, 'Own lead');
+  });
+});
+
+describe('lists', () => {
+  // Scope filter of the $lookup on the leads in an aggregation pipeline
+  const lookupScope = pipeline => {
+    const lookup = pipeline.find(stage => stage.$lookup);
+    return lookup && lookup.$lookup.pipeline[1].$match;
+  };
+
+  test('actions are limited to leads within the scope', async () => {
+    const pipelines = [];
+    Action.aggregate = async pipeline => {
+      pipelines.push(pipeline);
+      return [];
+    };
+
+    const { status } = await request(admins.manager, 'GET', '/api/actions');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(pipelines.length, 2); // page and count
+    pipelines.forEach(pipeline => {
+      assert.deepStrictEqual(lookupScope(pipeline), { assigned: admins.manager._id });
+    });
+  });
+
+  test('LOTs are limited to leads within the scope', async () => {
+    const pipelines = [];
+    Lot.aggregate = async pipeline => {
+      pipelines.push(pipeline);
+      return [];
+    };
+
+    await request(admins.teamLead, 'GET', '/api/lots');
+    assert.ok(pipelines.length > 0);
+    pipelines.forEach(pipeline => {
+      assert.deepStrictEqual(lookupScope(pipeline), { assigned: { $in: [admins.teamLead._id] } });
+    });
+  });
+});
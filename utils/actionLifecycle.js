@@ -0,0 +1,181 @@
+/**
+ * Action lifecycle
+ * Completion with outcome (result note goes to lead notes and history),
+ * snooze/reschedule with history and recurring actions.
+ * @module utils/actionLifecycle
+ */
+
+const Action = require('../models/Actions');
+const Lead = require('../models/Lead');
+const { logActionCompleted, logActionRescheduled } = require('./historyLogger');
+const { broadcastLeadEvent, EVENT_TYPES } = require('./realtime');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('ActionLifecycle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build recurrence settings from request data
+ * @param {Object|null} input - { intervalDays, untilStatusChange, until }
+ * @param {Object} lead - Lead of the action (its status is remembered for untilStatusChange)
+ * @returns {Object} Recurrence for the Action model ({ intervalDays: null } = not recurring)
+ */
+function buildRecurrence(input, lead) {
+  if (!input || !input.intervalDays) {
+    return { intervalDays: null, untilStatusChange: false, leadStatus: null, until: null };
+  }
+
+  const intervalDays = Number(input.intervalDays);
+  if (!Number.isInteger(intervalDays) || intervalDays < 1 || intervalDays > 365) {
+    const error = new Error('Інтервал повторення має бути цілим числом днів від 1 до 365');
+    error.status = 400;
+    throw error;
+  }
+
+  const until = input.until ? new Date(input.until) : null;
+  if (until && isNaN(until.getTime())) {
+    const error = new Error('Некоректна дата завершення повторення');
+    error.status = 400;
+    throw error;
+  }
+
+  const untilStatusChange = !!input.untilStatusChange;
+  return {
+    intervalDays,
+    untilStatusChange,
+    leadStatus: untilStatusChange && lead ? lead.status : null,
+    until
+  };
+}
+
+/**
+ * Create the next occurrence of a recurring action if the series continues
+ * @private
+ */
+async function scheduleNextOccurrence(action, lead) {
+  const { recurrence } = action;
+  if (!recurrence || !recurrence.intervalDays) return null;
+
+  if (recurrence.untilStatusChange && (!lead || lead.status !== recurrence.leadStatus)) {
+    logger.info('Recurring action stopped: lead status changed', { actionId: action._id, leadStatus: lead && lead.status });
+    return null;
+  }
+
+  // Next date follows the plan, but never lands in the past
+  let nextTime = action.planDate.getTime() + recurrence.intervalDays * DAY_MS;
+  while (nextTime <= Date.now()) {
+    nextTime += recurrence.intervalDays * DAY_MS;
+  }
+
+  if (recurrence.until && nextTime > recurrence.until.getTime()) {
+    return null;
+  }
+
+  const nextAction = new Action({
+    title: action.title,
+    description: action.description,
+    type: action.type,
+    planDate: new Date(nextTime),
+    leadId: action.leadId,
+    managerId: action.managerId,
+    recurrence: {
+      intervalDays: recurrence.intervalDays,
+      untilStatusChange: recurrence.untilStatusChange,
+      leadStatus: recurrence.leadStatus,
+      until: recurrence.until
+    },
+    seriesId: action.seriesId || action._id
+  });
+
+  return nextAction.save();
+}
+
+/**
+ * Complete an action
+ * Completion is claimed atomically: of concurrent requests only one completes
+ * the action (and schedules the next occurrence), the others get 409.
+ * @param {Object} loadedAction - Action document
+ * @param {Object} params
+ * @param {string} params.adminId - Admin completing the action
+ * @param {string} [params.outcome] - One of Action.ACTION_OUTCOMES
+ * @param {string} [params.resultNote] - Result note, added to the lead notes
+ * @returns {Promise<Object>} { action, nextAction }
+ */
+async function completeAction(loadedAction, { adminId, outcome, resultNote }) {
+  const note = typeof resultNote === 'string' ? resultNote.trim() : '';
+
+  const action = await Action.findOneAndUpdate(
+    { _id: loadedAction._id, completedAt: null },
+    {
+      $set: {
+        completedAt: new Date(),
+        completedBy: adminId,
+        outcome: outcome || null,
+        resultNote: note
+      }
+    },
+    { new: true }
+  );
+
+  if (!action) {
+    const error = new Error('Дію вже виконано');
+    error.status = 409;
+    throw error;
+  }
+
+  const lead = await Lead.findById(action.leadId);
+
+  if (lead && note) {
+    lead.notes.push({
+      text: note,
+      createdAt: new Date(),
+      adminId: adminId.toString()
+    });
+    lead.updatedByNote = note;
+    lead.updatedAt = new Date();
+    await lead.save();
+
+    broadcastLeadEvent(EVENT_TYPES.NOTE_ADDED, lead, {
+      data: {
+        leadId: lead._id,
+        leadName: lead.name,
+        note: lead.notes[lead.notes.length - 1]
+      }
+    });
+  }
+
+  if (lead) {
+    await logActionCompleted(lead._id, adminId, action, lead.name);
+  }
+
+  const nextAction = await scheduleNextOccurrence(action, lead);
+  return { action, nextAction };
+}
+
+/**
+ * Move an action to a new date and record it in the action and lead history
+ * @param {Object} action - Action document
+ * @param {Date} newDate - New planDate
+ * @param {Object} params - { adminId, reason, snoozed }
+ * @returns {Promise<Object>} Updated action
+ */
+async function rescheduleAction(action, newDate, { adminId, reason, snoozed = false }) {
+  if (action.completedAt) {
+    const error = new Error('Виконану дію не можна перенести');
+    error.status = 409;
+    throw error;
+  }
+
+  const oldDate = action.planDate;
+  await action.reschedule(newDate, { adminId, reason, snoozed });
+  await logActionRescheduled(action.leadId, adminId, action, oldDate, newDate, reason);
+
+  return action;
+}
+
+module.exports = {
+  buildRecurrence,
+  completeAction,
+  rescheduleAction
+};
@@ -0,0 +1,203 @@
+/**
+ * Action reminders
+ * Periodically scans open (not completed) actions and notifies the responsible manager
+ * about upcoming and overdue actions. Team leads of the manager are notified
+ * when an action stays overdue longer than the alert threshold.
+ *
+ * Configuration (environment):
+ * - ACTION_REMINDER_MINUTES_BEFORE - remind this long before planDate (default 15)
+ * - ACTION_OVERDUE_ALERT_MINUTES - alert team leads after this delay (default 60)
+ * @module utils/actionReminders
+ */
+
+const Action = require('../models/Actions');
+const Team = require('../models/Teams');
+const { notifyAdmin } = require('./notifications');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('ActionReminders');
+
+const WORKER_INTERVAL_MS = 60 * 1000;
+const SCAN_BATCH_SIZE = 500;
+// Older overdue actions are not notified (e.g. on the first start)
+const OVERDUE_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * Read a positive number of minutes from the environment
+ * @private
+ */
+function minutesFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function getReminderSettings() {
+  return {
+    minutesBefore: minutesFromEnv('ACTION_REMINDER_MINUTES_BEFORE', 15),
+    overdueAlertMinutes: minutesFromEnv('ACTION_OVERDUE_ALERT_MINUTES', 60)
+  };
+}
+
+/**
+ * Key that makes a notification unique for one planDate of an action,
+ * so a rescheduled action is notified again
+ * @private
+ */
+function dedupeKey(type, action, adminId) {
+  return `${type}:${action._id}:${new Date(action.planDate).getTime()}:${adminId}`;
+}
+
+/**
+ * Notification payload shared by all action notifications
+ * @private
+ */
+function actionNotification(type, action, adminId, title) {
+  const lead = action.leadId || {};
+  return {
+    adminId,
+    type,
+    title,
+    message: `${action.title}${lead.name ? ` — ${lead.name}` : ''}`,
+    leadId: lead._id || null,
+    actionId: action._id,
+    data: {
+      planDate: action.planDate,
+      managerId: action.managerId,
+      leadName: lead.name || null
+    },
+    dedupeKey: dedupeKey(type, action, adminId)
+  };
+}
+
+/**
+ * Team leads of every manager (leaders of the teams the manager belongs to)
+ * @private
+ */
+async function loadTeamLeads(managerIds) {
+  const teams = await Team.find({ managerIds: { $in: managerIds } }).select('leaderIds managerIds').lean();
+  const leadersByManager = new Map();
+
+  teams.forEach(team => {
+    team.managerIds.forEach(managerId => {
+      const key = managerId.toString();
+      const leaders = leadersByManager.get(key) || new Set();
+      team.leaderIds.forEach(leaderId => {
+        if (leaderId.toString() !== key) leaders.add(leaderId.toString());
+      });
+      leadersByManager.set(key, leaders);
+    });
+  });
+
+  return leadersByManager;
+}
+
+/**
+ * Open actions in a planDate range whose reminder of one kind was not sent
+ * for the current planDate (oldest first, one batch)
+ * @private
+ */
+function findUnreminded(kind, from, to) {
+  return Action.find({
+    completedAt: null,
+    planDate: { $gte: from, $lte: to },
+    $expr: { $ne: [`$reminders.${kind}`, '$planDate'] }
+  })
+    .populate('leadId', 'name')
+    .sort({ planDate: 1 })
+    .limit(SCAN_BATCH_SIZE)
+    .lean();
+}
+
+/**
+ * Record that a reminder was sent; skipped when the action was rescheduled meanwhile
+ * @private
+ */
+function markReminded(kind, action) {
+  return Action.updateOne(
+    { _id: action._id, planDate: action.planDate },
+    { $set: { [`reminders.${kind}`]: action.planDate } }
+  );
+}
+
+/**
+ * Scan actions once and create due notifications.
+ * Upcoming, overdue and team overdue reminders are looked up separately,
+ * each with its own batch, so old overdue actions never hold back the others.
+ * @returns {Promise<Object>} Counts of created notifications per type
+ */
+async function processActionReminders() {
+  const { minutesBefore, overdueAlertMinutes } = getReminderSettings();
+  const now = Date.now();
+  const counts = { upcoming: 0, overdue: 0, teamOverdue: 0 };
+  const lookbackFrom = new Date(now - OVERDUE_LOOKBACK_MS);
+
+  const upcoming = await findUnreminded('upcoming', new Date(now + 1), new Date(now + minutesBefore * 60 * 1000));
+  for (const action of upcoming) {
+    if (await notifyAdmin(actionNotification('ACTION_UPCOMING', action, action.managerId, 'Нагадування про дію'))) {
+      counts.upcoming++;
+    }
+    await markReminded('upcoming', action);
+  }
+
+  const overdue = await findUnreminded('overdue', lookbackFrom, new Date(now));
+  for (const action of overdue) {
+    if (await notifyAdmin(actionNotification('ACTION_OVERDUE', action, action.managerId, 'Дію прострочено'))) {
+      counts.overdue++;
+    }
+    await markReminded('overdue', action);
+  }
+
+  const late = await findUnreminded('teamOverdue', lookbackFrom, new Date(now - overdueAlertMinutes * 60 * 1000));
+  const leadersByManager = late.length > 0
+    ? await loadTeamLeads([...new Set(late.map(action => action.managerId.toString()))])
+    : new Map();
+
+  for (const action of late) {
+    const leaders = leadersByManager.get(action.managerId.toString()) || new Set();
+    for (const leaderId of leaders) {
+      if (await notifyAdmin(actionNotification('TEAM_ACTION_OVERDUE', action, leaderId, 'Менеджер прострочив дію'))) {
+        counts.teamOverdue++;
+      }
+    }
+    await markReminded('teamOverdue', action);
+  }
+
+  if (counts.upcoming || counts.overdue || counts.teamOverdue) {
+    logger.info('Action reminders created', counts);
+  }
+
+  return counts;
+}
+
+function startActionReminderWorker() {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(async () => {
+    if (workerRunning) return;
+    workerRunning = true;
+    try {
+      await processActionReminders();
+    } catch (error) {
+      logger.error('Action reminder iteration failed', { error: error.message });
+    } finally {
+      workerRunning = false;
+    }
+  }, WORKER_INTERVAL_MS);
+
+  logger.info('Action reminder worker started', { intervalMs: WORKER_INTERVAL_MS, ...getReminderSettings() });
+}
+
+function stopActionReminderWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  getReminderSettings,
+  processActionReminders,
+  startActionReminderWorker,
+  stopActionReminderWorker
+};
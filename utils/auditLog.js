@@ -0,0 +1,132 @@
+/**
+ * Audit log helper
+ * Entity changes are stored as a field-level diff of two snapshots; secrets
+ * (password hashes, token hashes, 2FA data) never enter a snapshot.
+ * @module utils/auditLog
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('AuditLog');
+
+// Never stored in snapshots: bookkeeping fields and secrets
+const OMITTED_FIELDS = [
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'password',
+  'passwordHistory',
+  'passwordReset',
+  'refreshToken',
+  'twoFactor',
+  'tokenHash',
+  'keyHash',
+  'previousKeyHash'
+];
+
+/**
+ * Plain JSON copy of a document without omitted fields
+ * (ObjectIds become strings, dates ISO strings)
+ * @param {Object|null} doc - Mongoose document or lean object
+ * @returns {Object|null}
+ */
+function toSnapshot(doc) {
+  if (!doc) return null;
+
+  const plain = JSON.parse(JSON.stringify(typeof doc.toObject === 'function' ? doc.toObject() : doc));
+  OMITTED_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+}
+
+/**
+ * Top-level fields that differ between two snapshots
+ * @param {Object|null} before - Snapshot before the change (null for created entities)
+ * @param {Object|null} after - Snapshot after the change (null for deleted entities)
+ * @returns {Array<Object>} [{ field, before, after }]
+ */
+function diffSnapshots(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  [...fields].sort().forEach(field => {
+    const oldValue = before && before[field] !== undefined ? before[field] : null;
+    const newValue = after && after[field] !== undefined ? after[field] : null;
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, before: oldValue, after: newValue });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Record an audit entry
+ * Never throws: a failed audit write must not break the request that triggered it
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. AUTH_LOGIN_FAILED, TEAM_UPDATED
+ * @param {string} entry.entityType - e.g. Admin, Team, LoginThrottle
+ * @param {*} [entry.entityId] - Entity ID (stored as string)
+ * @param {*} [entry.actorId] - Acting admin (defaults to req.admin)
+ * @param {Array<Object>} [entry.changes] - Field-level diff (see diffSnapshots)
+ * @param {Object} [entry.metadata] - Additional details
+ * @param {Object} [req] - Express request (actor, IP, user agent)
+ * @returns {Promise<Object|null>} Created entry or null on failure
+ */
+async function recordAudit({ action, entityType, entityId = null, actorId, changes = [], metadata = {} }, req = null) {
+  try {
+    return await AuditLog.create({
+      action,
+      entityType,
+      entityId: entityId !== null && entityId !== undefined ? entityId.toString() : null,
+      actorId: actorId !== undefined ? actorId : (req && req.admin ? req.admin._id : null),
+      ip: req ? req.ip || '' : '',
+      userAgent: req ? (req.headers['user-agent'] || '').slice(0, 500) : '',
+      changes,
+      metadata
+    });
+  } catch (error) {
+    logger.error('Failed to record audit entry', { action, entityType, entityId: String(entityId), error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Record a create, update or delete of an entity as a diff of two snapshots
+ * Updates without changed fields are not recorded.
+ * @param {Object} entry
+ * @param {string} entry.entityType - e.g. Team
+ * @param {*} entry.entityId - Entity ID
+ * @param {Object|null} entry.before - Document before the change (null when created)
+ * @param {Object|null} entry.after - Document after the change (null when deleted)
+ * @param {string} [entry.action] - Defaults to <ENTITY_TYPE>_CREATED / _UPDATED / _DELETED
+ * @param {Object} [entry.metadata] - Additional details
+ * @param {Object} [req] - Express request
+ * @returns {Promise<Object|null>} Created entry, or null when nothing changed or on failure
+ */
+async function recordEntityChange({ entityType, entityId, before, after, action, metadata = {} }, req = null) {
+  if (!before && !after) return null;
+
+  const changes = diffSnapshots(toSnapshot(before), toSnapshot(after));
+  if (before && after && changes.length === 0) return null;
+
+  const operation = !before ? 'CREATED' : !after ? 'DELETED' : 'UPDATED';
+  const prefix = entityType.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+
+  return recordAudit({
+    action: action || `${prefix}_${operation}`,
+    entityType,
+    entityId,
+    changes,
+    metadata
+  }, req);
+}
+
+module.exports = {
+  toSnapshot,
+  diffSnapshots,
+  recordAudit,
+  recordEntityChange
+};
@@ -0,0 +1,248 @@
+/**
+ * Duplicate detection and lead merging
+ * Matches incoming leads against existing ones by normalized phone, email and
+ * fuzzy name (settings in DuplicateSettings) and folds one lead into another.
+ * @module utils/duplicateDetection
+ */
+
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const LeadsHistory = require('../models/LeadsHistory');
+const Action = require('../models/Actions');
+const Lot = require('../models/Lot');
+const SuccessfulLead = require('../models/SuccessfulLeads');
+const DuplicateSettings = require('../models/DuplicateSettings');
+const { escapeRegex } = require('./leadHelpers');
+const { logLeadMerged } = require('./historyLogger');
+const { markTransactionDaysStale } = require('./statsSnapshots');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('DuplicateDetection');
+
+// Values the webhooks store when a field is missing
+const PLACEHOLDERS = ['no phone', 'no email', 'no name'];
+const MIN_PHONE_DIGITS = 6;
+const NAME_CANDIDATES_LIMIT = 200;
+
+/**
+ * Normalize phone the same way leadSchema.pre('save') does
+ * @param {string} phone
+ * @returns {string} Digits only
+ */
+function normalizePhone(phone) {
+  return phone ? String(phone).replace(/\D/g, '') : '';
+}
+
+/**
+ * @private
+ */
+function isPlaceholder(value) {
+  return !value || PLACEHOLDERS.includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * @private
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein-based similarity of two strings (1 = identical)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Similarity between 0 and 1
+ */
+function nameSimilarity(a, b) {
+  const first = normalizeName(a);
+  const second = normalizeName(b);
+  if (!first || !second) return 0;
+  if (first === second) return 1;
+
+  let previous = Array.from({ length: second.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= first.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= second.length; j++) {
+      const cost = first[i - 1] === second[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[second.length] / Math.max(first.length, second.length);
+}
+
+/**
+ * Find an existing lead the candidate duplicates
+ * @param {Object} candidate - { name, phone, email }
+ * @param {Object} [options]
+ * @param {string} [options.excludeId] - Lead to ignore (the candidate itself when already saved)
+ * @param {Object} [options.settings] - Settings override (defaults to stored settings)
+ * @returns {Promise<Object|null>} { original, matchedBy } or null
+ */
+async function findDuplicate(candidate, { excludeId = null, settings = null } = {}) {
+  const config = settings || await DuplicateSettings.getSettings();
+
+  const baseFilter = { mergedInto: null };
+  if (excludeId) {
+    baseFilter._id = { $ne: excludeId };
+  }
+  if (config.windowDays > 0) {
+    baseFilter.dateCreate = { $gte: new Date(Date.now() - config.windowDays * 24 * 60 * 60 * 1000) };
+  }
+
+  const conditions = [];
+  const phone = normalizePhone(candidate.phone);
+  if (config.matchPhone && phone.length >= MIN_PHONE_DIGITS) {
+    conditions.push({ normalizedPhone: phone }, { phone });
+  }
+
+  const email = !isPlaceholder(candidate.email) ? String(candidate.email).trim() : null;
+  if (config.matchEmail && email) {
+    conditions.push({ email: { $regex: `^${escapeRegex(email)}$`, $options: 'i' } });
+  }
+
+  let matches = [];
+  if (conditions.length > 0) {
+    matches = await Lead.find({ ...baseFilter, $or: conditions })
+      .select('_id name phone normalizedPhone email duplicateOf dateCreate')
+      .sort({ dateCreate: 1 })
+      .lean();
+  }
+
+  // Fuzzy name matching is only attempted when exact fields found nothing
+  if (matches.length === 0 && config.matchName && !isPlaceholder(candidate.name)) {
+    const normalized = normalizeName(candidate.name);
+    if (normalized.length >= 3) {
+      const prefix = escapeRegex(normalized.substring(0, 2));
+      const nameCandidates = await Lead.find({ ...baseFilter, name: { $regex: `^\\s*${prefix}`, $options: 'i' } })
+        .select('_id name phone normalizedPhone email duplicateOf dateCreate')
+        .sort({ dateCreate: 1 })
+        .limit(NAME_CANDIDATES_LIMIT)
+        .lean();
+
+      matches = nameCandidates.filter(lead =>
+        nameSimilarity(lead.name, candidate.name) >= config.nameSimilarityThreshold
+      );
+    }
+  }
+
+  if (matches.length === 0) return null;
+
+  // Prefer an original over another duplicate of it
+  const match = matches.find(lead => !lead.duplicateOf) || matches[0];
+  const originalId = match.duplicateOf || match._id;
+
+  const matchedBy = [];
+  if (phone && (match.normalizedPhone === phone || match.phone === phone)) matchedBy.push('phone');
+  if (email && match.email && match.email.toLowerCase() === email.toLowerCase()) matchedBy.push('email');
+  if (matchedBy.length === 0) matchedBy.push('name');
+
+  const original = originalId.toString() === match._id.toString()
+    ? match
+    : await Lead.findById(originalId).select('_id name phone email dateCreate').lean() || match;
+
+  return { original, matchedBy };
+}
+
+/**
+ * Merge source lead into target lead
+ * Moves notes, history, actions, LOTs and successful leads to the target,
+ * hides the source and writes LEAD_MERGED history entries on both leads.
+ * @param {string} targetId - Lead that stays
+ * @param {string} sourceId - Lead that is folded in
+ * @param {string} adminId - Admin performing the merge
+ * @returns {Promise<Object>} { target, summary }
+ */
+async function mergeLeads(targetId, sourceId, adminId) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Operations of one transaction run one after another (no parallel ops on a session)
+    const target = await Lead.findById(targetId).session(session);
+    const source = await Lead.findById(sourceId).session(session);
+
+    if (!target || !source) {
+      const error = new Error('Лід не знайдено');
+      error.status = 404;
+      throw error;
+    }
+
+    if (source.mergedInto || target.mergedInto) {
+      const error = new Error('Лід вже об\'єднано з іншим лідом');
+      error.status = 409;
+      throw error;
+    }
+
+    // Notes keep chronological order
+    const movedNotes = source.notes.map(note => note.toObject());
+    target.notes = [...target.notes.map(note => note.toObject()), ...movedNotes]
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    // Fill contact fields the target is missing
+    const filledFields = [];
+    ['phone', 'email'].forEach(field => {
+      if (isPlaceholder(target[field]) && !isPlaceholder(source[field])) {
+        target[field] = source[field];
+        filledFields.push(field);
+      }
+    });
+
+    await target.save({ session });
+
+    const historyResult = await LeadsHistory.updateMany(
+      { leadId: source._id },
+      { $set: { leadId: target._id, 'metadata.mergedFromLeadId': source._id } },
+      { session }
+    );
+    const actionsResult = await Action.updateMany({ leadId: source._id }, { $set: { leadId: target._id } }, { session });
+    const lotsResult = await Lot.updateMany({ leadId: source._id }, { $set: { leadId: target._id } }, { session });
+    const successfulResult = await SuccessfulLead.updateMany({ leadId: source._id }, { $set: { leadId: target._id } }, { session });
+    const duplicatesResult = await Lead.updateMany({ duplicateOf: source._id }, { $set: { duplicateOf: target._id } }, { session });
+
+    source.mergedInto = target._id;
+    source.mergedAt = new Date();
+    source.hidden = true;
+    await source.save({ session });
+
+    await session.commitTransaction();
+    await markTransactionDaysStale(session);
+
+    const summary = {
+      notesMoved: movedNotes.length,
+      historyMoved: historyResult.modifiedCount,
+      actionsMoved: actionsResult.modifiedCount,
+      lotsMoved: lotsResult.modifiedCount,
+      successfulLeadsMoved: successfulResult.modifiedCount,
+      duplicatesRelinked: duplicatesResult.modifiedCount,
+      filledFields
+    };
+
+    // Audit entries are written after the move so they stay on their own lead
+    await logLeadMerged(target._id, adminId, source._id, target._id, summary, target.name);
+    await logLeadMerged(source._id, adminId, source._id, target._id, summary, source.name);
+
+    logger.info('Leads merged', { targetId: target._id, sourceId: source._id, ...summary });
+
+    return { target, summary };
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+module.exports = {
+  normalizePhone,
+  nameSimilarity,
+  findDuplicate,
+  mergeLeads
+};
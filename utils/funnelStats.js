@@ -0,0 +1,185 @@
+/**
+ * Conversion funnel from status history
+ * The funnel covers a cohort of leads (the stats filter: creation date, team,
+ * manager, utm_source, data scope). Each lead's path is its initial status
+ * followed by its STATUS_CHANGED events. From the paths:
+ * - entered: leads that were ever in a status;
+ * - conversion: leads that reached the next funnel stage after a stage;
+ * - time in status: from entering a status until the next change (median);
+ * - drop-off: leads whose path ends in a status (their current status).
+ * @module utils/funnelStats
+ */
+
+const Lead = require('../models/Lead');
+const Status = require('../models/Statuses');
+const LeadsHistory = require('../models/LeadsHistory');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('FunnelStats');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Median of a list of numbers (null for an empty list)
+ * @private
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+const toHours = ms => (ms === null ? null : Math.round((ms / HOUR_MS) * 100) / 100);
+const toRate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 100 : 0);
+
+/**
+ * Status path of a lead: [{ status, enteredAt }]
+ * The initial status is the `from` of the first change, or the current status.
+ * @private
+ */
+function buildPath(lead) {
+  const changes = lead.changes || [];
+  const initialStatus = changes.length > 0 ? changes[0].from : lead.status;
+  const path = [{ status: initialStatus || null, enteredAt: lead.dateCreate || null }];
+
+  changes.forEach(change => {
+    if (change.to && change.to !== path[path.length - 1].status) {
+      path.push({ status: change.to, enteredAt: change.at });
+    }
+  });
+
+  return path;
+}
+
+/**
+ * Compute the conversion funnel for leads matching a filter
+ * @param {Object} filter - Lead filter (buildLeadsFilter with forStats)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.stages] - Funnel stages in order (default: active statuses by sortOrder)
+ * @returns {Promise<Object>} { totalLeads, stages, transitions }
+ */
+async function computeFunnel(filter, { stages } = {}) {
+  const statuses = await Status.find({}).select('value label isActive sortOrder').sort({ sortOrder: 1 }).lean();
+  const labels = new Map(statuses.map(status => [status.value, status.label]));
+  const stageOrder = stages && stages.length > 0
+    ? stages
+    : statuses.filter(status => status.isActive).map(status => status.value);
+
+  const entered = new Map();
+  const stopped = new Map();
+  const durations = new Map();
+  const transitions = new Map();
+  const reachedNext = new Map();
+  let totalLeads = 0;
+
+  const cursor = Lead.aggregate([
+    { $match: filter },
+    { $project: { _id: 1, status: 1, dateCreate: 1 } },
+    {
+      $lookup: {
+        from: LeadsHistory.collection.name,
+        let: { leadId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$leadId', '$$leadId'] }, actionType: 'STATUS_CHANGED' } },
+          { $sort: { timestamp: 1 } },
+          { $project: { _id: 0, from: '$metadata.oldStatus', to: '$metadata.newStatus', at: '$timestamp' } }
+        ],
+        as: 'changes'
+      }
+    }
+  ]).cursor();
+
+  for await (const lead of cursor) {
+    totalLeads += 1;
+    const path = buildPath(lead);
+    const firstVisit = new Map();
+
+    path.forEach((step, index) => {
+      if (!firstVisit.has(step.status)) {
+        firstVisit.set(step.status, index);
+        entered.set(step.status, (entered.get(step.status) || 0) + 1);
+      }
+
+      const next = path[index + 1];
+      if (!next) return;
+
+      const key = `${step.status}\u0000${next.status}`;
+      transitions.set(key, (transitions.get(key) || 0) + 1);
+
+      if (step.enteredAt && next.enteredAt) {
+        const duration = new Date(next.enteredAt) - new Date(step.enteredAt);
+        if (duration >= 0) {
+          if (!durations.has(step.status)) durations.set(step.status, []);
+          durations.get(step.status).push(duration);
+        }
+      }
+    });
+
+    const last = path[path.length - 1].status;
+    stopped.set(last, (stopped.get(last) || 0) + 1);
+
+    // Stage-to-stage conversion: the next funnel stage was reached after this one
+    stageOrder.forEach((stage, index) => {
+      const nextStage = stageOrder[index + 1];
+      if (!nextStage || !firstVisit.has(stage)) return;
+      if (path.findIndex((step, stepIndex) => stepIndex > firstVisit.get(stage) && step.status === nextStage) !== -1) {
+        reachedNext.set(stage, (reachedNext.get(stage) || 0) + 1);
+      }
+    });
+  }
+
+  const describe = status => {
+    const enteredCount = entered.get(status) || 0;
+    const droppedCount = stopped.get(status) || 0;
+    return {
+      status,
+      label: labels.get(status) || status,
+      entered: enteredCount,
+      dropOff: droppedCount,
+      dropOffRate: toRate(droppedCount, enteredCount),
+      medianHoursInStatus: toHours(median(durations.get(status) || []))
+    };
+  };
+
+  const stageList = stageOrder.map((stage, index) => {
+    const nextStage = stageOrder[index + 1] || null;
+    const converted = reachedNext.get(stage) || 0;
+    return {
+      ...describe(stage),
+      nextStage,
+      convertedToNext: nextStage ? converted : null,
+      conversionRate: nextStage ? toRate(converted, entered.get(stage) || 0) : null
+    };
+  });
+
+  // Statuses outside the funnel stages still appear in transitions
+  const transitionList = [...transitions.entries()]
+    .map(([key, count]) => {
+      const [from, to] = key.split('\u0000');
+      return {
+        from: from === 'null' ? null : from,
+        to,
+        count,
+        rate: toRate(count, entered.get(from === 'null' ? null : from) || 0)
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+
+  const otherStatuses = [...entered.keys()]
+    .filter(status => !stageOrder.includes(status))
+    .map(describe);
+
+  logger.debug('Funnel computed', { totalLeads, stages: stageOrder.length, transitions: transitionList.length });
+
+  return {
+    totalLeads,
+    stages: stageList,
+    otherStatuses,
+    transitions: transitionList
+  };
+}
+
+module.exports = {
+  computeFunnel
+};
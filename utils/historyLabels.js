@@ -0,0 +1,106 @@
+/**
+ * Readable lead history
+ * History entries store raw values (status codes, admin IDs). For display,
+ * each entry gets `changes` — the changed fields with field, status and
+ * admin labels — built from the entry metadata.
+ * @module utils/historyLabels
+ */
+
+const mongoose = require('mongoose');
+const Status = require('../models/Statuses');
+const Admin = require('../models/Admin');
+const { LEAD_FIELD_LABELS } = require('./historyLogger');
+
+const NOT_ASSIGNED_LABEL = 'Не призначено';
+
+/**
+ * Field-level changes of a history entry as [{ field, before, after }]
+ * Entries written before field diffs were stored carry only the sent values
+ * (`before` is null). Entries that change no lead field return [].
+ * @param {Object} entry - LeadsHistory entry
+ * @returns {Array<Object>}
+ */
+function extractHistoryChanges(entry) {
+  const metadata = entry.metadata || {};
+
+  switch (entry.actionType) {
+    case 'LEAD_UPDATED':
+      if (Array.isArray(metadata.changes)) return metadata.changes;
+      return Object.entries(metadata.changes || {}).map(([field, value]) => ({ field, before: null, after: value }));
+    case 'STATUS_CHANGED':
+      return [{ field: 'status', before: metadata.oldStatus ?? null, after: metadata.newStatus ?? null }];
+    case 'ASSIGNED_TO_MANAGER':
+      return [{ field: 'assigned', before: metadata.oldAssigned ?? null, after: metadata.newAssigned ?? null }];
+    case 'CONTACT_INFO_UPDATED': {
+      const changes = [];
+      if (metadata.changes && metadata.changes.oldPhone !== metadata.changes.newPhone) {
+        changes.push({ field: 'phone', before: metadata.changes.oldPhone ?? null, after: metadata.changes.newPhone ?? null });
+      }
+      if (metadata.changes && metadata.changes.oldEmail !== metadata.changes.newEmail) {
+        changes.push({ field: 'email', before: metadata.changes.oldEmail ?? null, after: metadata.changes.newEmail ?? null });
+      }
+      return changes;
+    }
+    case 'LEAD_HIDDEN':
+      return [{ field: 'hidden', before: false, after: true }];
+    case 'LEAD_UNHIDDEN':
+      return [{ field: 'hidden', before: true, after: false }];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Add `changes` with readable labels to lead history entries (lean objects)
+ * Status values are shown by their label and admin IDs by login.
+ * @param {Array<Object>} entries - LeadsHistory entries
+ * @returns {Promise<Array<Object>>} The same entries
+ */
+async function addHistoryLabels(entries) {
+  const changesByEntry = entries.map(extractHistoryChanges);
+  const statusValues = new Set();
+  const adminIds = new Set();
+
+  changesByEntry.flat().forEach(change => {
+    [change.before, change.after].forEach(value => {
+      if (value === null || value === undefined || value === '') return;
+      if (change.field === 'status') statusValues.add(String(value));
+      if (change.field === 'assigned' && mongoose.Types.ObjectId.isValid(value)) adminIds.add(String(value));
+    });
+  });
+
+  const [statuses, admins] = await Promise.all([
+    statusValues.size > 0 ? Status.find({ value: { $in: [...statusValues] } }).select('value label').lean() : [],
+    adminIds.size > 0 ? Admin.find({ _id: { $in: [...adminIds] } }).select('login').lean() : []
+  ]);
+
+  const statusLabels = new Map(statuses.map(status => [status.value, status.label]));
+  const adminLogins = new Map(admins.map(admin => [admin._id.toString(), admin.login]));
+
+  const labelFor = (field, value) => {
+    if (value === null || value === undefined || value === '') {
+      return field === 'assigned' ? NOT_ASSIGNED_LABEL : null;
+    }
+    if (field === 'status') return statusLabels.get(String(value)) || String(value);
+    if (field === 'assigned') return adminLogins.get(String(value)) || String(value);
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  };
+
+  entries.forEach((entry, index) => {
+    entry.changes = changesByEntry[index].map(change => ({
+      field: change.field,
+      fieldLabel: LEAD_FIELD_LABELS[change.field] || change.field,
+      before: change.before,
+      after: change.after,
+      beforeLabel: labelFor(change.field, change.before),
+      afterLabel: labelFor(change.field, change.after)
+    }));
+  });
+
+  return entries;
+}
+
+module.exports = {
+  extractHistoryChanges,
+  addHistoryLabels
+};
@@ -1,4 +1,45 @@
 const LeadsHistory = require('../models/LeadsHistory');
+const { emitHistoryEvent } = require('./outboundWebhooks');
+
+// Human-readable names of lead fields in history descriptions
+const LEAD_FIELD_LABELS = {
+  name: 'ім\'я',
+  phone: 'телефон',
+  email: 'email',
+  status: 'статус',
+  assigned: 'відповідальний',
+  sourceDescription: 'джерело',
+  department: 'відділ',
+  utm_source: 'utm_source',
+  dateOfReten: 'дата ретену',
+  hidden: 'прихований',
+  bitrixId: 'Bitrix ID'
+};
+
+// Derived or bookkeeping fields that are not part of a lead update diff
+const IGNORED_LEAD_FIELDS = ['_id', '__v', 'notes', 'comments', 'normalizedPhone', 'updatedAt', 'updatedByNote', 'teamLeadAssignedAt'];
+
+const toComparable = value => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Field-level diff of a lead before and after an update
+ * @param {Object} before - Lead before the update (document or lean object)
+ * @param {Object} after - Lead after the update
+ * @param {Array<string>} fields - Fields the update touched
+ * @returns {Array<Object>} [{ field, before, after }] for fields whose value changed
+ */
+function diffLeadFields(before, after, fields) {
+  return [...new Set(fields)]
+    .filter(field => !IGNORED_LEAD_FIELDS.includes(field))
+    .map(field => ({
+      field,
+      before: toComparable(before ? before[field] : undefined),
+      after: toComparable(after ? after[field] : undefined)
+    }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+const formatValue = value => (value === null || value === '' ? '—' : String(value));
 
 /**
  * Helper function to log lead history entries
@@ -9,6 +50,7 @@ const LeadsHistory = require('../models/LeadsHistory');
  * @param {string} data.adminId - Admin ID who performed the action
  * @param {Object} data.metadata - Additional metadata (optional)
  * @param {string} data.photo - Photo URL (optional)
+ * @param {boolean} data.isSystem - Event without acting admin (optional)
  */
 async function logLeadHistory(data) {
   try {
@@ -16,7 +58,8 @@ async function logLeadHistory(data) {
       leadId: data.leadId,
       actionType: data.actionType,
       description: data.description,
-      adminId: data.adminId,
+      adminId: data.adminId || null,
+      isSystem: !!data.isSystem,
       metadata: data.metadata || {},
       photo: data.photo || null,
       timestamp: new Date()
@@ -24,6 +67,9 @@ async function logLeadHistory(data) {
 
     await historyEntry.save();
     console.log(`✅ History logged: ${data.actionType} for lead ${data.leadId}`);
+
+    // Outbound webhooks are queued in the background and never throw
+    emitHistoryEvent(historyEntry);
     return historyEntry;
   } catch (error) {
     console.error('❌ Error logging lead history:', error);
@@ -33,8 +79,9 @@ async function logLeadHistory(data) {
 
 /**
  * Log lead creation
+ * @param {Object} [extraMetadata] - Additional metadata (e.g. import batch)
  */
-async function logLeadCreated(leadId, adminId, leadData) {
+async function logLeadCreated(leadId, adminId, leadData, extraMetadata = {}) {
   return await logLeadHistory({
     leadId,
     actionType: 'LEAD_CREATED',
@@ -43,7 +90,8 @@ async function logLeadCreated(leadId, adminId, leadData) {
     metadata: {
       initialStatus: leadData.status,
       source: leadData.sourceDescription,
-      utm_source: leadData.utm_source
+      utm_source: leadData.utm_source,
+      ...extraMetadata
     }
   });
 }
@@ -51,7 +99,7 @@ async function logLeadCreated(leadId, adminId, leadData) {
 /**
  * Log status change
  */
-async function logStatusChanged(leadId, adminId, oldStatus, newStatus, leadName) {
+async function logStatusChanged(leadId, adminId, oldStatus, newStatus, leadName, extraMetadata = {}) {
   return await logLeadHistory({
     leadId,
     actionType: 'STATUS_CHANGED',
@@ -60,7 +108,8 @@ async function logStatusChanged(leadId, adminId, oldStatus, newStatus, leadName)
     metadata: {
       oldStatus,
       newStatus,
-      leadName
+      leadName,
+      ...extraMetadata
     }
   });
 }
@@ -68,7 +117,7 @@ async function logStatusChanged(leadId, adminId, oldStatus, newStatus, leadName)
 /**
  * Log assignment change
  */
-async function logAssignmentChanged(leadId, adminId, oldAssigned, newAssigned, leadName) {
+async function logAssignmentChanged(leadId, adminId, oldAssigned, newAssigned, leadName, extraMetadata = {}) {
   const oldAssignedName = oldAssigned || 'Не призначено';
   const newAssignedName = newAssigned || 'Не призначено';
   
@@ -80,7 +129,8 @@ async function logAssignmentChanged(leadId, adminId, oldAssigned, newAssigned, l
     metadata: {
       oldAssigned,
       newAssigned,
-      leadName
+      leadName,
+      ...extraMetadata
     }
   });
 }
@@ -107,21 +157,17 @@ async function logCommentAdded(leadId, adminId, noteText, leadName, photo = null
 
 /**
  * Log lead update
+ * @param {Array<Object>} changes - Field-level diff (see diffLeadFields)
  */
 async function logLeadUpdated(leadId, adminId, changes, leadName) {
-  const changesList = Object.keys(changes).map(key => {
-    if (key === 'status') return `статус: ${changes[key]}`;
-    if (key === 'assigned') return `відповідальний: ${changes[key]}`;
-    if (key === 'name') return `ім'я: ${changes[key]}`;
-    if (key === 'phone') return `телефон: ${changes[key]}`;
-    if (key === 'email') return `email: ${changes[key]}`;
-    return `${key}: ${changes[key]}`;
-  }).join(', ');
+  const changesList = changes.map(change =>
+    `${LEAD_FIELD_LABELS[change.field] || change.field}: ${formatValue(change.before)} → ${formatValue(change.after)}`
+  ).join(', ');
 
   return await logLeadHistory({
     leadId,
     actionType: 'LEAD_UPDATED',
-    description: `Оновлено дані ліда: ${changesList}`,
+    description: `Оновлено дані ліда: ${changesList}`.substring(0, 1000),
     adminId,
     metadata: {
       changes,
@@ -133,7 +179,7 @@ async function logLeadUpdated(leadId, adminId, changes, leadName) {
 /**
  * Log contact info update
  */
-async function logContactInfoUpdated(leadId, adminId, changes, leadName) {
+async function logContactInfoUpdated(leadId, adminId, changes, leadName, extraMetadata = {}) {
   const changesList = [];
   if (changes.name) changesList.push(`ім'я: ${changes.name}`);
   if (changes.phone) changesList.push(`телефон: ${changes.phone}`);
@@ -146,7 +192,8 @@ async function logContactInfoUpdated(leadId, adminId, changes, leadName) {
     adminId,
     metadata: {
       changes,
-      leadName
+      leadName,
+      ...extraMetadata
     }
   });
 }
@@ -154,14 +201,15 @@ async function logContactInfoUpdated(leadId, adminId, changes, leadName) {
 /**
  * Log lead deletion/hiding
  */
-async function logLeadHidden(leadId, adminId, leadName) {
+async function logLeadHidden(leadId, adminId, leadName, extraMetadata = {}) {
   return await logLeadHistory({
     leadId,
     actionType: 'LEAD_HIDDEN',
     description: `Лід приховано`,
     adminId,
     metadata: {
-      leadName
+      leadName,
+      ...extraMetadata
     }
   });
 }
@@ -169,14 +217,35 @@ async function logLeadHidden(leadId, adminId, leadName) {
 /**
  * Log lead unhiding
  */
-async function logLeadUnhidden(leadId, adminId, leadName) {
+async function logLeadUnhidden(leadId, adminId, leadName, extraMetadata = {}) {
   return await logLeadHistory({
     leadId,
     actionType: 'LEAD_UNHIDDEN',
     description: `Лід відновлено`,
     adminId,
     metadata: {
-      leadName
+      leadName,
+      ...extraMetadata
+    }
+  });
+}
+
+/**
+ * Log lead deletion
+ * The history entries stay after the lead is removed.
+ */
+async function logLeadDeleted(leadId, adminId, lead, extraMetadata = {}) {
+  return await logLeadHistory({
+    leadId,
+    actionType: 'LEAD_DELETED',
+    description: `Лід видалено: ${lead.name} (${lead.phone})`,
+    adminId,
+    metadata: {
+      leadName: lead.name,
+      phone: lead.phone,
+      status: lead.status,
+      assigned: lead.assigned,
+      ...extraMetadata
     }
   });
 }
@@ -214,7 +283,86 @@ async function logCommentDeleted(leadId, adminId, deletedText, leadName) {
   });
 }
 
+/**
+ * Log duplicate detection for an incoming lead
+ */
+async function logDuplicateDetected(leadId, originalLeadId, matchedBy, leadName) {
+  return await logLeadHistory({
+    leadId,
+    actionType: 'DUPLICATE_DETECTED',
+    description: `Виявлено дубль ліда ${originalLeadId} (збіг: ${matchedBy.join(', ')})`,
+    isSystem: true,
+    metadata: {
+      originalLeadId,
+      matchedBy,
+      leadName
+    }
+  });
+}
+
+/**
+ * Log merge of one lead into another
+ */
+async function logLeadMerged(leadId, adminId, sourceLeadId, targetLeadId, summary, leadName) {
+  return await logLeadHistory({
+    leadId,
+    actionType: 'LEAD_MERGED',
+    description: leadId.toString() === targetLeadId.toString()
+      ? `До ліда приєднано лід ${sourceLeadId}`
+      : `Лід об'єднано з лідом ${targetLeadId}`,
+    adminId,
+    metadata: {
+      sourceLeadId,
+      targetLeadId,
+      leadName,
+      ...summary
+    }
+  });
+}
+
+/**
+ * Log completion of a planned action with its outcome
+ */
+async function logActionCompleted(leadId, adminId, action, leadName) {
+  const note = action.resultNote || '';
+  return await logLeadHistory({
+    leadId,
+    actionType: 'ACTION_COMPLETED',
+    description: `Дію "${action.title}" виконано${action.outcome ? ` (${action.outcome})` : ''}${note ? `: ${note.substring(0, 100)}${note.length > 100 ? '...' : ''}` : ''}`,
+    adminId,
+    metadata: {
+      leadName,
+      actionId: action._id,
+      actionType: action.type,
+      outcome: action.outcome,
+      resultNote: note,
+      planDate: action.planDate,
+      completedAt: action.completedAt
+    }
+  });
+}
+
+/**
+ * Log snooze/reschedule of a planned action
+ */
+async function logActionRescheduled(leadId, adminId, action, oldDate, newDate, reason) {
+  return await logLeadHistory({
+    leadId,
+    actionType: 'ACTION_RESCHEDULED',
+    description: `Дію "${action.title}" перенесено${reason ? `: ${reason}` : ''}`,
+    adminId,
+    metadata: {
+      actionId: action._id,
+      oldPlanDate: oldDate,
+      newPlanDate: newDate,
+      reason: reason || ''
+    }
+  });
+}
+
 module.exports = {
+  LEAD_FIELD_LABELS,
+  diffLeadFields,
   logLeadHistory,
   logLeadCreated,
   logStatusChanged,
@@ -225,5 +373,10 @@ module.exports = {
   logLeadUpdated,
   logContactInfoUpdated,
   logLeadHidden,
-  logLeadUnhidden
+  logLeadUnhidden,
+  logLeadDeleted,
+  logDuplicateDetected,
+  logLeadMerged,
+  logActionCompleted,
+  logActionRescheduled
 };
@@ -0,0 +1,230 @@
+/**
+ * Admin invitations
+ * Replaces open self-registration: an admin with `admins.invite` creates an
+ * invitation with role, team and department, the invitee sets a password
+ * through a one-time token. Accepting creates the Admin and adds it to the
+ * Teams document of its team.
+ *
+ * Inviters without `admins.manage` (team leads) may only invite managers and
+ * retention managers into their own team.
+ *
+ * Configuration (environment):
+ * - INVITATION_EXPIRES_HOURS - token lifetime (default 72)
+ * @module utils/invitations
+ */
+
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const Invitation = require('../models/Invitation');
+const Team = require('../models/Teams');
+const { hasPermission, roleExists } = require('./permissions');
+const { setPassword } = require('./passwordPolicy');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Invitations');
+
+const TEAM_LEAD_INVITABLE_ROLES = ['Manager', 'Reten'];
+
+/**
+ * Error with an HTTP status for the invitation routes
+ * @private
+ */
+function invitationError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * @private
+ */
+function getExpiresAt() {
+  const hours = Number(process.env.INVITATION_EXPIRES_HOURS);
+  const lifetimeHours = Number.isFinite(hours) && hours > 0 ? hours : 72;
+  return new Date(Date.now() + lifetimeHours * 60 * 60 * 1000);
+}
+
+/**
+ * Find a team by name or by Teams ObjectId
+ * @private
+ */
+async function findTeam(team) {
+  if (mongoose.Types.ObjectId.isValid(team) && String(team).length === 24) {
+    const byId = await Team.findById(team);
+    if (byId) return byId;
+  }
+  return Team.findOne({ name: String(team).trim() });
+}
+
+/**
+ * Whether the admin may see and manage every invitation, not only their own
+ * @param {Object} access - Resolved access (req.access)
+ * @returns {boolean}
+ */
+function canManageAllInvitations(access) {
+  return hasPermission(access.permissions, 'admins.manage');
+}
+
+/**
+ * Create an invitation
+ * @param {Object} data - { login, role, team, department }
+ * @param {Object} inviter - Admin document of the inviting admin
+ * @param {Object} access - Resolved access of the inviter (req.access)
+ * @returns {Promise<Object>} { invitation, token } - the raw token is returned only here
+ * @throws {Error} With status 400 (invalid data), 403 (role or team not allowed) or 409 (login taken)
+ */
+async function createInvitation({ login, role, team, department }, inviter, access) {
+  const normalizedLogin = typeof login === 'string' ? login.trim() : '';
+  if (!normalizedLogin) {
+    throw invitationError('Логін обов\'язковий');
+  }
+  if (!(await roleExists(role))) {
+    throw invitationError('Роль не існує');
+  }
+
+  let teamName = null;
+  let departmentValue = department === undefined || department === null || department === '' ? null : Number(department);
+  if (departmentValue !== null && !Number.isFinite(departmentValue)) {
+    throw invitationError('department має бути числом');
+  }
+
+  if (team) {
+    const teamDoc = await findTeam(team);
+    if (!teamDoc) {
+      throw invitationError('Команду не знайдено');
+    }
+    teamName = teamDoc.name;
+  }
+
+  if (!canManageAllInvitations(access)) {
+    if (!TEAM_LEAD_INVITABLE_ROLES.includes(role)) {
+      throw invitationError(`Ви можете запрошувати лише ролі: ${TEAM_LEAD_INVITABLE_ROLES.join(', ')}`, 403);
+    }
+    if (!inviter.team) {
+      throw invitationError('Ви не належите до жодної команди', 403);
+    }
+    if (teamName && teamName !== inviter.team) {
+      throw invitationError('Запрошувати можна лише до власної команди', 403);
+    }
+    teamName = inviter.team;
+    if (departmentValue === null) {
+      departmentValue = inviter.department;
+    }
+  }
+
+  if (await Admin.exists({ login: normalizedLogin })) {
+    throw invitationError('Користувач з таким логіном вже існує', 409);
+  }
+  if (await Invitation.exists(Invitation.pendingFilter({ login: normalizedLogin }))) {
+    throw invitationError('Для цього логіна вже є активне запрошення', 409);
+  }
+
+  const { rawToken, tokenHash } = Invitation.generateToken();
+  const invitation = await Invitation.create({
+    login: normalizedLogin,
+    role,
+    team: teamName,
+    department: departmentValue,
+    tokenHash,
+    expiresAt: getExpiresAt(),
+    invitedBy: inviter._id
+  });
+
+  return { invitation, token: rawToken };
+}
+
+/**
+ * Issue a new token and expiry for an unaccepted invitation (the old token stops working)
+ * @param {Object} invitation - Invitation document
+ * @returns {Promise<string>} New raw token
+ */
+async function renewInvitation(invitation) {
+  if (invitation.acceptedAt || invitation.revokedAt) {
+    throw invitationError('Запрошення вже прийнято або відкликано', 409);
+  }
+
+  const { rawToken, tokenHash } = Invitation.generateToken();
+  invitation.tokenHash = tokenHash;
+  invitation.expiresAt = getExpiresAt();
+  await invitation.save();
+
+  return rawToken;
+}
+
+/**
+ * Revoke an unaccepted invitation
+ * @param {Object} invitation - Invitation document
+ * @param {string|ObjectId} adminId - Revoking admin
+ */
+async function revokeInvitation(invitation, adminId) {
+  if (invitation.acceptedAt || invitation.revokedAt) {
+    throw invitationError('Запрошення вже прийнято або відкликано', 409);
+  }
+
+  invitation.revokedAt = new Date();
+  invitation.revokedBy = adminId;
+  await invitation.save();
+}
+
+/**
+ * Accept an invitation: create the admin and add it to its team
+ * The invitation is claimed atomically, so a token can be used only once.
+ * @param {string} rawToken - Token from the invitation link
+ * @param {string} password - Password chosen by the invitee
+ * @returns {Promise<Object>} { admin, invitation }
+ * @throws {Error} With status 404 (invalid, used or expired token), 409 (login taken)
+ *   or 400 with `errors` (password policy)
+ */
+async function acceptInvitation(rawToken, password) {
+  const invitation = await Invitation.findOneAndUpdate(
+    Invitation.pendingFilter({ tokenHash: Invitation.hashToken(rawToken) }),
+    { $set: { acceptedAt: new Date() } },
+    { new: true }
+  );
+  if (!invitation) {
+    throw invitationError('Запрошення недійсне або термін його дії минув', 404);
+  }
+
+  const release = () => Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedAt: null } });
+
+  let admin;
+  try {
+    if (await Admin.exists({ login: invitation.login })) {
+      throw invitationError('Користувач з таким логіном вже існує', 409);
+    }
+
+    admin = new Admin({
+      login: invitation.login,
+      role: invitation.role,
+      team: invitation.team,
+      department: invitation.department
+    });
+    await setPassword(admin, password);
+  } catch (error) {
+    await release();
+    throw error;
+  }
+
+  invitation.acceptedAdminId = admin._id;
+  await invitation.save();
+
+  if (invitation.team) {
+    const team = await Team.findOne({ name: invitation.team });
+    if (team) {
+      team.addMember(admin._id, admin.role);
+      await team.save();
+    } else {
+      logger.warn('Team of accepted invitation not found', { invitationId: invitation._id.toString(), team: invitation.team });
+    }
+  }
+
+  return { admin, invitation };
+}
+
+module.exports = {
+  canManageAllInvitations,
+  createInvitation,
+  renewInvitation,
+  revokeInvitation,
+  acceptInvitation
+};
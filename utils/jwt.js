@@ -34,15 +34,29 @@ const verifyToken = (token) => {
   }
 };
 
+// Refresh tokens are signed with their own secret, so an access token can never be used as one
+const getRefreshSecret = () => {
+  if (!process.env.JWT_REFRESH_SECRET) {
+    throw new Error('JWT_REFRESH_SECRET is not set');
+  }
+  return process.env.JWT_REFRESH_SECRET;
+};
+
 // Generate refresh token
 const generateRefreshToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: '7d' // Refresh token expires in 7 days
+  return jwt.sign(payload, getRefreshSecret(), {
+    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
   });
 };
 
+// Verify refresh token
+const verifyRefreshToken = (token) => {
+  return jwt.verify(token, getRefreshSecret());
+};
+
 module.exports = {
   generateToken,
   verifyToken,
-  generateRefreshToken
+  generateRefreshToken,
+  verifyRefreshToken
 };
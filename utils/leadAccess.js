@@ -0,0 +1,145 @@
+/**
+ * Record-level access to leads
+ * A lead is accessible when it matches the leads data scope of the admin —
+ * the same filter GET /api/leads applies. Callers report out-of-scope leads
+ * as not found (404), so their existence is not disclosed.
+ * @module utils/leadAccess
+ */
+
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const { applyRoleBasedFilter, isValidObjectId } = require('./leadHelpers');
+
+/**
+ * Build the leads data-scope filter of an admin
+ * @param {Object} admin - Authenticated admin (req.admin)
+ * @returns {Promise<Object>} MongoDB filter (empty when the scope is unrestricted)
+ */
+async function buildLeadScopeFilter(admin) {
+  const filter = {};
+  await applyRoleBasedFilter(filter, {
+    userRole: admin.role,
+    userId: admin._id.toString(),
+    userTeam: admin.team
+  });
+  return filter;
+}
+
+/**
+ * Check that a lead is within the data scope of an admin
+ * With an unrestricted scope no lookup is made: existence is left to the caller.
+ * @param {Object} admin - Authenticated admin (req.admin)
+ * @param {string|ObjectId} leadId - Lead ID
+ * @returns {Promise<boolean>}
+ */
+async function canAccessLead(admin, leadId) {
+  const scope = await buildLeadScopeFilter(admin);
+  if (Object.keys(scope).length === 0) return true;
+  if (!leadId || !isValidObjectId(leadId)) return false;
+
+  return !!(await Lead.exists({ ...scope, _id: leadId }));
+}
+
+/**
+ * Find lead IDs that do not exist or are outside the data scope of an admin
+ * With an unrestricted scope no lookup is made and nothing is reported.
+ * @param {Object} admin - Authenticated admin (req.admin)
+ * @param {Array<string|ObjectId>} ids - Lead IDs
+ * @returns {Promise<string[]>} IDs the admin may not access
+ */
+async function findInaccessibleLeadIds(admin, ids) {
+  const scope = await buildLeadScopeFilter(admin);
+  if (Object.keys(scope).length === 0) return [];
+
+  const found = await Lead.find({ ...scope, _id: { $in: ids } }).distinct('_id');
+  const foundIds = new Set(found.map(id => id.toString()));
+
+  return ids.map(id => id.toString()).filter(id => !foundIds.has(id));
+}
+
+/**
+ * Find lead-linked records (actions, LOTs, history) of the leads within the
+ * data scope of an admin
+ * The scope is applied in the database by a $lookup on the leads, so the IDs
+ * of the accessible leads are never loaded. With an unrestricted scope it is a
+ * plain find.
+ * @param {Object} Model - Mongoose model of the records
+ * @param {Object} filter - Filter of the records
+ * @param {Object} admin - Authenticated admin (req.admin)
+ * @param {Object} [options]
+ * @param {string} [options.field='leadId'] - Field holding the lead ID
+ * @param {Object} [options.sort] - Sort object
+ * @param {number} [options.skip=0]
+ * @param {number} [options.limit] - No limit when not set
+ * @param {string|Object|Array} [options.populate] - Paths for Model.populate()
+ * @param {boolean} [options.lean=false] - Plain objects instead of documents
+ * @param {boolean} [options.count=false] - Also count every matching record
+ * @returns {Promise<Object>} { docs, total } (total is null without options.count)
+ */
+async function findInLeadScope(Model, filter, admin, {
+  field = 'leadId',
+  sort = null,
+  skip = 0,
+  limit = null,
+  populate = [],
+  lean = false,
+  count = false
+} = {}) {
+  const scope = await buildLeadScopeFilter(admin);
+
+  if (Object.keys(scope).length === 0) {
+    let query = Model.find(filter).populate(populate);
+    if (sort) query = query.sort(sort);
+    if (skip) query = query.skip(skip);
+    if (limit) query = query.limit(limit);
+    if (lean) query = query.lean();
+
+    const [docs, total] = await Promise.all([query, count ? Model.countDocuments(filter) : null]);
+    return { docs, total };
+  }
+
+  // Aggregation filters are not cast by Mongoose
+  const cast = (model, conditions) => new mongoose.Query().cast(model, conditions);
+  const match = { $match: cast(Model, filter) };
+  const inScope = [
+    {
+      $lookup: {
+        from: Lead.collection.collectionName,
+        let: { leadId: `$${field}` },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$leadId'] } } },
+          { $match: cast(Lead, scope) },
+          { $project: { _id: 1 } }
+        ],
+        as: '_scopeLead'
+      }
+    },
+    { $match: { '_scopeLead.0': { $exists: true } } },
+    { $project: { _scopeLead: 0 } }
+  ];
+
+  const page = [
+    match,
+    ...(sort ? [{ $sort: sort }] : []),
+    ...inScope,
+    ...(skip ? [{ $skip: skip }] : []),
+    ...(limit ? [{ $limit: limit }] : [])
+  ];
+
+  const [rows, counted] = await Promise.all([
+    Model.aggregate(page),
+    count ? Model.aggregate([match, ...inScope, { $count: 'total' }]) : null
+  ]);
+
+  const docs = lean ? rows : rows.map(row => Model.hydrate(row));
+  await Model.populate(docs, populate);
+
+  return { docs, total: count ? (counted[0] ? counted[0].total : 0) : null };
+}
+
+module.exports = {
+  buildLeadScopeFilter,
+  canAccessLead,
+  findInaccessibleLeadIds,
+  findInLeadScope
+};
@@ -0,0 +1,311 @@
+/**
+ * Lead distribution engine
+ * Assigns incoming leads to a team and a manager according to DistributionRule documents.
+ * Rules are evaluated by priority; the first matching rule picks a team (in turns when
+ * several are configured) and then a manager by round-robin, weights or open-lead capacity.
+ * @module utils/leadDistribution
+ */
+
+const DistributionRule = require('../models/DistributionRule');
+const Team = require('../models/Teams');
+const Admin = require('../models/Admin');
+const Lead = require('../models/Lead');
+const { logLeadHistory } = require('./historyLogger');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('LeadDistribution');
+
+const ASSIGNABLE_ROLES = ['Manager', 'Reten', 'TeamLead'];
+
+// Former hard-coded routing of the Tilda webhook: fantom leads went to this admin
+const FANTOM_TEAM_NAME = 'Team Fantom';
+const FANTOM_ADMIN_ID = '69400fc074589780a3941509';
+
+let defaultRulesChecked = false;
+
+/**
+ * Seed the default rules into an empty rules collection
+ * The fantom rule sends fantom leads to Team Fantom. The team is created
+ * with the former fixed assignee when it does not exist in Teams yet.
+ */
+async function ensureDefaultRules() {
+  if (defaultRulesChecked) return;
+  if (await DistributionRule.estimatedDocumentCount() > 0) {
+    defaultRulesChecked = true;
+    return;
+  }
+
+  const team = await Team.findOne({ name: FANTOM_TEAM_NAME }).select('_id').lean()
+    || await Team.create({ name: FANTOM_TEAM_NAME, managerIds: [FANTOM_ADMIN_ID] });
+
+  await DistributionRule.updateOne(
+    { 'match.utmSources': 'fantom', createdBy: null },
+    {
+      $setOnInsert: {
+        name: 'fantom → Team Fantom',
+        description: 'Ліди fantom призначаються команді Team Fantom',
+        match: { utmSources: ['fantom'], sourceDescriptions: [], departments: [] },
+        teamIds: [team._id],
+        strategy: 'round_robin',
+        includeDuplicates: true,
+        priority: 1000,
+        isActive: true
+      }
+    },
+    { upsert: true }
+  );
+
+  defaultRulesChecked = true;
+  logger.info('Default distribution rules seeded', { teamId: team._id });
+}
+
+/**
+ * Find the first active rule matching the lead
+ * @param {Object} lead - Lead document or plain object
+ * @returns {Promise<Object|null>} Matching rule
+ */
+async function findMatchingRule(lead) {
+  await ensureDefaultRules();
+  const rules = await DistributionRule.getActiveRules();
+  return rules.find(rule => rule.matchesLead(lead)) || null;
+}
+
+/**
+ * Atomically advance a rotation cursor and return its previous value
+ * In dry-run mode the cursor is only read
+ * @private
+ */
+async function advanceCursor(rule, field, dryRun) {
+  if (dryRun) {
+    return rule.state?.[field] || 0;
+  }
+
+  const previous = await DistributionRule.findByIdAndUpdate(
+    rule._id,
+    { $inc: { [`state.${field}`]: 1 } },
+    { new: false, projection: { state: 1 } }
+  ).lean();
+
+  return previous?.state?.[field] || 0;
+}
+
+/**
+ * Pick the team for the lead, rotating between the rule's teams
+ * @private
+ */
+async function pickTeam(rule, dryRun) {
+  if (!rule.teamIds || rule.teamIds.length === 0) return null;
+
+  const teams = await Team.find({ _id: { $in: rule.teamIds } }).lean();
+  // Keep the order configured in the rule
+  const ordered = rule.teamIds
+    .map(id => teams.find(team => team._id.toString() === id.toString()))
+    .filter(Boolean);
+
+  if (ordered.length === 0) return null;
+  if (ordered.length === 1) return ordered[0];
+
+  const cursor = await advanceCursor(rule, 'teamCursor', dryRun);
+  return ordered[cursor % ordered.length];
+}
+
+/**
+ * Collect eligible managers of a team in a stable order
+ * @private
+ */
+async function getCandidates(team, rule) {
+  const excluded = new Set((rule.excludedAdminIds || []).map(id => id.toString()));
+  const memberIds = [
+    ...(team.managerIds || []),
+    ...(rule.includeLeaders ? team.leaderIds || [] : [])
+  ]
+    .map(id => id.toString())
+    .filter((id, index, all) => all.indexOf(id) === index && !excluded.has(id));
+
+  if (memberIds.length === 0) return [];
+
+  const admins = await Admin.find(
+    { _id: { $in: memberIds }, role: { $in: ASSIGNABLE_ROLES } },
+    '_id login role'
+  ).lean();
+
+  return memberIds
+    .map(id => admins.find(admin => admin._id.toString() === id))
+    .filter(Boolean);
+}
+
+/**
+ * Round-robin: next manager in the team list
+ * @private
+ */
+async function pickRoundRobin(rule, candidates, dryRun) {
+  const cursor = await advanceCursor(rule, 'managerCursor', dryRun);
+  return candidates[cursor % candidates.length];
+}
+
+/**
+ * Weighted: managers appear in the rotation proportionally to their weight
+ * (weights 2 and 1 give the sequence A, A, B)
+ * @private
+ */
+async function pickWeighted(rule, candidates, dryRun) {
+  const weightById = new Map((rule.weights || []).map(entry => [entry.adminId.toString(), entry.weight]));
+  const weighted = candidates
+    .map(admin => {
+      const weight = weightById.has(admin._id.toString()) ? weightById.get(admin._id.toString()) : 1;
+      return { admin, weight: Math.max(0, Math.round(weight)) };
+    })
+    .filter(entry => entry.weight > 0);
+
+  const totalWeight = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+  if (totalWeight === 0) return null;
+
+  const cursor = await advanceCursor(rule, 'managerCursor', dryRun);
+  let position = cursor % totalWeight;
+
+  for (const entry of weighted) {
+    if (position < entry.weight) return entry.admin;
+    position -= entry.weight;
+  }
+  return weighted[weighted.length - 1].admin;
+}
+
+/**
+ * Capacity: manager with the fewest open leads, below the configured limit
+ * Ties are resolved by rotation so equal managers alternate
+ * @private
+ */
+async function pickByCapacity(rule, candidates, dryRun) {
+  const { maxOpenLeads = null, closedStatuses = [] } = rule.capacity || {};
+  const candidateIds = candidates.map(admin => admin._id.toString());
+
+  const openCounts = await Lead.aggregate([
+    {
+      $match: {
+        assigned: { $in: candidateIds },
+        hidden: { $ne: true },
+        status: { $nin: closedStatuses }
+      }
+    },
+    { $group: { _id: '$assigned', count: { $sum: 1 } } }
+  ]);
+
+  const countById = new Map(openCounts.map(item => [item._id, item.count]));
+  const loads = candidates
+    .map(admin => ({ admin, open: countById.get(admin._id.toString()) || 0 }))
+    .filter(entry => !maxOpenLeads || entry.open < maxOpenLeads);
+
+  if (loads.length === 0) return null;
+
+  const minOpen = Math.min(...loads.map(entry => entry.open));
+  const leastLoaded = loads.filter(entry => entry.open === minOpen);
+
+  if (leastLoaded.length === 1) return leastLoaded[0].admin;
+
+  const cursor = await advanceCursor(rule, 'managerCursor', dryRun);
+  return leastLoaded[cursor % leastLoaded.length].admin;
+}
+
+const STRATEGY_HANDLERS = {
+  round_robin: pickRoundRobin,
+  weighted: pickWeighted,
+  capacity: pickByCapacity
+};
+
+/**
+ * Resolve rule, team and manager for a lead without assigning it
+ * @param {Object} lead - Lead document or plain object
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Do not advance rotation cursors
+ * @returns {Promise<Object|null>} { rule, team, manager } or null if nobody can take the lead
+ */
+async function resolveAssignment(lead, { dryRun = false } = {}) {
+  const rule = await findMatchingRule(lead);
+  if (!rule) {
+    logger.debug('No distribution rule matched', { utm_source: lead.utm_source, sourceDescription: lead.sourceDescription });
+    return null;
+  }
+
+  const team = await pickTeam(rule, dryRun);
+  if (!team) {
+    logger.warn('Distribution rule has no existing teams', { ruleId: rule._id, ruleName: rule.name });
+    return { rule, team: null, manager: null };
+  }
+
+  const candidates = await getCandidates(team, rule);
+  if (candidates.length === 0) {
+    logger.warn('No eligible managers in team', { ruleId: rule._id, teamId: team._id });
+    return { rule, team, manager: null };
+  }
+
+  const handler = STRATEGY_HANDLERS[rule.strategy] || pickRoundRobin;
+  const manager = await handler(rule, candidates, dryRun);
+
+  return { rule, team, manager };
+}
+
+/**
+ * Distribute a newly created lead
+ * Writes `assigned`, `teamLeadAssignedAt` and an ASSIGNED_TO_MANAGER history entry.
+ * The passed lead object is updated in place.
+ * @param {Object} lead - Saved lead document
+ * @returns {Promise<Object|null>} Assignment summary or null when the lead was left as is
+ */
+async function distributeLead(lead) {
+  const resolved = await resolveAssignment(lead);
+  if (!resolved || !resolved.manager) return null;
+
+  const { rule, team, manager } = resolved;
+  const previousAssigned = lead.assigned;
+  const assignedAt = new Date();
+  const managerId = manager._id.toString();
+
+  await Lead.updateOne(
+    { _id: lead._id },
+    { $set: { assigned: managerId, teamLeadAssignedAt: assignedAt } }
+  );
+  lead.assigned = managerId;
+  lead.teamLeadAssignedAt = assignedAt;
+
+  await DistributionRule.updateOne(
+    { _id: rule._id },
+    { $inc: { 'state.assignedCount': 1 }, $set: { 'state.lastAssignedAt': assignedAt } }
+  );
+
+  await logLeadHistory({
+    leadId: lead._id,
+    actionType: 'ASSIGNED_TO_MANAGER',
+    description: `Автоматично призначено менеджеру "${manager.login}" (правило "${rule.name}", команда "${team.name}")`,
+    isSystem: true,
+    metadata: {
+      oldAssigned: previousAssigned,
+      newAssigned: managerId,
+      leadName: lead.name,
+      automatic: true,
+      ruleId: rule._id,
+      ruleName: rule.name,
+      strategy: rule.strategy,
+      teamId: team._id,
+      teamName: team.name
+    }
+  });
+
+  logger.info('Lead distributed', { leadId: lead._id, ruleId: rule._id, teamId: team._id, managerId });
+
+  return {
+    ruleId: rule._id,
+    ruleName: rule.name,
+    strategy: rule.strategy,
+    teamId: team._id,
+    teamName: team.name,
+    managerId,
+    managerLogin: manager.login
+  };
+}
+
+module.exports = {
+  ensureDefaultRules,
+  findMatchingRule,
+  resolveAssignment,
+  distributeLead
+};
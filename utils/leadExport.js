@@ -0,0 +1,203 @@
+/**
+ * Streaming lead export to CSV / XLSX
+ * Reads leads through a MongoDB cursor and writes rows straight to the
+ * response, so exports of any size never sit in memory as a whole.
+ * @module utils/leadExport
+ */
+
+const ExcelJS = require('exceljs');
+const Lead = require('../models/Lead');
+const Admin = require('../models/Admin');
+const Status = require('../models/Statuses');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('LeadExport');
+
+/**
+ * Exportable columns: header label, lead fields to select and value getter
+ * Getters receive the lean lead and lookup maps ({ adminLogins, statusLabels })
+ */
+const EXPORT_COLUMNS = {
+  id: { header: 'ID', fields: ['_id'], value: lead => lead._id.toString() },
+  name: { header: 'Ім\'я', fields: ['name'], value: lead => lead.name },
+  phone: { header: 'Телефон', fields: ['phone'], value: lead => lead.phone },
+  email: { header: 'Email', fields: ['email'], value: lead => lead.email },
+  status: {
+    header: 'Статус',
+    fields: ['status'],
+    value: (lead, lookups) => lookups.statusLabels.get(lead.status) || lead.status
+  },
+  statusValue: { header: 'Код статусу', fields: ['status'], value: lead => lead.status },
+  assigned: {
+    header: 'Відповідальний',
+    fields: ['assigned'],
+    value: (lead, lookups) => lookups.adminLogins.get(lead.assigned) || lead.assigned
+  },
+  department: { header: 'Відділ', fields: ['department'], value: lead => lead.department },
+  sourceDescription: { header: 'Джерело', fields: ['sourceDescription'], value: lead => lead.sourceDescription },
+  utm_source: { header: 'UTM Source', fields: ['utm_source'], value: lead => lead.utm_source },
+  dateCreate: { header: 'Дата створення', fields: ['dateCreate'], value: lead => lead.dateCreate },
+  updatedAt: { header: 'Дата оновлення', fields: ['updatedAt'], value: lead => lead.updatedAt },
+  teamLeadAssignedAt: {
+    header: 'Призначено тімліду',
+    fields: ['teamLeadAssignedAt'],
+    value: lead => lead.teamLeadAssignedAt
+  },
+  lastNote: { header: 'Останній коментар', fields: ['updatedByNote'], value: lead => lead.updatedByNote },
+  hidden: { header: 'Прихований', fields: ['hidden'], value: lead => (lead.hidden ? 'так' : 'ні') },
+  duplicateOf: {
+    header: 'Дубль ліда',
+    fields: ['duplicateOf'],
+    value: lead => (lead.duplicateOf ? lead.duplicateOf.toString() : null)
+  }
+};
+
+const DEFAULT_COLUMNS = [
+  'name',
+  'phone',
+  'email',
+  'status',
+  'assigned',
+  'department',
+  'sourceDescription',
+  'utm_source',
+  'dateCreate'
+];
+
+const FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Parse comma-separated column list
+ * @param {string} [columns] - e.g. "name,phone,status"
+ * @returns {Object} { columns, errors }
+ */
+function resolveColumns(columns) {
+  if (!columns) {
+    return { columns: DEFAULT_COLUMNS, errors: [] };
+  }
+
+  const requested = [...new Set(String(columns).split(',').map(column => column.trim()).filter(Boolean))];
+  const unknown = requested.filter(column => !EXPORT_COLUMNS[column]);
+
+  return {
+    columns: requested.filter(column => EXPORT_COLUMNS[column]),
+    errors: unknown.map(column => `Невідома колонка: ${column}`)
+  };
+}
+
+/**
+ * Load admin logins and status labels used to resolve ids
+ * @private
+ */
+async function loadLookups() {
+  const [admins, statuses] = await Promise.all([
+    Admin.find({}).select('_id login').lean(),
+    Status.find({}).select('value label').lean()
+  ]);
+
+  return {
+    adminLogins: new Map(admins.map(admin => [admin._id.toString(), admin.login])),
+    statusLabels: new Map(statuses.map(status => [status.value, status.label]))
+  };
+}
+
+// Spreadsheet apps run cells starting with these as formulas (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Prefix text that a spreadsheet would read as a formula with '
+ * Lead fields come from public webhooks, so they are never trusted.
+ * @private
+ */
+function neutralizeFormula(value) {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+/**
+ * @private
+ */
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write a chunk respecting backpressure of the response
+ * @private
+ */
+function write(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => { cleanup(); resolve(); };
+    const onClose = () => { cleanup(); reject(new Error('Client closed connection')); };
+    const cleanup = () => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+    };
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+  });
+}
+
+/**
+ * Stream leads matching the filter to an HTTP response
+ * Headers (content type, file name) must be set by the caller.
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {Object} options.filter - MongoDB filter (from buildLeadsFilter)
+ * @param {Object} options.sort - Sort object (from buildSortObject)
+ * @param {string[]} options.columns - Keys of EXPORT_COLUMNS
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @returns {Promise<number>} Number of exported leads
+ */
+async function streamLeadsExport(res, { filter, sort, columns, format }) {
+  const lookups = await loadLookups();
+  const definitions = columns.map(column => EXPORT_COLUMNS[column]);
+  const projection = [...new Set(definitions.flatMap(definition => definition.fields))].join(' ');
+
+  const cursor = Lead.find(filter).sort(sort).select(projection).lean().cursor();
+  res.on('close', () => cursor.close().catch(() => {}));
+
+  let count = 0;
+  const rowValues = lead => definitions.map(definition => {
+    const value = definition.value(lead, lookups);
+    // Guards both formats: CSV text and XLSX string cells
+    return value === undefined ? null : neutralizeFormula(value);
+  });
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet('Leads');
+    worksheet.columns = definitions.map(definition => ({ header: definition.header, width: 20 }));
+
+    for await (const lead of cursor) {
+      worksheet.addRow(rowValues(lead)).commit();
+      count++;
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+  } else {
+    // BOM lets Excel open UTF-8 (Cyrillic) CSV correctly
+    await write(res, '﻿' + definitions.map(definition => escapeCsv(definition.header)).join(',') + '\r\n');
+
+    for await (const lead of cursor) {
+      await write(res, rowValues(lead).map(escapeCsv).join(',') + '\r\n');
+      count++;
+    }
+
+    res.end();
+  }
+
+  logger.info('Leads exported', { format, count, columns });
+  return count;
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  FORMATS,
+  resolveColumns,
+  streamLeadsExport
+};
@@ -1,5 +1,7 @@
 const { Types } = require('mongoose');
 const { createLogger } = require('./logger');
+const { resolveAccess, applyDataScope } = require('./permissions');
+const { resolveTeamMemberIds } = require('./teamMembership');
 
 const logger = createLogger('LeadHelpers');
 
@@ -75,61 +77,32 @@ function createPhoneSearchConditions(search) {
 
 /**
  * Apply role-based filtering
- * @private
+ * Uses the data scope of the admin (roles and overrides from utils/permissions):
+ * the `leads` scope for lists, the `stats` scope when forStats is set.
+ * Shared by the leads query builder and the real-time event dispatcher
+ * @param {Object} filter - MongoDB filter object to extend
+ * @param {Object} context - Current user context (userRole, userId, userTeam, forStats)
  */
 async function applyRoleBasedFilter(filter, { userRole, userId, userTeam, forStats }) {
   if (!userRole || !userId) return;
 
-  logger.debug('Applying role-based filter', { userRole, userId, userTeam, forStats });
-
-  // Team Fantom restriction: all members can only see their own leads
-  if (userTeam === 'Team Fantom') {
-    // For stats, Team Fantom sees only fantom leads (not just their own)
-    if (forStats) {
-      filter.utm_source = 'fantom';
-      logger.debug('Applied Team Fantom stats filter - only fantom leads');
-    } else {
-      filter.assigned = userId;
-      logger.debug('Applied Team Fantom restriction', { assigned: userId });
-    }
-    return;
-  }
+  const access = await resolveAccess({ _id: userId, role: userRole, team: userTeam });
+  const scope = access.dataScopes[forStats ? 'stats' : 'leads'];
 
-  // For stats: exclude fantom leads for all non-SuperAdmin users
-  if (forStats && userRole !== 'SuperAdmin') {
-    filter.utm_source = { $ne: 'fantom' };
-    logger.debug('Applied stats filter - excluding fantom utm_source');
-    return;
-  }
-
-  // Admin role: exclude leads with utm_source === "fantom"
-  if (userRole === 'Admin') {
-    filter.utm_source = { $ne: 'fantom' };
-    logger.debug('Applied Admin filter - excluding fantom utm_source');
-    return;
-  }
+  logger.debug('Applying role-based filter', { userRole, userId, userTeam, forStats, scope });
 
-  // Standard role-based filtering for other teams
-  if (userRole === 'Manager' || userRole === 'Reten') {
-    filter.assigned = userId;
-    logger.debug('Applied Manager/Reten filter', { assigned: userId });
-    return;
+  let department = null;
+  if (scope.level === 'department') {
+    const Admin = require('../models/Admin');
+    const admin = await Admin.findById(userId, 'department').lean();
+    department = admin ? admin.department : null;
   }
 
-  if (userRole === 'TeamLead' && userTeam) {
-    try {
-      const Admin = require('../models/Admin');
-      const teamMembers = await Admin.find({ team: userTeam }, '_id').lean();
-      
-      const teamMemberIds = teamMembers.map(admin => admin._id.toString());
-      teamMemberIds.push(userId);
-      
-      filter.assigned = { $in: teamMemberIds };
-      logger.debug('Applied TeamLead filter', { teamSize: teamMemberIds.length });
-    } catch (error) {
-      logger.error('Failed to fetch team members', { error: error.message, userTeam });
-      filter.assigned = userId; // Fallback
-    }
+  try {
+    await applyDataScope(filter, scope, { adminId: userId, team: userTeam, department });
+  } catch (error) {
+    logger.error('Failed to apply data scope', { error: error.message, userId, level: scope.level });
+    filter.assigned = userId; // Fallback
   }
 }
 
@@ -177,12 +150,12 @@ function applyAssignedFilter(filter, assigned, userRole) {
     assignedIds = [assigned];
   }
 
-  // For TeamLead, intersect with existing team filter
-  if (userRole === 'TeamLead' && filter.assigned && filter.assigned.$in) {
+  // For team/department scopes, intersect with the scope filter
+  if (filter.assigned && filter.assigned.$in) {
     const teamMemberIds = filter.assigned.$in;
     const intersectedIds = assignedIds.filter(id => teamMemberIds.includes(id));
     
-    logger.debug('TeamLead filter intersection', {
+    logger.debug('Scope filter intersection', {
       requestedIds: assignedIds.length,
       teamMemberIds: teamMemberIds.length,
       intersectedIds: intersectedIds.length
@@ -241,74 +214,18 @@ function applySourceFilter(filter, sourceDescription) {
 
 /**
  * Apply team filter by finding team members
- * Supports both new Teams collection and legacy team field in Admin
+ * Teams are resolved by ID or name through utils/teamMembership
+ * (Teams collection and the legacy team field in Admin)
  * @private
  */
 async function applyTeamFilter(filter, team) {
   if (!team) return;
 
   try {
-    const Team = require('../models/Teams');
-    const Admin = require('../models/Admin');
-    const { Types } = require('mongoose');
-    
-    // Handle multiple teams
     const teamIds = Array.isArray(team) ? team : [team];
     logger.debug('Processing team filter', { teamIds, count: teamIds.length });
-    
-    let teamMemberIds = [];
-    
-    // Check if all teamIds are valid ObjectIds
-    const allValidObjectIds = teamIds.every(id => Types.ObjectId.isValid(id) && id.length === 24);
-    
-    if (allValidObjectIds) {
-      // Try new Teams collection (ObjectId-based)
-      logger.debug('Team IDs are valid ObjectIds, checking Teams collection');
-      
-      const teamDocs = await Team.find({ _id: { $in: teamIds } })
-        .populate('leaderIds managerIds')
-        .lean();
-
-      if (teamDocs.length > 0) {
-        // New system: collect team members from Teams collection
-        const allTeamMemberIds = new Set();
-        teamDocs.forEach(teamDoc => {
-          teamDoc.leaderIds.forEach(leader => {
-            const id = typeof leader._id === 'string' ? leader._id : leader._id.toString();
-            allTeamMemberIds.add(id);
-          });
-          teamDoc.managerIds.forEach(manager => {
-            const id = typeof manager._id === 'string' ? manager._id : manager._id.toString();
-            allTeamMemberIds.add(id);
-          });
-        });
-        teamMemberIds = Array.from(allTeamMemberIds);
-        
-        logger.debug('Found teams in Teams collection', { 
-          teamsFound: teamDocs.length,
-          memberCount: teamMemberIds.length,
-          sampleIds: teamMemberIds.slice(0, 3)
-        });
-      }
-    }
-    
-    // If no teams found in new system or IDs are not ObjectIds, try legacy system
-    if (teamMemberIds.length === 0) {
-      // Legacy system: find admins by team field (string)
-      logger.debug('Using legacy team field (string-based)');
-      
-      const admins = await Admin.find({ team: { $in: teamIds } }, '_id').lean();
-      teamMemberIds = admins.map(admin => {
-        const id = typeof admin._id === 'string' ? admin._id : admin._id.toString();
-        return id;
-      });
-      
-      logger.debug('Found admins with legacy team field', { 
-        adminCount: teamMemberIds.length,
-        teams: teamIds,
-        sampleIds: teamMemberIds.slice(0, 3)
-      });
-    }
+
+    const teamMemberIds = await resolveTeamMemberIds(teamIds);
 
     if (teamMemberIds.length === 0) {
       logger.warn('No team members found', { teamIds });
@@ -435,6 +352,7 @@ async function buildLeadsFilter(query) {
     hasTeamLeadAssignedAt,
     teamLeadAssignedAtStart,
     teamLeadAssignedAtEnd,
+    apiKeyId,
     forStats
   } = query;
 
@@ -453,6 +371,11 @@ async function buildLeadsFilter(query) {
     filter.utm_source = utm_source;
   }
 
+  // Leads created through a partner's integration API key
+  if (apiKeyId && isValidObjectId(apiKeyId)) {
+    filter.apiKeyId = new Types.ObjectId(apiKeyId);
+  }
+
   // Filter by teamLeadAssignedAt
   if (hasTeamLeadAssignedAt === 'true' || hasTeamLeadAssignedAt === true) {
     filter.teamLeadAssignedAt = { $exists: true, $ne: null };
@@ -532,6 +455,7 @@ function isValidObjectId(id) {
 module.exports = {
   escapeRegex,
   createPhoneSearchConditions,
+  applyRoleBasedFilter,
   buildLeadsFilter,
   buildSortObject,
   isValidObjectId
@@ -0,0 +1,419 @@
+/**
+ * Lead import from CSV / XLSX spreadsheets
+ * Parses a file, maps columns to Lead fields, validates rows, checks
+ * duplicates and creates leads with LEAD_CREATED history.
+ * @module utils/leadImport
+ */
+
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Lead = require('../models/Lead');
+const Admin = require('../models/Admin');
+const Status = require('../models/Statuses');
+const DuplicateSettings = require('../models/DuplicateSettings');
+const { normalizePhone, findDuplicate } = require('./duplicateDetection');
+const { logLeadCreated, logDuplicateDetected } = require('./historyLogger');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('LeadImport');
+
+const MAX_ROWS = 5000;
+
+// Lead fields a column can be mapped to; `note` becomes the first lead note
+const IMPORTABLE_FIELDS = [
+  'name',
+  'phone',
+  'email',
+  'status',
+  'assigned',
+  'department',
+  'sourceDescription',
+  'utm_source',
+  'dateCreate',
+  'note'
+];
+
+// Fields that can be set for every row of the file
+const DEFAULTABLE_FIELDS = ['status', 'assigned', 'department', 'sourceDescription', 'utm_source'];
+
+// Fields several columns may be joined into (e.g. first and last name)
+const JOINABLE_FIELDS = ['name', 'note'];
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Convert an ExcelJS cell value to a trimmed string (dates stay Date)
+ * @private
+ */
+function cellToValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return String(value.text).trim();
+    if (value.result !== undefined) return cellToValue(value.result);
+    if (value.error) return '';
+  }
+  return String(value).trim();
+}
+
+/**
+ * Pick the delimiter used most in the header line
+ * @private
+ */
+function detectDelimiter(buffer) {
+  const firstLine = buffer.toString('utf8', 0, Math.min(buffer.length, 4096)).split(/\r?\n/)[0];
+  return DELIMITERS.reduce((best, delimiter) =>
+    firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+  , DELIMITERS[0]);
+}
+
+/**
+ * Parse an uploaded spreadsheet into header list and row objects
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {string} [options.delimiter] - CSV delimiter (detected when omitted)
+ * @returns {Promise<Object>} { headers, rows } where rows are { rowNumber, values }
+ */
+async function parseSpreadsheet(buffer, { format, delimiter } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (format === 'xlsx') {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  } else {
+    // Strip UTF-8 BOM that Excel adds to CSV exports
+    const content = buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF ? buffer.subarray(3) : buffer;
+    worksheet = await workbook.csv.read(Readable.from([content]), {
+      // Keep raw strings: default mapping turns phones into numbers
+      map: value => value,
+      parserOptions: { delimiter: delimiter || detectDelimiter(content) }
+    });
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headerRow = worksheet.getRow(1);
+  const headers = [];
+  headerRow.eachCell({ includeEmpty: true }, (cell, column) => {
+    headers[column - 1] = String(cellToValue(cell.value));
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    let hasValue = false;
+    headers.forEach((header, index) => {
+      if (!header) return;
+      const value = cellToValue(row.getCell(index + 1).value);
+      values[header] = value;
+      if (value !== '') hasValue = true;
+    });
+
+    if (hasValue) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Build column → field mapping, matching headers by name when none is given
+ * @param {string[]} headers - Spreadsheet headers
+ * @param {Object} [mapping] - { "<column header>": "<lead field>" }
+ * @returns {Object} { mapping, errors }
+ */
+function resolveMapping(headers, mapping) {
+  const errors = [];
+  const resolved = {};
+
+  if (mapping && Object.keys(mapping).length > 0) {
+    Object.entries(mapping).forEach(([column, field]) => {
+      if (!field) return;
+      if (!headers.includes(column)) {
+        errors.push(`Колонку "${column}" не знайдено у файлі`);
+      } else if (!IMPORTABLE_FIELDS.includes(field)) {
+        errors.push(`Поле "${field}" не можна імпортувати`);
+      } else {
+        resolved[column] = field;
+      }
+    });
+  } else {
+    headers.forEach(header => {
+      const field = IMPORTABLE_FIELDS.find(item => item.toLowerCase() === String(header || '').trim().toLowerCase());
+      if (field) resolved[header] = field;
+    });
+  }
+
+  const fields = Object.values(resolved);
+  fields.forEach((field, index) => {
+    if (!JOINABLE_FIELDS.includes(field) && fields.indexOf(field) !== index) {
+      errors.push(`Поле "${field}" зіставлено з кількома колонками`);
+    }
+  });
+
+  if (!fields.includes('name') && !fields.includes('phone')) {
+    errors.push('Необхідно зіставити колонку з іменем або телефоном');
+  }
+
+  return { mapping: resolved, errors: [...new Set(errors)] };
+}
+
+/**
+ * Parse dates like 2024-05-31, 31.05.2024 or 31.05.2024 14:30
+ * @private
+ */
+function parseDate(value) {
+  if (value instanceof Date) return value;
+
+  const dotted = String(value).match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:[ T](\d{1,2}):(\d{2}))?/);
+  const date = dotted
+    ? new Date(Number(dotted[3]), Number(dotted[2]) - 1, Number(dotted[1]), Number(dotted[4] || 0), Number(dotted[5] || 0))
+    : new Date(value);
+
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Load lookups used to validate rows: statuses and assignable admins
+ * @private
+ */
+async function loadReferenceData() {
+  const [statuses, admins] = await Promise.all([
+    Status.find({ isActive: true }).select('value').lean(),
+    Admin.find({}).select('_id login').lean()
+  ]);
+
+  const adminsByKey = new Map();
+  admins.forEach(admin => {
+    adminsByKey.set(admin._id.toString(), admin._id.toString());
+    adminsByKey.set(admin.login.toLowerCase(), admin._id.toString());
+  });
+
+  return {
+    statuses: new Set(statuses.map(status => status.value)),
+    adminsByKey
+  };
+}
+
+/**
+ * Turn one spreadsheet row into lead data
+ * @private
+ * @returns {Object} { data, note, errors }
+ */
+function buildLeadData(values, mapping, defaults, reference) {
+  const data = { ...defaults };
+  const joined = { name: [], note: [] };
+  const errors = [];
+
+  Object.entries(mapping).forEach(([column, field]) => {
+    const value = values[column];
+    if (value === '' || value === undefined) return;
+
+    if (JOINABLE_FIELDS.includes(field)) {
+      joined[field].push(String(value));
+    } else {
+      data[field] = value;
+    }
+  });
+
+  if (joined.name.length > 0) data.name = joined.name.join(' ');
+  const note = joined.note.join('\n');
+
+  if (data.phone !== undefined) {
+    data.phone = String(data.phone);
+    data.normalizedPhone = normalizePhone(data.phone);
+  }
+
+  if (data.email !== undefined) {
+    data.email = String(data.email).toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+      errors.push(`Некоректний email: ${data.email}`);
+    }
+  }
+
+  if (!data.name && !data.phone) {
+    errors.push('Відсутні ім\'я та телефон');
+  }
+  data.name = data.name || 'No Name';
+
+  if (data.status !== undefined) {
+    data.status = String(data.status).toUpperCase();
+    if (!reference.statuses.has(data.status)) {
+      errors.push(`Невідомий статус: ${data.status}`);
+    }
+  }
+
+  if (data.assigned !== undefined) {
+    const adminId = reference.adminsByKey.get(String(data.assigned).toLowerCase());
+    if (adminId) {
+      data.assigned = adminId;
+    } else {
+      errors.push(`Менеджера не знайдено: ${data.assigned}`);
+    }
+  }
+
+  if (data.department !== undefined && data.department !== null) {
+    const department = Number(data.department);
+    if (Number.isNaN(department)) {
+      errors.push(`Некоректний відділ: ${data.department}`);
+    } else {
+      data.department = department;
+    }
+  }
+
+  if (data.dateCreate !== undefined) {
+    const date = parseDate(data.dateCreate);
+    if (date) {
+      data.dateCreate = date;
+    } else {
+      errors.push(`Некоректна дата: ${data.dateCreate}`);
+    }
+  }
+
+  ['sourceDescription', 'utm_source'].forEach(field => {
+    if (data[field] !== undefined) data[field] = String(data[field]);
+  });
+
+  return { data, note, errors };
+}
+
+/**
+ * Import parsed rows as leads
+ * @param {Object[]} rows - Rows from parseSpreadsheet
+ * @param {Object} options
+ * @param {Object} options.mapping - Resolved column → field mapping
+ * @param {Object} [options.defaults] - Values for DEFAULTABLE_FIELDS applied to every row (columns override)
+ * @param {boolean} [options.dryRun=false] - Validate and report without saving
+ * @param {boolean} [options.skipDuplicates=true] - Skip duplicates instead of importing them as DUPLICATE
+ * @param {string} options.adminId - Admin performing the import
+ * @returns {Promise<Object>} Import report
+ */
+async function importLeads(rows, { mapping, defaults = {}, dryRun = false, skipDuplicates = true, adminId }) {
+  if (rows.length > MAX_ROWS) {
+    const error = new Error(`Файл містить ${rows.length} рядків, максимум ${MAX_ROWS}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const unknownDefaults = Object.keys(defaults).filter(field => !DEFAULTABLE_FIELDS.includes(field));
+  if (unknownDefaults.length > 0) {
+    const error = new Error(`Поля не можна задати за замовчуванням: ${unknownDefaults.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const [reference, settings] = await Promise.all([
+    loadReferenceData(),
+    DuplicateSettings.getSettings()
+  ]);
+
+  const importId = new mongoose.Types.ObjectId().toString();
+  const seenInFile = new Map();
+  const report = {
+    importId: dryRun ? null : importId,
+    dryRun,
+    totalRows: rows.length,
+    created: 0,
+    duplicates: 0,
+    skipped: 0,
+    failed: 0,
+    rows: []
+  };
+
+  for (const { rowNumber, values } of rows) {
+    const { data, note, errors } = buildLeadData(values, mapping, defaults, reference);
+    const rowReport = { row: rowNumber, name: data.name, phone: data.phone || null, email: data.email || null };
+
+    if (errors.length > 0) {
+      report.failed++;
+      report.rows.push({ ...rowReport, result: 'error', errors });
+      continue;
+    }
+
+    // Duplicates inside the same file are checked before the database
+    const fileKeys = [
+      data.normalizedPhone && data.normalizedPhone.length >= 6 ? `phone:${data.normalizedPhone}` : null,
+      data.email ? `email:${data.email}` : null
+    ].filter(Boolean);
+    const fileDuplicateRow = fileKeys.map(key => seenInFile.get(key)).find(Boolean);
+
+    const duplicate = fileDuplicateRow ? null : await findDuplicate(data, { settings });
+
+    if (fileDuplicateRow || duplicate) {
+      report.duplicates++;
+      rowReport.duplicateOf = duplicate ? duplicate.original._id : null;
+      rowReport.duplicateOfRow = fileDuplicateRow || null;
+      rowReport.matchedBy = duplicate ? duplicate.matchedBy : null;
+
+      if (skipDuplicates || fileDuplicateRow) {
+        report.skipped++;
+        report.rows.push({ ...rowReport, result: 'duplicate_skipped' });
+        continue;
+      }
+
+      data.status = 'DUPLICATE';
+      data.duplicateOf = duplicate.original._id;
+      data.duplicateMatch = { matchedBy: duplicate.matchedBy, detectedAt: new Date() };
+    }
+
+    fileKeys.forEach(key => seenInFile.set(key, rowNumber));
+
+    if (dryRun) {
+      report.created++;
+      report.rows.push({ ...rowReport, result: duplicate ? 'would_create_duplicate' : 'would_create' });
+      continue;
+    }
+
+    try {
+      const lead = new Lead({
+        ...data,
+        dateCreate: data.dateCreate || new Date(),
+        status: data.status || 'NEW',
+        notes: note ? [{ text: note, createdAt: new Date(), adminId: adminId.toString() }] : []
+      });
+      await lead.save();
+
+      await logLeadCreated(lead._id, adminId, lead, { importId, importRow: rowNumber });
+      if (lead.duplicateOf) {
+        await logDuplicateDetected(lead._id, lead.duplicateOf, lead.duplicateMatch.matchedBy, lead.name);
+      }
+
+      report.created++;
+      report.rows.push({ ...rowReport, leadId: lead._id, result: lead.duplicateOf ? 'created_duplicate' : 'created' });
+    } catch (error) {
+      report.failed++;
+      report.rows.push({ ...rowReport, result: 'error', errors: [error.message] });
+    }
+  }
+
+  if (!dryRun) {
+    logger.info('Leads imported', {
+      importId,
+      adminId,
+      totalRows: report.totalRows,
+      created: report.created,
+      skipped: report.skipped,
+      failed: report.failed
+    });
+  }
+
+  return report;
+}
+
+module.exports = {
+  IMPORTABLE_FIELDS,
+  DEFAULTABLE_FIELDS,
+  MAX_ROWS,
+  parseSpreadsheet,
+  resolveMapping,
+  importLeads
+};
@@ -0,0 +1,190 @@
+/**
+ * Lead timeline: point-in-time reconstruction and undo from LeadsHistory
+ * A lead is reconstructed by starting from its current state and undoing,
+ * newest first, every history entry written after the requested moment.
+ * Notes are kept when they were created before that moment.
+ *
+ * Status, assignment and contact changes can be reverted. A revert is refused
+ * (409) when the field has been changed again since, unless forced, and it
+ * writes its own history entry with `metadata.revertOf`.
+ * @module utils/leadTimeline
+ */
+
+const Lead = require('../models/Lead');
+const LeadsHistory = require('../models/LeadsHistory');
+const { canAccessLead } = require('./leadAccess');
+const { hasPermission } = require('./permissions');
+const { validateStatusChange } = require('./statusWorkflow');
+const { extractHistoryChanges } = require('./historyLabels');
+const {
+  logStatusChanged,
+  logAssignmentChanged,
+  logContactInfoUpdated,
+  logCommentAdded
+} = require('./historyLogger');
+
+const REVERTIBLE_ACTIONS = ['STATUS_CHANGED', 'ASSIGNED_TO_MANAGER', 'CONTACT_INFO_UPDATED'];
+
+// Entries that changed the lead in a way that cannot be undone field by field
+const UNREPLAYABLE_ACTIONS = ['LEAD_MERGED'];
+
+const timelineError = (status, message, errors) => Object.assign(new Error(message), { status, errors });
+
+const sameValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+/**
+ * Whether an entry carries a diff that can be undone
+ * LEAD_UPDATED entries written before field diffs have only the sent values.
+ * @private
+ */
+function isReplayable(entry) {
+  if (UNREPLAYABLE_ACTIONS.includes(entry.actionType)) return false;
+  if (entry.actionType === 'LEAD_UPDATED') {
+    return Array.isArray(entry.metadata && entry.metadata.changes);
+  }
+  return true;
+}
+
+/**
+ * Reconstruct a lead as it was at a moment
+ * @param {string|ObjectId} leadId - Lead ID
+ * @param {Date} at - Moment to reconstruct
+ * @returns {Promise<Object|null>} { at, lead, replayedEntries, skippedEntries }, null when the lead does not exist
+ * @throws {Error} With status 404 when the lead did not exist yet at that moment
+ */
+async function reconstructLeadAt(leadId, at) {
+  const current = await Lead.findById(leadId).lean();
+  if (!current) return null;
+
+  const created = await LeadsHistory.findOne({ leadId, actionType: 'LEAD_CREATED' }).select('timestamp').lean();
+  const createdAt = created ? created.timestamp : current.dateCreate;
+  if (createdAt && at < new Date(createdAt)) {
+    throw timelineError(404, 'На цю дату лід ще не існував');
+  }
+
+  const entries = await LeadsHistory.find({ leadId, timestamp: { $gt: at } })
+    .sort({ timestamp: -1, _id: -1 })
+    .lean();
+
+  const lead = { ...current };
+  const skippedEntries = [];
+  let replayedEntries = 0;
+
+  entries.forEach(entry => {
+    if (!isReplayable(entry)) {
+      skippedEntries.push({ _id: entry._id, actionType: entry.actionType, timestamp: entry.timestamp });
+      return;
+    }
+
+    const changes = extractHistoryChanges(entry);
+    changes.forEach(change => {
+      lead[change.field] = change.before;
+    });
+    if (changes.length > 0) replayedEntries += 1;
+  });
+
+  lead.notes = (current.notes || []).filter(note => !note.createdAt || new Date(note.createdAt) <= at);
+
+  return { at, lead, replayedEntries, skippedEntries };
+}
+
+/**
+ * Restore the values a status, assignment or contact change replaced
+ * @param {string|ObjectId} historyId - LeadsHistory entry to revert
+ * @param {Object} options
+ * @param {Object} options.admin - Acting admin (req.admin)
+ * @param {Object} options.access - Resolved access (req.access)
+ * @param {string} [options.note] - Comment for a status revert (required by some transitions)
+ * @param {boolean} [options.force] - Revert even if the field was changed again since
+ * @returns {Promise<Object>} { lead, previous, entry, fields }
+ * @throws {Error} With status 400, 403, 404 or 409
+ */
+async function revertHistoryEntry(historyId, { admin, access, note = '', force = false }) {
+  const entry = await LeadsHistory.findById(historyId).lean();
+  if (!entry || !(await canAccessLead(admin, entry.leadId))) {
+    throw timelineError(404, 'Запис історії не знайдено');
+  }
+
+  if (!REVERTIBLE_ACTIONS.includes(entry.actionType)) {
+    throw timelineError(400, 'Скасувати можна лише зміну статусу, відповідального або контактів');
+  }
+
+  const lead = await Lead.findById(entry.leadId);
+  if (!lead) {
+    throw timelineError(404, 'Лід не знайдено');
+  }
+
+  const changes = extractHistoryChanges(entry);
+  if (changes.length === 0) {
+    throw timelineError(400, 'Запис не містить змін для скасування');
+  }
+
+  const conflicts = changes
+    .filter(change => !sameValue(lead[change.field], change.after))
+    .map(change => ({ field: change.field, expected: change.after, current: lead[change.field] ?? null }));
+
+  if (conflicts.length > 0 && !force) {
+    throw timelineError(409, 'Поле змінилося після цього запису. Передайте force: true, щоб скасувати все одно', conflicts);
+  }
+
+  const updateData = {};
+  changes.forEach(change => {
+    updateData[change.field] = change.before;
+  });
+
+  const statusNote = typeof note === 'string' ? note.trim() : '';
+  const statusChanging = updateData.status !== undefined && !sameValue(updateData.status, lead.status);
+
+  if (updateData.status !== undefined && !updateData.status) {
+    throw timelineError(400, 'Попередній статус невідомий');
+  }
+
+  if (statusChanging) {
+    const check = await validateStatusChange({ leads: [lead], to: updateData.status, role: admin.role, note: statusNote });
+    if (!check.valid) {
+      throw timelineError(check.status, check.message, check.errors);
+    }
+  }
+
+  if (updateData.assigned !== undefined && !hasPermission(access.permissions, 'leads.assign')) {
+    throw timelineError(403, 'Недостатньо прав для зміни відповідального');
+  }
+
+  if (updateData.phone) {
+    updateData.normalizedPhone = String(updateData.phone).replace(/\D/g, '');
+  }
+
+  const update = { $set: updateData };
+  if (statusChanging && statusNote) {
+    update.$set.updatedByNote = statusNote;
+    update.$push = { notes: { text: statusNote, createdAt: new Date(), adminId: admin._id.toString() } };
+  }
+
+  const previous = lead.toObject();
+  const updatedLead = await Lead.findByIdAndUpdate(lead._id, update, { new: true, runValidators: true });
+
+  const metadata = { revertOf: entry._id };
+  if (entry.actionType === 'STATUS_CHANGED') {
+    await logStatusChanged(lead._id, admin._id, previous.status, updatedLead.status, updatedLead.name, metadata);
+    if (statusChanging && statusNote) {
+      await logCommentAdded(lead._id, admin._id, statusNote, updatedLead.name);
+    }
+  } else if (entry.actionType === 'ASSIGNED_TO_MANAGER') {
+    await logAssignmentChanged(lead._id, admin._id, previous.assigned, updatedLead.assigned, updatedLead.name, metadata);
+  } else {
+    await logContactInfoUpdated(lead._id, admin._id, {
+      oldPhone: previous.phone,
+      newPhone: updatedLead.phone,
+      oldEmail: previous.email,
+      newEmail: updatedLead.email
+    }, updatedLead.name, metadata);
+  }
+
+  return { lead: updatedLead, previous, entry, fields: Object.keys(updateData).filter(field => field !== 'normalizedPhone') };
+}
+
+module.exports = {
+  REVERTIBLE_ACTIONS,
+  reconstructLeadAt,
+  revertHistoryEntry
+};
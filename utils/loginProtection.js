@@ -0,0 +1,177 @@
+/**
+ * Login brute-force protection
+ * Failed logins are counted per login name and per IP address. After a few
+ * failures every further attempt has to wait progressively longer (1 s, 2 s,
+ * 4 s ... up to 30 s); at the limit the key is locked. The lock only stops
+ * new logins: sessions already open stay valid (Admin.blockedUntil is left
+ * to blocks an admin applies).
+ *
+ * Configuration (environment):
+ * - LOGIN_MAX_FAILURES - failures per login before lockout (default 5)
+ * - LOGIN_IP_MAX_FAILURES - failures per IP before lockout (default 20)
+ * - LOGIN_FAILURE_WINDOW_MINUTES - failures older than this are forgotten (default 15)
+ * - LOGIN_LOCKOUT_MINUTES - lockout duration (default 15)
+ * @module utils/loginProtection
+ */
+
+const LoginThrottle = require('../models/LoginThrottle');
+const { recordAudit } = require('./auditLog');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('LoginProtection');
+
+const FREE_FAILURES = 2;
+const DELAY_BASE_MS = 1000;
+const DELAY_MAX_MS = 30 * 1000;
+
+/**
+ * Read a positive number from the environment
+ * @private
+ */
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getLoginProtectionSettings() {
+  return {
+    maxFailures: numberFromEnv('LOGIN_MAX_FAILURES', 5),
+    ipMaxFailures: numberFromEnv('LOGIN_IP_MAX_FAILURES', 20),
+    windowMinutes: numberFromEnv('LOGIN_FAILURE_WINDOW_MINUTES', 15),
+    lockoutMinutes: numberFromEnv('LOGIN_LOCKOUT_MINUTES', 15)
+  };
+}
+
+/**
+ * @private
+ */
+function throttleKeys(login, ip) {
+  return [
+    { key: `login:${login}`, type: 'login' },
+    { key: `ip:${ip || 'unknown'}`, type: 'ip' }
+  ];
+}
+
+/**
+ * Wait required after N failures (0 for the first FREE_FAILURES)
+ * @private
+ */
+function delayAfter(failures) {
+  if (failures <= FREE_FAILURES) return 0;
+  return Math.min(DELAY_BASE_MS * 2 ** (failures - FREE_FAILURES - 1), DELAY_MAX_MS);
+}
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {Object} params - { login, ip }
+ * @returns {Promise<Object>} { allowed, retryAfterMs, locked }
+ */
+async function checkLoginAllowed({ login, ip }) {
+  const { windowMinutes } = getLoginProtectionSettings();
+  const now = Date.now();
+  const windowStart = now - windowMinutes * 60 * 1000;
+
+  const records = await LoginThrottle.find({ key: { $in: throttleKeys(login, ip).map(item => item.key) } }).lean();
+
+  let retryAfterMs = 0;
+  let locked = false;
+
+  records.forEach(record => {
+    if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+      locked = true;
+      retryAfterMs = Math.max(retryAfterMs, record.lockedUntil.getTime() - now);
+      return;
+    }
+
+    if (!record.lastFailureAt || record.lastFailureAt.getTime() < windowStart) return;
+
+    const wait = record.lastFailureAt.getTime() + delayAfter(record.failures) - now;
+    retryAfterMs = Math.max(retryAfterMs, wait);
+  });
+
+  return { allowed: retryAfterMs <= 0, retryAfterMs: Math.max(retryAfterMs, 0), locked };
+}
+
+/**
+ * Count a failed login for the login name and the IP; lock keys over the limit
+ * @param {Object} params - { login, ip, admin } (admin is null for unknown logins)
+ * @param {Object} req - Express request (audit)
+ */
+async function recordLoginFailure({ login, ip, admin }, req) {
+  const { maxFailures, ipMaxFailures, windowMinutes, lockoutMinutes } = getLoginProtectionSettings();
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - windowMinutes * 60 * 1000);
+  const windowEnd = new Date(now.getTime() + windowMinutes * 60 * 1000);
+
+  await recordAudit({
+    action: 'AUTH_LOGIN_FAILED',
+    entityType: 'Admin',
+    entityId: admin ? admin._id : null,
+    actorId: null,
+    metadata: { login, knownLogin: !!admin }
+  }, req);
+
+  for (const { key, type } of throttleKeys(login, ip)) {
+    // Failures outside the window start a new count
+    await LoginThrottle.updateOne(
+      { key, lastFailureAt: { $lt: windowStart } },
+      { $set: { failures: 0 } }
+    );
+
+    const record = await LoginThrottle.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { type, lastFailureAt: now },
+        $max: { expiresAt: windowEnd }
+      },
+      { upsert: true, new: true }
+    );
+
+    const limit = type === 'login' ? maxFailures : ipMaxFailures;
+    if (record.failures < limit) continue;
+
+    const lockedUntil = new Date(now.getTime() + lockoutMinutes * 60 * 1000);
+    await LoginThrottle.updateOne(
+      { key },
+      { $set: { failures: 0, lockedUntil }, $max: { expiresAt: lockedUntil } }
+    );
+
+    logger.warn('Login locked after failed attempts', { type, login, ip, failures: record.failures, lockedUntil });
+    await recordAudit({
+      action: type === 'login' ? 'AUTH_ACCOUNT_LOCKED' : 'AUTH_IP_LOCKED',
+      entityType: type === 'login' ? 'Admin' : 'LoginThrottle',
+      entityId: type === 'login' ? (admin ? admin._id : login) : ip,
+      actorId: null,
+      metadata: { login, ip, failures: record.failures, lockedUntil }
+    }, req);
+  }
+}
+
+/**
+ * Forget failed attempts of a login name after a successful login
+ * The IP counter is kept, so one valid account cannot reset it
+ */
+async function recordLoginSuccess({ login }) {
+  await LoginThrottle.deleteOne({ key: `login:${login}` });
+}
+
+/**
+ * Remove the lock and failed attempts of an admin (manual unlock)
+ * @param {Object} admin - Admin document
+ * @returns {Promise<Date|null>} End of the removed login lock
+ */
+async function unlockAdmin(admin) {
+  const record = await LoginThrottle.findOneAndDelete({ key: `login:${admin.login}` });
+  admin.blockedUntil = null;
+  await admin.save();
+  return record ? record.lockedUntil : null;
+}
+
+module.exports = {
+  getLoginProtectionSettings,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAdmin
+};
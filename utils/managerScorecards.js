@@ -0,0 +1,326 @@
+/**
+ * Manager scorecards
+ * Per admin, for a period (Kyiv days) and the period of the same length just
+ * before it:
+ * - leads: leads created in the period and assigned to the admin;
+ * - first touch: from teamLeadAssignedAt to the admin's first COMMENT_ADDED
+ *   on the lead (leads with teamLeadAssignedAt in the period);
+ * - actions: planned in the period, completed (on time / late) and overdue;
+ * - successful leads (closeDate) and LOTs (lotDate): count and amounts.
+ * Admins are ranked within their team by one of the metrics.
+ * @module utils/managerScorecards
+ */
+
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const LeadsHistory = require('../models/LeadsHistory');
+const Action = require('../models/Actions');
+const SuccessfulLead = require('../models/SuccessfulLeads');
+const Lot = require('../models/Lot');
+const Admin = require('../models/Admin');
+const { buildLeadsFilter } = require('./leadHelpers');
+const { periodStart } = require('./timeSeries');
+const { resolveTeams, listTeams, mapMembersToTeams } = require('./teamMembership');
+
+const SCORECARD_ROLES = ['Manager', 'Reten', 'TeamLead'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const NO_TEAM = '—';
+
+// Metrics a scorecard can be ranked by; the lower value wins for first touch
+const RANK_METRICS = {
+  leads: 'desc',
+  successfulLeads: 'desc',
+  successfulAmount: 'desc',
+  revenue: 'desc',
+  actionsCompleted: 'desc',
+  actionsOverdue: 'asc',
+  firstTouchMedianHours: 'asc'
+};
+
+const COMPARED_METRICS = [
+  'leads',
+  'firstTouchMedianHours',
+  'actionsCompleted',
+  'actionsOverdue',
+  'successfulLeads',
+  'successfulAmount',
+  'revenue',
+  'payoutAmount'
+];
+
+const scorecardError = (status, message) => Object.assign(new Error(message), { status });
+
+const round = value => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Median of a list of numbers (null for an empty list)
+ * @private
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Period [from, until) from dateFrom/dateTo (Kyiv days, inclusive)
+ * Default: from the 1st of the current month to today
+ * @private
+ */
+function resolvePeriod(dateFrom, dateTo) {
+  const to = dateTo ? new Date(dateTo) : new Date();
+  const from = dateFrom ? new Date(dateFrom) : periodStart(to, 'month');
+
+  if (Number.isNaN(to.getTime()) || Number.isNaN(from.getTime())) {
+    throw scorecardError(400, 'Невірний формат дати');
+  }
+
+  const start = periodStart(from, 'day');
+  const until = new Date(periodStart(to, 'day').getTime() + DAY_MS);
+  if (start >= until) throw scorecardError(400, 'dateFrom пізніше за dateTo');
+
+  return { from: start, until };
+}
+
+/**
+ * Admins the scorecards are built for: the stats data scope of the viewer,
+ * narrowed by team and manager
+ * @private
+ */
+async function loadScorecardAdmins(viewer, { team, manager }) {
+  const leadFilter = await buildLeadsFilter({
+    team,
+    assigned: manager,
+    userRole: viewer.role,
+    userId: viewer._id.toString(),
+    userTeam: viewer.team,
+    forStats: true
+  });
+
+  const adminFilter = {};
+  if (leadFilter.assigned !== undefined) {
+    const ids = leadFilter.assigned && leadFilter.assigned.$in ? leadFilter.assigned.$in : [leadFilter.assigned];
+    adminFilter._id = { $in: ids.filter(id => mongoose.Types.ObjectId.isValid(id)) };
+  } else {
+    adminFilter.role = { $in: SCORECARD_ROLES };
+  }
+
+  const admins = await Admin.find(adminFilter).select('login role team isActive').lean();
+  return { admins, leadFilter };
+}
+
+/**
+ * Metrics of the admins for one period
+ * @private
+ * @returns {Promise<Map<string, Object>>} adminId → metrics
+ */
+async function computeMetrics(adminIds, { from, until }, leadFilter, includeLots) {
+  const objectIds = adminIds.map(id => new mongoose.Types.ObjectId(id));
+  const now = new Date();
+
+  const [leads, firstTouches, actions, successful, lots] = await Promise.all([
+    Lead.aggregate([
+      { $match: { ...leadFilter, assigned: { $in: adminIds }, dateCreate: { $gte: from, $lt: until } } },
+      { $group: { _id: '$assigned', count: { $sum: 1 } } }
+    ]),
+    Lead.aggregate([
+      { $match: { ...leadFilter, assigned: { $in: adminIds }, teamLeadAssignedAt: { $gte: from, $lt: until } } },
+      { $project: { assigned: 1, teamLeadAssignedAt: 1 } },
+      {
+        $lookup: {
+          from: LeadsHistory.collection.name,
+          let: { leadId: '$_id', assigned: '$assigned', assignedAt: '$teamLeadAssignedAt' },
+          pipeline: [
+            {
+              $match: {
+                actionType: 'COMMENT_ADDED',
+                $expr: {
+                  $and: [
+                    { $eq: ['$leadId', '$$leadId'] },
+                    { $gte: ['$timestamp', '$$assignedAt'] },
+                    { $eq: [{ $toString: '$adminId' }, '$$assigned'] }
+                  ]
+                }
+              }
+            },
+            { $sort: { timestamp: 1 } },
+            { $limit: 1 },
+            { $project: { _id: 0, timestamp: 1 } }
+          ],
+          as: 'firstComment'
+        }
+      },
+      {
+        $project: {
+          assigned: 1,
+          touchMs: { $subtract: [{ $arrayElemAt: ['$firstComment.timestamp', 0] }, '$teamLeadAssignedAt'] }
+        }
+      },
+      { $group: { _id: '$assigned', durations: { $push: '$touchMs' }, total: { $sum: 1 } } }
+    ]),
+    Action.aggregate([
+      { $match: { managerId: { $in: objectIds }, planDate: { $gte: from, $lt: until } } },
+      {
+        $group: {
+          _id: '$managerId',
+          planned: { $sum: 1 },
+          completed: { $sum: { $cond: [{ $ne: ['$completedAt', null] }, 1, 0] } },
+          completedOnTime: {
+            $sum: { $cond: [{ $and: [{ $ne: ['$completedAt', null] }, { $lte: ['$completedAt', '$planDate'] }] }, 1, 0] }
+          },
+          overdue: {
+            $sum: { $cond: [{ $and: [{ $eq: ['$completedAt', null] }, { $lt: ['$planDate', now] }] }, 1, 0] }
+          }
+        }
+      }
+    ]),
+    SuccessfulLead.aggregate([
+      { $match: { assigned: { $in: objectIds }, closeDate: { $gte: from, $lt: until } } },
+      { $group: { _id: '$assigned', count: { $sum: 1 }, amount: { $sum: { $ifNull: ['$amount', 0] } } } }
+    ]),
+    includeLots
+      ? Lot.aggregate([
+        { $match: { assignedTo: { $in: objectIds }, lotDate: { $gte: from, $lt: until }, isDeleted: false, status: 'ACTIVE' } },
+        {
+          $group: {
+            _id: '$assignedTo',
+            count: { $sum: 1 },
+            amount: { $sum: { $ifNull: ['$amount', 0] } },
+            payoutAmount: { $sum: { $ifNull: ['$payoutAmount', 0] } }
+          }
+        }
+      ])
+      : []
+  ]);
+
+  const byId = rows => new Map(rows.map(row => [String(row._id), row]));
+  const leadRows = byId(leads);
+  const touchRows = byId(firstTouches);
+  const actionRows = byId(actions);
+  const successfulRows = byId(successful);
+  const lotRows = byId(lots);
+
+  const metrics = new Map();
+  adminIds.forEach(id => {
+    const touch = touchRows.get(id);
+    const durations = touch ? touch.durations.filter(value => typeof value === 'number' && value >= 0) : [];
+    const action = actionRows.get(id) || {};
+    const successfulRow = successfulRows.get(id) || {};
+    const lot = lotRows.get(id) || {};
+
+    metrics.set(id, {
+      leads: (leadRows.get(id) || {}).count || 0,
+      firstTouchLeads: touch ? touch.total : 0,
+      firstTouchUntouched: touch ? touch.total - durations.length : 0,
+      firstTouchMedianHours: round(durations.length > 0 ? median(durations) / HOUR_MS : null),
+      firstTouchAverageHours: round(durations.length > 0 ? durations.reduce((sum, value) => sum + value, 0) / durations.length / HOUR_MS : null),
+      actionsPlanned: action.planned || 0,
+      actionsCompleted: action.completed || 0,
+      actionsCompletedOnTime: action.completedOnTime || 0,
+      actionsOverdue: action.overdue || 0,
+      successfulLeads: successfulRow.count || 0,
+      successfulAmount: successfulRow.amount || 0,
+      ...(includeLots ? { lots: lot.count || 0, revenue: lot.amount || 0, payoutAmount: lot.payoutAmount || 0 } : {})
+    });
+  });
+
+  return metrics;
+}
+
+/**
+ * Rank scorecards within each team (equal values share a rank)
+ * @private
+ */
+function rankWithinTeams(scorecards, rankBy) {
+  const direction = RANK_METRICS[rankBy];
+  const teams = new Map();
+  scorecards.forEach(card => {
+    if (!teams.has(card.team)) teams.set(card.team, []);
+    teams.get(card.team).push(card);
+  });
+
+  teams.forEach(cards => {
+    // Missing values (e.g. no first touches) rank last
+    const value = card => (card.metrics[rankBy] === undefined ? null : card.metrics[rankBy]);
+    cards.sort((a, b) => {
+      if (value(a) === null && value(b) === null) return 0;
+      if (value(a) === null) return 1;
+      if (value(b) === null) return -1;
+      return direction === 'asc' ? value(a) - value(b) : value(b) - value(a);
+    });
+
+    cards.forEach((card, index) => {
+      const previous = cards[index - 1];
+      card.teamRank = previous && value(previous) === value(card) ? previous.teamRank : index + 1;
+      card.teamSize = cards.length;
+    });
+  });
+}
+
+/**
+ * Build manager scorecards
+ * @param {Object} viewer - Authenticated admin (req.admin)
+ * @param {Object} options
+ * @param {string} [options.dateFrom] - First day (Kyiv), default: 1st of the current month
+ * @param {string} [options.dateTo] - Last day (Kyiv), default: today
+ * @param {string} [options.team] - Team name or Teams ID
+ * @param {string} [options.manager] - Admin ID(s), comma-separated
+ * @param {string} [options.rankBy=successfulLeads] - Metric to rank by within team (RANK_METRICS)
+ * @param {boolean} [options.includeLots=true] - LOT revenue and payouts (lots.stats.view)
+ * @returns {Promise<Object>} { period, previousPeriod, rankBy, scorecards }
+ * @throws {Error} With status 400 for invalid parameters
+ */
+async function getScorecards(viewer, { dateFrom, dateTo, team, manager, rankBy = 'successfulLeads', includeLots = true } = {}) {
+  if (!RANK_METRICS[rankBy] || (rankBy === 'revenue' && !includeLots)) {
+    const allowed = Object.keys(RANK_METRICS).filter(key => includeLots || key !== 'revenue');
+    throw scorecardError(400, `rankBy: одне з ${allowed.join(', ')}`);
+  }
+
+  const period = resolvePeriod(dateFrom, dateTo);
+  const length = period.until - period.from;
+  const previousPeriod = { from: new Date(period.from.getTime() - length), until: period.from };
+
+  const { admins, leadFilter } = await loadScorecardAdmins(viewer, { team, manager });
+  const adminIds = admins.map(admin => admin._id.toString());
+  // With a team filter admins are ranked within that team, otherwise within their first team
+  const memberTeams = mapMembersToTeams(team ? await resolveTeams(team) : await listTeams());
+
+  const [current, previous] = await Promise.all([
+    computeMetrics(adminIds, period, leadFilter, includeLots),
+    computeMetrics(adminIds, previousPeriod, leadFilter, includeLots)
+  ]);
+
+  const scorecards = admins.map(admin => {
+    const id = admin._id.toString();
+    const metrics = current.get(id);
+    const before = previous.get(id);
+    const change = {};
+
+    COMPARED_METRICS.filter(key => key in metrics).forEach(key => {
+      change[key] = metrics[key] === null || before[key] === null ? null : round(metrics[key] - before[key]);
+    });
+
+    return {
+      adminId: admin._id,
+      login: admin.login,
+      role: admin.role,
+      team: memberTeams.has(id) ? memberTeams.get(id)[0].name : admin.team || NO_TEAM,
+      isActive: admin.isActive !== false,
+      metrics,
+      previous: before,
+      change
+    };
+  });
+
+  rankWithinTeams(scorecards, rankBy);
+  scorecards.sort((a, b) => String(a.team).localeCompare(String(b.team)) || a.teamRank - b.teamRank);
+
+  return { period, previousPeriod, rankBy, scorecards };
+}
+
+module.exports = {
+  RANK_METRICS,
+  getScorecards
+};
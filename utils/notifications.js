@@ -0,0 +1,34 @@
+/**
+ * Notification center
+ * Stores notifications per admin and pushes them to open WebSocket connections.
+ * @module utils/notifications
+ */
+
+const Notification = require('../models/Notification');
+const { sendToAdmin, EVENT_TYPES } = require('./realtime');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Notifications');
+
+/**
+ * Create a notification and push it in real time
+ * Never throws: notifications must not break the code that triggered them
+ * @param {Object} data - Notification fields (adminId, type, title, message, leadId, actionId, data, dedupeKey)
+ * @returns {Promise<Object|null>} Created notification, or null for a duplicate or on error
+ */
+async function notifyAdmin(data) {
+  try {
+    const notification = await Notification.createOnce(data);
+    if (!notification) return null;
+
+    sendToAdmin(notification.adminId, EVENT_TYPES.NOTIFICATION, notification);
+    return notification;
+  } catch (error) {
+    logger.error('Failed to create notification', { adminId: data.adminId, type: data.type, error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  notifyAdmin
+};
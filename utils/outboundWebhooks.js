@@ -0,0 +1,324 @@
+/**
+ * Outbound webhooks
+ * Turns CRM events into signed HTTP POSTs to subscribed partner URLs,
+ * keeps a delivery log and retries failed deliveries with backoff.
+ * @module utils/outboundWebhooks
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const LeadsHistory = require('../models/LeadsHistory');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('OutboundWebhooks');
+
+// Every history action type is emitted as lead.<action_type>
+const HISTORY_EVENTS = LeadsHistory.schema.path('actionType').enumValues
+  .map(actionType => `lead.${actionType.toLowerCase()}`);
+
+// Events that are not history entries
+const CUSTOM_EVENTS = {
+  LEAD_CONVERTED: 'lead.converted',
+  PING: 'ping'
+};
+
+const WEBHOOK_EVENTS = [...HISTORY_EVENTS, ...Object.values(CUSTOM_EVENTS)];
+
+// Delay before retry N (after N failed attempts); attempts beyond the list fail for good
+const RETRY_DELAYS_MS = [
+  60 * 1000,
+  5 * 60 * 1000,
+  30 * 60 * 1000,
+  2 * 60 * 60 * 1000,
+  12 * 60 * 60 * 1000
+];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const WORKER_INTERVAL_MS = 30 * 1000;
+const WORKER_BATCH_SIZE = 20;
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const RESPONSE_BODY_LIMIT = 1000;
+
+const LEAD_SNAPSHOT_FIELDS = '_id name phone email status assigned department sourceDescription utm_source dateCreate';
+
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * Sign a request body
+ * Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and compare
+ * with the X-Webhook-Signature header.
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Unix seconds sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Send one delivery and record the attempt
+ * The delivery is claimed atomically, so the worker and an immediate
+ * attempt never send it twice.
+ * @param {string} deliveryId
+ * @returns {Promise<Object|null>} Updated delivery or null if it was not due
+ */
+async function attemptDelivery(deliveryId) {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: new Date() } },
+    { $set: { status: 'delivering', lockedAt: new Date() } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+  if (!subscription) {
+    delivery.status = 'failed';
+    delivery.attempts.push({ error: 'Subscription deleted' });
+    delivery.lockedAt = null;
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+  const attempt = { attemptedAt: new Date() };
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Fenix-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    attempt.statusCode = response.status;
+    attempt.responseBody = (await response.text().catch(() => '')).slice(0, RESPONSE_BODY_LIMIT);
+    if (!response.ok) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError' ? `Timeout after ${REQUEST_TIMEOUT_MS}ms` : error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+  delivery.attemptCount += 1;
+  delivery.lockedAt = null;
+
+  const succeeded = !attempt.error;
+  if (succeeded) {
+    delivery.status = 'success';
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attemptCount >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + RETRY_DELAYS_MS[delivery.attemptCount - 1]);
+  }
+
+  await delivery.save();
+
+  await WebhookSubscription.updateOne(
+    { _id: subscription._id },
+    succeeded
+      ? { $set: { 'stats.lastDeliveryAt': new Date(), 'stats.lastDeliveryStatus': 'success', 'stats.consecutiveFailures': 0 } }
+      : { $set: { 'stats.lastDeliveryAt': new Date(), 'stats.lastDeliveryStatus': 'failed' }, $inc: { 'stats.consecutiveFailures': 1 } }
+  );
+
+  if (!succeeded) {
+    logger.warn('Webhook delivery failed', {
+      deliveryId: delivery._id,
+      subscriptionId: subscription._id,
+      event: delivery.event,
+      attempt: delivery.attemptCount,
+      error: attempt.error,
+      nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null
+    });
+  }
+
+  return delivery;
+}
+
+/**
+ * Attempt in the background; failures stay in the log for the worker
+ * @private
+ */
+function scheduleAttempt(deliveryId) {
+  setImmediate(() => {
+    attemptDelivery(deliveryId).catch(error => {
+      logger.error('Webhook delivery crashed', { deliveryId, error: error.message });
+    });
+  });
+}
+
+/**
+ * Queue an event for every active subscription listening to it
+ * Never throws: webhook problems must not break the action that caused them.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @param {Object} [options]
+ * @param {string} [options.leadId] - Lead the event is about (adds a lead snapshot)
+ * @param {Object[]} [options.subscriptions] - Explicit recipients (used for ping)
+ * @returns {Promise<Object[]>} Created deliveries
+ */
+async function emitWebhookEvent(event, data, { leadId = null, subscriptions = null } = {}) {
+  try {
+    const recipients = subscriptions || await WebhookSubscription.findForEvent(event);
+    if (recipients.length === 0) return [];
+
+    const lead = leadId ? await Lead.findById(leadId).select(LEAD_SNAPSHOT_FIELDS).lean() : null;
+    const occurredAt = new Date().toISOString();
+
+    // Payload carries its own delivery id so receivers can deduplicate
+    const deliveries = await WebhookDelivery.insertMany(recipients.map(subscription => {
+      const _id = new mongoose.Types.ObjectId();
+      return {
+        _id,
+        subscriptionId: subscription._id,
+        event,
+        leadId,
+        payload: { id: _id.toString(), event, occurredAt, data: { ...data, lead } }
+      };
+    }));
+
+    deliveries.forEach(delivery => scheduleAttempt(delivery._id));
+    return deliveries;
+  } catch (error) {
+    logger.error('Failed to queue webhook event', { event, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Emit a saved LeadsHistory entry as lead.<action_type>
+ * @param {Object} historyEntry - LeadsHistory document
+ * @returns {Promise<Object[]>} Created deliveries
+ */
+function emitHistoryEvent(historyEntry) {
+  return emitWebhookEvent(`lead.${historyEntry.actionType.toLowerCase()}`, {
+    historyId: historyEntry._id,
+    leadId: historyEntry.leadId,
+    actionType: historyEntry.actionType,
+    description: historyEntry.description,
+    adminId: historyEntry.adminId,
+    isSystem: historyEntry.isSystem,
+    metadata: historyEntry.metadata,
+    timestamp: historyEntry.timestamp
+  }, { leadId: historyEntry.leadId });
+}
+
+/**
+ * Emit lead.converted (successful lead or LOT created)
+ * @param {Object} lead - Lead document
+ * @param {string} via - 'successful_lead' or 'lot'
+ * @param {Object} record - Created SuccessfulLead or Lot
+ * @returns {Promise<Object[]>} Created deliveries
+ */
+function emitLeadConverted(lead, via, record) {
+  return emitWebhookEvent(CUSTOM_EVENTS.LEAD_CONVERTED, {
+    leadId: lead._id,
+    via,
+    recordId: record._id,
+    amount: record.amount,
+    date: via === 'lot' ? record.lotDate : record.closeDate
+  }, { leadId: lead._id });
+}
+
+/**
+ * Send the payload of an existing delivery again as a new delivery
+ * @param {string} deliveryId
+ * @returns {Promise<Object|null>} New delivery or null when not found
+ */
+async function redeliver(deliveryId) {
+  const original = await WebhookDelivery.findById(deliveryId).lean();
+  if (!original) return null;
+
+  const delivery = await WebhookDelivery.create({
+    subscriptionId: original.subscriptionId,
+    event: original.event,
+    leadId: original.leadId,
+    payload: original.payload,
+    redeliveryOf: original._id
+  });
+
+  scheduleAttempt(delivery._id);
+  return delivery;
+}
+
+/**
+ * Send deliveries whose retry time has come
+ * @returns {Promise<number>} Number of processed deliveries
+ */
+async function processDueDeliveries() {
+  // Deliveries left in 'delivering' by a crashed process are retried
+  await WebhookDelivery.updateMany(
+    { status: 'delivering', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+    { $set: { status: 'pending', lockedAt: null } }
+  );
+
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .select('_id')
+    .sort({ nextAttemptAt: 1 })
+    .limit(WORKER_BATCH_SIZE)
+    .lean();
+
+  for (const { _id } of due) {
+    await attemptDelivery(_id);
+  }
+  return due.length;
+}
+
+/**
+ * Start the retry worker (idempotent)
+ */
+function startWebhookWorker() {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(async () => {
+    if (workerRunning) return;
+    workerRunning = true;
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      logger.error('Webhook worker iteration failed', { error: error.message });
+    } finally {
+      workerRunning = false;
+    }
+  }, WORKER_INTERVAL_MS);
+
+  logger.info('Webhook worker started', { intervalMs: WORKER_INTERVAL_MS });
+}
+
+function stopWebhookWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  CUSTOM_EVENTS,
+  MAX_ATTEMPTS,
+  signPayload,
+  emitWebhookEvent,
+  emitHistoryEvent,
+  emitLeadConverted,
+  attemptDelivery,
+  redeliver,
+  processDueDeliveries,
+  startWebhookWorker,
+  stopWebhookWorker
+};
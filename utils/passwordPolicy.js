@@ -0,0 +1,241 @@
+/**
+ * Password policy, password changes and admin-initiated resets
+ * Every new password is checked against the policy: length, character
+ * classes, not equal to the login and not one of the last N passwords.
+ * Passwords must be set through setPassword(), which keeps the history;
+ * the password of an existing admin is changed with changePassword(),
+ * which also ends the admin's sessions.
+ *
+ * Configuration (environment):
+ * - PASSWORD_MIN_LENGTH - minimum length (default 10, never below 6)
+ * - PASSWORD_REQUIRE_UPPERCASE / PASSWORD_REQUIRE_LOWERCASE /
+ *   PASSWORD_REQUIRE_DIGIT / PASSWORD_REQUIRE_SYMBOL - required character
+ *   classes ('true'/'false', default true for all but symbols)
+ * - PASSWORD_HISTORY_SIZE - recent passwords that cannot be reused (default 5)
+ * - PASSWORD_RESET_EXPIRES_HOURS - reset token lifetime (default 24)
+ * @module utils/passwordPolicy
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const Admin = require('../models/Admin');
+const { revokeAdminSessions } = require('./sessions');
+
+// Admin schema minlength
+const ABSOLUTE_MIN_LENGTH = 6;
+
+/**
+ * Read a positive number from the environment
+ * @private
+ */
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Read 'true'/'false' from the environment
+ * @private
+ */
+function booleanFromEnv(name, fallback) {
+  const value = (process.env[name] || '').trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(value)) return true;
+  if (['false', '0', 'no'].includes(value)) return false;
+  return fallback;
+}
+
+function getPasswordPolicy() {
+  return {
+    minLength: Math.max(numberFromEnv('PASSWORD_MIN_LENGTH', 10), ABSOLUTE_MIN_LENGTH),
+    requireUppercase: booleanFromEnv('PASSWORD_REQUIRE_UPPERCASE', true),
+    requireLowercase: booleanFromEnv('PASSWORD_REQUIRE_LOWERCASE', true),
+    requireDigit: booleanFromEnv('PASSWORD_REQUIRE_DIGIT', true),
+    requireSymbol: booleanFromEnv('PASSWORD_REQUIRE_SYMBOL', false),
+    historySize: numberFromEnv('PASSWORD_HISTORY_SIZE', 5),
+    resetExpiresHours: numberFromEnv('PASSWORD_RESET_EXPIRES_HOURS', 24)
+  };
+}
+
+/**
+ * Error with an HTTP status and the list of failed rules
+ * @private
+ */
+function passwordError(message, status = 400, errors = []) {
+  const error = new Error(message);
+  error.status = status;
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * @private
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Check a new password against the policy
+ * @param {string} password - Candidate password
+ * @param {Object} admin - { login, password (current hash), passwordHistory }; may be a new admin
+ * @returns {Promise<string[]>} Failed rules (empty when the password is allowed)
+ */
+async function validatePassword(password, admin) {
+  const policy = getPasswordPolicy();
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Пароль обов\'язковий'];
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`Пароль має містити щонайменше ${policy.minLength} символів`);
+  }
+  if (policy.requireUppercase && !/\p{Lu}/u.test(password)) {
+    errors.push('Пароль має містити велику літеру');
+  }
+  if (policy.requireLowercase && !/\p{Ll}/u.test(password)) {
+    errors.push('Пароль має містити малу літеру');
+  }
+  if (policy.requireDigit && !/\d/.test(password)) {
+    errors.push('Пароль має містити цифру');
+  }
+  if (policy.requireSymbol && !/[^\p{L}\d]/u.test(password)) {
+    errors.push('Пароль має містити спеціальний символ');
+  }
+  if (admin.login && password.trim().toLowerCase() === admin.login.trim().toLowerCase()) {
+    errors.push('Пароль не може збігатися з логіном');
+  }
+
+  // Current password and previous ones, historySize in total
+  const recentHashes = [admin.password, ...(admin.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, policy.historySize);
+  for (const hash of recentHashes) {
+    if (await bcrypt.compare(password, hash)) {
+      errors.push(`Пароль не може збігатися з одним із ${policy.historySize} останніх паролів`);
+      break;
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Throw when a password does not satisfy the policy
+ * @param {string} password - Candidate password
+ * @param {Object} admin - See validatePassword
+ * @throws {Error} With status 400 and `errors`
+ */
+async function assertPasswordAllowed(password, admin) {
+  const errors = await validatePassword(password, admin);
+  if (errors.length > 0) {
+    throw passwordError('Пароль не відповідає вимогам', 400, errors);
+  }
+}
+
+/**
+ * Check the policy and set a new password (hashed by the Admin pre-save hook)
+ * The previous hash is kept in passwordHistory; a pending reset token is dropped.
+ * @param {Object} admin - Admin document
+ * @param {string} password - New password
+ * @param {Object} [options]
+ * @param {boolean} [options.mustChangePassword=false] - Require another change at the next login
+ *   (set when somebody else chooses the password)
+ */
+async function setPassword(admin, password, { mustChangePassword = false } = {}) {
+  await assertPasswordAllowed(password, admin);
+
+  const { historySize } = getPasswordPolicy();
+  if (admin.password && !admin.isNew) {
+    admin.passwordHistory = [admin.password, ...(admin.passwordHistory || [])].slice(0, historySize);
+  }
+
+  admin.password = password;
+  admin.passwordChangedAt = new Date();
+  admin.mustChangePassword = mustChangePassword;
+  admin.passwordReset = { tokenHash: null, expiresAt: null, requestedBy: null };
+  await admin.save();
+}
+
+/**
+ * Change the password of an existing admin and end their sessions
+ * @param {Object} admin - Admin document
+ * @param {string} password - New password
+ * @param {Object} [options]
+ * @param {boolean} [options.mustChangePassword=false] - See setPassword
+ * @param {string|ObjectId} [options.revokedBy=null] - Admin who changed the password
+ * @param {string|ObjectId} [options.exceptSessionId=null] - Session kept (own change from this device)
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+async function changePassword(admin, password, { mustChangePassword = false, revokedBy = null, exceptSessionId = null } = {}) {
+  await setPassword(admin, password, { mustChangePassword });
+  return revokeAdminSessions(admin._id, { reason: 'PASSWORD_CHANGED', revokedBy, exceptSessionId });
+}
+
+/**
+ * Create a one-time password reset token (replaces a previous one)
+ * @param {Object} admin - Admin document
+ * @param {string|ObjectId} requestedBy - Admin who initiated the reset
+ * @returns {Promise<Object>} { token, expiresAt } - the raw token is returned only here
+ */
+async function createPasswordReset(admin, requestedBy) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + getPasswordPolicy().resetExpiresHours * 60 * 60 * 1000);
+
+  admin.passwordReset = { tokenHash: hashToken(token), expiresAt, requestedBy };
+  await admin.save();
+
+  return { token, expiresAt };
+}
+
+/**
+ * Find the admin of a valid (unused, unexpired) reset token
+ * @param {string} token - Raw reset token
+ * @returns {Promise<Object|null>} Admin document
+ */
+function findAdminByResetToken(token) {
+  return Admin.findOne({
+    'passwordReset.tokenHash': hashToken(token),
+    'passwordReset.expiresAt': { $gt: new Date() }
+  });
+}
+
+/**
+ * Set a new password with a reset token; the token is consumed and every session ended
+ * @param {string} token - Raw reset token
+ * @param {string} password - New password
+ * @returns {Promise<Object>} { admin, revokedSessions }
+ * @throws {Error} With status 404 (invalid or expired token) or 400 (policy)
+ */
+async function completePasswordReset(token, password) {
+  const admin = await findAdminByResetToken(token);
+  if (!admin) {
+    throw passwordError('Посилання для скидання пароля недійсне або прострочене', 404);
+  }
+
+  await assertPasswordAllowed(password, admin);
+
+  // Consume the token atomically, so parallel requests cannot both use it
+  const claimed = await Admin.updateOne(
+    { _id: admin._id, 'passwordReset.tokenHash': hashToken(token) },
+    { $set: { 'passwordReset.tokenHash': null } }
+  );
+  if (claimed.modifiedCount !== 1) {
+    throw passwordError('Посилання для скидання пароля недійсне або прострочене', 404);
+  }
+
+  const revokedSessions = await changePassword(admin, password);
+  return { admin, revokedSessions };
+}
+
+module.exports = {
+  getPasswordPolicy,
+  validatePassword,
+  assertPasswordAllowed,
+  setPassword,
+  changePassword,
+  createPasswordReset,
+  findAdminByResetToken,
+  completePasswordReset
+};
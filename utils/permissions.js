@@ -0,0 +1,372 @@
+/**
+ * Permissions and data scopes
+ * Roles are stored as data (Role) and can be adjusted per team or per admin
+ * (AccessOverride). The result is a list of permission keys and, for each
+ * resource, a data scope: which records the admin may see.
+ *
+ * Resolution order: role → team override → admin override. In every override
+ * `revoke` is applied before `grant`, and only the scope fields that are set
+ * replace the previous value.
+ * @module utils/permissions
+ */
+
+const Role = require('../models/Role');
+const AccessOverride = require('../models/AccessOverride');
+const Admin = require('../models/Admin');
+const { resolveTeamMemberIds } = require('./teamMembership');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Permissions');
+
+const CACHE_TTL_MS = 30 * 1000;
+
+const PERMISSIONS = {
+  'leads.read': 'Перегляд лідів (в межах області даних)',
+  'leads.create': 'Створення лідів',
+  'leads.update': 'Редагування лідів',
+  'leads.delete': 'Видалення лідів',
+  'leads.assign': 'Призначення відповідального',
+  'leads.import': 'Імпорт лідів',
+  'leads.export': 'Експорт лідів',
+  'leads.merge': 'Об\'єднання дублів',
+  'duplicates.settings.view': 'Перегляд налаштувань дублів',
+  'duplicates.settings.edit': 'Зміна налаштувань дублів',
+  'lots.create': 'Створення ЛОТів',
+  'lots.update': 'Зміна суми ЛОТів',
+  'lots.payout.edit': 'Зміна виплат ЛОТів',
+  'lots.delete': 'Видалення ЛОТів',
+  'lots.stats.view': 'Статистика ЛОТів',
+  'stats.view': 'Перегляд статистики (в межах області даних)',
+  'stats.snapshots.manage': 'Перебудова знімків статистики',
+  'admins.view': 'Перегляд користувачів',
+  'admins.manage': 'Керування користувачами',
+  'admins.invite': 'Запрошення нових користувачів',
+  'admins.security': 'Блокування, розблокування, скидання 2FA та паролів користувачів',
+  'sessions.manage': 'Сесії інших користувачів',
+  'teams.manage': 'Керування командами',
+  'distribution.manage': 'Правила розподілу лідів',
+  'workflow.manage': 'Переходи статусів',
+  'webhooks.manage': 'Вихідні вебхуки',
+  'apiKeys.manage': 'API ключі партнерів',
+  'permissions.manage': 'Ролі та права доступу',
+  'audit.view': 'Журнал аудиту'
+};
+
+const DATA_SCOPE_RESOURCES = ['leads', 'stats', 'successfulLeads'];
+
+const BASE_PERMISSIONS = [
+  'leads.read',
+  'leads.create',
+  'leads.update',
+  'leads.delete',
+  'leads.assign',
+  'leads.export',
+  'stats.view',
+  'admins.view'
+];
+
+const NO_FANTOM = { level: 'all', includeUtmSources: [], excludeUtmSources: ['fantom'] };
+
+// Seeded into an empty roles collection; reproduces the former hard-coded rules
+const DEFAULT_ROLES = [
+  {
+    name: 'SuperAdmin',
+    description: 'Повний доступ',
+    permissions: ['*'],
+    dataScopes: {
+      leads: { level: 'all' },
+      stats: { level: 'all' },
+      successfulLeads: { level: 'all' }
+    }
+  },
+  {
+    name: 'Admin',
+    description: 'Адміністратор',
+    permissions: [
+      ...BASE_PERMISSIONS,
+      'leads.import',
+      'leads.merge',
+      'duplicates.settings.view',
+      'lots.create',
+      'lots.update',
+      'lots.payout.edit',
+      'lots.delete',
+      'lots.stats.view'
+    ],
+    dataScopes: { leads: NO_FANTOM, stats: NO_FANTOM, successfulLeads: NO_FANTOM }
+  },
+  {
+    name: 'TeamLead',
+    description: 'Тімлід: ліди своєї команди',
+    permissions: [...BASE_PERMISSIONS, 'leads.merge', 'admins.invite'],
+    dataScopes: { leads: { level: 'team' }, stats: NO_FANTOM, successfulLeads: NO_FANTOM }
+  },
+  {
+    name: 'Manager',
+    description: 'Менеджер: власні ліди',
+    permissions: [...BASE_PERMISSIONS],
+    dataScopes: { leads: { level: 'own' }, stats: NO_FANTOM, successfulLeads: NO_FANTOM }
+  },
+  {
+    name: 'Reten',
+    description: 'Ретеншн: власні ліди та ЛОТи',
+    permissions: [...BASE_PERMISSIONS, 'lots.create', 'lots.update', 'lots.payout.edit', 'lots.stats.view'],
+    dataScopes: { leads: { level: 'own' }, stats: NO_FANTOM, successfulLeads: NO_FANTOM }
+  }
+];
+
+const DEFAULT_OVERRIDES = [
+  {
+    subjectType: 'team',
+    subject: 'Team Fantom',
+    note: 'Бачать лише власні ліди, у статистиці — лише ліди fantom',
+    dataScopes: {
+      leads: { level: 'own', includeUtmSources: [], excludeUtmSources: [] },
+      stats: { level: 'all', includeUtmSources: ['fantom'], excludeUtmSources: [] },
+      successfulLeads: { level: 'own', includeUtmSources: [], excludeUtmSources: [] }
+    }
+  }
+];
+
+let cache = null;
+let loading = null;
+
+/**
+ * Seed default roles and overrides into an empty roles collection
+ */
+async function ensureDefaultRoles() {
+  if (await Role.estimatedDocumentCount() > 0) return;
+
+  await Role.bulkWrite(DEFAULT_ROLES.map(role => ({
+    updateOne: { filter: { name: role.name }, update: { $setOnInsert: role }, upsert: true }
+  })));
+  await AccessOverride.bulkWrite(DEFAULT_OVERRIDES.map(override => ({
+    updateOne: {
+      filter: { subjectType: override.subjectType, subject: override.subject },
+      update: { $setOnInsert: override },
+      upsert: true
+    }
+  })));
+
+  logger.info('Default roles seeded', { roles: DEFAULT_ROLES.length, overrides: DEFAULT_OVERRIDES.length });
+}
+
+/**
+ * Load roles and overrides (cached for CACHE_TTL_MS)
+ * @private
+ */
+async function loadAccessData() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  if (!loading) {
+    loading = (async () => {
+      await ensureDefaultRoles();
+      const [roles, overrides] = await Promise.all([
+        Role.find().lean(),
+        AccessOverride.find().lean()
+      ]);
+
+      cache = {
+        loadedAt: Date.now(),
+        roles: new Map(roles.map(role => [role.name, role])),
+        overrides: new Map(overrides.map(override => [`${override.subjectType}:${override.subject}`, override]))
+      };
+      return cache;
+    })().finally(() => {
+      loading = null;
+    });
+  }
+
+  return loading;
+}
+
+/**
+ * Whether a role with this name exists (Admin.role must name a Role document)
+ * @param {string} name - Role name
+ * @returns {Promise<boolean>}
+ */
+async function roleExists(name) {
+  if (typeof name !== 'string' || !name) return false;
+  const { roles } = await loadAccessData();
+  return roles.has(name);
+}
+
+/**
+ * Drop cached roles/overrides (call after changing them)
+ */
+function invalidateAccessCache() {
+  cache = null;
+}
+
+/**
+ * Check that every key is a known permission, '*' or a prefix wildcard ('lots.*')
+ * @returns {string[]} Unknown keys
+ */
+function findUnknownPermissions(keys) {
+  const known = Object.keys(PERMISSIONS);
+  return keys.filter(key => {
+    if (key === '*' || known.includes(key)) return false;
+    return !(key.endsWith('.*') && known.some(permission => permission.startsWith(key.slice(0, -1))));
+  });
+}
+
+/**
+ * Apply an override on top of resolved access
+ * @private
+ */
+function applyOverride(access, override) {
+  if (!override) return;
+
+  (override.revoke || []).forEach(permission => access.permissions.delete(permission));
+  (override.grant || []).forEach(permission => access.permissions.add(permission));
+
+  DATA_SCOPE_RESOURCES.forEach(resource => {
+    const scope = override.dataScopes && override.dataScopes[resource];
+    if (!scope) return;
+
+    ['level', 'includeUtmSources', 'excludeUtmSources'].forEach(field => {
+      if (scope[field] !== undefined && scope[field] !== null) {
+        access.dataScopes[resource][field] = scope[field];
+      }
+    });
+  });
+}
+
+/**
+ * Resolve permissions and data scopes of an admin
+ * @param {Object} admin - { _id, role, team }
+ * @returns {Promise<Object>} { role, permissions: string[], dataScopes: { leads, stats, successfulLeads }, requireTwoFactor }
+ */
+async function resolveAccess(admin) {
+  const { roles, overrides } = await loadAccessData();
+  const role = roles.get(admin.role);
+
+  const access = {
+    permissions: new Set(role ? role.permissions : []),
+    dataScopes: {}
+  };
+
+  DATA_SCOPE_RESOURCES.forEach(resource => {
+    const scope = (role && role.dataScopes && role.dataScopes[resource]) || {};
+    access.dataScopes[resource] = {
+      level: scope.level || 'own',
+      includeUtmSources: scope.includeUtmSources || [],
+      excludeUtmSources: scope.excludeUtmSources || []
+    };
+  });
+
+  if (admin.team) {
+    applyOverride(access, overrides.get(`team:${admin.team}`));
+  }
+  applyOverride(access, overrides.get(`admin:${admin._id}`));
+
+  return {
+    role: admin.role,
+    permissions: [...access.permissions].sort(),
+    dataScopes: access.dataScopes,
+    requireTwoFactor: !!(role && role.requireTwoFactor)
+  };
+}
+
+/**
+ * Check a permission key against granted keys
+ * Supports '*' and prefix wildcards such as 'lots.*'
+ * @param {string[]} granted - Resolved permissions
+ * @param {string} permission - Required permission key
+ * @returns {boolean}
+ */
+function hasPermission(granted, permission) {
+  return granted.some(key => {
+    if (key === '*' || key === permission) return true;
+    return key.endsWith('.*') && permission.startsWith(key.slice(0, -1));
+  });
+}
+
+/**
+ * Extend a MongoDB filter with a data scope
+ * @param {Object} filter - Filter to extend
+ * @param {Object} scope - Data scope { level, includeUtmSources, excludeUtmSources }
+ * @param {Object} context
+ * @param {string} context.adminId - Current admin ID
+ * @param {string} [context.team] - Current admin team (Admin.team), members resolved by utils/teamMembership
+ * @param {number} [context.department] - Current admin department
+ * @param {string} [context.ownerField='assigned'] - Field holding the responsible admin
+ * @param {Function} [context.castId] - Converts admin IDs to the owner field type (default: string)
+ * @param {string|null} [context.utmField='utm_source'] - utm_source field, null when the collection has none
+ */
+async function applyDataScope(filter, scope, context) {
+  const {
+    adminId,
+    team,
+    department,
+    ownerField = 'assigned',
+    castId = id => id.toString(),
+    utmField = 'utm_source'
+  } = context;
+
+  let ownerIds = null;
+
+  if (scope.level === 'own') {
+    ownerIds = [adminId];
+  } else if (scope.level === 'team' || scope.level === 'department') {
+    const hasGroup = scope.level === 'team' ? !!team : department !== null && department !== undefined;
+
+    if (hasGroup) {
+      const memberIds = scope.level === 'team'
+        ? await resolveTeamMemberIds(team)
+        : (await Admin.find({ department }, '_id').lean()).map(admin => admin._id.toString());
+      ownerIds = [...new Set([...memberIds, adminId.toString()])];
+    } else {
+      // No team/department: fall back to own records
+      ownerIds = [adminId];
+    }
+  }
+
+  if (ownerIds) {
+    filter[ownerField] = scope.level === 'own'
+      ? castId(adminId)
+      : { $in: ownerIds.map(castId) };
+  }
+
+  if (utmField) {
+    if (scope.includeUtmSources.length > 0) {
+      filter[utmField] = scope.includeUtmSources.length === 1
+        ? scope.includeUtmSources[0]
+        : { $in: scope.includeUtmSources };
+    } else if (scope.excludeUtmSources.length > 0) {
+      filter[utmField] = scope.excludeUtmSources.length === 1
+        ? { $ne: scope.excludeUtmSources[0] }
+        : { $nin: scope.excludeUtmSources };
+    }
+  }
+}
+
+/**
+ * Check a utm_source value against the utm rules of a scope
+ * For collections without utm_source (filtered after population)
+ * @returns {boolean}
+ */
+function matchesUtmRules(utmSource, scope) {
+  const value = utmSource || '';
+  if (scope.includeUtmSources.length > 0) {
+    return scope.includeUtmSources.includes(value);
+  }
+  return !scope.excludeUtmSources.includes(value);
+}
+
+module.exports = {
+  PERMISSIONS,
+  DATA_SCOPE_RESOURCES,
+  DEFAULT_ROLES,
+  DEFAULT_OVERRIDES,
+  ensureDefaultRoles,
+  roleExists,
+  findUnknownPermissions,
+  resolveAccess,
+  hasPermission,
+  applyDataScope,
+  matchesUtmRules,
+  invalidateAccessCache
+};
@@ -0,0 +1,300 @@
+/**
+ * Real-time WebSocket server
+ * Pushes lead, note and LOT events to authenticated CRM clients.
+ * Each connection only receives events for leads it is allowed to see,
+ * using the same role/team rules as the leads list (applyRoleBasedFilter).
+ * Personal events (notifications) are sent to the connections of one admin.
+ * @module utils/realtime
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const { verifyToken } = require('./jwt');
+const { applyRoleBasedFilter } = require('./leadHelpers');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Realtime');
+
+const WS_PATH = '/ws';
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const SCOPE_TTL_MS = 60 * 1000; // Team membership may change while a client stays connected
+const SESSION_REVOKED_CLOSE_CODE = 4001;
+
+const EVENT_TYPES = {
+  CONNECTED: 'CONNECTED',
+  NEW_LEAD: 'NEW_LEAD',
+  LEAD_UPDATED: 'LEAD_UPDATED',
+  LEAD_ASSIGNED: 'LEAD_ASSIGNED',
+  NOTE_ADDED: 'NOTE_ADDED',
+  LOT_CREATED: 'LOT_CREATED',
+  NOTIFICATION: 'NOTIFICATION'
+};
+
+let wss = null;
+let heartbeatTimer = null;
+
+/**
+ * Extract JWT from the handshake request
+ * Supports `?token=` query parameter (browsers) and `Authorization: Bearer` header
+ * @private
+ */
+function extractToken(req) {
+  const url = new URL(req.url, 'http://localhost');
+  const queryToken = url.searchParams.get('token');
+  if (queryToken) return queryToken;
+
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+}
+
+/**
+ * Authenticate the handshake before the connection is upgraded
+ * @private
+ */
+async function verifyClient({ req }, done) {
+  try {
+    const token = extractToken(req);
+    if (!token) {
+      return done(false, 401, 'Токен доступу відсутній');
+    }
+
+    const decoded = verifyToken(token);
+    const admin = await Admin.findById(decoded.id);
+    if (!admin || admin.isBlocked() || !(await Session.isActive(decoded.sid, admin._id))) {
+      return done(false, 401, 'Недійсний токен');
+    }
+
+    req.admin = admin;
+    req.sessionId = decoded.sid;
+    done(true);
+  } catch (error) {
+    logger.warn('WebSocket handshake rejected', { error: error.message });
+    done(false, 401, 'Недійсний або прострочений токен');
+  }
+}
+
+/**
+ * Resolve (and cache) the lead visibility filter for a connection
+ * @private
+ */
+async function getConnectionScope(client) {
+  if (client.scope && Date.now() - client.scopeLoadedAt < SCOPE_TTL_MS) {
+    return client.scope;
+  }
+
+  const scope = {};
+  await applyRoleBasedFilter(scope, {
+    userRole: client.user.role,
+    userId: client.user.id,
+    userTeam: client.user.team
+  });
+
+  client.scope = scope;
+  client.scopeLoadedAt = Date.now();
+  return scope;
+}
+
+/**
+ * Check a single field value against a role filter condition
+ * Only the operators produced by applyRoleBasedFilter are supported
+ * @private
+ */
+function matchesCondition(value, condition) {
+  if (condition === undefined) return true;
+
+  const normalized = value === null || value === undefined ? null : value.toString();
+
+  if (condition && typeof condition === 'object') {
+    if (Array.isArray(condition.$in)) {
+      return condition.$in.map(String).includes(normalized);
+    }
+    if (Array.isArray(condition.$nin)) {
+      return !condition.$nin.map(String).includes(normalized);
+    }
+    if ('$ne' in condition) {
+      return normalized !== condition.$ne;
+    }
+  }
+
+  return normalized === String(condition);
+}
+
+/**
+ * Check whether a lead falls into a connection's visibility scope
+ * @param {Object} lead - Lead document or plain object
+ * @param {Object} scope - Filter built by applyRoleBasedFilter
+ * @returns {boolean}
+ */
+function leadMatchesScope(lead, scope) {
+  if (!lead) return false;
+  return Object.keys(scope).every(field => matchesCondition(lead[field], scope[field]));
+}
+
+/**
+ * Attach WebSocket server to an existing HTTP server
+ * @param {http.Server} server - HTTP server returned by app.listen()
+ * @returns {WebSocketServer}
+ */
+function attachWebSocketServer(server) {
+  wss = new WebSocketServer({ server, path: WS_PATH, verifyClient });
+
+  wss.on('connection', (client, req) => {
+    client.user = {
+      id: req.admin._id.toString(),
+      login: req.admin.login,
+      role: req.admin.role,
+      team: req.admin.team,
+      sessionId: req.sessionId
+    };
+    client.isAlive = true;
+    client.on('pong', () => { client.isAlive = true; });
+    client.on('error', (error) => {
+      logger.warn('WebSocket client error', { adminId: client.user.id, error: error.message });
+    });
+
+    logger.info('WebSocket client connected', { adminId: client.user.id, role: client.user.role, clients: wss.clients.size });
+
+    client.send(JSON.stringify({
+      type: EVENT_TYPES.CONNECTED,
+      data: { adminId: client.user.id },
+      timestamp: new Date().toISOString()
+    }));
+  });
+
+  // Drop connections that stopped answering pings
+  heartbeatTimer = setInterval(() => {
+    wss.clients.forEach(client => {
+      if (!client.isAlive) {
+        client.terminate();
+        return;
+      }
+      client.isAlive = false;
+      client.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => clearInterval(heartbeatTimer));
+
+  logger.info('WebSocket server attached', { path: WS_PATH });
+  return wss;
+}
+
+/**
+ * Broadcast a lead-related event to every client allowed to see the lead
+ * Never throws: real-time delivery must not break the HTTP request that triggered it
+ * @param {string} type - Event type (see EVENT_TYPES)
+ * @param {Object} lead - Lead the event belongs to (used for visibility checks)
+ * @param {Object} [options]
+ * @param {*} [options.data] - Payload to send (defaults to the lead itself)
+ * @param {Object} [options.previous] - Lead state before the change; its viewers are notified too
+ */
+async function broadcastLeadEvent(type, lead, options = {}) {
+  if (!wss || !lead) return;
+
+  const leadObject = typeof lead.toObject === 'function' ? lead.toObject() : lead;
+  const previous = options.previous && typeof options.previous.toObject === 'function'
+    ? options.previous.toObject()
+    : options.previous;
+
+  const message = JSON.stringify({
+    type,
+    leadId: leadObject._id,
+    data: options.data !== undefined ? options.data : leadObject,
+    timestamp: new Date().toISOString()
+  });
+
+  let delivered = 0;
+
+  for (const client of wss.clients) {
+    if (client.readyState !== WebSocket.OPEN || !client.user) continue;
+
+    try {
+      const scope = await getConnectionScope(client);
+      if (leadMatchesScope(leadObject, scope) || (previous && leadMatchesScope(previous, scope))) {
+        client.send(message);
+        delivered++;
+      }
+    } catch (error) {
+      logger.error('Failed to deliver WebSocket event', { type, adminId: client.user.id, error: error.message });
+    }
+  }
+
+  logger.debug('WebSocket event broadcast', { type, leadId: leadObject._id, delivered });
+}
+
+/**
+ * Send an event to every open connection of one admin
+ * Never throws, like broadcastLeadEvent
+ * @param {string} adminId - Recipient admin ID
+ * @param {string} type - Event type (see EVENT_TYPES)
+ * @param {*} data - Payload
+ * @returns {number} Number of connections the event was sent to
+ */
+function sendToAdmin(adminId, type, data) {
+  if (!wss || !adminId) return 0;
+
+  const recipient = adminId.toString();
+  const message = JSON.stringify({
+    type,
+    data,
+    timestamp: new Date().toISOString()
+  });
+
+  let delivered = 0;
+  wss.clients.forEach(client => {
+    if (client.readyState !== WebSocket.OPEN || !client.user || client.user.id !== recipient) return;
+
+    try {
+      client.send(message);
+      delivered++;
+    } catch (error) {
+      logger.error('Failed to deliver WebSocket event', { type, adminId: recipient, error: error.message });
+    }
+  });
+
+  logger.debug('WebSocket event sent to admin', { type, adminId: recipient, delivered });
+  return delivered;
+}
+
+/**
+ * Close connections opened with revoked sessions
+ * @param {string[]} sessionIds - Revoked session IDs
+ * @returns {number} Number of closed connections
+ */
+function disconnectSessions(sessionIds) {
+  if (!wss || sessionIds.length === 0) return 0;
+
+  const revoked = new Set(sessionIds.map(String));
+  let closed = 0;
+  wss.clients.forEach(client => {
+    if (client.user && revoked.has(client.user.sessionId)) {
+      client.close(SESSION_REVOKED_CLOSE_CODE, 'Session revoked');
+      closed++;
+    }
+  });
+
+  logger.debug('WebSocket connections of revoked sessions closed', { sessions: revoked.size, closed });
+  return closed;
+}
+
+/**
+ * Close the WebSocket server and all client connections
+ */
+function closeWebSocketServer() {
+  if (!wss) return;
+  clearInterval(heartbeatTimer);
+  wss.clients.forEach(client => client.terminate());
+  wss.close();
+  wss = null;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  attachWebSocketServer,
+  broadcastLeadEvent,
+  sendToAdmin,
+  disconnectSessions,
+  closeWebSocketServer,
+  leadMatchesScope
+};
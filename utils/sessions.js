@@ -0,0 +1,222 @@
+/**
+ * Login sessions and refresh token rotation
+ * Every login creates a Session (one per device). Both tokens carry the
+ * session ID: revoking a session logs the device out at once, not when its
+ * access token expires.
+ *
+ * The refresh token is replaced on every /refresh and only its hash is kept.
+ * A refresh token that was already replaced means it was copied: the whole
+ * session is revoked (reuse detection).
+ * @module utils/sessions
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const { generateToken, generateRefreshToken, verifyRefreshToken } = require('./jwt');
+const { disconnectSessions } = require('./realtime');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Sessions');
+
+// Parallel refreshes of one client may present the replaced token right after rotation
+const REUSE_GRACE_MS = 10 * 1000;
+
+const JWT_ERRORS = ['JsonWebTokenError', 'TokenExpiredError', 'NotBeforeError'];
+
+/**
+ * @private
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Error with an HTTP status for the auth routes
+ * @private
+ */
+function sessionError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Device information stored on a session
+ * @private
+ */
+function getClientInfo(req) {
+  return {
+    userAgent: (req.headers['user-agent'] || '').slice(0, 500),
+    ip: req.ip || ''
+  };
+}
+
+/**
+ * Sign an access/refresh token pair bound to a session
+ * @private
+ */
+function issueTokens(admin, sessionId) {
+  const accessToken = generateToken({
+    id: admin._id,
+    login: admin.login,
+    role: admin.role,
+    department: admin.department,
+    sid: sessionId.toString()
+  });
+  const refreshToken = generateRefreshToken({
+    id: admin._id.toString(),
+    sid: sessionId.toString(),
+    jti: crypto.randomUUID()
+  });
+
+  return {
+    accessToken,
+    refreshToken,
+    refreshExpiresAt: new Date(verifyRefreshToken(refreshToken).exp * 1000)
+  };
+}
+
+/**
+ * Create a session for a successful login
+ * @param {Object} admin - Admin document
+ * @param {Object} req - Express request (user agent, IP)
+ * @returns {Promise<Object>} { session, accessToken, refreshToken }
+ */
+async function createSession(admin, req) {
+  const sessionId = new mongoose.Types.ObjectId();
+  const { accessToken, refreshToken, refreshExpiresAt } = issueTokens(admin, sessionId);
+
+  const session = await Session.create({
+    _id: sessionId,
+    adminId: admin._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiresAt,
+    ...getClientInfo(req)
+  });
+
+  return { session, accessToken, refreshToken };
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Object} req - Express request (user agent, IP)
+ * @returns {Promise<Object>} { session, admin, accessToken, refreshToken }
+ * @throws {Error} With status 401 (invalid, revoked or reused token), 403 (admin blocked)
+ *   or 409 (already rotated by a parallel request)
+ */
+async function rotateSession(refreshToken, req) {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    if (JWT_ERRORS.includes(error.name)) {
+      throw sessionError('Недійсний refresh token');
+    }
+    throw error;
+  }
+
+  const session = mongoose.Types.ObjectId.isValid(decoded.sid) ? await Session.findById(decoded.sid) : null;
+  if (!session || session.revokedAt || session.adminId.toString() !== decoded.id) {
+    throw sessionError('Сесію завершено');
+  }
+
+  const hash = hashToken(refreshToken);
+  if (hash !== session.refreshTokenHash) {
+    if (hash === session.previousTokenHash && Date.now() - session.rotatedAt.getTime() < REUSE_GRACE_MS) {
+      throw sessionError('Refresh token вже оновлено', 409);
+    }
+
+    await revokeSession(session, { reason: 'REUSE_DETECTED' });
+    logger.warn('Refresh token reuse detected, session revoked', {
+      sessionId: session._id.toString(),
+      adminId: session.adminId.toString(),
+      ip: req.ip
+    });
+    throw sessionError('Повторне використання refresh token, сесію завершено');
+  }
+
+  const admin = await Admin.findById(session.adminId);
+  if (!admin) {
+    throw sessionError('Недійсний refresh token');
+  }
+  if (admin.isBlocked()) {
+    throw sessionError('Обліковий запис заблоковано', 403);
+  }
+
+  const tokens = issueTokens(admin, session._id);
+  const now = new Date();
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(tokens.refreshToken),
+        previousTokenHash: hash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: tokens.refreshExpiresAt,
+        ...getClientInfo(req)
+      }
+    },
+    { new: true }
+  );
+
+  // Another request rotated the same token in between
+  if (!updated) {
+    throw sessionError('Refresh token вже оновлено', 409);
+  }
+
+  return {
+    session: updated,
+    admin,
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken
+  };
+}
+
+/**
+ * Revoke one session and close its WebSocket connections
+ * @param {Object} session - Session document
+ * @param {Object} options - { reason, revokedBy }
+ */
+async function revokeSession(session, { reason, revokedBy = null }) {
+  await Session.updateOne(
+    { _id: session._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+  );
+  disconnectSessions([session._id.toString()]);
+}
+
+/**
+ * Revoke every active session of an admin
+ * @param {string|ObjectId} adminId - Admin whose sessions are revoked
+ * @param {Object} options - { reason, revokedBy, exceptSessionId }
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+async function revokeAdminSessions(adminId, { reason, revokedBy = null, exceptSessionId = null }) {
+  const filter = Session.activeFilter({ adminId });
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const sessionIds = await Session.find(filter).distinct('_id');
+  if (sessionIds.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+  );
+  disconnectSessions(sessionIds.map(id => id.toString()));
+
+  logger.info('Admin sessions revoked', { adminId: adminId.toString(), reason, count: sessionIds.length });
+  return sessionIds.length;
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAdminSessions
+};
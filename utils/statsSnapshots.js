@@ -0,0 +1,537 @@
+/**
+ * Lead stats snapshots
+ * One LeadStatsSnapshot per Kyiv day holds counters of the leads created that
+ * day: total, by status, and by status for each value of utm_source,
+ * sourceDescription, assigned and department. The stats endpoints sum the
+ * days instead of scanning all leads.
+ *
+ * Maintenance:
+ * - the Lead model hooks mark the creation day of every created, changed or
+ *   deleted lead as stale (only changes of the counted fields), after the
+ *   write succeeded; code that writes leads in a transaction marks them after
+ *   its commit (markTransactionDaysStale);
+ * - stale days are recounted from their leads by the worker and before every
+ *   snapshot read, so reads never return stale counters;
+ * - a rebuild recounts every day (backfill, or repair after direct database
+ *   changes). Snapshots are only read after one full rebuild has completed.
+ * @module utils/statsSnapshots
+ */
+
+const Lead = require('../models/Lead');
+const LeadStatsSnapshot = require('../models/LeadStatsSnapshot');
+const StatsSnapshotRun = require('../models/StatsSnapshotRun');
+const { KYIV_TIMEZONE, periodStart, periodKey, nextPeriod, dayStart } = require('./timeSeries');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('StatsSnapshots');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WORKER_INTERVAL_MS = 30 * 1000;
+// A running rebuild older than this is considered abandoned (e.g. the process was stopped)
+const RUN_TIMEOUT_MS = 60 * 60 * 1000;
+
+// Day of the leads without dateCreate
+const NO_DATE_DAY = 'none';
+
+// Counted dimensions: lead field → snapshot field
+const DIMENSIONS = {
+  utm_source: 'byUtmSource',
+  sourceDescription: 'bySourceDescription',
+  assigned: 'byAssigned',
+  department: 'byDepartment'
+};
+
+// Lead fields whose change affects the counters
+const TRACKED_FIELDS = ['status', 'dateCreate', ...Object.keys(DIMENSIONS)];
+
+let workerTimer = null;
+let refreshing = null;
+let snapshotsReady = false;
+// Days written in transactions, until their commit: ClientSession.transaction → Set of day keys
+const pendingTransactionDays = new WeakMap();
+
+const snapshotError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Snapshot day of a creation date
+ * @param {Date|null} date
+ * @returns {string} YYYY-MM-DD (Kyiv) or 'none'
+ */
+function dayKeyOf(date) {
+  if (!date || Number.isNaN(new Date(date).getTime())) return NO_DATE_DAY;
+  return periodKey(periodStart(date, 'day'), 'day');
+}
+
+/**
+ * Start of a snapshot day as a UTC instant (null for 'none')
+ * @private
+ */
+function dayStartOf(day) {
+  if (day === NO_DATE_DAY) return null;
+  return dayStart(day);
+}
+
+/**
+ * Lead filter of one snapshot day
+ * @private
+ */
+function dayMatch(day) {
+  const start = dayStartOf(day);
+  if (!start) return { dateCreate: null };
+  return { dateCreate: { $gte: start, $lt: nextPeriod(start, 'day') } };
+}
+
+/**
+ * Counters from the result of a $facet stage (leads or snapshots)
+ * @private
+ */
+function normalizeCounts(result, dimensions) {
+  const counts = {
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    byStatus: result.byStatus.map(row => ({ status: row._id, count: row.count }))
+  };
+
+  dimensions.forEach(dimension => {
+    const field = DIMENSIONS[dimension];
+    counts[field] = result[field].map(row => ({
+      value: row._id.value === undefined ? null : row._id.value,
+      status: row._id.status === undefined ? null : row._id.status,
+      count: row.count
+    }));
+  });
+
+  return counts;
+}
+
+/**
+ * Count leads matching a filter (a snapshot day, or all leads for live stats)
+ * @param {Object} match - Lead filter
+ * @param {Array<string>} [dimensions] - Keys of DIMENSIONS (default: all)
+ * @returns {Promise<Object>} { total, byStatus, byUtmSource, ... }
+ */
+async function computeCounts(match, dimensions = Object.keys(DIMENSIONS)) {
+  const facets = {
+    total: [{ $count: 'count' }],
+    byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }]
+  };
+
+  dimensions.forEach(dimension => {
+    facets[DIMENSIONS[dimension]] = [{
+      $group: {
+        _id: { value: { $ifNull: [`$${dimension}`, null] }, status: { $ifNull: ['$status', null] } },
+        count: { $sum: 1 }
+      }
+    }];
+  });
+
+  const [result] = await Lead.aggregate([{ $match: match }, { $facet: facets }]);
+  return normalizeCounts(result, dimensions);
+}
+
+/**
+ * Sum the counters of all snapshot days
+ * @private
+ */
+async function readSnapshotCounts(dimensions) {
+  const facets = {
+    total: [{ $group: { _id: null, count: { $sum: '$total' } } }],
+    byStatus: [
+      { $unwind: '$byStatus' },
+      { $group: { _id: '$byStatus.status', count: { $sum: '$byStatus.count' } } }
+    ]
+  };
+
+  dimensions.forEach(dimension => {
+    const field = DIMENSIONS[dimension];
+    facets[field] = [
+      { $unwind: `$${field}` },
+      {
+        $group: {
+          _id: { value: `$${field}.value`, status: `$${field}.status` },
+          count: { $sum: `$${field}.count` }
+        }
+      }
+    ];
+  });
+
+  const [result] = await LeadStatsSnapshot.aggregate([{ $facet: facets }]);
+  return normalizeCounts(result, dimensions);
+}
+
+/**
+ * Mark snapshot days as stale (never throws: lead writes must not fail on it)
+ * @param {Array<string>|null} days - Day keys (dayKeyOf)
+ */
+async function markDaysStale(days) {
+  const unique = [...new Set((days || []).filter(Boolean))];
+  if (unique.length === 0) return;
+
+  try {
+    await LeadStatsSnapshot.bulkWrite(unique.map(day => ({
+      updateOne: {
+        filter: { day },
+        update: { $set: { stale: true }, $inc: { version: 1 }, $setOnInsert: { dayStart: dayStartOf(day) } },
+        upsert: true
+      }
+    })), { ordered: false });
+  } catch (error) {
+    logger.error('Failed to mark snapshot days as stale', { days: unique, error: error.message });
+  }
+}
+
+/**
+ * Mark the days of a completed lead write as stale
+ * Inside a transaction the days are only kept for that transaction: the
+ * caller marks them after its commit (markTransactionDaysStale). They are
+ * dropped with the transaction if it aborts.
+ * @param {Array<string>|null} days - Day keys (dayKeyOf)
+ * @param {ClientSession|null} [session] - Session of the write
+ */
+async function markWrittenDaysStale(days, session) {
+  if (!session || !session.inTransaction()) return markDaysStale(days);
+  if (!days || days.length === 0) return;
+
+  const pending = pendingTransactionDays.get(session.transaction) || new Set();
+  days.forEach(day => pending.add(day));
+  pendingTransactionDays.set(session.transaction, pending);
+}
+
+/**
+ * Mark the days written in the last transaction of a session as stale
+ * Call after commitTransaction() in code that writes leads in a transaction.
+ * @param {ClientSession} session
+ */
+async function markTransactionDaysStale(session) {
+  const pending = pendingTransactionDays.get(session.transaction);
+  if (!pending) return;
+
+  pendingTransactionDays.delete(session.transaction);
+  await markDaysStale([...pending]);
+}
+
+/**
+ * Days a lead document affects when it is saved (null when no counted field changed)
+ * @param {Object} lead - Lead document in a pre('save') hook
+ * @returns {Promise<Array<string>|null>}
+ */
+async function collectDocumentDays(lead) {
+  if (!lead.isNew && !TRACKED_FIELDS.some(field => lead.isModified(field))) return null;
+
+  const days = [dayKeyOf(lead.dateCreate)];
+  if (!lead.isNew && lead.isModified('dateCreate')) {
+    try {
+      const previous = await lead.constructor.findById(lead._id, 'dateCreate').session(lead.$session()).lean();
+      if (previous) days.push(dayKeyOf(previous.dateCreate));
+    } catch (error) {
+      logger.error('Failed to read the previous creation day', { leadId: lead._id, error: error.message });
+    }
+  }
+  return days;
+}
+
+/**
+ * Whether an update touches a counted field
+ * @private
+ */
+function touchesTrackedFields(update) {
+  if (!update) return false;
+  if (Array.isArray(update)) return true; // Aggregation pipeline update
+
+  return Object.keys(update).some(key => {
+    const paths = key.startsWith('$') ? Object.keys(update[key] || {}) : [key];
+    return paths.some(path => TRACKED_FIELDS.includes(path.split('.')[0]));
+  });
+}
+
+/**
+ * Days an update or delete query affects, read before it runs
+ * (null when the update does not touch a counted field)
+ * @param {Object} query - Mongoose query in a pre hook
+ * @returns {Promise<Array<string>|null>}
+ */
+async function collectQueryDays(query) {
+  const isDelete = /delete/i.test(query.op);
+  const update = isDelete ? null : query.getUpdate();
+  if (!isDelete && !touchesTrackedFields(update)) return null;
+
+  try {
+    const rows = await Lead.aggregate([
+      { $match: query.cast(query.model, query.getFilter()) },
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$dateCreate', timezone: KYIV_TIMEZONE } } } }
+    ]).session(query.getOptions().session || null);
+    const days = rows.map(row => row._id || NO_DATE_DAY);
+
+    if (!isDelete) {
+      const newDate = update.dateCreate || (update.$set && update.$set.dateCreate);
+      if (newDate) days.push(dayKeyOf(newDate));
+      if (query.getOptions().upsert) days.push(dayKeyOf(newDate || new Date()));
+    }
+
+    return days;
+  } catch (error) {
+    logger.error('Failed to collect snapshot days of a query', { op: query.op, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Recount one snapshot day from its leads
+ * The counters are written only if the day did not change during the recount;
+ * otherwise it stays stale for the next recount.
+ * @private
+ */
+async function recountDay(day) {
+  const current = await LeadStatsSnapshot.findOne({ day }).select('version').lean();
+  const counts = await computeCounts(dayMatch(day));
+  const update = { $set: { ...counts, dayStart: dayStartOf(day), stale: false, computedAt: new Date() } };
+
+  if (!current) {
+    try {
+      await LeadStatsSnapshot.create({ day, ...update.$set });
+    } catch (error) {
+      // Created meanwhile by a change: it is stale and will be recounted
+      if (error.code !== 11000) throw error;
+    }
+  } else {
+    await LeadStatsSnapshot.updateOne({ day, version: current.version }, update);
+  }
+
+  return counts.total;
+}
+
+/**
+ * Recount all stale days
+ * Concurrent calls (worker, reads) share one recount.
+ * @returns {Promise<number>} Number of days recounted
+ */
+function refreshStaleDays() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const staleDays = await LeadStatsSnapshot.find({ stale: true }).select('day').lean();
+      for (const snapshot of staleDays) {
+        await recountDay(snapshot.day);
+      }
+      if (staleDays.length > 0) {
+        logger.debug('Stale snapshot days recounted', { days: staleDays.length });
+      }
+      return staleDays.length;
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+/**
+ * Parse a YYYY-MM-DD rebuild bound
+ * @private
+ */
+function parseDay(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw snapshotError(400, `${name}: дата у форматі YYYY-MM-DD`);
+  }
+  return value;
+}
+
+/**
+ * Days from one day key to another, inclusive
+ * @private
+ */
+function daysBetween(from, to) {
+  const days = [];
+  for (let time = Date.parse(`${from}T00:00:00Z`); time <= Date.parse(`${to}T00:00:00Z`); time += DAY_MS) {
+    days.push(new Date(time).toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+/**
+ * Recount the days of a rebuild run
+ * @private
+ */
+async function runRebuild(run, onProgress) {
+  try {
+    let days;
+    if (run.full) {
+      const rows = await Lead.aggregate([
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$dateCreate', timezone: KYIV_TIMEZONE } } } }
+      ]);
+      days = rows.map(row => row._id || NO_DATE_DAY).sort();
+    } else {
+      days = daysBetween(run.dateFrom, run.dateTo);
+    }
+
+    let leads = 0;
+    for (let index = 0; index < days.length; index += 1) {
+      leads += await recountDay(days[index]);
+      if (onProgress) onProgress(index + 1, days.length);
+    }
+
+    if (run.full) {
+      // Days that no longer have leads (deleted since the last rebuild)
+      await LeadStatsSnapshot.deleteMany({ day: { $nin: days }, stale: false });
+    }
+
+    run.status = 'completed';
+    run.days = days.length;
+    run.leads = leads;
+    run.finishedAt = new Date();
+    await run.save();
+
+    if (run.full) snapshotsReady = true;
+    logger.info('Snapshot rebuild completed', { runId: run._id, days: run.days, leads });
+    return run;
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    run.finishedAt = new Date();
+    await run.save();
+    logger.error('Snapshot rebuild failed', { runId: run._id, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Start a rebuild of the snapshots
+ * Without dateFrom/dateTo every day with leads is recounted and snapshots of
+ * days without leads are removed. With a range, only those days are recounted.
+ * Options are checked and the run is recorded before the recount starts.
+ * @param {Object} [options]
+ * @param {string} [options.dateFrom] - First day, YYYY-MM-DD (Kyiv)
+ * @param {string} [options.dateTo] - Last day, YYYY-MM-DD (Kyiv)
+ * @param {string} [options.trigger=cli] - cli or api
+ * @param {string} [options.adminId] - Admin who started the rebuild (api)
+ * @param {Function} [options.onProgress] - Called with (done, total) after each day
+ * @returns {Promise<Object>} { run, completion } - completion resolves with the finished run
+ */
+async function startSnapshotRebuild({ dateFrom, dateTo, trigger = 'cli', adminId = null, onProgress } = {}) {
+  const from = parseDay(dateFrom, 'dateFrom');
+  const to = parseDay(dateTo, 'dateTo');
+  const full = !from && !to;
+  if (!full && (!from || !to)) throw snapshotError(400, 'Вкажіть обидві дати dateFrom і dateTo або жодної');
+  if (!full && from > to) throw snapshotError(400, 'dateFrom пізніше за dateTo');
+
+  const running = await StatsSnapshotRun.exists({ status: 'running', startedAt: { $gt: new Date(Date.now() - RUN_TIMEOUT_MS) } });
+  if (running) throw snapshotError(409, 'Перебудова знімків уже виконується');
+
+  const run = await StatsSnapshotRun.create({ full, dateFrom: from, dateTo: to, trigger, adminId });
+  logger.info('Snapshot rebuild started', { runId: run._id, full, dateFrom: from, dateTo: to, trigger });
+
+  return { run: run.toObject(), completion: runRebuild(run, onProgress) };
+}
+
+/**
+ * Rebuild the snapshots and wait for the end (see startSnapshotRebuild)
+ * @returns {Promise<Object>} The finished StatsSnapshotRun
+ */
+async function rebuildSnapshots(options) {
+  const { completion } = await startSnapshotRebuild(options);
+  return completion;
+}
+
+/**
+ * Whether a full rebuild has completed (snapshots cover every lead)
+ * @private
+ */
+async function areSnapshotsReady() {
+  if (!snapshotsReady) {
+    snapshotsReady = !!(await StatsSnapshotRun.exists({ status: 'completed', full: true }));
+  }
+  return snapshotsReady;
+}
+
+/**
+ * Lead counters for the stats endpoints
+ * Read from the snapshots, or computed from all leads when `live` is set or
+ * no full rebuild has completed yet.
+ * @param {Object} [options]
+ * @param {boolean} [options.live=false] - Force live computation
+ * @param {Array<string>} [options.dimensions] - Keys of DIMENSIONS to include (default: none)
+ * @returns {Promise<Object>} { source: 'snapshot' | 'live', counts }
+ */
+async function getLeadCounts({ live = false, dimensions = [] } = {}) {
+  if (!live && await areSnapshotsReady()) {
+    await refreshStaleDays();
+    return { source: 'snapshot', counts: await readSnapshotCounts(dimensions) };
+  }
+
+  return { source: 'live', counts: await computeCounts({}, dimensions) };
+}
+
+/**
+ * Rows of a dimension grouped by value, most leads first
+ * @param {Array<Object>} rows - [{ value, status, count }]
+ * @returns {Array<Object>} [{ value, totalCount, statusBreakdown: { status: count } }]
+ */
+function groupByValue(rows) {
+  const groups = new Map();
+  rows.forEach(row => {
+    if (!groups.has(row.value)) groups.set(row.value, { value: row.value, totalCount: 0, statusBreakdown: {} });
+    const group = groups.get(row.value);
+    group.totalCount += row.count;
+    group.statusBreakdown[row.status] = (group.statusBreakdown[row.status] || 0) + row.count;
+  });
+  return [...groups.values()].sort((a, b) => b.totalCount - a.totalCount);
+}
+
+/**
+ * Snapshot state: readiness, stale days and the latest rebuilds
+ * @returns {Promise<Object>}
+ */
+async function getSnapshotStatus() {
+  const [ready, days, staleDays, lastComputed, runs] = await Promise.all([
+    areSnapshotsReady(),
+    LeadStatsSnapshot.countDocuments({}),
+    LeadStatsSnapshot.countDocuments({ stale: true }),
+    LeadStatsSnapshot.findOne({ computedAt: { $ne: null } }).sort({ computedAt: -1 }).select('computedAt').lean(),
+    StatsSnapshotRun.find({}).sort({ startedAt: -1 }).limit(10).populate('adminId', 'login').lean()
+  ]);
+
+  return {
+    ready,
+    days,
+    staleDays,
+    lastComputedAt: lastComputed ? lastComputed.computedAt : null,
+    runs
+  };
+}
+
+function startStatsSnapshotWorker() {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(async () => {
+    try {
+      await refreshStaleDays();
+    } catch (error) {
+      logger.error('Snapshot worker iteration failed', { error: error.message });
+    }
+  }, WORKER_INTERVAL_MS);
+
+  logger.info('Stats snapshot worker started', { intervalMs: WORKER_INTERVAL_MS });
+}
+
+function stopStatsSnapshotWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  DIMENSIONS,
+  TRACKED_FIELDS,
+  dayKeyOf,
+  computeCounts,
+  markDaysStale,
+  markWrittenDaysStale,
+  markTransactionDaysStale,
+  collectDocumentDays,
+  collectQueryDays,
+  refreshStaleDays,
+  startSnapshotRebuild,
+  rebuildSnapshots,
+  getLeadCounts,
+  groupByValue,
+  getSnapshotStatus,
+  startStatsSnapshotWorker,
+  stopStatsSnapshotWorker
+};
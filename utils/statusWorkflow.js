@@ -0,0 +1,164 @@
+/**
+ * Lead status workflow
+ * Validates status changes against StatusTransition definitions: allowed
+ * transitions, roles per transition and required data (note, LOT, successful lead).
+ * @module utils/statusWorkflow
+ */
+
+const Status = require('../models/Statuses');
+const StatusTransition = require('../models/StatusTransition');
+const Lot = require('../models/Lot');
+const SuccessfulLead = require('../models/SuccessfulLeads');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('StatusWorkflow');
+
+const REQUIREMENT_MESSAGES = {
+  note: 'Для цього переходу потрібен коментар (поле note)',
+  lot: 'Для цього переходу лід повинен мати ЛОТ',
+  successfulLead: 'Для цього переходу лід повинен мати запис успішного ліда'
+};
+
+/**
+ * Find the transition for from → to; an exact source status wins over '*'
+ * @private
+ */
+function findTransition(transitions, from, to) {
+  const candidates = transitions.filter(transition => transition.to === to);
+  return candidates.find(transition => transition.from === from)
+    || candidates.find(transition => transition.from === '*')
+    || null;
+}
+
+/**
+ * Leads (by id) that have a LOT / successful lead
+ * @private
+ */
+async function loadLeadRecords(requirements, leadIds) {
+  const [lotLeadIds, successfulLeadIds] = await Promise.all([
+    requirements.has('lot')
+      ? Lot.distinct('leadId', { leadId: { $in: leadIds }, isDeleted: { $ne: true }, status: { $ne: 'CANCELLED' } })
+      : [],
+    requirements.has('successfulLead')
+      ? SuccessfulLead.distinct('leadId', { leadId: { $in: leadIds } })
+      : []
+  ]);
+
+  return {
+    lot: new Set(lotLeadIds.map(String)),
+    successfulLead: new Set(successfulLeadIds.map(String))
+  };
+}
+
+/**
+ * Validate moving leads to a new status
+ * @param {Object} params
+ * @param {Object[]} params.leads - Leads with _id and current status
+ * @param {string} params.to - Target status value
+ * @param {string} params.role - Role of the admin performing the change
+ * @param {string} [params.note] - Comment sent with the change
+ * @param {Object} [params.provided] - Requirements fulfilled by the request itself, e.g. { successfulLead: true }
+ * @returns {Promise<Object>} { valid, status, message, errors: [{ leadId, from, to, code, message, requiredFields }] }
+ */
+async function validateStatusChange({ leads, to, role, note, provided = {} }) {
+  const target = String(to || '').trim().toUpperCase();
+
+  const [statuses, transitions] = await Promise.all([
+    Status.find({ isActive: true }).select('value').lean(),
+    StatusTransition.getActiveTransitions()
+  ]);
+
+  if (!statuses.some(status => status.value === target)) {
+    return {
+      valid: false,
+      status: 400,
+      message: `Невідомий статус: ${to}`,
+      errors: []
+    };
+  }
+
+  // Workflow is not enforced until at least one transition is defined
+  const changing = leads.filter(lead => lead.status !== target);
+  if (transitions.length === 0 || changing.length === 0) {
+    return { valid: true, errors: [] };
+  }
+
+  const resolved = changing.map(lead => ({ lead, transition: findTransition(transitions, lead.status, target) }));
+  const requirements = new Set(resolved.flatMap(item => (item.transition ? item.transition.requires : [])));
+  const records = await loadLeadRecords(requirements, changing.map(lead => lead._id));
+  const hasNote = typeof note === 'string' && note.trim() !== '';
+
+  const errors = [];
+  resolved.forEach(({ lead, transition }) => {
+    const base = { leadId: lead._id, from: lead.status, to: target };
+
+    if (!transition) {
+      errors.push({ ...base, code: 'TRANSITION_NOT_ALLOWED', message: `Перехід зі статусу "${lead.status}" у "${target}" заборонено` });
+      return;
+    }
+
+    if (transition.roles.length > 0 && !transition.roles.includes(role)) {
+      errors.push({ ...base, code: 'ROLE_NOT_ALLOWED', message: `Роль ${role} не може виконати перехід "${lead.status}" → "${target}"` });
+      return;
+    }
+
+    const missing = transition.requires.filter(requirement => {
+      if (provided[requirement]) return false;
+      if (requirement === 'note') return !hasNote;
+      return !records[requirement].has(lead._id.toString());
+    });
+
+    if (missing.length > 0) {
+      errors.push({
+        ...base,
+        code: 'REQUIREMENTS_NOT_MET',
+        message: missing.map(requirement => REQUIREMENT_MESSAGES[requirement]).join('; '),
+        requiredFields: missing
+      });
+    }
+  });
+
+  if (errors.length === 0) {
+    return { valid: true, errors: [] };
+  }
+
+  logger.info('Status change rejected', { to: target, role, rejected: errors.length, total: changing.length });
+
+  // Only role problems → 403, anything else is a validation error
+  const onlyRoleErrors = errors.every(error => error.code === 'ROLE_NOT_ALLOWED');
+  return {
+    valid: false,
+    status: onlyRoleErrors ? 403 : 400,
+    message: errors.length === 1 ? errors[0].message : `Зміну статусу відхилено для ${errors.length} лідів`,
+    errors
+  };
+}
+
+/**
+ * Transitions the role may perform from a status (for UI dropdowns)
+ * @param {string} from - Current status value
+ * @param {string} role - Admin role
+ * @returns {Promise<Object>} { enforced, transitions: [{ to, requires }] }
+ */
+async function getAvailableTransitions(from, role) {
+  const transitions = await StatusTransition.getActiveTransitions();
+  if (transitions.length === 0) {
+    return { enforced: false, transitions: [] };
+  }
+
+  const source = String(from || '').toUpperCase();
+  const targets = [...new Set(transitions.map(transition => transition.to))].filter(to => to !== source);
+
+  return {
+    enforced: true,
+    transitions: targets
+      .map(to => findTransition(transitions, source, to))
+      .filter(transition => transition && (transition.roles.length === 0 || transition.roles.includes(role)))
+      .map(transition => ({ to: transition.to, requires: transition.requires, description: transition.description }))
+  };
+}
+
+module.exports = {
+  validateStatusChange,
+  getAvailableTransitions
+};
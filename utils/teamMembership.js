@@ -0,0 +1,138 @@
+/**
+ * Team membership
+ * Teams live in the Teams collection (leaderIds, managerIds). Admins also
+ * keep the team name in Admin.team, which the admin routes still write and
+ * older data relies on. The members of a team are the union of both.
+ * A team can be given by Teams ID or by name. An ID that is not in Teams is
+ * treated as a team name.
+ * @module utils/teamMembership
+ */
+
+const mongoose = require('mongoose');
+const Team = require('../models/Teams');
+const Admin = require('../models/Admin');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('TeamMembership');
+
+const isTeamId = value => mongoose.Types.ObjectId.isValid(value) && String(value).length === 24;
+
+/**
+ * Team references as a list of non-empty strings
+ * @private
+ */
+function toRefs(teams) {
+  const list = Array.isArray(teams) ? teams : [teams];
+  return [...new Set(list.filter(Boolean).map(ref => String(ref).trim()).filter(Boolean))];
+}
+
+/**
+ * Teams with their member IDs from Teams documents and legacy team names
+ * @private
+ */
+async function buildTeams(teamDocs, legacyNames) {
+  const names = [...new Set([...teamDocs.map(doc => doc.name), ...legacyNames])];
+  const legacyMembers = names.length > 0
+    ? await Admin.find({ team: { $in: names } }, '_id team').lean()
+    : [];
+
+  const membersByName = new Map();
+  legacyMembers.forEach(admin => {
+    if (!membersByName.has(admin.team)) membersByName.set(admin.team, []);
+    membersByName.get(admin.team).push(admin._id.toString());
+  });
+
+  const describe = (teamId, name, leaderIds, managerIds) => ({
+    teamId,
+    name,
+    leaderIds,
+    managerIds,
+    memberIds: [...new Set([...leaderIds, ...managerIds, ...(membersByName.get(name) || [])])]
+  });
+
+  return [
+    ...teamDocs.map(doc => describe(
+      doc._id.toString(),
+      doc.name,
+      (doc.leaderIds || []).map(id => id.toString()),
+      (doc.managerIds || []).map(id => id.toString())
+    )),
+    ...legacyNames.map(name => describe(null, name, [], []))
+  ];
+}
+
+/**
+ * Resolve teams given by Teams ID or name
+ * @param {string|Array<string>} teams - Team IDs and/or names
+ * @returns {Promise<Array<Object>>} [{ teamId, name, leaderIds, managerIds, memberIds }],
+ *   teamId is null for names that are only used in Admin.team
+ */
+async function resolveTeams(teams) {
+  const refs = toRefs(teams);
+  if (refs.length === 0) return [];
+
+  const ids = refs.filter(isTeamId);
+  const teamDocs = await Team.find({
+    $or: [
+      ...(ids.length > 0 ? [{ _id: { $in: ids } }] : []),
+      { name: { $in: refs } }
+    ]
+  }).select('name leaderIds managerIds').lean();
+
+  const found = new Set();
+  teamDocs.forEach(doc => {
+    found.add(doc._id.toString());
+    found.add(doc.name);
+  });
+  const legacyNames = refs.filter(ref => !found.has(ref));
+
+  const resolved = await buildTeams(teamDocs, legacyNames);
+  logger.debug('Teams resolved', { refs, teams: resolved.length });
+  return resolved;
+}
+
+/**
+ * IDs of all members of the given teams
+ * @param {string|Array<string>} teams - Team IDs and/or names
+ * @returns {Promise<Array<string>>}
+ */
+async function resolveTeamMemberIds(teams) {
+  const resolved = await resolveTeams(teams);
+  return [...new Set(resolved.flatMap(team => team.memberIds))];
+}
+
+/**
+ * All teams: Teams documents, then team names that only exist in Admin.team
+ * @returns {Promise<Array<Object>>} Same shape as resolveTeams
+ */
+async function listTeams() {
+  const teamDocs = await Team.find({}).select('name leaderIds managerIds').sort({ name: 1 }).lean();
+  const known = new Set(teamDocs.map(doc => doc.name));
+  const adminTeams = await Admin.distinct('team');
+  const legacyNames = adminTeams.filter(name => name && !known.has(name)).sort();
+
+  return buildTeams(teamDocs, legacyNames);
+}
+
+/**
+ * Teams of each admin
+ * @param {Array<Object>} teams - Result of resolveTeams or listTeams
+ * @returns {Map<string, Array<Object>>} Admin ID → teams
+ */
+function mapMembersToTeams(teams) {
+  const byMember = new Map();
+  teams.forEach(team => {
+    team.memberIds.forEach(memberId => {
+      if (!byMember.has(memberId)) byMember.set(memberId, []);
+      byMember.get(memberId).push(team);
+    });
+  });
+  return byMember;
+}
+
+module.exports = {
+  resolveTeams,
+  resolveTeamMemberIds,
+  listTeams,
+  mapMembersToTeams
+};
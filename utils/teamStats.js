@@ -0,0 +1,225 @@
+/**
+ * Team statistics
+ * Leads belong to a team through their assignee: the team members are
+ * resolved by utils/teamMembership (Teams collection and Admin.team).
+ * An admin in several teams counts for each of them. Leads without an
+ * assignee, or assigned to an admin outside every team, are grouped apart.
+ * LOT revenue: active, not deleted LOTs of the team members (assignedTo).
+ * Lead counts come from the stats snapshots when the data scope and the
+ * filters allow it (utils/statsSnapshots).
+ * @module utils/teamStats
+ */
+
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const Lot = require('../models/Lot');
+const { buildLeadsFilter } = require('./leadHelpers');
+const { resolveTeams, listTeams, mapMembersToTeams } = require('./teamMembership');
+const { getLeadCounts } = require('./statsSnapshots');
+
+const NO_TEAM = 'Не призначено';
+const CONVERTED_STATUS = 'CONVERTED';
+const DUPLICATE_STATUS = 'DUPLICATE';
+
+const teamStatsError = (status, message) => Object.assign(new Error(message), { status });
+const toRate = (count, total) => (total > 0 ? parseFloat(((count / total) * 100).toFixed(2)) : 0);
+
+/**
+ * Lead filter of the viewer (stats data scope)
+ * @private
+ */
+function buildTeamLeadsFilter(viewer, { dateFrom, dateTo, team }) {
+  return buildLeadsFilter({
+    dateFrom,
+    dateTo,
+    team,
+    userRole: viewer.role,
+    userId: viewer._id.toString(),
+    userTeam: viewer.team,
+    forStats: true
+  });
+}
+
+/**
+ * Admin IDs the lead filter allows (null when it does not limit assignees)
+ * @private
+ */
+function allowedAssignees(filter) {
+  if (filter.assigned === undefined) return null;
+  const ids = filter.assigned && filter.assigned.$in ? filter.assigned.$in : [filter.assigned];
+  return new Set(ids.filter(Boolean).map(String));
+}
+
+/**
+ * LOT count and amounts per admin
+ * @private
+ */
+async function loadLotTotals(memberIds, lotDate) {
+  const objectIds = memberIds.filter(id => mongoose.Types.ObjectId.isValid(id)).map(id => new mongoose.Types.ObjectId(id));
+  if (objectIds.length === 0) return new Map();
+
+  const rows = await Lot.aggregate([
+    {
+      $match: {
+        assignedTo: { $in: objectIds },
+        isDeleted: false,
+        status: 'ACTIVE',
+        ...(lotDate ? { lotDate } : {})
+      }
+    },
+    {
+      $group: {
+        _id: '$assignedTo',
+        lots: { $sum: 1 },
+        revenue: { $sum: { $ifNull: ['$amount', 0] } },
+        payoutAmount: { $sum: { $ifNull: ['$payoutAmount', 0] } }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), row]));
+}
+
+/**
+ * Lead counts, status breakdown, conversions and LOT revenue per team
+ * @param {Object} viewer - Authenticated admin (stats data scope)
+ * @param {Object} [options]
+ * @param {string} [options.dateFrom] - Lead creation from (Kyiv day); also limits lotDate
+ * @param {string} [options.dateTo] - Lead creation to (Kyiv day); also limits lotDate
+ * @param {string|Array<string>} [options.team] - Team IDs or names (default: all teams)
+ * @param {boolean} [options.includeLots=true] - Add LOT count and amounts (lots.stats.view)
+ * @param {boolean} [options.live=false] - Never read the stats snapshots
+ * @returns {Promise<Object>} { source, totalLeads, byTeam }
+ */
+async function getTeamStats(viewer, { dateFrom, dateTo, team, includeLots = true, live = false } = {}) {
+  const filter = await buildTeamLeadsFilter(viewer, { dateFrom, dateTo, team });
+  const teams = team ? await resolveTeams(team) : await listTeams();
+  const memberTeams = mapMembersToTeams(teams);
+  const allowed = allowedAssignees(filter);
+
+  // Snapshots hold counts by assignee for all leads: usable when only assignees are filtered
+  let source = 'live';
+  let rows;
+  if (!live && Object.keys(filter).every(key => key === 'assigned')) {
+    const snapshot = await getLeadCounts({ dimensions: ['assigned'] });
+    source = snapshot.source;
+    rows = snapshot.counts.byAssigned
+      .filter(row => !allowed || allowed.has(String(row.value)))
+      .map(row => ({ _id: { assigned: row.value, status: row.status }, count: row.count }));
+  } else {
+    rows = await Lead.aggregate([
+      { $match: filter },
+      { $group: { _id: { assigned: '$assigned', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+  }
+
+  const groups = new Map();
+  const groupOf = teamDoc => {
+    const key = teamDoc ? teamDoc.teamId || teamDoc.name : null;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        teamId: teamDoc ? teamDoc.teamId : null,
+        team: teamDoc ? teamDoc.name : NO_TEAM,
+        memberCount: teamDoc ? teamDoc.memberIds.length : 0,
+        totalCount: 0,
+        statusBreakdown: {},
+        memberIds: teamDoc ? teamDoc.memberIds : []
+      });
+    }
+    return groups.get(key);
+  };
+  teams.forEach(groupOf);
+
+  let totalLeads = 0;
+  rows.forEach(row => {
+    totalLeads += row.count;
+    const assigned = row._id.assigned ? String(row._id.assigned) : null;
+    const status = row._id.status || 'Не вказано';
+    const targets = (assigned && memberTeams.get(assigned)) || [null];
+
+    targets.forEach(teamDoc => {
+      const group = groupOf(teamDoc);
+      group.totalCount += row.count;
+      group.statusBreakdown[status] = (group.statusBreakdown[status] || 0) + row.count;
+    });
+  });
+
+  let lotTotals = new Map();
+  if (includeLots) {
+    // LOTs follow the same assignees as the leads the viewer may see
+    const memberIds = [...memberTeams.keys()].filter(id => !allowed || allowed.has(id));
+    lotTotals = await loadLotTotals(memberIds, filter.dateCreate);
+  }
+
+  const byTeam = [...groups.values()]
+    .map(group => {
+      const { memberIds, ...stats } = group;
+      const convertedCount = stats.statusBreakdown[CONVERTED_STATUS] || 0;
+      const duplicateCount = stats.statusBreakdown[DUPLICATE_STATUS] || 0;
+      const result = {
+        ...stats,
+        convertedCount,
+        duplicateCount,
+        conversionRate: toRate(convertedCount, stats.totalCount),
+        duplicateRate: toRate(duplicateCount, stats.totalCount),
+        totalPercentage: toRate(stats.totalCount, totalLeads)
+      };
+
+      if (includeLots) {
+        const totals = { lots: 0, revenue: 0, payoutAmount: 0 };
+        memberIds.forEach(id => {
+          const lot = lotTotals.get(id);
+          if (!lot) return;
+          totals.lots += lot.lots;
+          totals.revenue += lot.revenue;
+          totals.payoutAmount += lot.payoutAmount;
+        });
+        Object.assign(result, totals);
+      }
+
+      return result;
+    })
+    .sort((a, b) => b.totalCount - a.totalCount);
+
+  return { source, totalLeads, byTeam };
+}
+
+/**
+ * Status breakdown of the leads of one team
+ * @param {Object} viewer - Authenticated admin (stats data scope)
+ * @param {string} team - Team ID or name
+ * @param {Object} [options] - dateFrom, dateTo (lead creation, Kyiv days)
+ * @returns {Promise<Object>} { teamId, teamName, totalLeads, statusBreakdown }
+ */
+async function getTeamStatusBreakdown(viewer, team, { dateFrom, dateTo } = {}) {
+  const [teamDoc] = await resolveTeams(team);
+  if (!teamDoc || (teamDoc.teamId === null && teamDoc.memberIds.length === 0)) {
+    throw teamStatsError(404, 'Команду не знайдено');
+  }
+
+  const filter = await buildTeamLeadsFilter(viewer, { dateFrom, dateTo, team: teamDoc.teamId || teamDoc.name });
+
+  const teamStats = await Lead.aggregate([
+    { $match: filter },
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+
+  const totalLeads = teamStats.reduce((sum, item) => sum + item.count, 0);
+
+  return {
+    teamId: teamDoc.teamId,
+    teamName: teamDoc.name,
+    totalLeads,
+    statusBreakdown: teamStats.map(item => ({
+      status: item._id || 'Не вказано',
+      count: item.count,
+      percentage: totalLeads > 0 ? ((item.count / totalLeads) * 100).toFixed(2) : 0
+    }))
+  };
+}
+
+module.exports = {
+  getTeamStats,
+  getTeamStatusBreakdown
+};
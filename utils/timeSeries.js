@@ -0,0 +1,490 @@
+/**
+ * Time series and cohort reports
+ * Periods follow Kyiv time (Europe/Kyiv, UTC+2 in winter and UTC+3 in
+ * summer): a day starts at 00:00 Kyiv time, a week on Monday (ISO weeks),
+ * a month on the 1st. Days around a clock change are 23 or 25 hours long.
+ *
+ * Series metrics:
+ * - leads: Lead.dateCreate, the `stats` data scope;
+ * - successfulLeads: SuccessfulLead.closeDate, the `successfulLeads` data scope;
+ * - lots: Lot.lotDate, active and not deleted LOTs (visible to everyone).
+ *
+ * Cohorts: leads created in week N, grouped by utm_source or team, with
+ * successful leads (first closeDate) and LOT revenue (lotDate) in weeks N..N+k.
+ * @module utils/timeSeries
+ */
+
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const SuccessfulLead = require('../models/SuccessfulLeads');
+const Lot = require('../models/Lot');
+const { buildLeadsFilter } = require('./leadHelpers');
+const { resolveAccess, applyDataScope } = require('./permissions');
+const { resolveTeams, listTeams, mapMembersToTeams } = require('./teamMembership');
+
+const KYIV_TIMEZONE = 'Europe/Kyiv';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const BUCKETS = ['day', 'week', 'month'];
+const METRICS = ['leads', 'successfulLeads', 'lots'];
+const COHORT_GROUPS = ['utm_source', 'team'];
+
+const MAX_PERIODS = 400;
+const DEFAULT_COHORT_WEEKS = 8;
+const MAX_COHORT_WEEKS = 26;
+const NO_GROUP = '—';
+
+// Default range when dateFrom is not given: periods back from dateTo
+const DEFAULT_PERIODS = { day: 30, week: 12, month: 12 };
+
+// $dateToString formats of the period keys
+const PERIOD_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+
+const statsError = (status, message) => Object.assign(new Error(message), { status });
+
+const pad = value => String(value).padStart(2, '0');
+
+const kyivFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: KYIV_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric'
+});
+
+/**
+ * Offset of Kyiv time from UTC at an instant, in ms
+ * @private
+ */
+function kyivOffset(time) {
+  const parts = {};
+  kyivFormat.formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = Number(part.value);
+  });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Date shifted to Kyiv wall-clock time (read with getUTC* methods)
+ * @private
+ */
+const toKyiv = date => {
+  const time = new Date(date).getTime();
+  return new Date(time + kyivOffset(time));
+};
+
+/**
+ * UTC instant of 00:00 Kyiv time on a calendar day (month and day may overflow)
+ * Clocks change at 03:00/04:00, so midnight always exists exactly once.
+ * @private
+ */
+function kyivMidnight(year, month, day) {
+  const wallClock = Date.UTC(year, month, day);
+  const guess = wallClock - kyivOffset(wallClock);
+  return new Date(wallClock - kyivOffset(guess));
+}
+
+/**
+ * Start of the Kyiv day/week/month containing a date, as a UTC instant
+ * @param {Date} date
+ * @param {string} bucket - day, week or month
+ * @returns {Date}
+ */
+function periodStart(date, bucket) {
+  const local = toKyiv(date);
+
+  if (bucket === 'week') {
+    const weekday = (local.getUTCDay() + 6) % 7; // Monday = 0
+    return kyivMidnight(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() - weekday);
+  }
+  if (bucket === 'month') {
+    return kyivMidnight(local.getUTCFullYear(), local.getUTCMonth(), 1);
+  }
+  return kyivMidnight(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+}
+
+/**
+ * Start of a Kyiv day given as YYYY-MM-DD, as a UTC instant
+ * @param {string} day
+ * @returns {Date}
+ */
+function dayStart(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return kyivMidnight(year, month - 1, date);
+}
+
+/**
+ * Period key of a date: 2026-10-19, 2026-W43 or 2026-10 (same as PERIOD_FORMATS)
+ * @param {Date} date
+ * @param {string} bucket
+ * @returns {string}
+ */
+function periodKey(date, bucket) {
+  const local = toKyiv(date);
+
+  if (bucket === 'month') {
+    return `${local.getUTCFullYear()}-${pad(local.getUTCMonth() + 1)}`;
+  }
+
+  if (bucket === 'week') {
+    // ISO week: the week belongs to the year of its Thursday
+    const thursday = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7);
+    return `${thursday.getUTCFullYear()}-W${pad(week)}`;
+  }
+
+  return `${local.getUTCFullYear()}-${pad(local.getUTCMonth() + 1)}-${pad(local.getUTCDate())}`;
+}
+
+/**
+ * Next period start after a period start
+ * @param {Date} start - Start of a period (periodStart)
+ * @param {string} bucket
+ * @returns {Date}
+ */
+function nextPeriod(start, bucket) {
+  const local = toKyiv(start);
+  if (bucket === 'month') {
+    return kyivMidnight(local.getUTCFullYear(), local.getUTCMonth() + 1, 1);
+  }
+  return kyivMidnight(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + (bucket === 'week' ? 7 : 1));
+}
+
+/**
+ * Whole weeks between two week starts (a week with a clock change is not exactly WEEK_MS)
+ * @private
+ */
+const weeksBetween = (from, to) => Math.round((to - from) / WEEK_MS);
+
+/**
+ * Resolve dateFrom/dateTo (Kyiv days, inclusive) into period-aligned instants
+ * @private
+ */
+function resolveRange({ dateFrom, dateTo }, bucket, defaultPeriods) {
+  const to = dateTo ? new Date(dateTo) : new Date();
+  if (Number.isNaN(to.getTime())) throw statsError(400, 'Невірний формат дати dateTo');
+
+  const lastStart = periodStart(to, bucket);
+  let from;
+  if (dateFrom) {
+    from = new Date(dateFrom);
+    if (Number.isNaN(from.getTime())) throw statsError(400, 'Невірний формат дати dateFrom');
+    from = periodStart(from, bucket);
+  } else {
+    from = lastStart;
+    for (let i = 1; i < defaultPeriods; i++) {
+      from = periodStart(new Date(from.getTime() - 1), bucket);
+    }
+  }
+
+  if (from > lastStart) throw statsError(400, 'dateFrom пізніше за dateTo');
+
+  const periods = [];
+  for (let start = from; start <= lastStart; start = nextPeriod(start, bucket)) {
+    periods.push(start);
+    if (periods.length > MAX_PERIODS) {
+      throw statsError(400, `Забагато періодів (максимум ${MAX_PERIODS}). Збільште bucket або звузьте діапазон`);
+    }
+  }
+
+  return { from, until: nextPeriod(lastStart, bucket), periods };
+}
+
+/**
+ * Team name from a team name or a Teams document ID
+ * @private
+ */
+async function resolveTeamName(team) {
+  if (!team) return null;
+  const [resolved] = await resolveTeams(team);
+  return resolved ? resolved.name : String(team);
+}
+
+/**
+ * Aggregation stages that filter a collection with leadId by lead utm_source
+ * (the utm rules of a data scope and/or an exact utm_source)
+ * @private
+ */
+async function utmStages(utmSource, scope) {
+  const utmFilter = {};
+  if (scope) {
+    await applyDataScope(utmFilter, { ...scope, level: 'all' }, { adminId: null, utmField: 'lead.utm_source' });
+  }
+  if (utmSource) {
+    utmFilter.$and = [{ 'lead.utm_source': utmSource }];
+  }
+  if (Object.keys(utmFilter).length === 0) return [];
+
+  return [
+    {
+      $lookup: {
+        from: Lead.collection.name,
+        let: { leadId: '$leadId' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$leadId'] } } },
+          { $project: { utm_source: 1 } }
+        ],
+        as: 'lead'
+      }
+    },
+    { $set: { lead: { $ifNull: [{ $arrayElemAt: ['$lead', 0] }, { utm_source: '' }] } } },
+    { $match: utmFilter }
+  ];
+}
+
+/**
+ * Series of one metric: [{ period, start, count, amount?, payoutAmount? }]
+ * @param {Object} admin - Authenticated admin (req.admin)
+ * @param {Object} options
+ * @param {string} [options.metric=leads] - leads, successfulLeads or lots
+ * @param {string} [options.bucket=day] - day, week or month
+ * @param {string} [options.dateFrom] - First day (Kyiv), default: a range of DEFAULT_PERIODS
+ * @param {string} [options.dateTo] - Last day (Kyiv), default: today
+ * @param {string} [options.team] - Team name or Teams ID
+ * @param {string} [options.manager] - Admin ID
+ * @param {string} [options.utm_source] - Lead utm_source
+ * @returns {Promise<Object>} { metric, bucket, timezone, from, until, points, totals }
+ * @throws {Error} With status 400 for invalid parameters
+ */
+async function getTimeSeries(admin, { metric = 'leads', bucket = 'day', dateFrom, dateTo, team, manager, utm_source } = {}) {
+  if (!METRICS.includes(metric)) throw statsError(400, `metric: одне з ${METRICS.join(', ')}`);
+  if (!BUCKETS.includes(bucket)) throw statsError(400, `bucket: одне з ${BUCKETS.join(', ')}`);
+  if (manager && !mongoose.Types.ObjectId.isValid(manager)) throw statsError(400, 'Невірний ID менеджера');
+
+  const { from, until, periods } = resolveRange({ dateFrom, dateTo }, bucket, DEFAULT_PERIODS[bucket]);
+  let model;
+  let dateField;
+  let pipeline;
+
+  if (metric === 'leads') {
+    model = Lead;
+    dateField = 'dateCreate';
+    const filter = await buildLeadsFilter({
+      team,
+      assigned: manager,
+      utm_source,
+      userRole: admin.role,
+      userId: admin._id.toString(),
+      userTeam: admin.team,
+      forStats: true
+    });
+    pipeline = [{ $match: { ...filter, dateCreate: { $gte: from, $lt: until } } }];
+  } else {
+    const teamName = await resolveTeamName(team);
+    const match = {};
+    let scope = null;
+
+    if (metric === 'successfulLeads') {
+      model = SuccessfulLead;
+      dateField = 'closeDate';
+      const access = await resolveAccess(admin);
+      scope = access.dataScopes.successfulLeads;
+      await applyDataScope(match, scope, {
+        adminId: admin._id.toString(),
+        team: admin.team,
+        department: admin.department,
+        castId: id => new mongoose.Types.ObjectId(id),
+        utmField: null
+      });
+      if (manager) match.$and = [{ assigned: new mongoose.Types.ObjectId(manager) }];
+    } else {
+      model = Lot;
+      dateField = 'lotDate';
+      match.isDeleted = false;
+      match.status = 'ACTIVE';
+      if (manager) match.assignedTo = new mongoose.Types.ObjectId(manager);
+    }
+
+    if (teamName) match.team = teamName;
+    match[dateField] = { $gte: from, $lt: until };
+    pipeline = [{ $match: match }, ...(await utmStages(utm_source, scope))];
+  }
+
+  const withAmounts = metric !== 'leads';
+  const rows = await model.aggregate([
+    ...pipeline,
+    {
+      $group: {
+        _id: { $dateToString: { format: PERIOD_FORMATS[bucket], date: `$${dateField}`, timezone: KYIV_TIMEZONE } },
+        count: { $sum: 1 },
+        ...(withAmounts ? { amount: { $sum: { $ifNull: ['$amount', 0] } }, payoutAmount: { $sum: { $ifNull: ['$payoutAmount', 0] } } } : {})
+      }
+    }
+  ]);
+
+  const byPeriod = new Map(rows.map(row => [row._id, row]));
+  const totals = { count: 0, ...(withAmounts ? { amount: 0, payoutAmount: 0 } : {}) };
+
+  const points = periods.map(start => {
+    const key = periodKey(start, bucket);
+    const row = byPeriod.get(key) || {};
+    const point = { period: key, start, count: row.count || 0 };
+    totals.count += point.count;
+    if (withAmounts) {
+      point.amount = row.amount || 0;
+      point.payoutAmount = row.payoutAmount || 0;
+      totals.amount += point.amount;
+      totals.payoutAmount += point.payoutAmount;
+    }
+    return point;
+  });
+
+  return { metric, bucket, timezone: KYIV_TIMEZONE, from, until, points, totals };
+}
+
+/**
+ * Weekly cohorts of leads by creation week and utm_source or team
+ * @param {Object} admin - Authenticated admin (req.admin)
+ * @param {Object} options
+ * @param {string} [options.groupBy=utm_source] - utm_source or team (team of the assigned admin)
+ * @param {number} [options.weeks=8] - Weeks after the creation week to follow (k)
+ * @param {string} [options.dateFrom] - First creation day (Kyiv), default: 12 weeks back
+ * @param {string} [options.dateTo] - Last creation day (Kyiv), default: today
+ * @param {string} [options.team] - Team name or Teams ID
+ * @param {string} [options.manager] - Admin ID
+ * @param {string} [options.utm_source] - Lead utm_source
+ * @param {boolean} [options.includeRevenue=true] - Add LOT revenue (lots.stats.view)
+ * @returns {Promise<Object>} { groupBy, weeks, timezone, cohorts }
+ * @throws {Error} With status 400 for invalid parameters
+ */
+async function getCohorts(admin, { groupBy = 'utm_source', weeks, dateFrom, dateTo, team, manager, utm_source, includeRevenue = true } = {}) {
+  if (!COHORT_GROUPS.includes(groupBy)) throw statsError(400, `groupBy: одне з ${COHORT_GROUPS.join(', ')}`);
+
+  const weekCount = weeks === undefined ? DEFAULT_COHORT_WEEKS : parseInt(weeks, 10);
+  if (!Number.isInteger(weekCount) || weekCount < 0 || weekCount > MAX_COHORT_WEEKS) {
+    throw statsError(400, `weeks: ціле число від 0 до ${MAX_COHORT_WEEKS}`);
+  }
+
+  const { from, until } = resolveRange({ dateFrom, dateTo }, 'week', DEFAULT_PERIODS.week);
+  const filter = await buildLeadsFilter({
+    team,
+    assigned: manager,
+    utm_source,
+    userRole: admin.role,
+    userId: admin._id.toString(),
+    userTeam: admin.team,
+    forStats: true
+  });
+
+  // Team of the assigned admin (utils/teamMembership); an admin in several teams counts for the first one
+  const adminTeams = new Map();
+  if (groupBy === 'team') {
+    mapMembersToTeams(await listTeams()).forEach((teams, adminId) => adminTeams.set(adminId, teams[0].name));
+  }
+
+  const currentWeek = periodStart(new Date(), 'week');
+  const cohorts = new Map();
+
+  const cursor = Lead.aggregate([
+    { $match: { ...filter, dateCreate: { $gte: from, $lt: until } } },
+    { $project: { dateCreate: 1, utm_source: 1, assigned: 1 } },
+    {
+      $lookup: {
+        from: SuccessfulLead.collection.name,
+        let: { leadId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$leadId', '$$leadId'] } } },
+          { $project: { _id: 0, closeDate: 1 } }
+        ],
+        as: 'successful'
+      }
+    },
+    ...(includeRevenue ? [{
+      $lookup: {
+        from: Lot.collection.name,
+        let: { leadId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$leadId', '$$leadId'] }, isDeleted: false, status: 'ACTIVE' } },
+          { $project: { _id: 0, lotDate: 1, amount: 1 } }
+        ],
+        as: 'lots'
+      }
+    }] : [])
+  ]).cursor();
+
+  for await (const lead of cursor) {
+    const weekStart = periodStart(lead.dateCreate, 'week');
+    const group = groupBy === 'team'
+      ? adminTeams.get(String(lead.assigned)) || NO_GROUP
+      : lead.utm_source || NO_GROUP;
+    const key = `${weekStart.getTime()}\u0000${group}`;
+
+    if (!cohorts.has(key)) {
+      const elapsed = weeksBetween(weekStart, currentWeek);
+      cohorts.set(key, {
+        week: periodKey(weekStart, 'week'),
+        weekStart,
+        group,
+        leads: 0,
+        // Weeks that have not started yet stay null
+        converted: Array.from({ length: weekCount + 1 }, (_, offset) => (offset <= elapsed ? 0 : null)),
+        revenue: Array.from({ length: weekCount + 1 }, (_, offset) => (offset <= elapsed ? 0 : null))
+      });
+    }
+
+    const cohort = cohorts.get(key);
+    cohort.leads += 1;
+
+    const offsetOf = date => weeksBetween(weekStart, periodStart(date, 'week'));
+
+    const closeDates = lead.successful.map(item => item.closeDate).filter(Boolean).sort((a, b) => a - b);
+    if (closeDates.length > 0) {
+      const offset = offsetOf(closeDates[0]);
+      if (offset >= 0 && offset <= weekCount && cohort.converted[offset] !== null) {
+        cohort.converted[offset] += 1;
+      }
+    }
+
+    (lead.lots || []).forEach(lot => {
+      const offset = offsetOf(lot.lotDate);
+      if (offset >= 0 && offset <= weekCount && cohort.revenue[offset] !== null) {
+        cohort.revenue[offset] += lot.amount || 0;
+      }
+    });
+  }
+
+  const cumulative = values => {
+    let sum = 0;
+    return values.map(value => (value === null ? null : (sum += value)));
+  };
+
+  const result = [...cohorts.values()]
+    .sort((a, b) => a.weekStart - b.weekStart || String(a.group).localeCompare(String(b.group)))
+    .map(cohort => {
+      const convertedCumulative = cumulative(cohort.converted);
+      return {
+        ...cohort,
+        convertedCumulative,
+        conversionRate: convertedCumulative.map(value =>
+          (value === null ? null : Math.round((value / cohort.leads) * 10000) / 100)
+        ),
+        revenueCumulative: cumulative(cohort.revenue)
+      };
+    })
+    .map(cohort => {
+      if (includeRevenue) return cohort;
+      const { revenue, revenueCumulative, ...rest } = cohort;
+      return rest;
+    });
+
+  return { groupBy, weeks: weekCount, timezone: KYIV_TIMEZONE, from, until, cohorts: result };
+}
+
+module.exports = {
+  KYIV_TIMEZONE,
+  BUCKETS,
+  METRICS,
+  periodStart,
+  periodKey,
+  nextPeriod,
+  dayStart,
+  getTimeSeries,
+  getCohorts
+};
@@ -0,0 +1,292 @@
+/**
+ * TOTP two-factor authentication
+ * An admin enrolls by scanning the otpauth URI and confirming one code; the
+ * secret is stored encrypted (AES-256-GCM) and ten one-time backup codes are
+ * issued, of which only hashes are kept. A role can make 2FA mandatory
+ * (Role.requireTwoFactor).
+ *
+ * Login with 2FA takes two steps: the password step returns a short-lived
+ * challenge token, the code step exchanges it for real session tokens.
+ * Challenge tokens carry no session ID, so authenticateToken rejects them.
+ *
+ * Configuration (environment):
+ * - TWO_FACTOR_ENCRYPTION_KEY - key for stored secrets (required once 2FA is used)
+ * - TWO_FACTOR_ISSUER - issuer shown in authenticator apps (default 'Fenix CRM')
+ * @module utils/twoFactor
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Admin = require('../models/Admin');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('./totp');
+const { resolveAccess } = require('./permissions');
+
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+const CHALLENGE_TYPE = '2fa_challenge';
+
+const JWT_ERRORS = ['JsonWebTokenError', 'TokenExpiredError', 'NotBeforeError'];
+
+/**
+ * Error with an HTTP status for the auth routes
+ * @private
+ */
+function twoFactorError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * @private
+ */
+function getEncryptionKey() {
+  if (!process.env.TWO_FACTOR_ENCRYPTION_KEY) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY is not set');
+  }
+  return crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY).digest();
+}
+
+/**
+ * @private
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * @private
+ */
+function decryptSecret(value) {
+  const [iv, tag, encrypted] = value.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Backup codes are compared case-insensitively and without separators
+ * @private
+ */
+function hashBackupCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generate a fresh set of backup codes
+ * @private
+ * @returns {Object} { codes, hashes }
+ */
+function generateBackupCodes() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+/**
+ * @private
+ */
+function getIssuer() {
+  return process.env.TWO_FACTOR_ISSUER || 'Fenix CRM';
+}
+
+/**
+ * Whether the admin's role requires 2FA
+ * @param {Object} admin - Admin document
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorRequired(admin) {
+  const access = await resolveAccess(admin);
+  return access.requireTwoFactor;
+}
+
+/**
+ * Sign a challenge token for the second login step
+ * @param {Object} admin - Admin document
+ * @param {string} purpose - 'login' (2FA enabled, a code completes the login),
+ *   'setup' (the role requires 2FA, the admin must enroll first)
+ *   or 'password_change' (mustChangePassword, a new password comes first)
+ * @returns {string}
+ */
+function createChallengeToken(admin, purpose) {
+  return jwt.sign(
+    { id: admin._id.toString(), typ: CHALLENGE_TYPE, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+  );
+}
+
+/**
+ * Verify a challenge token
+ * @param {string} token - Challenge token from the login response
+ * @param {string} purpose - Expected purpose
+ * @returns {Object} Decoded payload { id, purpose }
+ * @throws {Error} With status 401 when the token is invalid, expired or of another purpose
+ */
+function verifyChallengeToken(token, purpose) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+  } catch (error) {
+    if (JWT_ERRORS.includes(error.name)) {
+      throw twoFactorError('Недійсний або прострочений токен підтвердження', 401);
+    }
+    throw error;
+  }
+
+  if (decoded.typ !== CHALLENGE_TYPE || decoded.purpose !== purpose) {
+    throw twoFactorError('Недійсний або прострочений токен підтвердження', 401);
+  }
+  return decoded;
+}
+
+/**
+ * Start enrollment: generate a pending secret
+ * Calling it again replaces the pending secret (e.g. the QR code was lost)
+ * @param {Object} admin - Admin document
+ * @returns {Promise<Object>} { secret, otpauthUri }
+ */
+async function beginSetup(admin) {
+  if (admin.twoFactor.enabled) {
+    throw twoFactorError('Двофакторну автентифікацію вже увімкнено', 409);
+  }
+
+  const secret = generateSecret();
+  admin.twoFactor.pendingSecret = encryptSecret(secret);
+  await admin.save();
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: admin.login, issuer: getIssuer() })
+  };
+}
+
+/**
+ * Finish enrollment with the first code from the authenticator app
+ * @param {Object} admin - Admin document
+ * @param {string} code - TOTP code
+ * @returns {Promise<string[]>} Backup codes (shown once)
+ */
+async function confirmSetup(admin, code) {
+  if (admin.twoFactor.enabled) {
+    throw twoFactorError('Двофакторну автентифікацію вже увімкнено', 409);
+  }
+  if (!admin.twoFactor.pendingSecret) {
+    throw twoFactorError('Спочатку викличте налаштування 2FA (/2fa/setup)');
+  }
+
+  const secret = decryptSecret(admin.twoFactor.pendingSecret);
+  const step = verifyCode(secret, code);
+  if (step === null) {
+    throw twoFactorError('Невірний код підтвердження');
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  admin.twoFactor.enabled = true;
+  admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+  admin.twoFactor.pendingSecret = null;
+  admin.twoFactor.backupCodeHashes = hashes;
+  admin.twoFactor.lastUsedStep = step;
+  admin.twoFactor.enabledAt = new Date();
+  await admin.save();
+
+  return codes;
+}
+
+/**
+ * Check a TOTP code or a backup code of an admin with 2FA enabled
+ * Both are single-use: the accepted time step / backup code is consumed atomically.
+ * @param {Object} admin - Admin document
+ * @param {Object} params - { code, backupCode }
+ * @returns {Promise<string|null>} 'totp', 'backup_code' or null when invalid
+ */
+async function verifySecondFactor(admin, { code, backupCode }) {
+  if (!admin.twoFactor.enabled || !admin.twoFactor.secret) return null;
+
+  if (code) {
+    const lastUsedStep = admin.twoFactor.lastUsedStep;
+    const step = verifyCode(decryptSecret(admin.twoFactor.secret), code, {
+      afterStep: lastUsedStep === null ? -1 : lastUsedStep
+    });
+    if (step === null) return null;
+
+    const result = await Admin.updateOne(
+      {
+        _id: admin._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+    const result = await Admin.updateOne(
+      { _id: admin._id, 'twoFactor.backupCodeHashes': hash },
+      { $pull: { 'twoFactor.backupCodeHashes': hash } }
+    );
+    return result.modifiedCount === 1 ? 'backup_code' : null;
+  }
+
+  return null;
+}
+
+/**
+ * Replace the backup codes of an admin
+ * @param {Object} admin - Admin document
+ * @returns {Promise<string[]>} New backup codes (shown once)
+ */
+async function regenerateBackupCodes(admin) {
+  const { codes, hashes } = generateBackupCodes();
+  await Admin.updateOne({ _id: admin._id }, { $set: { 'twoFactor.backupCodeHashes': hashes } });
+  return codes;
+}
+
+/**
+ * Turn 2FA off and forget the secret and backup codes
+ * @param {Object} admin - Admin document
+ */
+async function disableTwoFactor(admin) {
+  admin.twoFactor = {
+    enabled: false,
+    secret: null,
+    pendingSecret: null,
+    backupCodeHashes: [],
+    lastUsedStep: null,
+    enabledAt: null
+  };
+  await admin.save();
+}
+
+/**
+ * 2FA state of an admin for API responses
+ * @param {Object} admin - Admin document
+ * @returns {Promise<Object>} { enabled, enabledAt, backupCodesRemaining, required }
+ */
+async function getTwoFactorStatus(admin) {
+  return {
+    enabled: admin.twoFactor.enabled,
+    enabledAt: admin.twoFactor.enabledAt,
+    backupCodesRemaining: admin.twoFactor.backupCodeHashes.length,
+    required: await isTwoFactorRequired(admin)
+  };
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  createChallengeToken,
+  verifyChallengeToken,
+  beginSetup,
+  confirmSetup,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+};